@@ -0,0 +1,25 @@
+/* planner-worker.js — TrailTemps
+   Runs BestStart! searches off the page — every pace of a pace range,
+   durations and eliminators included (see "BestStart! worker" in
+   shared-utils.js) — so the UI stays responsive and a scan can be cancelled.
+   Keeps every normals record it is sent, by id, for the life of the worker,
+   so a repeat scan only carries the route and plan.
+*/
+
+importScripts("shared-utils.js");
+
+const normalsById = new Map();
+
+self.onmessage = (event) => {
+  const msg = event.data || {};
+  if (msg.type !== "best-start") return;
+  try {
+    for (const { id, fields } of msg.normals || []) normalsById.set(id, fields);
+    const result = runBestStartWorkerJob(msg, normalsById, (done, total) => {
+      self.postMessage({ type: "progress", id: msg.id, done, total });
+    });
+    self.postMessage({ type: "result", id: msg.id, result });
+  } catch (err) {
+    self.postMessage({ type: "error", id: msg.id, message: err?.message || String(err) });
+  }
+};
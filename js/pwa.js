@@ -0,0 +1,41 @@
+/* pwa.js — TrailTemps
+   Registers the service worker (/sw.js) and hands it every same-origin file
+   this page loads — the page itself, its app.js, and the trail's points,
+   geojson and normals — so a trail visited once with signal keeps working
+   with none. Loaded on every page; does nothing where service workers are
+   unsupported.
+*/
+
+(function () {
+  if (!("serviceWorker" in navigator)) return;
+
+  const CDN_PREFIX = "https://unpkg.com/";
+
+  function keepable(href) {
+    if (href.startsWith(CDN_PREFIX)) return true;
+    try { return new URL(href).origin === location.origin; } catch { return false; }
+  }
+
+  function cacheUrls(urls) {
+    const list = urls.filter(keepable);
+    if (!list.length) return;
+    navigator.serviceWorker.ready
+      .then(reg => reg.active?.postMessage({ type: "cache-urls", urls: list }))
+      .catch(() => {});
+  }
+
+  navigator.serviceWorker.register("/sw.js").catch(err => {
+    console.warn("[pwa] service worker registration failed:", err);
+  });
+
+  cacheUrls([location.href.split("#")[0]]);
+
+  // Data files are fetched after load (and some only on demand), so watch
+  // resource timing for the life of the page rather than snapshotting once.
+  if ("PerformanceObserver" in window) {
+    try {
+      new PerformanceObserver(list => cacheUrls(list.getEntries().map(e => e.name)))
+        .observe({ type: "resource", buffered: true });
+    } catch { /* older browsers without buffered entries */ }
+  }
+})();
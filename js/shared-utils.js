@@ -46,6 +46,402 @@ function cacheSet(key, data) {
   } catch { /* quota exceeded — silently skip */ }
 }
 
+/* -------------------------------------------------------
+   IndexedDB store
+   For what is too big or too valuable for localStorage: normals, each
+   trail.geojson and the Open-Meteo answers. Entries are
+   { key, group, version, ts, data }.
+   - TTL is checked on read, as with cacheGet(). Expired entries stay
+     until eviction so staleOrThrow() can still serve them offline.
+   - version: an entry written under another version reads as missing,
+     and the first write of a group's new version deletes its old ones.
+   - Eviction (once per page, and on a quota error): entries older than
+     STORE_MAX_AGE_MS, then the oldest beyond STORE_MAX_ENTRIES. A write
+     that hits the quota drops the oldest quarter and retries once.
+   Where IndexedDB is unavailable (some private modes) the same calls
+   read and write localStorage instead.
+------------------------------------------------------- */
+
+const STORE_DB_NAME      = "trailtemps";
+const STORE_NAME         = "cache";
+const STORE_MAX_AGE_MS   = 60 * 24 * 60 * 60 * 1000;  // 60 days — longer than any TTL
+const STORE_MAX_ENTRIES  = 2000;
+const STORE_QUOTA_SHARE  = 0.25;
+
+let storeDbPromise = null;
+const storeSweptGroups = new Set();
+
+/** The database, or null where IndexedDB can't be opened. Never rejects. */
+function storeDb() {
+  if (!storeDbPromise) {
+    storeDbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") throw new Error("IndexedDB unavailable");
+      const req = indexedDB.open(STORE_DB_NAME, 1);
+      req.onupgradeneeded = () => {
+        const os = req.result.createObjectStore(STORE_NAME, { keyPath: "key" });
+        os.createIndex("ts", "ts");
+        os.createIndex("group", "group");
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror   = () => reject(req.error);
+    }).then(db => {
+      setTimeout(() => storeEvict(), 10000);
+      return db;
+    }).catch(err => {
+      console.warn("[store] IndexedDB unavailable, using localStorage:", err?.message || err);
+      return null;
+    });
+  }
+  return storeDbPromise;
+}
+
+/** Runs fn(objectStore) in one transaction; resolves with the result of the request fn returns, if any. */
+function storeTx(db, mode, fn) {
+  return new Promise((resolve, reject) => {
+    const tx  = db.transaction(STORE_NAME, mode);
+    const req = fn(tx.objectStore(STORE_NAME));
+    tx.oncomplete = () => resolve(req ? req.result : undefined);
+    tx.onerror    = () => reject(tx.error);
+    tx.onabort    = () => reject(tx.error);
+  });
+}
+
+/** The raw entry for key, whatever its age or version; null if none. */
+async function storeRecord(key) {
+  const db = await storeDb();
+  if (db) {
+    try {
+      const rec = await storeTx(db, "readonly", os => os.get(key));
+      if (rec) return rec;
+    } catch (err) {
+      console.warn("[store] read failed:", key, err);
+    }
+  }
+  // No database, or an entry written to localStorage before the store existed.
+  const obj = safeJSONParse(localStorage.getItem(key) || "");
+  return obj?.ts ? { key, version: obj.version ?? null, ts: obj.ts, data: obj.data } : null;
+}
+
+/** Like cacheGet(): the data if younger than ttlMs and written under version (when given); else null. */
+async function storeGet(key, ttlMs, version = null) {
+  const rec = await storeRecord(key);
+  if (!rec || rec.data == null) return null;
+  if (version != null && rec.version !== version) return null;
+  if (Date.now() - rec.ts > ttlMs) return null;
+  return rec.data;
+}
+
+/**
+ * Like cacheSet(), but asynchronous and never rejects — callers need not
+ * await it. group/version let a new version of a data set (a trail's
+ * normals, say) replace the old one in place.
+ */
+async function storeSet(key, data, { group = null, version = null } = {}) {
+  const rec = { key, group, version, ts: Date.now(), data };
+  const db  = await storeDb();
+  if (!db) {
+    try {
+      localStorage.setItem(key, JSON.stringify({ ts: rec.ts, version, data }));
+    } catch { /* quota exceeded — nothing else to fall back to */ }
+    return;
+  }
+
+  const put = () => storeTx(db, "readwrite", os => { os.put(rec); });
+  try {
+    await put();
+  } catch (err) {
+    if (err?.name !== "QuotaExceededError") {
+      console.warn("[store] write failed:", key, err);
+      return;
+    }
+    await storeEvict(STORE_QUOTA_SHARE);
+    try {
+      await put();
+    } catch (err2) {
+      console.warn("[store] write skipped, storage full:", key, err2);
+      return;
+    }
+  }
+
+  try { localStorage.removeItem(key); } catch { /* ignore */ }
+  if (group != null && !storeSweptGroups.has(group)) {
+    storeSweptGroups.add(group);
+    storeDropOtherVersions(db, group, version);
+  }
+}
+
+async function storeDropOtherVersions(db, group, version) {
+  try {
+    await storeTx(db, "readwrite", os => {
+      const req = os.index("group").openCursor(IDBKeyRange.only(group));
+      req.onsuccess = () => {
+        const cur = req.result;
+        if (!cur) return;
+        if (cur.value.version !== version) cur.delete();
+        cur.continue();
+      };
+    });
+  } catch (err) {
+    console.warn("[store] old versions not cleared:", group, err);
+  }
+}
+
+/** Drops entries past STORE_MAX_AGE_MS, the oldest beyond STORE_MAX_ENTRIES, and at least share of all entries. */
+async function storeEvict(share = 0) {
+  const db = await storeDb();
+  if (!db) return;
+  try {
+    const keys    = await storeTx(db, "readonly", os => os.index("ts").getAllKeys());   // oldest first
+    const expired = await storeTx(db, "readonly", os =>
+      os.index("ts").getAllKeys(IDBKeyRange.upperBound(Date.now() - STORE_MAX_AGE_MS)));
+    const drop = Math.max(expired.length, keys.length - STORE_MAX_ENTRIES, Math.ceil(keys.length * share));
+    if (drop > 0) await storeTx(db, "readwrite", os => { keys.slice(0, drop).forEach(k => os.delete(k)); });
+  } catch (err) {
+    console.warn("[store] eviction failed:", err);
+  }
+}
+
+/* -------------------------------------------------------
+   Offline fallbacks
+   Trail files come from the service worker (sw.js); Open-Meteo answers
+   come from the IndexedDB store above. When a request fails for lack
+   of signal, the last stored copy is used whatever its age, stamped with
+   staleSince (ms) so the page can say how old it is.
+------------------------------------------------------- */
+
+/** Last stored copy of key regardless of TTL, with staleSince set; else rethrows err. */
+async function staleOrThrow(key, err) {
+  const rec = await storeRecord(key);
+  if (rec?.ts && rec.data) return { ...rec.data, staleSince: rec.ts };
+  if (navigator.onLine === false) throw new Error("no signal, and nothing saved for this location yet");
+  throw err;
+}
+
+function fmtStaleAge(ts) {
+  const mins = Math.max(0, Math.round((Date.now() - ts) / 60000));
+  if (mins < 90)  return `${mins} min ago`;
+  const hours = Math.round(mins / 60);
+  if (hours < 36) return `${hours} hours ago`;
+  return `${Math.round(hours / 24)} days ago`;
+}
+
+/** Warning line for data served from an old cache entry; "" for fresh data. */
+function staleDataNote(data, what = "forecast") {
+  if (!data?.staleSince) return "";
+  const saved = new Date(data.staleSince).toLocaleString(undefined, { month: "short", day: "numeric", hour: "numeric", minute: "2-digit" });
+  return `<p style="margin:0 0 6px; color:#8a5a00; font-weight:600;">&#9888; Offline \u2014 showing the ${what} saved ${saved} (${fmtStaleAge(data.staleSince)}). It may be out of date.</p>`;
+}
+
+/** Prepends staleDataNote(data) to block id, after the block has been rendered. */
+function markStaleIfExists(id, data, what = "forecast") {
+  const n = el(id), note = staleDataNote(data, what);
+  if (n && note) n.insertAdjacentHTML("afterbegin", note);
+}
+
+/** Forecast block contents when the forecast can't be reached at all. */
+function forecastUnavailableHtml(err) {
+  if (navigator.onLine === false || err instanceof TypeError) {
+    return `<p style="color:#8a5a00;">Live forecast unavailable \u2014 no signal. Planning, BestStart and extremes still work from this trail's saved data.</p>`;
+  }
+  return `<p style="color:#900">Forecast unavailable: ${err.message}</p>`;
+}
+
+/* -------------------------------------------------------
+   Precomputed normals source
+   scripts/pack-normals.js writes data/normals/index.json (every point's
+   id, coordinates and scalars) plus one int16 chunk per trail section.
+   The index loads up front; a chunk is fetched only when a query needs
+   the points it holds. Trails without an index fall back to the whole
+   historical_weather.json.
+   Fields the generators gained later (pr / pr_prob for rain, snow /
+   snow_cover for snowpack) are only there once the matching
+   scripts/patch-*-normals.js has been run for the trail; the controls
+   that need them are marked data-normals-field and stay hidden until then.
+------------------------------------------------------- */
+
+const PACKED_NORMALS_FORMAT = "trailtemps-normals-packed";
+const NORMALS_CHUNK_CONCURRENCY = 4;
+
+// A chunk is loaded for any query point within this many degrees of its
+// points' bounding box, so nearest-point lookups never land on a hole.
+const NORMALS_CHUNK_MARGIN_DEG = 0.25;
+
+/** Records of one packed chunk: the index scalars plus each field's 365 values. */
+function decodeNormalsChunk(index, stubs, buffer) {
+  const view  = new DataView(buffer);
+  const days  = index.days;
+  const out   = [];
+  let off = 0;
+  for (const stub of stubs) {
+    const rec = { ...stub };
+    for (const { name, scale } of index.fields) {
+      const arr = new Array(days);
+      let any = false;
+      for (let d = 0; d < days; d++, off += 2) {
+        const v = view.getInt16(off, true);
+        if (v === index.null) arr[d] = null;
+        else { arr[d] = v / scale; any = true; }
+      }
+      if (any) rec[name] = arr;
+      else delete rec[name];   // field absent for this point — keep app.js fallbacks working
+    }
+    out.push(rec);
+  }
+  if (off !== buffer.byteLength) throw new Error(`normals chunk size mismatch (${buffer.byteLength} bytes, expected ${off})`);
+  return out;
+}
+
+function packedNormalsSource(index, indexUrl, onRecords, store) {
+  const empty  = Object.fromEntries(index.fields.map(f => [f.name, []]));
+  const chunks = index.chunks.map(c => ({ ...c, url: new URL(c.file, indexUrl).href, stubs: [], box: null, loading: null }));
+  const stubs  = index.points.map(({ chunk, ...scalars }) => {
+    const stub = { ...empty, ...scalars };
+    chunks[chunk].stubs.push(stub);
+    return stub;
+  });
+
+  for (const c of chunks) {
+    for (const p of c.stubs) {
+      const lat = Number(p.lat), lon = Number(p.lon);
+      if (!Number.isFinite(lat) || !Number.isFinite(lon)) { c.box = null; break; }
+      c.box = c.box
+        ? { s: Math.min(c.box.s, lat), n: Math.max(c.box.n, lat), w: Math.min(c.box.w, lon), e: Math.max(c.box.e, lon) }
+        : { s: lat, n: lat, w: lon, e: lon };
+    }
+  }
+
+  function fetchChunk(chunk) {
+    return fetch(chunk.url).then(r => {
+      if (!r.ok) throw new Error(`normals chunk ${chunk.file} fetch failed (${r.status})`);
+      return r.arrayBuffer();
+    });
+  }
+
+  function load(chunk) {
+    if (!chunk.loading) {
+      const key = `${store.key}:${chunk.file}`;
+      chunk.loading = storeGet(key, store.ttlMs, store.version)
+        .then(buf => buf || fetchChunk(chunk).then(fresh => {
+          storeSet(key, fresh, { group: store.key, version: store.version });
+          return fresh;
+        }))
+        .then(buf => onRecords(decodeNormalsChunk(index, chunk.stubs, buf)))
+        .catch(err => { chunk.loading = null; throw err; });
+    }
+    return chunk.loading;
+  }
+
+  const loadAll = (list) => forEachLimited(list, NORMALS_CHUNK_CONCURRENCY, load);
+
+  onRecords(stubs);
+  return {
+    meta:   index.meta || null,
+    points: stubs,
+    packed: true,
+
+    /**
+     * Loads every chunk near the given points (trail points or
+     * { point } itinerary days). Chunks or points without coordinates
+     * can't be placed, so those fall back to loading everything.
+     */
+    ensureAround(points, marginDeg = NORMALS_CHUNK_MARGIN_DEG) {
+      const coords = (points || []).map(x => {
+        const p = x?.point ?? x;
+        return { lat: Number(p?.lat), lon: Number(p?.lon) };
+      });
+      if (coords.some(c => !Number.isFinite(c.lat) || !Number.isFinite(c.lon))) return loadAll(chunks);
+      return loadAll(chunks.filter(c => !c.box || coords.some(({ lat, lon }) =>
+        lat >= c.box.s - marginDeg && lat <= c.box.n + marginDeg &&
+        lon >= c.box.w - marginDeg && lon <= c.box.e + marginDeg)));
+    },
+
+    ensureAll() { return loadAll(chunks); }
+  };
+}
+
+/**
+ * Shows the controls marked data-normals-field="<field>" whose field the
+ * trail's normals carry and hides the rest (switching off any checkbox in
+ * them), so a trail whose data predates a field offers no setting for it.
+ * They start hidden in the page. has — (field) => bool.
+ */
+function showNormalsFieldControls(has) {
+  for (const node of document.querySelectorAll("[data-normals-field]")) {
+    const on = has(node.dataset.normalsField);
+    node.style.display = on ? "" : "none";
+    if (!on) node.querySelectorAll('input[type="checkbox"]').forEach(box => { box.checked = false; });
+  }
+}
+
+/**
+ * Opens a trail's precomputed normals.
+ *   packedUrl — data/normals/index.json
+ *   loadJson  — async () => the historical_weather.json payload, used when
+ *               there is no packed index
+ *   onRecords — (records) => void; gets every raw record as it becomes
+ *               usable. Packed: first index stubs (scalars, empty arrays),
+ *               then each chunk's full records as it decodes. JSON: all
+ *               records once.
+ *   storeKey  — IndexedDB key prefix; the index, each chunk and the JSON
+ *               are kept under it
+ *   version   — the trail's NORMALS_CACHE_VERSION; bumping it drops every
+ *               stored copy
+ *   ttlMs     — how long a stored chunk or JSON is used before refetching
+ * Returns { meta, points, packed, ensureAround(points), ensureAll() } — the
+ * ensure calls resolve once the needed records have been handed to
+ * onRecords; with the JSON they resolve at once.
+ */
+async function openNormalsSource({ packedUrl, loadJson, onRecords, storeKey, version, ttlMs }) {
+  const store = { key: storeKey, version, ttlMs };
+
+  // The index is small and names the current chunks, so it is always
+  // fetched; the stored copy is only for when there is no signal.
+  const indexKey = `${storeKey}:index`;
+  const index = await fetch(packedUrl, { cache: "no-cache" })
+    .then(r => (r.ok ? r.json() : null))
+    .then(idx => {
+      if (idx?.format === PACKED_NORMALS_FORMAT) storeSet(indexKey, idx, { group: storeKey, version });
+      return idx;
+    })
+    .catch(() => storeGet(indexKey, Infinity, version));
+  if (index?.format === PACKED_NORMALS_FORMAT) {
+    showNormalsFieldControls(name => index.fields.some(f => f.name === name));
+    return packedNormalsSource(index, packedUrl, onRecords, store);
+  }
+
+  const jsonKey = `${storeKey}:json`;
+  let payload = await storeGet(jsonKey, ttlMs, version);
+  if (!payload) {
+    payload = await loadJson();
+    storeSet(jsonKey, payload, { group: storeKey, version });
+  }
+  const points = payload?.points || [];
+  showNormalsFieldControls(name => points.some(p => Array.isArray(p[name]) && p[name].length));
+  onRecords(points);
+  return {
+    meta:   payload?.meta || null,
+    points,
+    packed: false,
+    ensureAround: () => Promise.resolve(),
+    ensureAll:    () => Promise.resolve()
+  };
+}
+
+/**
+ * Awaits a normals ensure call, reporting a failed chunk download in
+ * #durStatus. Resolves true once the records are ready.
+ */
+async function normalsReady(ensure) {
+  try {
+    await ensure;
+    return true;
+  } catch (err) {
+    console.error("[normals] chunk load failed:", err);
+    setDurStatus(`Historical weather data could not be loaded \u2014 ${err.message}`);
+    return false;
+  }
+}
+
 /* -------------------------------------------------------
    Date helpers
 ------------------------------------------------------- */
@@ -74,6 +470,79 @@ function resolveStartDate(monthDay) {
   return candidate;
 }
 
+/**
+ * Start date for Tool A from the month/day picker, honoring the "Plan From"
+ * mode (#durDateMode). In "start" mode the picked date is the start; in any
+ * other mode it is the date the hiker must reach a milestone, and the start
+ * is worked back from it.
+ * offsets — { [mode]: day index of that milestone within the hike } e.g.
+ *           { finish: durationDays - 1, katahdin: 120 }; null = not on this hike.
+ *           An offset may also be (startDate | null) => day index, for plans whose
+ *           length depends on the start (the daylight cap; see scheduleFinishOffset())
+ * Returns { startDate, startDateLabel } or { error } with a user-facing message.
+ */
+function resolvePlanStartDate(monthDay, offsets = {}) {
+  const mode = el("durDateMode")?.value || "start";
+  if (mode === "start") return { startDate: resolveStartDate(monthDay), startDateLabel: "Start Date" };
+
+  const offsetOf = typeof offsets[mode] === "function" ? offsets[mode] : () => offsets[mode];
+  if (offsetOf(null) == null) {
+    return { error: "The selected hike does not reach that milestone. Choose Start Date or Finish Date under Plan From." };
+  }
+
+  // Target is the next occurrence of the date whose worked-back start is today or later
+  const today  = new Date();
+  const base   = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+  let target   = resolveStartDate(monthDay);
+  let start    = workBackStartDate(target, offsetOf);
+  while (start < base) {
+    target = new Date(target.getFullYear() + 1, target.getMonth(), target.getDate());
+    start  = workBackStartDate(target, offsetOf);
+  }
+  return { startDate: start, startDateLabel: "Calculated Start Date" };
+}
+
+/**
+ * Latest start that reaches the milestone on or before target. When the
+ * offset depends on the start, a few passes settle it; the last step makes
+ * sure a longer (capped) schedule never overshoots the target.
+ */
+function workBackStartDate(target, offsetOf) {
+  let start = addDays(target, -offsetOf(null));
+  for (let pass = 0; pass < 5; pass++) {
+    const next = addDays(target, -(offsetOf(start) ?? offsetOf(null)));
+    if (next.getTime() === start.getTime()) break;
+    start = next;
+  }
+  for (let guard = 0; guard < 60 && addDays(start, offsetOf(start) ?? 0) > target; guard++) {
+    start = addDays(start, -1);
+  }
+  return start;
+}
+
+/**
+ * "finish" offset for resolvePlanStartDate(): the last day's index of the
+ * schedule planHikeSchedule() builds for the start, so a daylight cap that
+ * lengthens the hike moves the start earlier rather than the finish later.
+ */
+function scheduleFinishOffset(legs, plan) {
+  return (startDate) => {
+    const days = planHikeSchedule(legs, { ...plan, startDate });
+    return days.length ? days[days.length - 1].dayIndex : 0;
+  };
+}
+
+/** Keeps the Tool A date label in step with the Plan From mode. */
+function initDateModeUI() {
+  const mode  = el("durDateMode");
+  const label = el("durDateLabel");
+  if (!mode || !label) return;
+  const suffix = label.textContent.trim().endsWith(":") ? ":" : "";
+  mode.addEventListener("change", () => {
+    label.textContent = mode.selectedOptions[0].textContent + suffix;
+  });
+}
+
 /* -------------------------------------------------------
    Number / formatting helpers
 ------------------------------------------------------- */
@@ -88,6 +557,16 @@ function fmtRh(v) {
   return v != null && Number.isFinite(v) ? Math.round(v) + "%" : "\u2014";
 }
 
+function fmtHours(h) {
+  return h != null && Number.isFinite(h) ? h.toFixed(1) + " h" : "\u2014";
+}
+
+/** Clock time of a Date in an IANA time zone (the browser's own when omitted). */
+function fmtClock(d, timeZone) {
+  if (!d) return "\u2014";
+  return d.toLocaleTimeString(undefined, { hour: "numeric", minute: "2-digit", ...(timeZone ? { timeZone } : {}) });
+}
+
 /**
  * Returns an HTML annotation when apparent temperature differs meaningfully
  * from actual temperature (threshold: 3 °F).
@@ -137,6 +616,237 @@ function heatIndex(tempF, rh) {
     - 0.00000199  * tempF * tempF * rh * rh;
 }
 
+/* -------------------------------------------------------
+   UTCI physics
+   Universal Thermal Climate Index from air temperature,
+   humidity, wind and mean radiant temperature, using the
+   6th-order polynomial approximation of Bröde et al. (2012).
+   Valid for air −50…50 °C, wind 0.5…17 m/s and
+   Tmrt − Ta −30…70 °C.
+------------------------------------------------------- */
+
+// Coefficients in the published order: Ta fastest, then wind, then ΔTmrt, then Pa.
+const UTCI_COEFFICIENTS = [
+  // Pa^0 · ΔTmrt^0
+  6.07562052e-01, -2.27712343e-02, 8.06470249e-04, -1.54271372e-04, -3.24651735e-06, 7.32602852e-08, 1.35959073e-09,
+  -2.25836520e+00, 8.80326035e-02, 2.16844454e-03, -1.53347087e-05, -5.72983704e-07, -2.55090145e-09,
+  -7.51269505e-01, -4.08350271e-03, -5.21670675e-05, 1.94544667e-06, 1.14099531e-08,
+  1.58137256e-01, -6.57263143e-05, 2.22697524e-07, -4.16117031e-08,
+  -1.27762753e-02, 9.66891875e-06, 2.52785852e-09,
+  4.56306672e-04, -1.74202546e-07,
+  -5.91491269e-06,
+  // Pa^0 · ΔTmrt^1
+  3.98374029e-01, 1.83945314e-04, -1.73754510e-04, -7.60781159e-07, 3.77830287e-08, 5.43079673e-10,
+  -2.00518269e-02, 8.92859837e-04, 3.45433048e-06, -3.77925774e-07, -1.69699377e-09,
+  1.69992415e-04, -4.99204314e-05, 2.47417178e-07, 1.07596466e-08,
+  8.49242932e-05, 1.35191328e-06, -6.21531254e-09,
+  -4.99410301e-06, -1.89489258e-08,
+  8.15300114e-08,
+  // Pa^0 · ΔTmrt^2
+  7.55043090e-04, -5.65095215e-05, -4.52166564e-07, 2.46688878e-08, 2.42674348e-10,
+  1.54547250e-04, 5.24110970e-06, -8.75874982e-08, -1.50743064e-09,
+  -1.56236307e-05, -1.33895614e-07, 2.49709824e-09,
+  6.51711721e-07, 1.94960053e-09,
+  -1.00361113e-08,
+  // Pa^0 · ΔTmrt^3
+  -1.21206673e-05, -2.18203660e-07, 7.51269482e-09, 9.79063848e-11,
+  1.25006734e-06, -1.81584736e-09, -3.52197671e-10,
+  -3.36514630e-08, 1.35908359e-10,
+  4.17032620e-10,
+  // Pa^0 · ΔTmrt^4
+  -1.30369025e-09, 4.13908461e-10, 9.22652254e-12,
+  -5.08220384e-09, -2.24730961e-11,
+  1.17139133e-10,
+  // Pa^0 · ΔTmrt^5
+  6.62154879e-10, 4.03863260e-13,
+  1.95087203e-12,
+  // Pa^0 · ΔTmrt^6
+  -4.73602469e-12,
+  // Pa^1 · ΔTmrt^0
+  5.12733497e+00, -3.12788561e-01, -1.96701861e-02, 9.99690870e-04, 9.51738512e-06, -4.66426341e-07,
+  5.48050612e-01, -3.30552823e-03, -1.64119440e-03, -5.16670694e-06, 9.52692432e-07,
+  -4.29223622e-02, 5.00845667e-03, 1.00601257e-06, -1.81748644e-06,
+  -1.25813502e-03, -1.79330391e-04, 2.34994441e-06,
+  1.29735808e-04, 1.29064870e-06,
+  -2.28558686e-06,
+  // Pa^1 · ΔTmrt^1
+  -3.69476348e-02, 1.62325322e-03, -3.14279680e-05, 2.59835559e-06, -4.77136523e-08,
+  8.64203390e-03, -6.87405181e-04, -9.13863872e-06, 5.15916806e-07,
+  -3.59217476e-05, 3.28696511e-05, -7.10542454e-07,
+  -1.24382300e-05, -7.38584400e-09,
+  2.20609296e-07,
+  // Pa^1 · ΔTmrt^2
+  -7.32469180e-04, -1.87381964e-05, 4.80925239e-06, -8.75492040e-08,
+  2.77862930e-05, -5.06004592e-06, 1.14325367e-07,
+  2.53016723e-06, -1.72857035e-08,
+  -3.95079398e-08,
+  // Pa^1 · ΔTmrt^3
+  -3.59413173e-07, 7.04388046e-07, -1.89309167e-08,
+  -4.79768731e-07, 7.96079978e-09,
+  1.62897058e-09,
+  // Pa^1 · ΔTmrt^4
+  3.94367674e-08, -1.18566247e-09,
+  3.34678041e-10,
+  // Pa^1 · ΔTmrt^5
+  -1.15606447e-10,
+  // Pa^2 · ΔTmrt^0
+  -2.80626406e+00, 5.48712484e-01, -3.99428410e-03, -9.54009191e-04, 1.93090978e-05,
+  -3.08806365e-01, 1.16952364e-02, 4.95271903e-04, -1.90710882e-05,
+  2.10787756e-03, -6.98445738e-04, 2.30109073e-05,
+  4.17856590e-04, -1.27043871e-05,
+  -3.04620472e-06,
+  // Pa^2 · ΔTmrt^1
+  5.14507424e-02, -4.32510997e-03, 8.99281156e-05, -7.14663943e-07,
+  -2.66016305e-04, 2.63789586e-04, -7.01199003e-06,
+  -1.06823306e-04, 3.61341136e-06,
+  2.29748967e-07,
+  // Pa^2 · ΔTmrt^2
+  3.04788893e-04, -6.42070836e-05, 1.16257971e-06,
+  7.68023384e-06, -5.47446896e-07,
+  -3.59937910e-08,
+  // Pa^2 · ΔTmrt^3
+  -4.36497725e-06, 1.68737969e-07,
+  2.67489271e-08,
+  // Pa^2 · ΔTmrt^4
+  3.23926897e-09,
+  // Pa^3 · ΔTmrt^0
+  -3.53874123e-02, -2.21201190e-01, 1.55126038e-02, -2.63917279e-04,
+  4.53433455e-02, -4.32943862e-03, 1.45389826e-04,
+  2.17508610e-04, -6.66724702e-05,
+  3.33217140e-05,
+  // Pa^3 · ΔTmrt^1
+  -2.26921615e-03, 3.80261982e-04, -5.45314314e-09,
+  -7.96355448e-04, 2.53458034e-05,
+  -6.31223658e-06,
+  // Pa^3 · ΔTmrt^2
+  3.02122035e-04, -4.77403547e-06,
+  1.73825715e-06,
+  // Pa^3 · ΔTmrt^3
+  -4.09087898e-07,
+  // Pa^4 · ΔTmrt^0
+  6.14155345e-01, -6.16755931e-02, 1.33374846e-03,
+  3.55375387e-03, -5.13027851e-04,
+  1.02449757e-04,
+  // Pa^4 · ΔTmrt^1
+  -1.48526421e-03, -4.11469183e-05,
+  -6.80434415e-06,
+  // Pa^4 · ΔTmrt^2
+  -9.77675906e-06,
+  // Pa^5 · ΔTmrt^0
+  8.82773108e-02, -3.01859306e-03,
+  1.04452989e-03,
+  // Pa^5 · ΔTmrt^1
+  2.47090539e-04,
+  // Pa^6 · ΔTmrt^0
+  1.48348065e-03
+];
+
+/** Saturation vapour pressure over water (hPa) — Hardy (1998), as in the reference UTCI code. */
+function saturationVaporPressureHpa(taC) {
+  const g = [-2.8365744e3, -6.028076559e3, 1.954263612e1, -2.737830188e-2,
+             1.6261698e-5, 7.0229056e-10, -1.8680009e-13];
+  const tk = taC + 273.15;
+  let es = 2.7150305 * Math.log(tk);
+  g.forEach((gi, i) => { es += gi * Math.pow(tk, i - 2); });
+  return Math.exp(es) * 0.01;
+}
+
+/**
+ * UTCI in °C. taC air temperature, tmrtC mean radiant temperature (°C),
+ * wind10m wind at 10 m (m/s, clamped to 0.5–17), rh relative humidity (%).
+ * Returns null outside the approximation's valid range.
+ */
+function utciCelsius(taC, tmrtC, wind10m, rh) {
+  const dTmrt = tmrtC - taC;
+  if (taC < -50 || taC > 50 || dTmrt < -30 || dTmrt > 70) return null;
+  const va = Math.min(17, Math.max(0.5, wind10m));
+  const pa = saturationVaporPressureHpa(taC) * rh / 1000;   // kPa
+
+  let utci = taC, k = 0;
+  for (let p = 0; p <= 6; p++)
+    for (let d = 0; d <= 6 - p; d++)
+      for (let v = 0; v <= 6 - p - d; v++)
+        for (let t = 0; t <= 6 - p - d - v; t++)
+          utci += UTCI_COEFFICIENTS[k++] * taC ** t * va ** v * dTmrt ** d * pa ** p;
+  return utci;
+}
+
+/**
+ * Estimated Tmrt − Ta (°C) for a hiker in mixed sun and shade.
+ * Afternoon: scales with the noon sun elevation for the latitude and day of
+ * year, up to +15 °C with the sun overhead. Pre-dawn: −3 °C for night-sky
+ * radiative loss. Without a latitude the afternoon uses a flat +8 °C.
+ */
+function estimateMrtDelta(lat, dayIndex, afternoon) {
+  if (!afternoon) return -3;
+  if (!Number.isFinite(lat)) return 8;
+  const decl = 23.44 * Math.sin((2 * Math.PI / 365) * (dayIndex - 80));
+  const elev = Math.max(0, 90 - Math.abs(lat - decl));
+  return 15 * Math.sin(elev * Math.PI / 180);
+}
+
+/**
+ * UTCI (°F) for a day's afternoon high and pre-dawn low.
+ * w — { hi, lo, rhHigh, rhLow, ws } in °F / % / mph, where ws is the day's
+ *     peak 10 m wind; half of it is taken as the wind at the high and low.
+ * The high pairs with the day's minimum humidity (rhLow), the low with its maximum.
+ * Returns { high, low } or null when any field is missing or out of range.
+ */
+function utciForDay(w, lat, dayIndex) {
+  const { hi, lo, rhHigh, rhLow, ws } = w;
+  if (![hi, lo, rhHigh, rhLow, ws].every(Number.isFinite)) return null;
+  const toC = (f) => (f - 32) * 5 / 9;
+  const toF = (c) => c * 9 / 5 + 32;
+  const wind = ws * 0.44704 / 2;
+
+  const hiC = toC(hi), loC = toC(lo);
+  const high = utciCelsius(hiC, hiC + estimateMrtDelta(lat, dayIndex, true),  wind, rhLow);
+  const low  = utciCelsius(loC, loC + estimateMrtDelta(lat, dayIndex, false), wind, rhHigh);
+  if (high == null || low == null) return null;
+  return { high: toF(high), low: toF(low) };
+}
+
+/* -------------------------------------------------------
+   Sunrise, sunset and daylight
+   NOAA solar position approximation (within a minute or two
+   in the lower 48). Sunrise / sunset are when the sun's upper
+   limb crosses the horizon, with standard refraction.
+------------------------------------------------------- */
+
+/**
+ * Sun times for a calendar date at lat / lon.
+ * date — a Date; only its local year / month / day are used
+ * Returns { sunrise, sunset, daylightHours } with sunrise / sunset as Date
+ * instants (null during polar day or night), or null without a position.
+ */
+function sunTimes(date, lat, lon) {
+  if (!Number.isFinite(lat) || !Number.isFinite(lon)) return null;
+  const rad = Math.PI / 180;
+  const utcMidnight = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate());
+  const dayOfYear = Math.round((utcMidnight - Date.UTC(date.getFullYear(), 0, 1)) / 86400000);
+  const g = (2 * Math.PI / 365) * dayOfYear;
+
+  // Equation of time (minutes) and solar declination (radians)
+  const eqTime = 229.18 * (0.000075 + 0.001868 * Math.cos(g) - 0.032077 * Math.sin(g)
+    - 0.014615 * Math.cos(2 * g) - 0.040849 * Math.sin(2 * g));
+  const decl = 0.006918 - 0.399912 * Math.cos(g) + 0.070257 * Math.sin(g)
+    - 0.006758 * Math.cos(2 * g) + 0.000907 * Math.sin(2 * g)
+    - 0.002697 * Math.cos(3 * g) + 0.00148 * Math.sin(3 * g);
+
+  const cosHa = Math.cos(90.833 * rad) / (Math.cos(lat * rad) * Math.cos(decl))
+    - Math.tan(lat * rad) * Math.tan(decl);
+  if (cosHa >= 1)  return { sunrise: null, sunset: null, daylightHours: 0 };
+  if (cosHa <= -1) return { sunrise: null, sunset: null, daylightHours: 24 };
+
+  const haDeg = Math.acos(cosHa) / rad;
+  const atMinutes = (m) => new Date(utcMidnight + m * 60000);
+  return {
+    sunrise: atMinutes(720 - 4 * (lon + haDeg) - eqTime),
+    sunset:  atMinutes(720 - 4 * (lon - haDeg) - eqTime),
+    daylightHours: (8 * haDeg) / 60
+  };
+}
+
 /* -------------------------------------------------------
    Leaflet helpers (require Leaflet to be loaded first)
 ------------------------------------------------------- */
@@ -235,226 +945,3436 @@ function getSelectedMonthDay(monthSelId, daySelId) {
 }
 
 /* -------------------------------------------------------
-   Day-of-year index helper
-   Maps "MM-DD" to 0–364 using fixed non-leap year 2021.
-   Used by all trail app.js files for normals lookups.
+   Permalinks
+   A plan and a weather lookup live in the page's query string so they can
+   be sent as a link: Calculate (Tool A) writes the plan's fields and Get
+   Weather (Tool B) writes the lookup's, each with replaceState. Opening a
+   link puts the values back and re-runs the tools it carries.
+   The plan option controls (section, pace profile, zero / nero days,
+   daylight) travel as one JSON "plan" parameter holding the same
+   readPlanOptionsForm() snapshot a saved plan keeps.
 ------------------------------------------------------- */
 
-function dayIndexFromMonthDay(monthDay) {
-  const [mmStr, ddStr] = monthDay.split("-");
-  const mm = Number(mmStr), dd = Number(ddStr);
-  const dt    = new Date(2021, mm - 1, dd);
-  const start = new Date(2021, 0, 1);
-  return Math.max(0, Math.min(364, Math.round((dt - start) / 86400000)));
+// Tool A fields every trail has: query parameter → control id, month/day pair
+// or { read, write } pair; restored in this order
+const PLAN_PERMALINK_FIELDS = {
+  dir:   "durDirectionSelect",
+  from:  "durDateMode",
+  start: ["durMonthSelect", "durDaySelect"],
+  mpd:   "durMilesPerDay",
+  plan:  { read: readPlanPermalinkOptions, write: writePlanPermalinkOptions }
+};
+const WEATHER_DATE_FIELD = ["monthSelect", "daySelect"];
+
+/** The plan option groups that are switched on, as JSON, or null when none are. */
+function readPlanPermalinkOptions() {
+  const on = Object.entries(readPlanOptionsForm()).filter(([, group]) => group.on);
+  return on.length ? JSON.stringify(Object.fromEntries(on)) : null;
 }
 
-/* -------------------------------------------------------
-   UTCI thermal comfort scoring
-   Tier-based proxy for the Universal Thermal Climate Index.
-   All thresholds are in apparent °F.
-------------------------------------------------------- */
+function writePlanPermalinkOptions(value) {
+  const options = safeJSONParse(value);
+  if (!options || typeof options !== "object" || Array.isArray(options)) return false;
+  writePlanOptionsForm(options);
+  return true;
+}
 
-function utciScoreHigh(appHigh) {
-  if (appHigh > 115) return 0;   // Extreme heat — eliminates start date
-  if (appHigh > 100) return 2;   // Very Strong heat
-  if (appHigh > 90)  return 5;   // Strong heat
-  if (appHigh > 79)  return 8;   // Moderate heat
-  return 10;                      // Comfort zone
+function readPermalinkControl(control) {
+  if (Array.isArray(control)) return getSelectedMonthDay(...control);
+  if (control && typeof control === "object") return control.read();
+  return el(control)?.value ?? null;
 }
 
-function utciScoreLow(appLow) {
-  if (appLow < -17) return 0;   // Extreme cold — eliminates start date
-  if (appLow < 9)   return 2;   // Very Strong cold
-  if (appLow < 32)  return 5;   // Strong cold
-  if (appLow < 48)  return 8;   // Moderate cold
-  return 10;                     // Comfort zone
+/** Sets a control from a query value and fires "change" so dependent UI follows. Returns false if it doesn't fit. */
+function writePermalinkControl(control, value) {
+  const fire = (input) => input.dispatchEvent(new Event("change", { bubbles: true }));
+  if (control && typeof control === "object" && !Array.isArray(control)) return control.write(value);
+  if (Array.isArray(control)) {
+    const [mSel, dSel] = control.map(el);
+    const [mm, dd]     = String(value).split("-").map(Number);
+    if (!mSel || !dSel || !(mm >= 1 && mm <= 12) || !(dd >= 1)) return false;
+    mSel.value = mm;
+    fire(mSel);
+    dSel.value = Math.min(dd, daysInMonth(mm - 1));
+    fire(dSel);
+    return true;
+  }
+  const input = el(control);
+  if (!input) return false;
+  if (input.tagName === "SELECT" && ![...input.options].some(o => o.value === value)) return false;
+  input.value = value;
+  fire(input);
+  return true;
 }
 
-function utciHeatDepth(score, appHigh) {
-  if (score === 8) return (appHigh - 80) / 11;
-  if (score === 5) return (appHigh - 91) / 10;
-  if (score === 2) return (appHigh - 101) / 15;
-  return 0;
+function checkPermalinkRadio(name, value) {
+  const radio = [...document.querySelectorAll(`input[type="radio"][name="${name}"]`)].find(r => r.value === value);
+  if (!radio) return false;
+  radio.checked = true;
+  radio.dispatchEvent(new Event("change", { bubbles: true }));
+  return true;
 }
 
-function utciColdDepth(score, appLow) {
-  if (score === 8) return (48 - appLow) / 16;
-  if (score === 5) return (32 - appLow) / 23;
-  if (score === 2) return (9  - appLow) / 26;
-  return 0;
+/**
+ * Restores a trail page from its query string, re-runs the tools the link
+ * carries, then keeps the URL in step with each Calculate / Get Weather.
+ * Call once the page's data has loaded.
+ *   weather — { param: controlId } for the Tool B point controls, in the
+ *             order they cascade, e.g. { region: "aztRegionSelect", passage: …, mile: … }
+ *   alts    — radio group names of the trail's alternates (the inputs
+ *             getSelectedAlts() reads); each is its own parameter
+ */
+function initPermalink({ weather = {}, alts = [] } = {}) {
+  const planFields    = PLAN_PERMALINK_FIELDS;
+  const weatherFields = { ...weather, date: WEATHER_DATE_FIELD };
+  const params        = new URLSearchParams(location.search);
+
+  // Alternates first: they shape the route the other plan fields apply to
+  const restore = (fields, radios = []) => {
+    let restored = false;
+    for (const name of radios) {
+      if (params.has(name)) restored = checkPermalinkRadio(name, params.get(name)) || restored;
+    }
+    for (const [param, control] of Object.entries(fields)) {
+      if (params.has(param)) restored = writePermalinkControl(control, params.get(param)) || restored;
+    }
+    return restored;
+  };
+
+  const save = (fields, radios = []) => {
+    const query = new URLSearchParams(location.search);
+    const set   = (param, value) => (value == null || value === "" ? query.delete(param) : query.set(param, value));
+    for (const name of radios) set(name, document.querySelector(`input[type="radio"][name="${name}"]:checked`)?.value);
+    for (const [param, control] of Object.entries(fields)) set(param, readPermalinkControl(control));
+    const search = query.toString();
+    history.replaceState(history.state, "", `${location.pathname}${search ? `?${search}` : ""}${location.hash}`);
+  };
+
+  const runPlan    = restore(planFields, alts);
+  const runWeather = restore(weatherFields);
+
+  el("durBtn")?.addEventListener("click", () => save(planFields, alts));
+  el("goBtn")?.addEventListener("click", () => save(weatherFields));
+
+  if (runPlan) el("durBtn")?.click();
+  if (runWeather) el("goBtn")?.click();
 }
 
-function scoreToHeatCat(score) {
-  if (score === 8) return "moderate-heat";
-  if (score === 5) return "strong-heat";
-  if (score === 2) return "very-strong-heat";
-  return "extreme-heat";
+/* -------------------------------------------------------
+   Saved plans (Tool A)
+   Save Plan keeps the plan last estimated on the page — direction,
+   alternates, start date, pace, section, pace profile, zero / nero days
+   and daylight — with its results
+   (end date, UTCI day counts, hottest day and coldest night) in
+   localStorage. #savedPlansList lists this trail's plans: Load puts one
+   back in the form and re-estimates it; Compare shows two to four side by
+   side, with their pins together on the extremes map.
+------------------------------------------------------- */
+
+const SAVED_PLANS_KEY   = "trailtemps_saved_plans_v1";
+const COMPARE_PLANS_MIN = 2;
+const COMPARE_PLANS_MAX = 4;
+
+let lastEstimatedPlan = null;   // { form, result } of the plan renderDurExtremesBlocksShared() last showed
+let savedPlanAlts     = [];     // the page's alternate radio groups, from initSavedPlansUI()
+
+function escapeHtml(s) {
+  return String(s).replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
 }
 
-function scoreToColdCat(score) {
-  if (score === 8) return "moderate-cold";
-  if (score === 5) return "strong-cold";
-  if (score === 2) return "very-strong-cold";
-  return "extreme-cold";
+function loadSavedPlans() {
+  const list = safeJSONParse(localStorage.getItem(SAVED_PLANS_KEY) || "[]");
+  return Array.isArray(list) ? list : [];
+}
+
+function storeSavedPlans(list) {
+  try {
+    localStorage.setItem(SAVED_PLANS_KEY, JSON.stringify(list));
+    return true;
+  } catch {
+    return false;
+  }
 }
 
 /**
- * Assigns a hiking day to one of 9 UTCI thermal categories.
- * Assumes extreme days (score 0) have already been filtered out by runBestStartShared.
+ * Remembers a rendered estimate, and the form it came from, for Save Plan;
+ * called by renderDurExtremesBlocksShared().
  */
-function utciCategoryDay(highScore, lowScore, appHigh, appLow) {
-  if (highScore === 10 && lowScore === 10) return "comfort";
-  if (highScore === 0) return "extreme-heat";
-  if (lowScore  === 0) return "extreme-cold";
-  if (highScore < lowScore) return scoreToHeatCat(highScore);
-  if (lowScore  < highScore) return scoreToColdCat(lowScore);
-  const hd = utciHeatDepth(highScore, appHigh);
-  const cd = utciColdDepth(lowScore,  appLow);
-  if (hd > cd) return scoreToHeatCat(highScore);
-  if (cd > hd) return scoreToColdCat(lowScore);
-  return scoreToHeatCat(highScore);  // true tie: assign heat
+function noteEstimatedPlan({ hottest, coldest, startDate, endDate, durationDays, distanceMiles, utciCounts, plan, formatLocation }) {
+  const extreme = (rec, app, avg) => rec?.point && {
+    date:     toISODate(rec.date),
+    lat:      Number(rec.point.lat),
+    lon:      Number(rec.point.lon),
+    temp:     Number.isFinite(rec[app]) ? rec[app] : rec[avg],
+    location: formatLocation(rec)
+  };
+  const pace = plan?.milesPerDay;
+  lastEstimatedPlan = startDate && { form: readPlanForm(savedPlanAlts), result: {
+    start:       toISODate(startDate),
+    end:         endDate ? toISODate(endDate) : null,
+    durationDays,
+    distanceMiles,
+    mpd:         typeof pace === "function" ? pace.spec?.milesPerDay : pace,
+    paceSummary: plan?.paceSummary || "",
+    restSummary: plan?.restSummary || "",
+    section:     plan?.section ? `${plan.section.fromLabel} \u2192 ${plan.section.toLabel}` : "",
+    utciCounts,
+    hottest:     extreme(hottest, "appHigh", "avgHigh"),
+    coldest:     extreme(coldest, "appLow", "avgLow")
+  } };
 }
 
 /**
- * Count UTCI thermal comfort categories across all hike points.
- * hikePoints  — [{date, point}, ...]
- * getNormals  — (point) => {app_hi:[365], app_lo:[365], ...} | null
- * Returns an object with day counts for each of the 9 UTCI categories.
+ * The plan option controls as plain values: Section Hike, Pace Profile,
+ * Zero / Nero Days and Daylight, each { on, … } with the raw input strings.
+ * Saved plans and permalinks both carry this snapshot.
  */
-function computeUtciCounts(hikePoints, getNormals) {
-  const counts = {
-    "extreme-cold": 0, "very-strong-cold": 0, "strong-cold": 0, "moderate-cold": 0,
-    "comfort": 0,
-    "moderate-heat": 0, "strong-heat": 0, "very-strong-heat": 0, "extreme-heat": 0
+function readPlanOptionsForm() {
+  const val  = (id) => el(id)?.value ?? "";
+  const on   = (id) => !!el(id)?.checked;
+  const rows = (id) => [...(el(id)?.querySelectorAll(".plan-row") || [])];
+  return {
+    section: {
+      on:       on("durSectionToggle"),
+      from:     val("durSectionFrom"),
+      to:       val("durSectionTo"),
+      fromMile: val("durSectionFromMile"),
+      toMile:   val("durSectionToMile")
+    },
+    pace: {
+      on:        on("durPaceToggle"),
+      rampStart: val("durRampStart"),
+      rampDays:  val("durRampDays"),
+      overrides: rows("durPaceOverrides").map(row => ({
+        label: row.querySelector("select")?.value || "",
+        mpd:   row.querySelector("input")?.value || ""
+      })).filter(o => o.mpd !== "")
+    },
+    rest: {
+      on:        on("durRestToggle"),
+      every:     val("durRestEvery"),
+      kind:      val("durRestKind") || "zero",
+      neroMiles: val("durNeroMiles"),
+      stops:     rows("durRestStops").map(row => ({
+        town: row.querySelector(".rest-town")?.value || "",
+        mile: row.querySelector(".rest-mile")?.value || "",
+        days: row.querySelector(".rest-days")?.value || "1",
+        kind: row.querySelector(".rest-kind")?.value || "zero"
+      })).filter(st => st.mile !== "")
+    },
+    daylight: {
+      on:  on("durDaylightToggle"),
+      mph: val("durDaylightMph"),
+      cap: on("durDaylightCap")
+    }
   };
-  for (const { date, point } of hikePoints) {
-    const normals = getNormals(point);
-    if (!normals?.app_hi?.length) continue;
-    const idx     = dayIndexFromMonthDay(toISODate(date).slice(5));
-    const appHigh = normals.app_hi[idx];
-    const appLow  = normals.app_lo[idx];
-    if (!Number.isFinite(appHigh) || !Number.isFinite(appLow)) continue;
-    const hs = utciScoreHigh(appHigh);
-    const ls = utciScoreLow(appLow);
-    counts[utciCategoryDay(hs, ls, appHigh, appLow)]++;
-  }
-  return counts;
 }
 
 /**
- * Unified output renderer for the duration/BestStart calculator section.
- * Replaces per-trail renderDurExtremesBlocks.
- *
- * hottest / coldest — rec objects: { date, point, avgHigh, avgLow, appHigh, appLow, rhHigh, rhLow }
- * opts:
- *   startDate      — Date or null
- *   endDate        — Date or null
- *   distanceMiles  — number or null
- *   durationDays   — number or null
- *   startDateLabel — string (default "Start Date"; may contain HTML e.g. "<em>BestStart!</em> Date")
- *   utciCounts     — counts object or null (shows "—" when null)
- *   formatLocation — (rec) => string  — trail-specific location label
- *   durationNote   — optional HTML string shown below duration row (e.g. NTT travel days)
- *   warningHtml    — optional HTML string shown below duration table (e.g. AT Katahdin warning)
+ * Puts a readPlanOptionsForm() snapshot back. A group missing from it (a plan
+ * saved before that control existed) is switched off.
  */
-function renderDurExtremesBlocksShared(hottest, coldest, opts = {}) {
-  const {
-    startDate      = null,
-    endDate        = null,
-    distanceMiles  = null,
-    durationDays   = null,
-    startDateLabel = "Start Date",
-    utciCounts     = null,
-    formatLocation = (rec) => rec.point?.id || "Unknown",
-    durationNote   = "",
-    warningHtml    = ""
-  } = opts;
+function writePlanOptionsForm(options = {}) {
+  const toggle = (id, on) => {
+    const input = el(id);
+    if (!input) return null;
+    input.checked = !!on;
+    input.dispatchEvent(new Event("change", { bubbles: true }));
+    return input;
+  };
+  const setVal = (id, value) => { if (el(id) && value != null) el(id).value = value; };
+  const pick   = (sel, value) => {
+    if (sel && [...sel.options].some(o => o.value === value)) sel.value = value;
+  };
 
-  // Clear legacy divs
-  setHtmlIfExists("durExtremesCold", "");
-  if (el("durResult"))       el("durResult").innerHTML       = "";
-  if (el("bestStartResult")) el("bestStartResult").innerHTML = "";
+  const { section = {}, pace = {}, rest = {}, daylight = {} } = options;
 
-  if (!hottest || !coldest) {
-    setHtmlIfExists("durExtremesHot", "<p>Temperature extremes unavailable \u2014 historical normals not loaded.</p>");
+  // Turning the toggle on rebuilds the section lists for the restored direction and alternates
+  if (toggle("durSectionToggle", section.on)) {
+    pick(el("durSectionFrom"), section.from);
+    pick(el("durSectionTo"), section.to);
+    setVal("durSectionFromMile", section.fromMile ?? "");
+    setVal("durSectionToMile", section.toMile ?? "");
+  }
+
+  if (toggle("durPaceToggle", pace.on)) {
+    setVal("durRampStart", pace.rampStart ?? "");
+    setVal("durRampDays", pace.rampDays ?? "");
+    const wrap = el("durPaceOverrides");
+    if (wrap) {
+      wrap.innerHTML = "";
+      for (const o of pace.overrides || []) {
+        addPaceOverrideRow(planRoute());
+        const row = wrap.lastElementChild;
+        pick(row.querySelector("select"), o.label);
+        row.querySelector("input").value = o.mpd;
+      }
+    }
+  }
+
+  if (toggle("durRestToggle", rest.on)) {
+    for (const [id, key] of [["durRestEvery", "every"], ["durRestKind", "kind"], ["durNeroMiles", "neroMiles"]]) {
+      if (rest[key] != null && rest[key] !== "") setVal(id, rest[key]);
+    }
+    const wrap = el("durRestStops");
+    if (wrap) {
+      wrap.innerHTML = "";
+      for (const st of rest.stops || []) {
+        addRestStopRow();
+        const row = wrap.lastElementChild;
+        row.querySelector(".rest-town").value = st.town;
+        row.querySelector(".rest-mile").value = st.mile;
+        row.querySelector(".rest-days").value = st.days;
+        row.querySelector(".rest-kind").value = st.kind;
+      }
+    }
+  }
+
+  if (toggle("durDaylightToggle", daylight.on)) {
+    setVal("durDaylightMph", daylight.mph ?? "");
+    if (el("durDaylightCap")) el("durDaylightCap").checked = !!daylight.cap;
+  }
+}
+
+/** The form fields a saved plan puts back: direction, alternates and the plan option controls. */
+function readPlanForm(alts) {
+  const checked = (name) => document.querySelector(`input[type="radio"][name="${name}"]:checked`)?.value ?? null;
+  const dirSel  = el("durDirectionSelect");
+  return {
+    dir:      dirSel?.value ?? null,
+    dirLabel: dirSel?.selectedOptions?.[0]?.textContent.trim() || "",
+    alts:     Object.fromEntries(alts.map(name => [name, checked(name)])),
+    ...readPlanOptionsForm()
+  };
+}
+
+function writePlanForm(saved) {
+  const { form, result } = saved;
+  for (const [name, value] of Object.entries(form.alts || {})) if (value != null) checkPermalinkRadio(name, value);
+  if (form.dir != null) writePermalinkControl(PLAN_PERMALINK_FIELDS.dir, form.dir);
+  writePermalinkControl(PLAN_PERMALINK_FIELDS.from, "start");
+  writePermalinkControl(PLAN_PERMALINK_FIELDS.start, result.start.slice(5));
+  if (result.mpd != null) writePermalinkControl(PLAN_PERMALINK_FIELDS.mpd, String(result.mpd));
+  writePlanOptionsForm(form);
+}
+
+function renderSavedPlansList(trail) {
+  const list = el("savedPlansList");
+  if (!list) return;
+  const plans = loadSavedPlans().filter(p => p.trail === trail);
+  if (!plans.length) {
+    list.innerHTML = `<p class="note" style="margin:0;">No saved plans for this trail yet.</p>`;
+    return;
+  }
+  list.innerHTML = plans.map(p => `
+    <div class="plan-row" data-plan-id="${escapeHtml(p.id)}">
+      <label><input type="checkbox" class="saved-plan-pick"> <strong>${escapeHtml(p.name)}</strong></label>
+      <span class="note">${escapeHtml(p.form.dirLabel)} \u00b7 ${formatMonthDayName(p.result.start.slice(5))}${p.result.mpd != null ? ` \u00b7 ${p.result.mpd} mi/day` : ""}</span>
+      <button type="button" class="btn-secondary saved-plan-load">Load</button>
+      <button type="button" class="plan-row-remove" aria-label="Delete plan">&times;</button>
+    </div>`).join("");
+}
+
+/** Side-by-side table of saved plans; columns are numbered to match their map pins. */
+function renderPlanComparison(plans) {
+  const cell  = (html) => `<td style="vertical-align:top;">${html}</td>`;
+  const row   = (label, fn, style = "") => `<tr><th style="text-align:left; ${style}">${label}</th>${plans.map(p => cell(fn(p))).join("")}</tr>`;
+  const fmtDate = (iso) => {
+    if (!iso) return "\u2014";
+    const [y, m, d] = iso.split("-").map(Number);
+    return new Date(y, m - 1, d).toLocaleDateString(undefined, { year: "numeric", month: "long", day: "numeric" });
+  };
+  const extreme = (rec, label) => (rec
+    ? `${fmtDate(rec.date)}<br>${label}: ${fmtTemp(rec.temp)}<br><span style="font-size:0.85rem; color:#555;">${escapeHtml(rec.location)}</span>`
+    : "\u2014");
+
+  return `
+    <div style="overflow-x:auto;">
+      <table style="width:100%; margin-bottom:8px;">
+        <tr><th></th>${plans.map((p, i) => `<th>${i + 1}. ${escapeHtml(p.name)}</th>`).join("")}</tr>
+        ${row("Direction", p => escapeHtml(p.form.dirLabel || "\u2014"))}
+        ${row("Pace", p => [p.result.mpd != null ? `${p.result.mpd} miles/day` : "", escapeHtml(p.result.paceSummary)].filter(Boolean).join("<br>") || "\u2014")}
+        ${row("Zero / Nero Days", p => escapeHtml(p.result.restSummary) || "\u2014")}
+        ${row("Start Date", p => fmtDate(p.result.start))}
+        ${row("Estimated End Date", p => fmtDate(p.result.end))}
+        ${row("Distance", p => (p.result.distanceMiles != null ? `${fmtMile(p.result.distanceMiles)} miles` : "\u2014"))}
+        ${row("Estimated Duration", p => (p.result.durationDays != null ? `${p.result.durationDays} days` : "\u2014"))}
+        ${UTCI_CATEGORIES.map(c => row(c.label, p => String(p.result.utciCounts?.[c.key] ?? "\u2014"), c.style)).join("")}
+        ${row("Hottest Day", p => extreme(p.result.hottest, "High"))}
+        ${row("Coldest Night", p => extreme(p.result.coldest, "Low"))}
+      </table>
+    </div>
+    <p class="note" style="margin:0;">Map pins are numbered by plan: red for each plan's hottest day, blue for its coldest night.</p>`;
+}
+
+/**
+ * Adds the hottest / coldest pins of each compared plan, numbered as in
+ * the comparison table, to an extremes map layer group. Returns their
+ * [lat, lon]s for fitBounds.
+ */
+function addPlanComparisonPins(layerGroup, plans) {
+  const latLngs = [];
+  plans.forEach((p, i) => {
+    for (const [rec, color, title, label] of [
+      [p.result.hottest, "#cc2200", "Hottest Day",   "High"],
+      [p.result.coldest, "#0055cc", "Coldest Night", "Low"]
+    ]) {
+      if (!rec || !Number.isFinite(rec.lat) || !Number.isFinite(rec.lon)) continue;
+      const ll = [rec.lat, rec.lon];
+      const marker = L.marker(ll, { icon: makeColoredPinIcon(color) })
+        .bindTooltip(String(i + 1), { permanent: true, direction: "top", offset: [0, -34] })
+        .bindPopup(`<strong>${i + 1}. ${escapeHtml(p.name)} \u2014 ${title}</strong><br>${rec.date}<br>${label}: ${fmtTemp(rec.temp)}`)
+        .addTo(layerGroup);
+      if (marker.bringToFront) marker.bringToFront();
+      latLngs.push(ll);
+    }
+  });
+  return latLngs;
+}
+
+/**
+ * Wires the Saved Plans block of Tool A.
+ *   trail     — the trail's slug; plans are listed per trail
+ *   alts      — radio group names of the trail's alternates
+ *   renderMap — (plans) => void; shows the plans' pins on the extremes map
+ */
+function initSavedPlansUI({ trail, alts = [], renderMap }) {
+  const list = el("savedPlansList");
+  if (!list) return;
+  savedPlanAlts = alts;
+  const status = (msg) => setHtmlIfExists("savedPlansStatus", msg);
+
+  el("savePlanBtn")?.addEventListener("click", () => {
+    if (!lastEstimatedPlan) {
+      status("Estimate a plan (or run <em>BestStart!</em>) first, then save it.");
+      return;
+    }
+    const nameEl = el("savedPlanName");
+    const name   = nameEl?.value.trim() || `${formatMonthDayName(lastEstimatedPlan.result.start.slice(5))} start`;
+    const plans  = loadSavedPlans();
+    const saved  = { id: `${trail}-${Date.now()}`, trail, name, savedAt: new Date().toISOString(), ...lastEstimatedPlan };
+    if (!storeSavedPlans([...plans, saved])) {
+      status("This browser's storage is full \u2014 delete a saved plan and try again.");
+      return;
+    }
+    if (nameEl) nameEl.value = "";
+    status(`Saved \u201c${escapeHtml(name)}\u201d.`);
+    renderSavedPlansList(trail);
+  });
+
+  list.addEventListener("click", (e) => {
+    const id = e.target.closest("[data-plan-id]")?.dataset.planId;
+    if (!id) return;
+    if (e.target.closest(".plan-row-remove")) {
+      storeSavedPlans(loadSavedPlans().filter(p => p.id !== id));
+      renderSavedPlansList(trail);
+    } else if (e.target.closest(".saved-plan-load")) {
+      const saved = loadSavedPlans().find(p => p.id === id);
+      if (!saved) return;
+      writePlanForm(saved);
+      status(`Loaded \u201c${escapeHtml(saved.name)}\u201d.`);
+      el("durBtn")?.click();
+    }
+  });
+
+  el("comparePlansBtn")?.addEventListener("click", () => {
+    const ids   = [...list.querySelectorAll(".saved-plan-pick:checked")].map(cb => cb.closest("[data-plan-id]").dataset.planId);
+    const plans = loadSavedPlans().filter(p => ids.includes(p.id));
+    if (plans.length < COMPARE_PLANS_MIN || plans.length > COMPARE_PLANS_MAX) {
+      status(`Tick ${COMPARE_PLANS_MIN} to ${COMPARE_PLANS_MAX} saved plans to compare.`);
+      return;
+    }
+    status("");
+    setDurStatus("");
+    setHtmlIfExists("durResult", "");
+    setHtmlIfExists("bestStartResult", "");
+    setHtmlIfExists("durExtremesHot", renderPlanComparison(plans));
+    setHtmlIfExists("durExtremesCold", "");
+    setDisplayIfExists("durExtremesWrap", "block");
+    renderMap(plans);
+    el("durExtremesWrap")?.scrollIntoView({ behavior: "smooth", block: "start" });
+  });
+
+  renderSavedPlansList(trail);
+}
+
+/* -------------------------------------------------------
+   GPX export (Tool A)
+   Download GPX writes the plan last estimated as a GPX 1.1 file for
+   GPS apps: a track along the selected direction and alternates
+   (clipped to the section, when there is one) and a waypoint at each
+   night's camp whose description carries the date and the day's
+   normal and apparent highs / lows.
+   The track follows the route's trail points, snapped onto the
+   trail.geojson line between them; where the line is missing or
+   doesn't match, it falls back to the points themselves.
+------------------------------------------------------- */
+
+const GPX_SAMPLE_MILES = 0.25;   // route sampling step along each leg
+const GPX_SNAP_MILES   = 0.5;    // farthest a sample is moved onto trail.geojson
+const GPX_GRID_DEG     = 0.05;   // vertex index cell size
+
+const gpxVertexIndexes = new WeakMap();   // geojson → vertex index
+
+function haversineMiles(lat1, lon1, lat2, lon2) {
+  const rad  = Math.PI / 180;
+  const dLat = (lat2 - lat1) * rad, dLon = (lon2 - lon1) * rad;
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(lat1 * rad) * Math.cos(lat2 * rad) * Math.sin(dLon / 2) ** 2;
+  return 3958.8 * 2 * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+function geojsonLines(geojson) {
+  const lines = [];
+  const add = (g) => {
+    if (g?.type === "LineString")              lines.push(g.coordinates);
+    else if (g?.type === "MultiLineString")    lines.push(...g.coordinates);
+    else if (g?.type === "GeometryCollection") g.geometries.forEach(add);
+  };
+  const items = geojson?.type === "FeatureCollection" ? geojson.features : [geojson];
+  for (const f of items || []) add(f?.type === "Feature" ? f.geometry : f);
+  return lines.filter(line => line?.length > 1);
+}
+
+/** trail.geojson's lines plus a lat/lon grid of their vertices, built once per geojson. */
+function gpxVertexIndex(geojson) {
+  let index = gpxVertexIndexes.get(geojson);
+  if (index) return index;
+  const lines = geojsonLines(geojson);
+  const cells = new Map();
+  lines.forEach((line, li) => line.forEach(([lon, lat], i) => {
+    const key = `${Math.floor(lat / GPX_GRID_DEG)},${Math.floor(lon / GPX_GRID_DEG)}`;
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(li, i);
+  }));
+  index = { lines, cells };
+  gpxVertexIndexes.set(geojson, index);
+  return index;
+}
+
+/** Closest trail.geojson vertex within GPX_SNAP_MILES: { line, i } or null. */
+function nearestGpxVertex(index, lat, lon) {
+  const r = Math.floor(lat / GPX_GRID_DEG), c = Math.floor(lon / GPX_GRID_DEG);
+  let best = null, bestDist = GPX_SNAP_MILES;
+  for (let dr = -1; dr <= 1; dr++) {
+    for (let dc = -1; dc <= 1; dc++) {
+      const cell = index.cells.get(`${r + dr},${c + dc}`);
+      for (let k = 0; cell && k < cell.length; k += 2) {
+        const [vLon, vLat] = index.lines[cell[k]][cell[k + 1]];
+        const d = haversineMiles(lat, lon, vLat, vLon);
+        if (d <= bestDist) { best = { line: cell[k], i: cell[k + 1] }; bestDist = d; }
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * Track points from one sample to the next: the trail.geojson vertices
+ * between them when both snap to the same line and that stretch of line
+ * isn't much longer than the gap (i.e. it is the same bit of trail),
+ * otherwise just the next sample.
+ */
+function gpxStepPoints(index, from, to) {
+  if (!from.snap || !to.snap || from.snap.line !== to.snap.line) return [[to.lat, to.lon]];
+  const line = index.lines[to.snap.line];
+  const step = to.snap.i >= from.snap.i ? 1 : -1;
+  const pts  = [];
+  let along = 0;
+  for (let i = from.snap.i + step; step > 0 ? i <= to.snap.i : i >= to.snap.i; i += step) {
+    const [lon, lat] = line[i], [pLon, pLat] = line[i - step];
+    along += haversineMiles(pLat, pLon, lat, lon);
+    pts.push([lat, lon]);
+  }
+  const gap = haversineMiles(from.lat, from.lon, to.lat, to.lon);
+  return along <= 2 * gap + GPX_SNAP_MILES ? pts : [[to.lat, to.lon]];
+}
+
+/**
+ * Track segments ([[lat, lon]]) for a route: one per leg, split wherever
+ * the leg has no trail point. section — optional { fromMile, toMile } in hike miles.
+ */
+function gpxTrackSegments(legs, section, geojson) {
+  const index   = geojson ? gpxVertexIndex(geojson) : null;
+  const winFrom = section ? section.fromMile : 0;
+  const winTo   = section ? section.toMile   : Infinity;
+  const segments = [];
+  let legStart = 0;
+
+  for (const leg of legs) {
+    const from = Math.max(0, winFrom - legStart);
+    const to   = Math.min(leg.miles, winTo - legStart);
+    legStart += leg.miles;
+    if (to <= from) continue;
+
+    let seg = [], prev = null;
+    const flush = () => { if (seg.length > 1) segments.push(seg); seg = []; prev = null; };
+    for (let m = from; ; m = Math.min(to, m + GPX_SAMPLE_MILES)) {
+      const p = leg.pointAt(m);
+      const lat = Number(p?.lat), lon = Number(p?.lon);
+      if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
+        flush();
+      } else {
+        const node = { lat, lon, snap: index ? nearestGpxVertex(index, lat, lon) : null };
+        if (node.snap) [node.lon, node.lat] = index.lines[node.snap.line][node.snap.i];
+        for (const pt of prev ? gpxStepPoints(index, prev, node) : [[node.lat, node.lon]]) {
+          const last = seg[seg.length - 1];
+          if (!last || last[0] !== pt[0] || last[1] !== pt[1]) seg.push(pt);
+        }
+        prev = node;
+      }
+      if (m >= to) break;
+    }
+    flush();
+  }
+  return segments;
+}
+
+/**
+ * One waypoint per night on trail: where each hiking, zero or nero day ends.
+ * Temperatures are the itinerary row's (the normals where the day starts).
+ * Day numbers match the itinerary table.
+ */
+function gpxCampWaypoints(route, itinerary) {
+  const waypoints = [];
+  itinerary.forEach(row => {
+    if (row.dayType === "travel") return;
+    const leg  = route?.legs?.[row.legIndex];
+    const camp = leg?.pointAt(Math.min(leg.miles, row.legMile + row.dayMiles)) || row.point;
+    const lat = Number(camp?.lat), lon = Number(camp?.lon);
+    if (!Number.isFinite(lat) || !Number.isFinite(lon)) return;
+    const niceDate = row.date.toLocaleDateString(undefined, { weekday: "short", year: "numeric", month: "short", day: "numeric" });
+    const desc = [
+      `${niceDate} \u2014 ${itineraryDayLabel(row)}`,
+      row.hikeMile != null ? `camp at hike mile ${fmtMile(row.hikeMile + row.dayMiles)}` : "",
+      `normal hi/lo ${fmtTemp(row.avgHigh)} / ${fmtTemp(row.avgLow)}`,
+      `apparent hi/lo ${fmtTemp(row.appHigh)} / ${fmtTemp(row.appLow)}`
+    ].filter(Boolean).join("; ");
+    waypoints.push({ name: `Day ${row.dayIndex + 1} (${toISODate(row.date)})`, desc, type: row.dayType, lat, lon });
+  });
+  return waypoints;
+}
+
+function buildPlanGpx({ name, desc, waypoints, segments }) {
+  const coord = (lat, lon) => `lat="${lat.toFixed(6)}" lon="${lon.toFixed(6)}"`;
+  const wpts = waypoints.map(w => `  <wpt ${coord(w.lat, w.lon)}>
+    <name>${escapeHtml(w.name)}</name>
+    <desc>${escapeHtml(w.desc)}</desc>
+    <sym>Campground</sym>
+    <type>${escapeHtml(w.type)}</type>
+  </wpt>`).join("\n");
+  const segs = segments.map(seg =>
+    `    <trkseg>\n${seg.map(([lat, lon]) => `      <trkpt ${coord(lat, lon)}/>`).join("\n")}\n    </trkseg>`
+  ).join("\n");
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="TrailTemps" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata>
+    <name>${escapeHtml(name)}</name>
+    <desc>${escapeHtml(desc)}</desc>
+  </metadata>
+${wpts ? wpts + "\n" : ""}  <trk>
+    <name>${escapeHtml(name)}</name>
+${segs}
+  </trk>
+</gpx>
+`;
+}
+
+/** Saves text as a file via a temporary download link. */
+function downloadTextFile(filename, text, type = "text/plain") {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a   = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+async function downloadPlanGpx() {
+  const plan = lastExportPlan;
+  if (!plan || !planExports) return;
+  let geojson = null;
+  try {
+    geojson = await planExports.fetchGeojson();
+  } catch (e) {
+    console.warn("GPX export: trail.geojson unavailable, using trail points:", e);
+  }
+  const first = plan.itinerary[0], last = plan.itinerary[plan.itinerary.length - 1];
+  const gpx = buildPlanGpx({
+    name: `${planExports.name}: ${toISODate(first.date)} to ${toISODate(last.date)}`,
+    desc: `Planned hike from TrailTemps, ${plan.itinerary.length} days` +
+          (plan.section ? `, ${plan.section.fromLabel} \u2192 ${plan.section.toLabel}` : ""),
+    waypoints: gpxCampWaypoints(plan.route, plan.itinerary),
+    segments:  plan.route ? gpxTrackSegments(plan.route.legs, plan.section, geojson) : []
+  });
+  downloadTextFile(`${planExports.trail}-${toISODate(first.date)}.gpx`, gpx, "application/gpx+xml");
+}
+
+/* -------------------------------------------------------
+   Calendar export (Tool A)
+   Download Calendar writes the plan last estimated as an iCalendar
+   (.ics) file: an all-day event per trail day carrying its mile range,
+   section / state and normal temperatures, plus milestone events for
+   state lines, days off trail travelling between legs, and any the
+   trail adds itself (the AT's Harpers Ferry and Katahdin dates).
+------------------------------------------------------- */
+
+const ICS_STATE_STEP_MILES = 1;   // how closely each day is checked for a state line
+
+const US_STATE_NAMES = {
+  CA: "California", CO: "Colorado", CT: "Connecticut", DC: "District of Columbia",
+  GA: "Georgia", ID: "Idaho", MA: "Massachusetts", MD: "Maryland", ME: "Maine",
+  MI: "Michigan", MN: "Minnesota", MS: "Mississippi", MT: "Montana",
+  NC: "North Carolina", ND: "North Dakota", NH: "New Hampshire", NJ: "New Jersey",
+  NM: "New Mexico", NY: "New York", OH: "Ohio", OR: "Oregon", PA: "Pennsylvania",
+  TN: "Tennessee", VA: "Virginia", VT: "Vermont", WA: "Washington",
+  WI: "Wisconsin", WV: "West Virginia", WY: "Wyoming"
+};
+
+function stateName(code) {
+  return US_STATE_NAMES[code] || code;
+}
+
+function icsDate(d) {
+  return toISODate(d).replace(/-/g, "");
+}
+
+function icsText(s) {
+  return String(s).replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+}
+
+/** Folds a content line at 75 octets, as RFC 5545 asks. */
+function icsFold(line) {
+  const out = [];
+  let cur = "", bytes = 0;
+  for (const ch of line) {
+    const cp = ch.codePointAt(0);
+    const n  = cp < 0x80 ? 1 : cp < 0x800 ? 2 : cp < 0x10000 ? 3 : 4;
+    if (bytes + n > 75) { out.push(cur); cur = " "; bytes = 1; }
+    cur += ch;
+    bytes += n;
+  }
+  out.push(cur);
+  return out.join("\r\n");
+}
+
+/**
+ * Milestones along a route as [{ date, kind, summary, description }]: each
+ * state line (from the points' state codes) on the day it is crossed, and
+ * each travel day between legs. plan — as passed to planHikeSchedule().
+ */
+function routeMilestones(route, plan, startDate) {
+  const milestones = [];
+  let prevState = null, prevLeg = -1;
+  for (const day of planHikeSchedule(route.legs, { ...plan, startDate })) {
+    const date = addDays(startDate, day.dayIndex);
+    if (day.dayType === "travel") {
+      milestones.push({
+        date, kind: "travel", summary: "Travel day",
+        description: `Off trail between legs after hike mile ${fmtMile(day.hikeMile)}.`
+      });
+      continue;
+    }
+    // A new leg (e.g. after a flip-flop) starts wherever it starts; that's no state line
+    const leg = route.legs[day.legIndex];
+    if (day.legIndex !== prevLeg) {
+      prevState = leg.pointAt(day.legMile)?.state || null;
+      prevLeg   = day.legIndex;
+    }
+    const end = day.legMile + day.dayMiles;
+    for (let m = Math.min(end, day.legMile + ICS_STATE_STEP_MILES); ; m = Math.min(end, m + ICS_STATE_STEP_MILES)) {
+      const state = leg.pointAt(m)?.state;
+      if (state && prevState && state !== prevState) {
+        milestones.push({
+          date, kind: `state-${state.toLowerCase()}`, summary: `State line: ${stateName(state)}`,
+          description: `Cross from ${stateName(prevState)} into ${stateName(state)} near hike mile ${fmtMile(day.hikeMile + m - day.legMile)}.`
+        });
+      }
+      if (state) prevState = state;
+      if (m >= end) break;
+    }
+  }
+  return milestones;
+}
+
+/** Description lines for a trail day's event. */
+function icsDayDescription(row, route, formatLocation) {
+  const section = route?.sectionOf?.(row.point);
+  const state   = row.point?.state ? stateName(row.point.state) : null;
+  return [
+    row.hikeMile != null
+      ? `Hike miles ${fmtMile(row.hikeMile)}\u2013${fmtMile(row.hikeMile + row.dayMiles)} (${itineraryDayLabel(row)})`
+      : itineraryDayLabel(row),
+    section ? `Section: ${section}` : "",
+    state && state !== section ? `State: ${state}` : "",
+    `Location: ${formatLocation(row)}`,
+    `Normal hi / lo: ${fmtTemp(row.avgHigh)} / ${fmtTemp(row.avgLow)}`,
+    `Apparent hi / lo: ${fmtTemp(row.appHigh)} / ${fmtTemp(row.appLow)}`
+  ].filter(Boolean).join("\n");
+}
+
+/**
+ * events — [{ date, kind, summary, description }]; each becomes an all-day
+ * VEVENT whose UID comes from its date and kind ("day", "travel",
+ * "state-<code>", …), so re-exporting the same plan updates events in place.
+ */
+function buildPlanIcs({ name, uidPrefix, events }) {
+  const stamp = new Date().toISOString().replace(/[-:]/g, "").replace(/\.\d+/, "");
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//TrailTemps//Hike Planner//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${icsText(name)}`
+  ];
+  const seen = new Map();
+  events.forEach(ev => {
+    const key = `${uidPrefix}-${icsDate(ev.date)}-${ev.kind || "event"}`;
+    const n   = (seen.get(key) || 0) + 1;
+    seen.set(key, n);
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${key}${n > 1 ? `-${n}` : ""}@trailtemps`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${icsDate(ev.date)}`,
+      `DTEND;VALUE=DATE:${icsDate(addDays(ev.date, 1))}`,
+      `SUMMARY:${icsText(ev.summary)}`,
+      `DESCRIPTION:${icsText(ev.description)}`,
+      "TRANSP:TRANSPARENT",
+      "END:VEVENT"
+    );
+  });
+  lines.push("END:VCALENDAR");
+  return lines.map(icsFold).join("\r\n") + "\r\n";
+}
+
+function downloadPlanIcs() {
+  const plan = lastExportPlan;
+  if (!plan || !planExports) return;
+  const { route, itinerary, startDate, formatLocation } = plan;
+  const dayEvents = [];
+  itinerary.forEach(row => {
+    if (row.dayType === "travel") return;   // listed with the milestones
+    dayEvents.push({
+      date: row.date,
+      kind: "day",
+      summary: `${planExports.name} day ${row.dayIndex + 1}: ${itineraryDayLabel(row)}`,
+      description: icsDayDescription(row, route, formatLocation)
+    });
+  });
+  const milestones = [
+    ...(route ? routeMilestones(route, plan.plan, startDate) : []),
+    ...plan.milestones
+  ].map(m => ({ ...m, summary: `${planExports.name}: ${m.summary}` }));
+
+  const events = [...dayEvents, ...milestones].sort((a, b) => a.date - b.date);
+  const start  = toISODate(itinerary[0].date);
+  const ics = buildPlanIcs({
+    name: `${planExports.name} hike from ${start}`,
+    uidPrefix: `${planExports.trail}-${icsDate(itinerary[0].date)}`,
+    events
+  });
+  downloadTextFile(`${planExports.trail}-${start}.ics`, ics, "text/calendar");
+}
+
+/* -------------------------------------------------------
+   Plan exports (Tool A)
+   The GPX and calendar buttons shown above the itinerary; both
+   export the plan renderDurExtremesBlocksShared() last showed.
+------------------------------------------------------- */
+
+let planExports    = null;   // { trail, name, getRoute, fetchGeojson } from initPlanExports()
+let lastExportPlan = null;   // { route, itinerary, section, plan, startDate, formatLocation, milestones }
+
+/**
+ * Remembers the plan for the export buttons and returns their HTML
+ * ("" when there is no itinerary or the page hasn't called initPlanExports()).
+ * opts: { plan, startDate, formatLocation, milestones }
+ */
+function renderPlanExportButtons(itinerary, { plan = null, startDate = null, formatLocation, milestones = [] }) {
+  lastExportPlan = planExports && itinerary?.length && startDate
+    ? {
+        route: planExports.getRoute(), itinerary, section: plan?.section || null,
+        plan, startDate, formatLocation, milestones
+      }
+    : null;
+  if (!lastExportPlan) return "";
+  return `<p style="margin:0 0 12px;">
+      <button type="button" id="durGpxBtn" class="btn-secondary">Download GPX</button>
+      <button type="button" id="durIcsBtn" class="btn-secondary">Download Calendar (.ics)</button>
+      <span style="font-size:0.85rem; color:#555;">GPX: the route and a dated camp waypoint per night, for GPS apps. Calendar: an event per trail day plus milestones.</span>
+    </p>`;
+}
+
+function wirePlanExportButtons() {
+  el("durGpxBtn")?.addEventListener("click", () => {
+    downloadPlanGpx().catch(e => {
+      console.error(e);
+      setDurStatus("GPX export failed \u2014 see console.");
+    });
+  });
+  el("durIcsBtn")?.addEventListener("click", () => {
+    try {
+      downloadPlanIcs();
+    } catch (e) {
+      console.error(e);
+      setDurStatus("Calendar export failed \u2014 see console.");
+    }
+  });
+}
+
+/**
+ * opts: { trail, name, getRoute, fetchGeojson }
+ *   trail        — slug, used for file names
+ *   name         — trail name for the GPX track and calendar events, e.g. "Arizona Trail"
+ *   getRoute     — the trail's getPlannerRoute()
+ *   fetchGeojson — async () => trail.geojson
+ */
+function initPlanExports({ trail, name, getRoute, fetchGeojson }) {
+  planExports = { trail, name, getRoute, fetchGeojson };
+}
+
+/* -------------------------------------------------------
+   Day-of-year index helper
+   Maps "MM-DD" to 0–364 using fixed non-leap year 2021.
+   Used by all trail app.js files for normals lookups.
+------------------------------------------------------- */
+
+function dayIndexFromMonthDay(monthDay) {
+  const [mmStr, ddStr] = monthDay.split("-");
+  const mm = Number(mmStr), dd = Number(ddStr);
+  const dt    = new Date(2021, mm - 1, dd);
+  const start = new Date(2021, 0, 1);
+  return Math.max(0, Math.min(364, Math.round((dt - start) / 86400000)));
+}
+
+/* -------------------------------------------------------
+   Itinerary engine
+   Each trail describes the selected direction/alternates as
+   an ordered list of legs; the engine walks them day by day.
+   "Hike miles" are measured from the start of the first leg,
+   so a section is simply a window of hike miles.
+
+   leg: {
+     miles            — leg length in hike miles
+     pointAt          — (legMile) => trail point | null
+     lookup           — pointAt() as data (see lookupLeg()), so the
+                        planner worker can rebuild the leg
+     travelDaysAfter  — off-trail days before the next leg (default 0)
+     holdDuringTravel — travel days are spent at the leg's end point
+                        (true) or produce no trail point (false)
+   }
+------------------------------------------------------- */
+
+function routeLength(legs) {
+  return legs.reduce((sum, leg) => sum + leg.miles, 0);
+}
+
+/**
+ * The point of list nearest to target, or null for an empty list.
+ * list — { points, key } with points sorted by key(point), or { points, keys }
+ *        with the keys precomputed (as in a planner worker job).
+ * Ties go to the earlier point.
+ */
+function nearestListPoint(list, target) {
+  const { points } = list;
+  if (!points.length) return null;
+  const keyAt = list.keys ? (i) => list.keys[i] : (i) => list.key(points[i]);
+  let lo = 0, hi = points.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (keyAt(mid) < target) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo > 0 && Math.abs(keyAt(lo - 1) - target) <= Math.abs(keyAt(lo) - target) ? points[lo - 1] : points[lo];
+}
+
+/**
+ * A leg whose pointAt() comes from leg.lookup, a list of pieces
+ * [{ to, list, key, slope }]: from the previous piece's `to` (0 for the
+ * first) up to this `to`, a leg mile maps to key + slope × (miles into the
+ * piece), and the point is the nearest in list by that key. The last piece
+ * also takes any miles past its `to`, held at its end key.
+ */
+function lookupLeg(leg) {
+  const { lookup } = leg;
+  const pointAt = (legMile) => {
+    let from = 0;
+    for (let i = 0; i < lookup.length; i++) {
+      const { to, list, key, slope = 0 } = lookup[i];
+      if (legMile <= to || i === lookup.length - 1) {
+        return nearestListPoint(list, key + slope * (Math.max(from, Math.min(to, legMile)) - from));
+      }
+      from = to;
+    }
+    return null;
+  };
+  return { ...leg, pointAt };
+}
+
+/**
+ * Day-by-day schedule for a route — no dates or trail points, so it can be
+ * used for durations before points.json has loaded.
+ *
+ * opts:
+ *   milesPerDay — daily distance, or (hikeDay, hikeMile) => miles for a
+ *                 pace profile (see buildPaceFn); hikeDay counts hiking days
+ *   section     — optional { fromMile, toMile } window in hike miles
+ *   restDays    — optional { every, kind, neroMiles, stops } (see readRestDays):
+ *                 one rest day of `kind` after every `every` hiking days, and
+ *                 stops [{ hikeMile, days, kind }] where the day that reaches
+ *                 the stop ends there and `days` rest days follow
+ *   daylight    — optional { mph, cap } (see readDaylightOptions); with cap and a
+ *                 startDate, no hiking day runs longer than the daylight at the
+ *                 point where it starts
+ *   startDate   — only needed for the daylight cap, so plain durations leave it out
+ *
+ * Rest days are "zero" (no miles, held at the current position) or "nero"
+ * (a short day of neroMiles). Neither advances a pace ramp-up.
+ *
+ * Returns [{ dayIndex, dayType: "hike"|"zero"|"nero"|"travel", legIndex, legMile, hikeMile, dayMiles }]
+ * where legMile/hikeMile are the position at the start of the day; hiking days
+ * shortened by the daylight cap also carry daylightCapped: true.
+ */
+function planHikeSchedule(legs, { milesPerDay, section = null, restDays = null, daylight = null, startDate = null }) {
+  const days    = [];
+  const paceAt  = typeof milesPerDay === "function" ? milesPerDay : () => milesPerDay;
+  const winFrom = section ? section.fromMile : 0;
+  const winTo   = section ? section.toMile   : Infinity;
+  const every   = restDays?.every || 0;
+  const stops   = (restDays?.stops || [])
+    .filter(s => s.hikeMile >= winFrom - 1e-6 && s.hikeMile < winTo - 1e-6)
+    .sort((a, b) => a.hikeMile - b.hikeMile);
+  let legStart  = 0;
+  let hikeDays  = 0;
+  let sinceRest = 0;
+  let nextStop  = 0;
+
+  // Miles that fit in the day's daylight; at least one so the plan always moves
+  const daylightCap = daylight?.cap && startDate
+    ? (dayIndex, leg, legMile) => {
+        const p   = leg.pointAt(legMile);
+        const sun = p && sunTimes(addDays(startDate, dayIndex), Number(p.lat), Number(p.lon));
+        return sun ? Math.max(1, sun.daylightHours * daylight.mph) : Infinity;
+      }
+    : null;
+
+  legs.forEach((leg, legIndex) => {
+    const from = Math.max(0, winFrom - legStart);
+    const to   = Math.min(leg.miles, winTo - legStart);
+
+    if (to > from) {
+      for (let legMile = from; legMile < to - 1e-6; ) {
+        // Rest days due here: stops already reached, then the every-N rule
+        const rests = [];
+        while (nextStop < stops.length && stops[nextStop].hikeMile <= legStart + legMile + 1e-6) {
+          const stop = stops[nextStop++];
+          for (let r = 0; r < stop.days; r++) rests.push(stop.kind);
+        }
+        if (!rests.length && every && sinceRest >= every) rests.push(restDays.kind);
+        if (rests.length) sinceRest = 0;
+
+        const stopAt = nextStop < stops.length ? stops[nextStop].hikeMile - legStart : Infinity;
+        const end    = Math.min(to, stopAt);
+
+        for (const kind of rests) {
+          const dayMiles = kind === "nero" ? Math.min(restDays.neroMiles, end - legMile) : 0;
+          days.push({
+            dayIndex: days.length, dayType: kind, legIndex, legMile,
+            hikeMile: legStart + legMile, dayMiles
+          });
+          legMile += dayMiles;
+        }
+        if (legMile >= to - 1e-6) break;
+
+        const pace     = paceAt(hikeDays++, legStart + legMile);
+        const planned  = Math.min(pace, end - legMile);
+        const dayMiles = daylightCap ? Math.min(planned, daylightCap(days.length, leg, legMile)) : planned;
+        days.push({
+          dayIndex: days.length, dayType: "hike", legIndex, legMile,
+          hikeMile: legStart + legMile, dayMiles,
+          ...(dayMiles < planned ? { daylightCapped: true } : {})
+        });
+        legMile += dayMiles;
+        sinceRest++;
+      }
+      // Travel days only count when the window continues onto the next leg
+      const continues = legIndex < legs.length - 1 && legStart + leg.miles < winTo;
+      for (let t = 0; continues && t < (leg.travelDaysAfter || 0); t++) {
+        days.push({
+          dayIndex: days.length, dayType: "travel", legIndex, legMile: leg.miles,
+          hikeMile: legStart + leg.miles, dayMiles: 0
+        });
+      }
+    }
+    legStart += leg.miles;
+  });
+
+  return days;
+}
+
+/**
+ * Daily-distance function for planHikeSchedule().
+ *   milesPerDay  — cruising pace
+ *   rampStartMpd — first-day pace, rising linearly to the cruising (or
+ *                  section) pace over rampDays hiking days; null for no ramp
+ *   windows      — [{ fromMile, toMile, mpd }] hike-mile ranges with their own pace
+ */
+function buildPaceFn({ milesPerDay, rampStartMpd = null, rampDays = 0, windows = [] }) {
+  const pace = (hikeDay, hikeMile) => {
+    const target = windows.find(w => hikeMile >= w.fromMile && hikeMile < w.toMile)?.mpd ?? milesPerDay;
+    if (rampStartMpd == null || hikeDay >= rampDays || rampStartMpd >= target) return target;
+    return rampStartMpd + (target - rampStartMpd) * hikeDay / rampDays;
+  };
+  // Functions can't be posted to the planner worker; it rebuilds the pace from this.
+  pace.spec = { milesPerDay, rampStartMpd, rampDays, windows };
+  return pace;
+}
+
+/**
+ * Dated itinerary for a route: planHikeSchedule() plus { date, point }.
+ * Zero days hold the hiker at the point they stopped. Days without a trail
+ * point (e.g. AT flip-flop travel) are omitted but still advance the calendar.
+ *
+ * opts: { startDate, milesPerDay, section } — i.e. startDate plus a plan
+ * Returns [{ date, point, dayIndex, dayType, legIndex, legMile, hikeMile, dayMiles }]
+ */
+function buildItinerary(legs, { startDate, ...opts }) {
+  const out = [];
+  for (const day of planHikeSchedule(legs, { ...opts, startDate })) {
+    const leg = legs[day.legIndex];
+    if (day.dayType === "travel" && !leg.holdDuringTravel) continue;
+    const point = leg.pointAt(day.legMile);
+    if (point) out.push({ date: addDays(startDate, day.dayIndex), point, ...day });
+  }
+  return out;
+}
+
+/**
+ * Days on which a schedule is at a leg end tagged with `tag` (leg[tag] is
+ * "start" or "end"), in order: [{ dayIndex, at }]. Empty when the hike (or
+ * section) never reaches one.
+ */
+function scheduleLandmarkDays(legs, schedule, tag) {
+  const out = [];
+  legs.forEach((leg, legIndex) => {
+    if (!leg[tag]) return;
+    const target = leg[tag] === "start" ? 0 : leg.miles;
+    const day = schedule.find(d =>
+      d.dayType !== "travel" && d.legIndex === legIndex &&
+      d.legMile <= target + 1e-6 && target <= d.legMile + d.dayMiles + 1e-6);
+    if (day) out.push({ dayIndex: day.dayIndex, at: leg[tag] });
+  });
+  return out;
+}
+
+/**
+ * Samples a route every `step` hike miles (plus each leg's end).
+ * Returns [{ hikeMile, point }] — used to locate sections on the route.
+ */
+function buildRouteProfile(legs, step = 1) {
+  const profile = [];
+  let legStart  = 0;
+  for (const leg of legs) {
+    const n = Math.floor(leg.miles / step);
+    for (let i = 0; i <= n; i++) {
+      const point = leg.pointAt(step * i);
+      if (point) profile.push({ hikeMile: legStart + step * i, point });
+    }
+    if (leg.miles - step * n > 1e-6) {
+      const point = leg.pointAt(leg.miles);
+      if (point) profile.push({ hikeMile: legStart + leg.miles, point });
+    }
+    legStart += leg.miles;
+  }
+  return profile;
+}
+
+/**
+ * Collapses a route profile into contiguous runs of the same section label.
+ * sectionOf — (point) => string (state, section, passage…), or null to keep
+ *             the point in the current run
+ * Returns [{ label, fromMile, toMile }] in hike miles.
+ */
+function routeSectionRuns(profile, sectionOf) {
+  const runs = [];
+  for (const { hikeMile, point } of profile) {
+    const label = sectionOf(point);
+    const last  = runs[runs.length - 1];
+    if (last) last.toMile = hikeMile;
+    if (label && (!last || last.label !== label)) {
+      runs.push({ label, fromMile: last ? hikeMile : profile[0].hikeMile, toMile: hikeMile });
+    }
+  }
+  return runs;
+}
+
+/**
+ * Hike mile of the route sample nearest to a trail mile, optionally only
+ * considering samples after `afterMile`. Returns null when the trail mile is
+ * not within `toleranceMiles` of the route (e.g. on an unselected alternate).
+ */
+function hikeMileForTrailMile(profile, trailMile, trailMileOf, afterMile = -Infinity, toleranceMiles = 10) {
+  let best = null, bestDiff = Infinity;
+  for (const { hikeMile, point } of profile) {
+    if (hikeMile <= afterMile) continue;
+    const m = Number(trailMileOf(point));
+    if (!Number.isFinite(m)) continue;
+    const diff = Math.abs(m - trailMile);
+    if (diff < bestDiff) { bestDiff = diff; best = hikeMile; }
+  }
+  return bestDiff <= toleranceMiles ? best : null;
+}
+
+function profileLabelAt(profile, hikeMile, sectionOf) {
+  let best = profile[0];
+  for (const s of profile) {
+    if (Math.abs(s.hikeMile - hikeMile) < Math.abs(best.hikeMile - hikeMile)) best = s;
+  }
+  return best ? (sectionOf(best.point) || "") : "";
+}
+
+/* -------------------------------------------------------
+   Section hike controls (Tool A)
+   #durSectionToggle, #durSectionFrom / #durSectionTo selects and
+   optional #durSectionFromMile / #durSectionToMile trail-mile inputs.
+
+   route: { legs, sectionOf, trailMileOf } for the current direction
+   and alternates, or null while trail points are loading.
+------------------------------------------------------- */
+
+function populateSectionHikeSelects(route) {
+  const fromSel = el("durSectionFrom"), toSel = el("durSectionTo");
+  if (!fromSel || !toSel || !el("durSectionToggle")?.checked) return;
+
+  if (!route) {
+    fromSel.innerHTML = toSel.innerHTML = `<option value="">Trail data loading…</option>`;
+    return;
+  }
+
+  const runs    = routeSectionRuns(buildRouteProfile(route.legs), route.sectionOf);
+  const repeats = new Set(runs.map(r => r.label).filter((l, i, a) => a.indexOf(l) !== i));
+  const text    = (r) => repeats.has(r.label)
+    ? `${r.label} (hike mi ${Math.round(r.fromMile)}–${Math.round(r.toMile)})`
+    : r.label;
+
+  const prevFrom = fromSel.value, prevTo = toSel.value;
+  fromSel.innerHTML = runs.map(r => `<option value="${r.fromMile}">Start of ${text(r)}</option>`).join("");
+  toSel.innerHTML   = runs.map(r => `<option value="${r.toMile}">End of ${text(r)}</option>`).join("");
+
+  if ([...fromSel.options].some(o => o.value === prevFrom)) fromSel.value = prevFrom;
+  if ([...toSel.options].some(o => o.value === prevTo)) toSel.value = prevTo;
+  else toSel.selectedIndex = toSel.options.length - 1;
+}
+
+/**
+ * Wires the Section Hike controls. getRoute — () => route | null.
+ * Section lists are rebuilt whenever direction or alternates change.
+ */
+function initSectionHikeUI(getRoute) {
+  const toggle = el("durSectionToggle");
+  if (!toggle) return;
+
+  const refresh = () => {
+    setDisplayIfExists("durSectionFields", toggle.checked ? "flex" : "none");
+    populateSectionHikeSelects(getRoute());
+  };
+
+  toggle.addEventListener("change", refresh);
+  toggle.closest("section")?.addEventListener("change", (e) => {
+    if (e.target.closest("#durSectionWrap")) return;
+    if (e.target.id === "durDirectionSelect" || e.target.type === "radio") refresh();
+  });
+}
+
+/**
+ * Resolves the Section Hike controls to a hike-mile window on the route.
+ * A trail-mile input overrides its section select.
+ *
+ * Returns { section: null } for a full hike, { section: { fromMile, toMile,
+ * miles, fromLabel, toLabel } }, or { error } with a user-facing message.
+ */
+function readSectionHike(route) {
+  if (!el("durSectionToggle")?.checked) return { section: null };
+  if (!route) return { error: "Trail data is still loading. Please try again in a moment." };
+
+  const profile = buildRouteProfile(route.legs);
+  if (!profile.length) return { error: "Trail data is still loading. Please try again in a moment." };
+
+  let fromMile = Number(el("durSectionFrom")?.value);
+  let toMile   = Number(el("durSectionTo")?.value);
+
+  const fromTrail = numVal("durSectionFromMile");
+  if (fromTrail != null) {
+    fromMile = hikeMileForTrailMile(profile, fromTrail, route.trailMileOf);
+    if (fromMile == null) return { error: `Mile ${fmtMile(fromTrail)} is not on the selected route.` };
+  }
+
+  const toTrail = numVal("durSectionToMile");
+  if (toTrail != null) {
+    const after = hikeMileForTrailMile(profile, toTrail, route.trailMileOf, fromMile);
+    if (after == null) {
+      return hikeMileForTrailMile(profile, toTrail, route.trailMileOf) == null
+        ? { error: `Mile ${fmtMile(toTrail)} is not on the selected route.` }
+        : { error: "The section ends before it starts in the selected direction. Swap the start and end, or change direction." };
+    }
+    toMile = after;
+  }
+
+  if (!Number.isFinite(fromMile) || !Number.isFinite(toMile)) {
+    return { error: "Please choose where the section starts and ends." };
+  }
+  if (toMile - fromMile < 1) {
+    return { error: "The section ends before it starts in the selected direction. Swap the start and end, or change direction." };
+  }
+
+  return {
+    section: {
+      fromMile, toMile, miles: toMile - fromMile,
+      fromLabel: profileLabelAt(profile, fromMile, route.sectionOf),
+      toLabel:   profileLabelAt(profile, Math.max(fromMile, toMile - 0.5), route.sectionOf)
+    }
+  };
+}
+
+/* -------------------------------------------------------
+   Pace profile controls (Tool A)
+   #durPaceToggle, ramp-up inputs #durRampStart / #durRampDays and
+   per-section rows in #durPaceOverrides (added by #durPaceAddBtn).
+   A section pace is keyed by its label, so it applies to every run
+   of that state/section on the selected route.
+------------------------------------------------------- */
+
+function populatePaceOverrideSelects(route) {
+  const sels = el("durPaceOverrides")?.querySelectorAll("select") || [];
+  if (!sels.length) return;
+
+  if (!route) {
+    sels.forEach(sel => { sel.innerHTML = `<option value="">Trail data loading…</option>`; });
+    return;
+  }
+
+  const runs   = routeSectionRuns(buildRouteProfile(route.legs), route.sectionOf);
+  const labels = [...new Set(runs.map(r => r.label))];
+  for (const sel of sels) {
+    const prev = sel.value;
+    sel.innerHTML = labels.map(l => `<option value="${l}">${l}</option>`).join("");
+    if (labels.includes(prev)) sel.value = prev;
+  }
+}
+
+function addPaceOverrideRow(route) {
+  const wrap = el("durPaceOverrides");
+  if (!wrap) return;
+
+  const row = document.createElement("div");
+  row.className = "plan-row";
+  row.innerHTML = `
+    <select aria-label="Section"></select>
+    <input type="number" inputmode="decimal" step="0.5" min="${planMinMilesPerDay}" placeholder="mpd"
+           aria-label="Section miles per day" style="width:6rem;" />
+    <span>miles/day</span>
+    <button type="button" class="plan-row-remove" aria-label="Remove section pace">&times;</button>`;
+  row.querySelector(".plan-row-remove").addEventListener("click", () => row.remove());
+  wrap.appendChild(row);
+  populatePaceOverrideSelects(route);
+}
+
+/**
+ * Wires the Pace Profile controls. getRoute — () => route | null.
+ * Section lists are rebuilt whenever direction or alternates change.
+ */
+function initPaceProfileUI(getRoute) {
+  const toggle = el("durPaceToggle");
+  if (!toggle) return;
+
+  const refresh = () => {
+    setDisplayIfExists("durPaceFields", toggle.checked ? "flex" : "none");
+    populatePaceOverrideSelects(getRoute());
+  };
+
+  toggle.addEventListener("change", refresh);
+  el("durPaceAddBtn")?.addEventListener("click", () => addPaceOverrideRow(getRoute()));
+  toggle.closest("section")?.addEventListener("change", (e) => {
+    if (e.target.closest("#durPaceWrap")) return;
+    if (e.target.id === "durDirectionSelect" || e.target.type === "radio") refresh();
+  });
+}
+
+// Lowest pace the plan controls accept, from initPlanOptionsUI(). Anything near
+// zero would make planHikeSchedule() walk millions of days.
+let planMinMilesPerDay = 1;
+let planRoute = () => null;   // initPlanOptionsUI()'s getRoute, for the rows writePlanOptionsForm() adds
+
+/**
+ * Resolves the Pace Profile controls for planHikeSchedule().
+ * Returns { pace, summary } — pace is milesPerDay itself when no profile is
+ * set, else a buildPaceFn() function — or { error } with a user-facing message.
+ */
+function readPaceProfile(route, milesPerDay) {
+  const flat = { pace: milesPerDay, summary: "" };
+  if (!el("durPaceToggle")?.checked) return flat;
+
+  const fmtMpd       = (v) => String(Math.round(v * 10) / 10);
+  const rampStartMpd = numVal("durRampStart");
+  const rampDays     = numVal("durRampDays");
+
+  if ((rampStartMpd == null) !== (rampDays == null)) {
+    return { error: "Enter both a ramp-up starting pace and a number of days, or leave both blank." };
+  }
+  if (rampStartMpd != null && rampStartMpd < planMinMilesPerDay) {
+    return { error: `The ramp-up starting pace must be at least ${planMinMilesPerDay} miles per day.` };
+  }
+  if (rampDays != null && (!Number.isInteger(rampDays) || rampDays < 1)) {
+    return { error: "Ramp-up days must be a whole number of at least 1." };
+  }
+
+  const overrides = [];
+  for (const row of el("durPaceOverrides")?.querySelectorAll(".plan-row") || []) {
+    const label = row.querySelector("select")?.value;
+    const raw   = row.querySelector("input")?.value;
+    if (raw == null || raw === "") continue;
+    if (!label || !route) return { error: "Trail data is still loading. Please try again in a moment." };
+    const mpd = Number(raw);
+    if (!Number.isFinite(mpd) || mpd < planMinMilesPerDay) {
+      return { error: `Please enter a pace of at least ${planMinMilesPerDay} miles per day for ${label}.` };
+    }
+    overrides.push({ label, mpd });
+  }
+
+  const runs    = overrides.length ? routeSectionRuns(buildRouteProfile(route.legs), route.sectionOf) : [];
+  const windows = overrides.flatMap(o =>
+    runs.filter(r => r.label === o.label).map(r => ({ fromMile: r.fromMile, toMile: r.toMile, mpd: o.mpd })));
+
+  if (rampStartMpd == null && !windows.length) return flat;
+
+  const summary = [
+    rampStartMpd != null ? `ramp up from ${fmtMpd(rampStartMpd)} miles/day over ${rampDays} days` : "",
+    ...overrides.map(o => `${o.label} at ${fmtMpd(o.mpd)} miles/day`)
+  ].filter(Boolean).join("; ");
+
+  return { pace: buildPaceFn({ milesPerDay, rampStartMpd, rampDays: rampDays || 0, windows }), summary };
+}
+
+/* -------------------------------------------------------
+   Zero / nero day controls (Tool A)
+   #durRestToggle, the every-N rule (#durRestEvery, #durRestKind),
+   #durNeroMiles, and town stops in #durRestStops (added by
+   #durRestAddBtn), each located by trail mile.
+------------------------------------------------------- */
+
+function addRestStopRow() {
+  const wrap = el("durRestStops");
+  if (!wrap) return;
+
+  const row = document.createElement("div");
+  row.className = "plan-row";
+  row.innerHTML = `
+    <input type="text" class="rest-town" placeholder="Town (optional)" aria-label="Town" style="width:10rem;" />
+    <input type="number" class="rest-mile" inputmode="decimal" step="0.1" placeholder="Trail mile"
+           aria-label="Stop trail mile" style="width:7rem;" />
+    <input type="number" class="rest-days" inputmode="numeric" step="1" min="1" value="1"
+           aria-label="Rest days at this stop" style="width:4rem;" />
+    <select class="rest-kind" aria-label="Rest day type">
+      <option value="zero">zero</option>
+      <option value="nero">nero</option>
+    </select>
+    <button type="button" class="plan-row-remove" aria-label="Remove stop">&times;</button>`;
+  row.querySelector(".plan-row-remove").addEventListener("click", () => row.remove());
+  wrap.appendChild(row);
+}
+
+function initRestDaysUI() {
+  const toggle = el("durRestToggle");
+  if (!toggle) return;
+
+  toggle.addEventListener("change", () => {
+    setDisplayIfExists("durRestFields", toggle.checked ? "flex" : "none");
+  });
+  el("durRestAddBtn")?.addEventListener("click", addRestStopRow);
+}
+
+/**
+ * Resolves the Zero / Nero Days controls for planHikeSchedule().
+ * Returns { restDays, summary } — restDays is null when no rest is planned —
+ * or { error } with a user-facing message.
+ */
+function readRestDays(route) {
+  const none = { restDays: null, summary: "" };
+  if (!el("durRestToggle")?.checked) return none;
+
+  const every     = numVal("durRestEvery");
+  const kind      = el("durRestKind")?.value === "nero" ? "nero" : "zero";
+  const neroMiles = numVal("durNeroMiles") ?? 5;
+
+  if (every != null && (!Number.isInteger(every) || every < 1)) {
+    return { error: "Rest frequency must be a whole number of hiking days of at least 1." };
+  }
+  if (neroMiles <= 0) return { error: "Nero distance must be greater than zero." };
+
+  const stops   = [];
+  const profile = route ? buildRouteProfile(route.legs) : [];
+  for (const row of el("durRestStops")?.querySelectorAll(".plan-row") || []) {
+    const raw = row.querySelector(".rest-mile")?.value;
+    if (raw == null || raw === "") continue;
+    if (!profile.length) return { error: "Trail data is still loading. Please try again in a moment." };
+
+    const trailMile = Number(raw);
+    const hikeMile  = Number.isFinite(trailMile) ? hikeMileForTrailMile(profile, trailMile, route.trailMileOf) : null;
+    if (hikeMile == null) return { error: `Mile ${fmtMile(raw)} is not on the selected route.` };
+
+    const days = Number(row.querySelector(".rest-days")?.value || 1);
+    if (!Number.isInteger(days) || days < 1) return { error: "Rest days at a stop must be a whole number of at least 1." };
+
+    stops.push({
+      hikeMile, trailMile, days,
+      kind:  row.querySelector(".rest-kind")?.value === "nero" ? "nero" : "zero",
+      label: row.querySelector(".rest-town")?.value.trim() || ""
+    });
+  }
+
+  if (!every && !stops.length) return none;
+
+  const plural  = (n, word) => `${n} ${word}${n === 1 ? "" : "s"}`;
+  const summary = [
+    every ? `one ${kind} every ${plural(every, "hiking day")}` : "",
+    ...stops.map(st => `${plural(st.days, st.kind)} at ${st.label ? `${st.label} (mile ${fmtMile(st.trailMile)})` : `mile ${fmtMile(st.trailMile)}`}`)
+  ].filter(Boolean).join("; ");
+
+  return { restDays: { every: every || 0, kind, neroMiles, stops }, summary };
+}
+
+/* -------------------------------------------------------
+   Daylight controls (Tool A)
+   #durDaylightToggle with a walking speed (#durDaylightMph)
+   and #durDaylightCap. Daylight is always shown; the speed
+   sets which days get flagged, and the cap shortens them.
+------------------------------------------------------- */
+
+const DEFAULT_WALKING_MPH = 2.5;
+
+function initDaylightUI() {
+  const toggle = el("durDaylightToggle");
+  if (!toggle) return;
+
+  toggle.addEventListener("change", () => {
+    setDisplayIfExists("durDaylightFields", toggle.checked ? "flex" : "none");
+  });
+}
+
+/**
+ * Resolves the Daylight controls. Returns { daylight: { mph, cap }, summary }
+ * — the default walking speed and no cap when the controls are off — or
+ * { error } with a user-facing message.
+ */
+function readDaylightOptions() {
+  if (!el("durDaylightToggle")?.checked) {
+    return { daylight: { mph: DEFAULT_WALKING_MPH, cap: false }, summary: "" };
+  }
+
+  const mph = numVal("durDaylightMph") ?? DEFAULT_WALKING_MPH;
+  if (mph <= 0 || mph > 6) return { error: "Walking speed must be between 0 and 6 mph." };
+  const cap = !!el("durDaylightCap")?.checked;
+
+  return {
+    daylight: { mph, cap },
+    summary: `${mph} mph walking speed${cap ? "; daily miles capped at what fits in daylight" : ""}`
+  };
+}
+
+/* -------------------------------------------------------
+   Replay year controls (Tool A)
+   #durReplayYear picks a past year whose archive weather is
+   replayed along the planned hike next to the normals result.
+   Blank means no replay.
+------------------------------------------------------- */
+
+const REPLAY_FIRST_YEAR = 2018;
+const REPLAY_LAST_YEAR  = 2024;
+
+function initReplayYearUI() {
+  const sel = el("durReplayYear");
+  if (!sel) return;
+  const years = [];
+  for (let y = REPLAY_LAST_YEAR; y >= REPLAY_FIRST_YEAR; y--) years.push(y);
+  sel.innerHTML = `<option value="">Off</option>` + years.map(y => `<option value="${y}">${y}</option>`).join("");
+}
+
+function readReplayYear() {
+  const v = el("durReplayYear")?.value;
+  if (!v) return { year: null, summary: "" };
+  const year = Number(v);
+  if (!Number.isInteger(year) || year < REPLAY_FIRST_YEAR || year > REPLAY_LAST_YEAR) {
+    return { error: `Replay year must be between ${REPLAY_FIRST_YEAR} and ${REPLAY_LAST_YEAR}.` };
+  }
+  return { year, summary: `actual ${year} weather along the same itinerary` };
+}
+
+/* -------------------------------------------------------
+   Risk estimate controls (Tool A)
+   #durRiskToggle turns on the Monte Carlo risk estimate;
+   #durRiskPaceVar is the pace variation in percent, used
+   both for the whole hike and for each day.
+------------------------------------------------------- */
+
+const DEFAULT_RISK_PACE_VARIATION = 10;
+
+function initRiskUI() {
+  const toggle = el("durRiskToggle");
+  if (!toggle) return;
+
+  toggle.addEventListener("change", () => {
+    setDisplayIfExists("durRiskFields", toggle.checked ? "flex" : "none");
+  });
+}
+
+function readRiskOptions() {
+  if (!el("durRiskToggle")?.checked) return { risk: null, summary: "" };
+
+  const pct = numVal("durRiskPaceVar") ?? DEFAULT_RISK_PACE_VARIATION;
+  if (pct < 0 || pct > 50) return { error: "Pace variation must be between 0 and 50%." };
+
+  return {
+    risk: { paceVariation: pct / 100 },
+    summary: `${REPLAY_LAST_YEAR - REPLAY_FIRST_YEAR + 1} historical years, \u00b1${pct}% pace variation`
+  };
+}
+
+/* -------------------------------------------------------
+   BestStart! constraint controls (Tool A)
+   #durConstraintToggle, a start window (#durWindowFromMonth/Day, #durWindowToMonth/Day),
+   a finish-by date (#durFinishMonth/Day) and blackout ranges in #durBlackouts
+   (added by #durBlackoutAddBtn). Dates are month/day only; ranges
+   may wrap past December 31.
+------------------------------------------------------- */
+
+/** Month/day pair whose month list starts with "Any" (no date). */
+function initOptionalMonthDayPicker(mSel, dSel) {
+  if (!mSel || !dSel) return;
+  mSel.innerHTML = `<option value="">Any</option>` +
+    MONTH_NAMES.map((name, i) => `<option value="${i + 1}">${name}</option>`).join("");
+
+  const populateDays = () => {
+    const prev = Number(dSel.value) || 1;
+    if (!mSel.value) { dSel.innerHTML = ""; dSel.disabled = true; return; }
+    const max = daysInMonth(Number(mSel.value) - 1);
+    dSel.innerHTML = Array.from({ length: max }, (_, i) => `<option value="${i + 1}">${i + 1}</option>`).join("");
+    dSel.value = Math.min(prev, max);
+    dSel.disabled = false;
+  };
+  mSel.addEventListener("change", populateDays);
+  populateDays();
+}
+
+/** Returns "MM-DD" from an optional month/day pair, or null when the month is "Any". */
+function readOptionalMonthDay(mSel, dSel) {
+  if (!mSel?.value || !dSel?.value) return null;
+  return `${String(mSel.value).padStart(2, "0")}-${String(dSel.value).padStart(2, "0")}`;
+}
+
+function fmtMonthDay(monthDay) {
+  const [mm, dd] = monthDay.split("-").map(Number);
+  return `${MONTH_NAMES[mm - 1]} ${dd}`;
+}
+
+function addBlackoutRow() {
+  const wrap = el("durBlackouts");
+  if (!wrap) return;
+
+  const row = document.createElement("div");
+  row.className = "plan-row";
+  row.innerHTML = `
+    <span>Blackout</span>
+    <select class="blackout-from-month" aria-label="Blackout start month"></select>
+    <select class="blackout-from-day" aria-label="Blackout start day"></select>
+    <span>to</span>
+    <select class="blackout-to-month" aria-label="Blackout end month"></select>
+    <select class="blackout-to-day" aria-label="Blackout end day"></select>
+    <button type="button" class="plan-row-remove" aria-label="Remove blackout">&times;</button>`;
+  initOptionalMonthDayPicker(row.querySelector(".blackout-from-month"), row.querySelector(".blackout-from-day"));
+  initOptionalMonthDayPicker(row.querySelector(".blackout-to-month"), row.querySelector(".blackout-to-day"));
+  row.querySelector(".plan-row-remove").addEventListener("click", () => row.remove());
+  wrap.appendChild(row);
+}
+
+function initConstraintsUI() {
+  const toggle = el("durConstraintToggle");
+  if (!toggle) return;
+
+  initOptionalMonthDayPicker(el("durWindowFromMonth"), el("durWindowFromDay"));
+  initOptionalMonthDayPicker(el("durWindowToMonth"),   el("durWindowToDay"));
+  initOptionalMonthDayPicker(el("durFinishMonth"),     el("durFinishDay"));
+
+  toggle.addEventListener("change", () => {
+    setDisplayIfExists("durConstraintFields", toggle.checked ? "flex" : "none");
+  });
+  el("durBlackoutAddBtn")?.addEventListener("click", addBlackoutRow);
+}
+
+/**
+ * Resolves the BestStart! Constraints controls for runBestStartShared().
+ * Returns { constraints, summary } — constraints is null when none are set,
+ * else { windowFrom, windowTo, finishBy, blackouts: [{ from, to }], avoidSnow } with
+ * day-of-year indices (null = unset) — or { error } with a user-facing message.
+ */
+function readBestStartConstraints() {
+  const none = { constraints: null, summary: "" };
+  if (!el("durConstraintToggle")?.checked) return none;
+
+  const from   = readOptionalMonthDay(el("durWindowFromMonth"), el("durWindowFromDay"));
+  const to     = readOptionalMonthDay(el("durWindowToMonth"),   el("durWindowToDay"));
+  const finish = readOptionalMonthDay(el("durFinishMonth"),     el("durFinishDay"));
+
+  const blackouts = [];
+  for (const row of el("durBlackouts")?.querySelectorAll(".plan-row") || []) {
+    const bFrom = readOptionalMonthDay(row.querySelector(".blackout-from-month"), row.querySelector(".blackout-from-day"));
+    const bTo   = readOptionalMonthDay(row.querySelector(".blackout-to-month"),   row.querySelector(".blackout-to-day"));
+    if (!bFrom && !bTo) continue;
+    if (!bFrom || !bTo) return { error: "Each blackout range needs both a first and a last date." };
+    blackouts.push({ fromMd: bFrom, toMd: bTo });
+  }
+
+  // Only pages whose normals carry snow depth have the checkbox
+  const avoidSnow = !!el("durAvoidSnow")?.checked;
+
+  if (!from && !to && !finish && !blackouts.length && !avoidSnow) return none;
+
+  const summary = [
+    from && to ? `start between ${fmtMonthDay(from)} and ${fmtMonthDay(to)}`
+      : from ? `start on or after ${fmtMonthDay(from)}`
+      : to   ? `start on or before ${fmtMonthDay(to)}` : "",
+    finish ? `finish by ${fmtMonthDay(finish)}` : "",
+    ...blackouts.map(b => `off trail ${fmtMonthDay(b.fromMd)} \u2013 ${fmtMonthDay(b.toMd)}`),
+    avoidSnow ? "avoid typically snow-covered trail" : ""
+  ].filter(Boolean).join("; ");
+
+  return {
+    constraints: {
+      windowFrom: from   ? dayIndexFromMonthDay(from)   : null,
+      windowTo:   to     ? dayIndexFromMonthDay(to)     : null,
+      finishBy:   finish ? dayIndexFromMonthDay(finish) : null,
+      blackouts:  blackouts.map(b => ({ from: dayIndexFromMonthDay(b.fromMd), to: dayIndexFromMonthDay(b.toMd) })),
+      avoidSnow
+    },
+    summary
+  };
+}
+
+/* -------------------------------------------------------
+   BestStart! pace range controls (Tool A)
+   #durPaceRangeToggle with #durPaceMin, #durPaceMax and
+   #durPaceStep. BestStart! then searches every pace in the
+   range together with the start date.
+------------------------------------------------------- */
+
+const PACE_RANGE_MAX_PACES = 30;    // paces one BestStart! search may cover
+const PACE_RANGE_MIN_STEP  = 0.1;   // miles/day; paces are kept to tenths
+
+function initPaceRangeUI() {
+  const toggle = el("durPaceRangeToggle");
+  if (!toggle) return;
+
+  toggle.addEventListener("change", () => {
+    setDisplayIfExists("durPaceRangeFields", toggle.checked ? "flex" : "none");
+  });
+}
+
+/**
+ * Resolves the Pace Range controls.
+ * Returns { paces, summary } — paces is null when the search is off, else an
+ * ascending list of miles per day — or { error } with a user-facing message.
+ */
+function readPaceRange() {
+  const none = { paces: null, summary: "" };
+  if (!el("durPaceRangeToggle")?.checked) return none;
+
+  const min  = numVal("durPaceMin");
+  const max  = numVal("durPaceMax");
+  const step = numVal("durPaceStep") ?? 1;
+
+  if (min == null || max == null) return { error: "Enter both a minimum and a maximum pace for the pace range." };
+  if (min < planMinMilesPerDay || max < min) {
+    return { error: `The pace range needs a minimum of at least ${planMinMilesPerDay} miles per day and a maximum at least as large.` };
+  }
+  if (step < PACE_RANGE_MIN_STEP) {
+    return { error: `The pace range step must be at least ${PACE_RANGE_MIN_STEP} miles per day.` };
+  }
+  const inTenths = (v) => Math.abs(v * 10 - Math.round(v * 10)) < 1e-6;
+  if (![min, max, step].every(inTenths)) return { error: "Enter the pace range in tenths of a mile per day." };
+
+  // Counted before the list is built, so a tiny step can't stall the page
+  const count = Math.floor((max - min) / step + 1e-9) + 1;
+  if (count > PACE_RANGE_MAX_PACES) {
+    return { error: `The pace range covers more than ${PACE_RANGE_MAX_PACES} paces. Narrow the range or use a larger step.` };
+  }
+
+  const tenths = (v) => Math.round(v * 10) / 10;
+  const paces  = Array.from({ length: count }, (_, i) => tenths(min + i * step));
+  return { paces, summary: `searched ${tenths(min)}\u2013${tenths(max)} miles/day in steps of ${tenths(step)}` };
+}
+
+/* -------------------------------------------------------
+   Comfort profile controls (Tool A)
+   #durComfortToggle with #durComfortHeat0–3, #durComfortCold0–3,
+   #durComfortWeight, #durComfortExtremes, #durComfortWetPenalty
+   and #durComfortResetBtn.
+   Every valid edit is saved straight to localStorage.
+------------------------------------------------------- */
+
+function fillComfortProfileInputs(profile) {
+  profile.heat.forEach((v, i) => { const n = el(`durComfortHeat${i}`); if (n) n.value = v; });
+  profile.cold.forEach((v, i) => { const n = el(`durComfortCold${i}`); if (n) n.value = v; });
+  if (el("durComfortWeight"))   el("durComfortWeight").value   = profile.heatWeight;
+  if (el("durComfortExtremes")) el("durComfortExtremes").value = profile.extremes;
+  if (el("durComfortWetPenalty")) el("durComfortWetPenalty").value = profile.wetPenalty;
+}
+
+/** The profile typed into the controls (not yet validated). */
+function comfortProfileFromInputs() {
+  return {
+    heat: [0, 1, 2, 3].map(i => numVal(`durComfortHeat${i}`)),
+    cold: [0, 1, 2, 3].map(i => numVal(`durComfortCold${i}`)),
+    heatWeight: numVal("durComfortWeight"),
+    extremes: el("durComfortExtremes")?.value || "eliminate",
+    wetPenalty: numVal("durComfortWetPenalty") ?? 0
+  };
+}
+
+function initComfortProfileUI() {
+  const saved = loadComfortProfile();
+  comfortProfile = saved.enabled ? saved : DEFAULT_COMFORT_PROFILE;
+
+  const toggle = el("durComfortToggle");
+  if (!toggle) return;
+  toggle.checked = saved.enabled;
+  setDisplayIfExists("durComfortFields", saved.enabled ? "flex" : "none");
+  fillComfortProfileInputs(saved);
+
+  const persist = () => {
+    const profile = comfortProfileFromInputs();
+    if (comfortProfileError(profile)) return;   // reported by readComfortProfile() on the next run
+    saveComfortProfile({ enabled: toggle.checked, ...profile });
+    comfortProfile = toggle.checked ? profile : DEFAULT_COMFORT_PROFILE;
+  };
+
+  toggle.addEventListener("change", () => {
+    setDisplayIfExists("durComfortFields", toggle.checked ? "flex" : "none");
+    persist();
+  });
+  el("durComfortFields")?.addEventListener("change", persist);
+  el("durComfortResetBtn")?.addEventListener("click", () => {
+    fillComfortProfileInputs(DEFAULT_COMFORT_PROFILE);
+    persist();
+  });
+}
+
+/**
+ * Resolves the Comfort Profile controls and makes the result the active profile.
+ * Returns { summary } — "" when the defaults apply — or { error } with a user-facing message.
+ */
+function readComfortProfile() {
+  if (!el("durComfortToggle")?.checked) {
+    comfortProfile = DEFAULT_COMFORT_PROFILE;
+    return { summary: "" };
+  }
+  const profile = comfortProfileFromInputs();
+  const error = comfortProfileError(profile);
+  if (error) return { error };
+  comfortProfile = profile;
+  return { summary: comfortProfileSummary(profile) };
+}
+
+/* -------------------------------------------------------
+   Tool A plan options
+   A "plan" is the options object handed to planHikeSchedule() /
+   buildItinerary(): { milesPerDay, section, restDays, daylight } plus the
+   paceSummary / restSummary / daylightSummary / comfortSummary text shown with the
+   results, and the BestStart! constraints and pace range used by
+   runBestStartSearch().
+------------------------------------------------------- */
+
+/**
+ * Reads every optional Tool A planning control for the route.
+ * milesPerDay — the validated Miles per Day input.
+ * Returns { plan } or { error } with a user-facing message.
+ */
+function readPlanOptions(route, milesPerDay) {
+  const { section, error } = readSectionHike(route);
+  if (error) return { error };
+
+  const pace = readPaceProfile(route, milesPerDay);
+  if (pace.error) return { error: pace.error };
+
+  const rest = readRestDays(route);
+  if (rest.error) return { error: rest.error };
+
+  const light = readDaylightOptions();
+  if (light.error) return { error: light.error };
+
+  const replay = readReplayYear();
+  if (replay.error) return { error: replay.error };
+
+  const risk = readRiskOptions();
+  if (risk.error) return { error: risk.error };
+
+  const limits = readBestStartConstraints();
+  if (limits.error) return { error: limits.error };
+
+  const range = readPaceRange();
+  if (range.error) return { error: range.error };
+
+  const comfort = readComfortProfile();
+  if (comfort.error) return { error: comfort.error };
+
+  return {
+    plan: {
+      milesPerDay: pace.pace, section, restDays: rest.restDays,
+      daylight: light.daylight,
+      replayYear: replay.year, risk: risk.risk,
+      paceSummary: pace.summary, restSummary: rest.summary, daylightSummary: light.summary,
+      replaySummary: replay.summary, riskSummary: risk.summary,
+      constraints: limits.constraints, constraintSummary: limits.summary,
+      paceRange: range.paces, paceRangeSummary: range.summary,
+      comfortSummary: comfort.summary
+    }
+  };
+}
+
+/**
+ * Wires all optional Tool A planning controls. getRoute — () => route | null.
+ * opts.minMilesPerDay — the trail's lowest allowed miles/day (as checked for
+ *   #durMilesPerDay); section, ramp-up and pace-range paces may not go below it.
+ */
+function initPlanOptionsUI(getRoute, { minMilesPerDay = 1 } = {}) {
+  planMinMilesPerDay = Math.max(1, minMilesPerDay);
+  planRoute = getRoute;
+  initDateModeUI();
+  initSectionHikeUI(getRoute);
+  initPaceProfileUI(getRoute);
+  initRestDaysUI();
+  initDaylightUI();
+  initReplayYearUI();
+  initRiskUI();
+  initConstraintsUI();
+  initPaceRangeUI();
+  initComfortProfileUI();
+}
+
+/** Refreshes planning-control lists once trail points have loaded. */
+function refreshPlanOptionsUI(route) {
+  populateSectionHikeSelects(route);
+  populatePaceOverrideSelects(route);
+}
+
+/* -------------------------------------------------------
+   UTCI thermal comfort scoring
+   Days are scored on UTCI (°F) for the high and low — see
+   utciForDay() — falling back to apparent temperature as a
+   proxy when humidity or wind is missing. Thresholds are in
+   °F and come from the active comfort profile (see below).
+------------------------------------------------------- */
+
+// Display order, labels and colours for the 9 categories returned by utciCategoryDay().
+// Range labels follow the comfort profile — see utciCategoryRange().
+const UTCI_CATEGORIES = [
+  { key: "extreme-cold",     label: "Extreme Cold",     style: "background:#001e70;color:#fff;" },
+  { key: "very-strong-cold", label: "Very Strong Cold", style: "background:#0044cc;color:#fff;" },
+  { key: "strong-cold",      label: "Strong Cold",      style: "background:#3377ff;color:#fff;" },
+  { key: "moderate-cold",    label: "Moderate Cold",    style: "background:#99bbff;color:#000;" },
+  { key: "comfort",          label: "Comfort Zone",     style: "background:#2e7a2e;color:#fff;" },
+  { key: "moderate-heat",    label: "Moderate Heat",    style: "background:#ffcc66;color:#000;" },
+  { key: "strong-heat",      label: "Strong Heat",      style: "background:#ff8800;color:#fff;" },
+  { key: "very-strong-heat", label: "Very Strong Heat", style: "background:#cc2200;color:#fff;" },
+  { key: "extreme-heat",     label: "Extreme Heat",     style: "background:#660000;color:#fff;" },
+];
+
+/* -------------------------------------------------------
+   Comfort profile
+   heat[i] — warmest high (°F) still in the comfort,
+             moderate, strong and very strong heat tiers
+   cold[i] — coldest low (°F) still in the comfort,
+             moderate, strong and very strong cold tiers
+   heatWeight — share (0–100) of a day's score taken from
+             the high; the low supplies the rest
+   extremes — "eliminate" drops any start that meets an
+             extreme day; "penalize" scores that day 0
+   wetPenalty — score points (0–10) taken off a day for a
+             certain rain day, scaled by its chance of rain
+   Saved in localStorage; #durComfortToggle switches between
+   the saved profile and the defaults.
+------------------------------------------------------- */
+
+const COMFORT_PROFILE_KEY = "trailtemps_comfort_profile_v1";
+
+const DEFAULT_COMFORT_PROFILE = Object.freeze({
+  heat: [79, 90, 100, 115],
+  cold: [48, 32, 9, -17],
+  heatWeight: 50,
+  extremes: "eliminate",
+  wetPenalty: 0
+});
+
+let comfortProfile = DEFAULT_COMFORT_PROFILE;
+
+/** Returns an error message for an invalid profile, or "" when it is usable. */
+function comfortProfileError(profile) {
+  const { heat, cold, heatWeight, extremes, wetPenalty } = profile || {};
+  if (!Array.isArray(heat) || heat.length !== 4 || !heat.every(Number.isFinite) ||
+      !Array.isArray(cold) || cold.length !== 4 || !cold.every(Number.isFinite)) {
+    return "Enter every comfort profile threshold.";
+  }
+  if (heat.some((v, i) => i && v <= heat[i - 1])) return "Comfort profile heat thresholds must rise from tier to tier.";
+  if (cold.some((v, i) => i && v >= cold[i - 1])) return "Comfort profile cold thresholds must fall from tier to tier.";
+  if (cold[0] > heat[0]) return "The comfort zone's coldest low cannot be above its warmest high.";
+  if (!Number.isFinite(heatWeight) || heatWeight < 0 || heatWeight > 100) return "The heat weight must be between 0 and 100.";
+  if (extremes !== "eliminate" && extremes !== "penalize") return "Choose how extreme days are handled.";
+  if (!Number.isFinite(wetPenalty) || wetPenalty < 0 || wetPenalty > 10) return "The rainy-day penalty must be between 0 and 10.";
+  return "";
+}
+
+/**
+ * The saved profile { enabled, heat, cold, heatWeight, extremes, wetPenalty },
+ * or the defaults (disabled). Fields added since it was saved take their defaults.
+ */
+function loadComfortProfile() {
+  const saved = safeJSONParse(localStorage.getItem(COMFORT_PROFILE_KEY) || "null");
+  if (!saved) return { enabled: false, ...DEFAULT_COMFORT_PROFILE };
+  const { heat, cold, heatWeight, extremes, wetPenalty } = { ...DEFAULT_COMFORT_PROFILE, ...saved };
+  const profile = { heat, cold, heatWeight, extremes, wetPenalty };
+  if (comfortProfileError(profile)) return { enabled: false, ...DEFAULT_COMFORT_PROFILE };
+  return { enabled: !!saved.enabled, ...profile };
+}
+
+function saveComfortProfile(saved) {
+  try {
+    localStorage.setItem(COMFORT_PROFILE_KEY, JSON.stringify(saved));
+  } catch { /* quota exceeded — silently skip */ }
+}
+
+function isDefaultComfortProfile(profile) {
+  const fields = (p) => JSON.stringify([p.heat, p.cold, p.heatWeight, p.extremes, p.wetPenalty]);
+  return fields(profile) === fields(DEFAULT_COMFORT_PROFILE);
+}
+
+/** One-line description of the active profile for the results, or "" for the defaults. */
+function comfortProfileSummary(profile = comfortProfile) {
+  if (isDefaultComfortProfile(profile)) return "";
+  const { heat, cold, heatWeight, extremes, wetPenalty } = profile;
+  const t = (v) => String(v).replace("-", "−");
+  return `comfort zone highs ≤${t(heat[0])}°F and lows ≥${t(cold[0])}°F; ` +
+    `extreme above ${t(heat[3])}°F or below ${t(cold[3])}°F; ` +
+    `heat weight ${heatWeight}%; extreme days ${extremes === "penalize" ? "penalized" : "eliminate the start"}` +
+    (wetPenalty ? `; rainy days cost ${wetPenalty} points` : "");
+}
+
+/** Temperature range label for a UTCI category under the active profile. */
+function utciCategoryRange(key, profile = comfortProfile) {
+  const [h0, h1, h2, h3] = profile.heat;
+  const [c0, c1, c2, c3] = profile.cold;
+  const t = (v) => String(v).replace("-", "−");
+  switch (key) {
+    case "extreme-cold":     return `low < ${t(c3)}°F`;
+    case "very-strong-cold": return `low ${t(c3)}–${t(c2 - 1)}°F`;
+    case "strong-cold":      return `low ${t(c2)}–${t(c1 - 1)}°F`;
+    case "moderate-cold":    return `low ${t(c1)}–${t(c0 - 1)}°F`;
+    case "comfort":          return `hi ≤${t(h0)}, lo ≥${t(c0)}°F`;
+    case "moderate-heat":    return `high ${t(h0 + 1)}–${t(h1)}°F`;
+    case "strong-heat":      return `high ${t(h1 + 1)}–${t(h2)}°F`;
+    case "very-strong-heat": return `high ${t(h2 + 1)}–${t(h3)}°F`;
+    case "extreme-heat":     return `high > ${t(h3)}°F`;
+    default:                 return "";
+  }
+}
+
+function utciScoreHigh(high, profile = comfortProfile) {
+  const [h0, h1, h2, h3] = profile.heat;
+  if (high > h3) return 0;   // Extreme heat — eliminates start date unless penalized
+  if (high > h2) return 2;   // Very Strong heat
+  if (high > h1) return 5;   // Strong heat
+  if (high > h0) return 8;   // Moderate heat
+  return 10;                     // Comfort zone
+}
+
+function utciScoreLow(low, profile = comfortProfile) {
+  const [c0, c1, c2, c3] = profile.cold;
+  if (low < c3) return 0;   // Extreme cold — eliminates start date unless penalized
+  if (low < c2) return 2;   // Very Strong cold
+  if (low < c1) return 5;   // Strong cold
+  if (low < c0) return 8;   // Moderate cold
+  return 10;                    // Comfort zone
+}
+
+// How far into its tier a day sits (0 at the comfort side, ~1 at the next tier).
+function utciHeatDepth(score, high, profile = comfortProfile) {
+  const [h0, h1, h2, h3] = profile.heat;
+  if (score === 8) return (high - h0 - 1) / (h1 - h0);
+  if (score === 5) return (high - h1 - 1) / (h2 - h1);
+  if (score === 2) return (high - h2 - 1) / (h3 - h2);
+  return 0;
+}
+
+function utciColdDepth(score, low, profile = comfortProfile) {
+  const [c0, c1, c2, c3] = profile.cold;
+  if (score === 8) return (c0 - low) / (c0 - c1);
+  if (score === 5) return (c1 - low) / (c1 - c2);
+  if (score === 2) return (c2 - low) / (c2 - c3);
+  return 0;
+}
+
+/**
+ * A day's 0–10 comfort score from its high and low tier scores, weighted by
+ * the profile's heat weight. Returns null when the day is extreme and the
+ * profile eliminates extreme days.
+ */
+function utciDayScore(highScore, lowScore, profile = comfortProfile) {
+  if ((highScore === 0 || lowScore === 0) && profile.extremes !== "penalize") return null;
+  return (highScore * profile.heatWeight + lowScore * (100 - profile.heatWeight)) / 100;
+}
+
+/** A day score less the profile's rainy-day penalty for its chance of rain (0–1), floored at 0. */
+function applyWetPenalty(score, rainChance, profile = comfortProfile) {
+  if (!profile.wetPenalty || !Number.isFinite(rainChance)) return score;
+  return Math.max(0, score - profile.wetPenalty * rainChance);
+}
+
+function scoreToHeatCat(score) {
+  if (score === 8) return "moderate-heat";
+  if (score === 5) return "strong-heat";
+  if (score === 2) return "very-strong-heat";
+  return "extreme-heat";
+}
+
+function scoreToColdCat(score) {
+  if (score === 8) return "moderate-cold";
+  if (score === 5) return "strong-cold";
+  if (score === 2) return "very-strong-cold";
+  return "extreme-cold";
+}
+
+/**
+ * Assigns a hiking day to one of 9 UTCI thermal categories.
+ * Extreme days (score 0) only reach here when the comfort profile penalizes them;
+ * otherwise runBestStartShared has already eliminated the start.
+ */
+function utciCategoryDay(highScore, lowScore, high, low) {
+  if (highScore === 10 && lowScore === 10) return "comfort";
+  if (highScore === 0) return "extreme-heat";
+  if (lowScore  === 0) return "extreme-cold";
+  if (highScore < lowScore) return scoreToHeatCat(highScore);
+  if (lowScore  < highScore) return scoreToColdCat(lowScore);
+  const hd = utciHeatDepth(highScore, high);
+  const cd = utciColdDepth(lowScore,  low);
+  if (hd > cd) return scoreToHeatCat(highScore);
+  if (cd > hd) return scoreToColdCat(lowScore);
+  return scoreToHeatCat(highScore);  // true tie: assign heat
+}
+
+/**
+ * The temperatures a day is scored on: UTCI (°F) for the high and low when
+ * air temperature, humidity and wind are all present, else the apparent
+ * high/low as a proxy.
+ * w — { hi, lo, rhHigh, rhLow, ws, high, low }
+ * Returns { high, low, utci } (utci true when computed) or null when neither is available.
+ */
+function thermalDayTemps(w, lat, dayIndex) {
+  const utci = utciForDay(w, lat, dayIndex);
+  if (utci) return { ...utci, utci: true };
+  if (!Number.isFinite(w.appHigh) || !Number.isFinite(w.appLow)) return null;
+  return { high: w.appHigh, low: w.appLow, utci: false };
+}
+
+/** thermalDayTemps() for one day of a getNormals() record { hi, lo, app_hi, app_lo, rh_hi, rh_lo, ws }. */
+function thermalDayTempsFromNormals(normals, idx, lat) {
+  const pick = (arr) => (Number.isFinite(arr?.[idx]) ? arr[idx] : null);
+  return thermalDayTemps({
+    hi:      pick(normals.hi),     lo:     pick(normals.lo),
+    rhHigh:  pick(normals.rh_hi),  rhLow:  pick(normals.rh_lo),
+    ws:      pick(normals.ws),
+    appHigh: pick(normals.app_hi), appLow: pick(normals.app_lo)
+  }, lat, idx);
+}
+
+/**
+ * Count UTCI thermal comfort categories across all hike points.
+ * hikePoints  — [{date, point}, ...]
+ * getNormals  — (point) => {hi, lo, app_hi, app_lo, rh_hi, rh_lo, ws: [365]} | null
+ * Returns an object with day counts for each of the 9 UTCI categories.
+ */
+function computeUtciCounts(hikePoints, getNormals) {
+  const counts = {
+    "extreme-cold": 0, "very-strong-cold": 0, "strong-cold": 0, "moderate-cold": 0,
+    "comfort": 0,
+    "moderate-heat": 0, "strong-heat": 0, "very-strong-heat": 0, "extreme-heat": 0
+  };
+  for (const { date, point } of hikePoints) {
+    const normals = getNormals(point);
+    if (!normals) continue;
+    const idx   = dayIndexFromMonthDay(toISODate(date).slice(5));
+    const temps = thermalDayTempsFromNormals(normals, idx, point.lat);
+    if (temps) counts[utciCategoryFor(temps.high, temps.low)]++;
+  }
+  return counts;
+}
+
+/**
+ * UTCI category for one day's scored high/low (UTCI, or apparent as the proxy),
+ * or null when either value is missing.
+ */
+function utciCategoryFor(high, low) {
+  if (!Number.isFinite(high) || !Number.isFinite(low)) return null;
+  return utciCategoryDay(utciScoreHigh(high), utciScoreLow(low), high, low);
+}
+
+/**
+ * One row of the day-by-day itinerary table.
+ * day — a hike point from buildItinerary(): { date, point, dayType, hikeMile, dayMiles, ... }
+ * rec — that day's normals: { avgHigh, avgLow, appHigh, appLow, rhHigh, rhLow, utciHigh, utciLow,
+ *       rainChance, precipIn, snowCover, snowDepthIn } | null
+ *       utciHigh / utciLow are null when the day falls back to the apparent proxy;
+ *       rainChance (0–1) and precipIn are null without precipitation normals,
+ *       snowCover (0–1) and snowDepthIn without snow-depth normals.
+ * Sunrise, sunset and daylightHours come from the day's point and date, with or without normals.
+ */
+function itineraryRow(day, rec) {
+  const utciHigh = rec?.utciHigh ?? null, utciLow = rec?.utciLow ?? null;
+  const sun = day.point ? sunTimes(day.date, Number(day.point.lat), Number(day.point.lon)) : null;
+  return {
+    ...day,
+    avgHigh: rec?.avgHigh ?? null, avgLow: rec?.avgLow ?? null,
+    appHigh: rec?.appHigh ?? null, appLow: rec?.appLow ?? null,
+    rhHigh:  rec?.rhHigh  ?? null, rhLow:  rec?.rhLow  ?? null,
+    utciHigh, utciLow,
+    rainChance: rec?.rainChance ?? null, precipIn: rec?.precipIn ?? null,
+    snowCover:  rec?.snowCover  ?? null, snowDepthIn: rec?.snowDepthIn ?? null,
+    sunrise: sun?.sunrise ?? null, sunset: sun?.sunset ?? null, daylightHours: sun?.daylightHours ?? null,
+    category: rec ? utciCategoryFor(utciHigh ?? rec.appHigh, utciLow ?? rec.appLow) : null
+  };
+}
+
+/**
+ * Itinerary table rows for every hike point, read from the same normals lookup
+ * passed to computeUtciCounts() so row categories add up to the profile counts.
+ */
+function buildItineraryRows(hikePoints, getNormals) {
+  return hikePoints.map(day => {
+    const normals = getNormals(day.point);
+    if (!normals) return itineraryRow(day, null);
+    const idx  = dayIndexFromMonthDay(toISODate(day.date).slice(5));
+    const pick = (arr) => (Number.isFinite(arr?.[idx]) ? arr[idx] : null);
+    const temps = thermalDayTempsFromNormals(normals, idx, day.point.lat);
+    return itineraryRow(day, {
+      avgHigh: pick(normals.hi),     avgLow: pick(normals.lo),
+      appHigh: pick(normals.app_hi), appLow: pick(normals.app_lo),
+      rhHigh:  pick(normals.rh_hi),  rhLow:  pick(normals.rh_lo),
+      utciHigh: temps?.utci ? temps.high : null, utciLow: temps?.utci ? temps.low : null,
+      rainChance: pick(normals.pr_prob), precipIn: pick(normals.pr),
+      snowCover:  pick(normals.snow_cover), snowDepthIn: pick(normals.snow)
+    });
+  });
+}
+
+const WETTEST_STRETCH_DAYS = 7;
+
+/**
+ * Rain along the itinerary, from each row's rainChance / precipIn.
+ * Travel days are off trail and left out.
+ * Returns null without precipitation normals, else
+ * { rainyDays, days, precipIn, wettest: { from, to, rainyDays } } — rainyDays is
+ * the expected count (sum of daily chances); wettest is the rainiest
+ * WETTEST_STRETCH_DAYS-day window, as indexes into rows.
+ */
+function summarizeWetDays(rows) {
+  const onTrail = (r) => r.dayType !== "travel" && Number.isFinite(r.rainChance);
+  const chances = (rows || []).map(r => (onTrail(r) ? r.rainChance : 0));
+  const days = (rows || []).filter(onTrail);
+  if (!days.length) return null;
+
+  const span = Math.min(WETTEST_STRETCH_DAYS, rows.length);
+  let windowSum = chances.slice(0, span).reduce((a, v) => a + v, 0);
+  let best = { from: 0, sum: windowSum };
+  for (let i = span; i < rows.length; i++) {
+    windowSum += chances[i] - chances[i - span];
+    if (windowSum > best.sum + 1e-9) best = { from: i - span + 1, sum: windowSum };
+  }
+
+  return {
+    rainyDays: days.reduce((a, r) => a + r.rainChance, 0),
+    days:      days.length,
+    precipIn:  days.reduce((a, r) => a + (r.precipIn ?? 0), 0),
+    wettest:   { from: best.from, to: best.from + span - 1, rainyDays: best.sum }
+  };
+}
+
+/** "Expected rainy days" block for the duration output, or "" without precipitation normals. */
+function renderWetDaysBlock(rows, formatLocation) {
+  const wet = summarizeWetDays(rows);
+  if (!wet) return "";
+  const md = (d) => d.toLocaleDateString(undefined, { month: "short", day: "numeric" });
+  const from = rows[wet.wettest.from], to = rows[wet.wettest.to];
+  const share = Math.round((wet.rainyDays / wet.days) * 100);
+  return `
+    <h3>Rain on Trail</h3>
+    <p style="margin:0 0 6px;">Expected rainy days on trail: <strong>${Math.round(wet.rainyDays)}</strong> of ${wet.days} days (${share}%), about ${wet.precipIn.toFixed(1)} in of rain in total.</p>
+    <p style="margin:0 0 6px;"><strong>Wettest stretch:</strong> ${md(from.date)} \u2013 ${md(to.date)}, ${formatLocation(from)} to ${formatLocation(to)} \u2014 ${wet.wettest.rainyDays.toFixed(1)} of ${wet.wettest.to - wet.wettest.from + 1} days expected to be rainy.</p>
+    <p style="margin:0 0 12px; font-size:0.85rem; color:#555;">A rainy day has at least 0.04 in of precipitation in the normals years.</p>`;
+}
+
+// A date is typically snow-covered when most normals years had 1 in or more of snow on the ground.
+const SNOW_COVER_LIKELY = 0.5;
+
+/** True when a point's normals say it is typically snow-covered on day-of-year idx. */
+function isTypicallySnowCovered(normals, idx) {
+  const cover = normals?.snow_cover?.[idx];
+  return Number.isFinite(cover) && cover >= SNOW_COVER_LIKELY;
+}
+
+/**
+ * Runs of consecutive on-trail days that are typically snow-covered, from each
+ * row's snowCover / snowDepthIn. Travel days neither count nor break a run.
+ * Returns null without snow-depth normals, else [{ from, to, days, maxDepthIn }]
+ * with from / to as indexes into rows.
+ */
+function summarizeSnowStretches(rows) {
+  if (!(rows || []).some(r => Number.isFinite(r.snowCover))) return null;
+  const stretches = [];
+  let cur = null;
+  rows.forEach((r, i) => {
+    if (r.dayType === "travel") return;
+    if (Number.isFinite(r.snowCover) && r.snowCover >= SNOW_COVER_LIKELY) {
+      if (!cur) stretches.push(cur = { from: i, to: i, days: 0, maxDepthIn: 0 });
+      cur.to = i;
+      cur.days++;
+      cur.maxDepthIn = Math.max(cur.maxDepthIn, r.snowDepthIn ?? 0);
+    } else {
+      cur = null;
+    }
+  });
+  return stretches;
+}
+
+/** "Snow on Trail" warning for the duration output, or "" when no day is typically snow-covered. */
+function renderSnowWarningBlock(rows, formatLocation) {
+  const stretches = summarizeSnowStretches(rows);
+  if (!stretches?.length) return "";
+  const md = (d) => d.toLocaleDateString(undefined, { month: "short", day: "numeric" });
+  const total = stretches.reduce((a, s) => a + s.days, 0);
+  const items = stretches.map(s => {
+    const from = rows[s.from], to = rows[s.to];
+    const when  = s.from === s.to ? md(from.date) : `${md(from.date)} \u2013 ${md(to.date)}`;
+    const where = s.from === s.to ? formatLocation(from) : `${formatLocation(from)} to ${formatLocation(to)}`;
+    return `<li>${when}: ${where} \u2014 ${s.days} day${s.days === 1 ? "" : "s"}, typically up to ${Math.round(s.maxDepthIn)} in deep</li>`;
+  }).join("");
+  return `
+    <h3 style="color:#2b5d8a;">Snow on Trail</h3>
+    <p style="margin:0 0 6px;"><strong>${total}</strong> trail day${total === 1 ? "" : "s"} reach points that are typically snow-covered on that date. Expect snow travel, and check current snowpack before you go.</p>
+    <ul style="margin:0 0 6px;">${items}</ul>
+    <p style="margin:0 0 12px; font-size:0.85rem; color:#555;">Typically snow-covered: at least 1 in of snow on the ground in most of the normals years.</p>`;
+}
+
+/* -------------------------------------------------------
+   10th / 90th percentile temperatures
+   The generators store *_p10 / *_p90 arrays next to each
+   mean (hi_app_p10 …); loaders keep them under the app.js
+   names so percentilesAt() reads any trail's normals.
+   Normals generated before then have none until
+   scripts/patch-percentile-normals.js runs for the trail;
+   the typical-range rows and note are simply left out.
+------------------------------------------------------- */
+
+const PERCENTILE_FIELDS = [
+  ["hi_p10", "hi_p10"], ["hi_p90", "hi_p90"],
+  ["lo_p10", "lo_p10"], ["lo_p90", "lo_p90"],
+  ["hi_app_p10", "app_hi_p10"], ["hi_app_p90", "app_hi_p90"],
+  ["lo_app_p10", "app_lo_p10"], ["lo_app_p90", "app_lo_p90"]
+];
+
+/** The percentile arrays of a historical_weather.json record (raw or app.js names), under app.js names. */
+function percentileNormals(p) {
+  const out = {};
+  for (const [raw, key] of PERCENTILE_FIELDS) {
+    const arr = p?.[raw] ?? p?.[key];
+    if (Array.isArray(arr)) out[key] = arr;
+  }
+  return out;
+}
+
+/** Linear-interpolated quantile q (0–1) of an array of numbers, or null when it has none. */
+function quantile(values, q) {
+  const sorted = (values || []).filter(Number.isFinite).sort((a, b) => a - b);
+  if (!sorted.length) return null;
+  const pos = (sorted.length - 1) * q;
+  const i   = Math.floor(pos);
+  return i + 1 < sorted.length ? sorted[i] + (sorted[i + 1] - sorted[i]) * (pos - i) : sorted[i];
+}
+
+/**
+ * 10th / 90th percentile temperatures of a getNormals() record on day-of-year idx:
+ * { hiP10, hiP90, loP10, loP90, appHiP10, appHiP90, appLoP10, appLoP90 }, each null when missing.
+ * appShift — { high, low } °F added to the apparent values, for trails that
+ * elevation-correct their apparent means.
+ */
+function percentilesAt(normals, idx, appShift = null) {
+  const high = Number.isFinite(appShift?.high) ? appShift.high : 0;
+  const low  = Number.isFinite(appShift?.low)  ? appShift.low  : 0;
+  const pick = (arr, shift = 0) => (Number.isFinite(arr?.[idx]) ? arr[idx] + shift : null);
+  return {
+    hiP10:    pick(normals?.hi_p10),           hiP90:    pick(normals?.hi_p90),
+    loP10:    pick(normals?.lo_p10),           loP90:    pick(normals?.lo_p90),
+    appHiP10: pick(normals?.app_hi_p10, high), appHiP90: pick(normals?.app_hi_p90, high),
+    appLoP10: pick(normals?.app_lo_p10, low),  appLoP90: pick(normals?.app_lo_p90, low)
+  };
+}
+
+/**
+ * percentilesAt() for the weather tool, from its pooled daily Open-Meteo values
+ * (arrays keyed by daily variable name, e.g. temperature_2m_max).
+ */
+function percentilesFromBuckets(buckets) {
+  return {
+    hiP10:    quantile(buckets.temperature_2m_max, 0.1),       hiP90:    quantile(buckets.temperature_2m_max, 0.9),
+    loP10:    quantile(buckets.temperature_2m_min, 0.1),       loP90:    quantile(buckets.temperature_2m_min, 0.9),
+    appHiP10: quantile(buckets.apparent_temperature_max, 0.1), appHiP90: quantile(buckets.apparent_temperature_max, 0.9),
+    appLoP10: quantile(buckets.apparent_temperature_min, 0.1), appLoP90: quantile(buckets.apparent_temperature_min, 0.9)
+  };
+}
+
+/** "20–52 °F" for a 10th–90th percentile pair, or "—" when either end is missing. */
+function fmtTempRange(p10, p90) {
+  if (!Number.isFinite(p10) || !Number.isFinite(p90)) return "\u2014";
+  return `${Math.round(p10)}\u2013${Math.round(p90)} \u00b0F`;
+}
+
+/**
+ * Table rows showing the 10th–90th percentile high and low ranges of a record
+ * from percentilesAt() / percentilesFromBuckets(), laid out under the
+ * Actual / Apparent / Rel. Humidity columns. "" when the record has no percentiles.
+ * appShift — { high, low } °F added to the apparent ranges (see percentilesAt()).
+ */
+function percentileRangeRows(rec, appShift = null) {
+  if (!Number.isFinite(rec?.hiP10) && !Number.isFinite(rec?.loP10)) return "";
+  const high = Number.isFinite(appShift?.high) ? appShift.high : 0;
+  const low  = Number.isFinite(appShift?.low)  ? appShift.low  : 0;
+  const shifted = (v, d) => (Number.isFinite(v) ? v + d : null);
+  return `
+      <tr><th>High, typical range</th><td>${fmtTempRange(rec.hiP10, rec.hiP90)}</td><td>${fmtTempRange(shifted(rec.appHiP10, high), shifted(rec.appHiP90, high))}</td><td></td></tr>
+      <tr><th>Low, typical range</th><td>${fmtTempRange(rec.loP10, rec.loP90)}</td><td>${fmtTempRange(shifted(rec.appLoP10, low), shifted(rec.appLoP90, low))}</td><td></td></tr>`;
+}
+
+/** Note under a table with percentileRangeRows(), calling out the cold tail for sleep-system sizing. */
+function percentileRangeNote(rec, appShift = null) {
+  if (!Number.isFinite(rec?.loP10)) return "";
+  const appLow = Number.isFinite(rec.appLoP10) ? rec.appLoP10 + (Number.isFinite(appShift?.low) ? appShift.low : 0) : null;
+  const feels  = Number.isFinite(appLow) ? ` (feels like ${fmtTemp(appLow)})` : "";
+  return `<p style="margin:4px 0 0; font-size:0.85rem; color:#555;">Typical range: the middle 80% of days (10th\u201390th percentile). One night in ten drops to ${fmtTemp(rec.loP10)}${feels} or colder \u2014 size your sleep system for that, not the average.</p>`;
+}
+
+/** True when a row's planned miles take longer than its daylight at mph. */
+function exceedsDaylight(row, mph) {
+  return row.dayType !== "travel" && row.daylightHours != null && row.dayMiles > 0 &&
+    row.dayMiles / mph > row.daylightHours + 0.05;
+}
+
+/**
+ * Daylight along the itinerary at walking speed mph.
+ * Returns null without trail positions, else { shortest, longest, over, capped }:
+ * the rows with the least and most daylight, the rows whose planned miles take
+ * longer than their daylight, and the rows the daylight cap shortened.
+ */
+function summarizeDaylight(rows, mph) {
+  const lit = (rows || []).filter(r => r.daylightHours != null);
+  if (!lit.length) return null;
+  return {
+    shortest: lit.reduce((a, r) => (r.daylightHours < a.daylightHours ? r : a)),
+    longest:  lit.reduce((a, r) => (r.daylightHours > a.daylightHours ? r : a)),
+    over:     lit.filter(r => exceedsDaylight(r, mph)),
+    capped:   lit.filter(r => r.daylightCapped)
+  };
+}
+
+/**
+ * "Daylight on Trail" block for the duration output.
+ * daylight  — plan.daylight { mph, cap }
+ * addedDays — days the daylight cap added to the plan's duration
+ */
+function renderDaylightBlock(rows, formatLocation, daylight, addedDays = 0) {
+  const sum = summarizeDaylight(rows, daylight.mph);
+  if (!sum) return "";
+  const md = (d) => d.toLocaleDateString(undefined, { month: "short", day: "numeric" });
+  const { shortest, longest, over, capped } = sum;
+  const plural = (n, word) => `${n} ${word}${n === 1 ? "" : "s"}`;
+
+  const overHtml = over.length
+    ? `<p style="margin:0 0 6px; color:#b00000;"><strong>${plural(over.length, "day")}</strong> plan more miles than fit in daylight at ${daylight.mph} mph \u2014 the first is ${md(over[0].date)} at ${formatLocation(over[0])}: ${fmtMile(over[0].dayMiles)} mi needs ${fmtHours(over[0].dayMiles / daylight.mph)} of walking with ${fmtHours(over[0].daylightHours)} of daylight. Flagged days are marked in the itinerary.</p>`
+    : `<p style="margin:0 0 6px;">Every day's planned miles fit in daylight at ${daylight.mph} mph.</p>`;
+  const capHtml = capped.length
+    ? `<p style="margin:0 0 6px;">The daylight cap shortened ${plural(capped.length, "day")}${addedDays > 0 ? `, adding ${plural(addedDays, "day")} to the hike` : ""}.</p>`
+    : "";
+
+  return `
+    <h3>Daylight on Trail</h3>
+    <p style="margin:0 0 6px;">Daylight ranges from <strong>${fmtHours(shortest.daylightHours)}</strong> (${md(shortest.date)}, ${formatLocation(shortest)}) to <strong>${fmtHours(longest.daylightHours)}</strong> (${md(longest.date)}, ${formatLocation(longest)}).</p>
+    ${overHtml}
+    ${capHtml}
+    <p style="margin:0 0 12px; font-size:0.85rem; color:#555;">Daylight is sunrise to sunset; breaks are not counted, so leave some margin.</p>`;
+}
+
+function itineraryDayLabel(row) {
+  if (row.dayType === "zero")   return "Zero";
+  if (row.dayType === "nero")   return `Nero (${fmtMile(row.dayMiles)} mi)`;
+  if (row.dayType === "travel") return "Travel";
+  return `${fmtMile(row.dayMiles)} mi`;
+}
+
+/**
+ * Day-by-day itinerary table, collapsed by default, with a UTCI category filter.
+ * opts — { mph, timeZoneOf }: walking speed for the daylight flag, and
+ *        (point) => IANA time zone for sunrise / sunset (the browser's when undefined)
+ * Day numbers count from the start date, so they skip days left out of the
+ * itinerary (AT flip-flop travel).
+ * Returns an HTML string; call wireItineraryFilter() once it is in the DOM.
+ */
+function renderItineraryTable(rows, formatLocation, { mph = DEFAULT_WALKING_MPH, timeZoneOf = () => undefined } = {}) {
+  if (!rows?.length) return "";
+  const present = UTCI_CATEGORIES.filter(c => rows.some(r => r.category === c.key));
+  const options = present.map(c =>
+    `<option value="${c.key}">${c.label} (${rows.filter(r => r.category === c.key).length})</option>`
+  ).join("");
+  const styleOf = Object.fromEntries(UTCI_CATEGORIES.map(c => [c.key, c]));
+  const hasRain = rows.some(r => r.rainChance != null);
+  const hasSnow = rows.some(r => r.snowCover != null);
+  const daylightCell = (r) => {
+    if (exceedsDaylight(r, mph)) {
+      return `<td style="color:#b00000; font-weight:600;" title="${fmtMile(r.dayMiles)} mi needs ${fmtHours(r.dayMiles / mph)} at ${mph} mph">${fmtHours(r.daylightHours)} \u26a0</td>`;
+    }
+    return `<td${r.daylightCapped ? ` title="Shortened to fit in daylight"` : ""}>${fmtHours(r.daylightHours)}${r.daylightCapped ? " \u263c" : ""}</td>`;
+  };
+
+  const body = rows.map(r => {
+    const cat = styleOf[r.category];
+    const niceDate = r.date.toLocaleDateString(undefined, { weekday: "short", month: "short", day: "numeric" });
+    return `<tr data-utci="${r.category || ""}">
+        <td>${r.dayIndex + 1}</td>
+        <td>${niceDate}</td>
+        <td>${itineraryDayLabel(r)}</td>
+        <td>${r.hikeMile != null ? fmtMile(r.hikeMile) : "\u2014"}</td>
+        <td style="text-align:left;">${formatLocation(r)}</td>
+        <td>${fmtTemp(r.avgHigh)} / ${fmtTemp(r.avgLow)}</td>
+        <td>${fmtTemp(r.appHigh)} / ${fmtTemp(r.appLow)}</td>
+        <td>${r.utciHigh != null ? `${fmtTemp(r.utciHigh)} / ${fmtTemp(r.utciLow)}` : "\u2014"}</td>
+        <td>${fmtRh(r.rhHigh)} / ${fmtRh(r.rhLow)}</td>
+        <td>${r.sunrise ? `${fmtClock(r.sunrise, timeZoneOf(r.point))} / ${fmtClock(r.sunset, timeZoneOf(r.point))}` : "\u2014"}</td>
+        ${daylightCell(r)}
+        ${hasRain ? `<td>${r.rainChance != null ? Math.round(r.rainChance * 100) + "%" : "\u2014"}</td>` : ""}${hasSnow ? `
+        <td>${r.snowCover != null ? Math.round(r.snowCover * 100) + "%" : "\u2014"}</td>` : ""}
+        <td${cat ? ` style="${cat.style}"` : ""}>${cat ? cat.label : "\u2014"}</td>
+      </tr>`;
+  }).join("");
+
+  return `
+    <details class="itinerary-block">
+      <summary>Day-by-Day Itinerary (${rows.length} days)</summary>
+      <label class="itinerary-filter">Show:
+        <select id="durItineraryFilter">
+          <option value="">All days</option>
+          ${options}
+        </select>
+      </label>
+      <div style="overflow-x:auto;">
+        <table id="durItineraryTable" class="itinerary-table">
+          <tr>
+            <th>Day</th><th>Date</th><th>Plan</th><th>Hike Mile</th><th>Location</th>
+            <th>Normal Hi / Lo</th><th>Apparent Hi / Lo</th><th>UTCI Hi / Lo</th><th>RH Hi / Lo</th><th>Sunrise / Sunset</th><th>Daylight</th>${hasRain ? "<th>Rain Chance</th>" : ""}${hasSnow ? "<th>Snow Cover</th>" : ""}<th>UTCI Category</th>
+          </tr>
+          ${body}
+        </table>
+      </div>
+    </details>`;
+}
+
+function wireItineraryFilter() {
+  const select = el("durItineraryFilter");
+  const table  = el("durItineraryTable");
+  if (!select || !table) return;
+  select.addEventListener("change", () => {
+    table.querySelectorAll("tr[data-utci]").forEach(tr => {
+      tr.style.display = !select.value || tr.dataset.utci === select.value ? "" : "none";
+    });
+  });
+}
+
+/**
+ * Unified output renderer for the duration/BestStart calculator section.
+ * Replaces per-trail renderDurExtremesBlocks.
+ *
+ * hottest / coldest — rec objects: { date, point, avgHigh, avgLow, appHigh, appLow, rhHigh, rhLow }
+ *                     plus percentilesAt() fields when the normals carry percentiles
+ * opts:
+ *   startDate      — Date or null
+ *   endDate        — Date or null
+ *   distanceMiles  — number or null
+ *   durationDays   — number or null; with the daylight cap on, end date and duration
+ *                    stretch to the itinerary's last day
+ *   startDateLabel — string (default "Start Date"; may contain HTML e.g. "<em>BestStart!</em> Date")
+ *   utciCounts     — counts object or null (shows "—" when null)
+ *   formatLocation — (rec) => string  — trail-specific location label
+ *   timeZoneOf     — optional (point) => IANA time zone for sunrise / sunset times
+ *   durationNote   — optional HTML string shown below duration row (e.g. NTT travel days)
+ *   warningHtml    — optional HTML string shown below duration table (e.g. AT Katahdin warning)
+ *   plan           — optional plan from readPlanOptions(); labels section hikes, pace profiles and rest days
+ *   itinerary      — optional rows from buildItineraryRows(); adds the day-by-day table, and the
+ *                    GPX / calendar downloads once the page has called initPlanExports()
+ *   ranking        — optional ranking from runBestStartShared(); adds the top-10 table and score curve
+ *   milestones     — optional [{ date, kind, summary, description }] trail-specific calendar events
+ *                    (e.g. AT Katahdin), added to the route's state lines and travel days
+ */
+function renderDurExtremesBlocksShared(hottest, coldest, opts = {}) {
+  const {
+    startDate      = null,
+    distanceMiles  = null,
+    startDateLabel = "Start Date",
+    utciCounts     = null,
+    formatLocation = (rec) => rec.point?.id || "Unknown",
+    timeZoneOf     = () => undefined,
+    durationNote   = "",
+    warningHtml    = "",
+    plan           = null,
+    itinerary      = null,
+    ranking        = null,
+    milestones     = []
+  } = opts;
+  let { endDate = null, durationDays = null } = opts;
+
+  // The daylight cap can stretch the hike past the planned duration
+  const daylight  = plan?.daylight || { mph: DEFAULT_WALKING_MPH, cap: false };
+  const lastDay   = itinerary?.[itinerary.length - 1];
+  const addedDays = daylight.cap && lastDay && durationDays != null ? Math.max(0, lastDay.dayIndex + 1 - durationDays) : 0;
+  if (addedDays && startDate) {
+    durationDays += addedDays;
+    endDate = addDays(startDate, durationDays - 1);
+  }
+
+  // Clear legacy divs
+  setHtmlIfExists("durExtremesCold", "");
+  if (el("durResult"))       el("durResult").innerHTML       = "";
+  if (el("bestStartResult")) el("bestStartResult").innerHTML = "";
+
+  if (!hottest || !coldest) {
+    lastEstimatedPlan = null;
+    lastExportPlan    = null;
+    setHtmlIfExists("durExtremesHot", "<p>Temperature extremes unavailable \u2014 historical normals not loaded.</p>");
     return;
   }
+  noteEstimatedPlan({ hottest, coldest, startDate, endDate, durationDays, distanceMiles, utciCounts, plan, formatLocation });
+
+  // 1. Duration summary table
+  const startStr = startDate
+    ? startDate.toLocaleDateString(undefined, { year: "numeric", month: "long", day: "numeric" }) : "\u2014";
+  const endStr = endDate
+    ? endDate.toLocaleDateString(undefined, { year: "numeric", month: "long", day: "numeric" }) : "\u2014";
+
+  const planHtml = [
+    plan?.section     ? `<strong>Section Hike:</strong> ${plan.section.fromLabel} \u2192 ${plan.section.toLabel}` : "",
+    plan?.paceSummary ? `<strong>Pace Profile:</strong> ${plan.paceSummary}` : "",
+    plan?.restSummary ? `<strong>Zero / Nero Days:</strong> ${plan.restSummary}` : "",
+    plan?.daylightSummary ? `<strong>Daylight:</strong> ${plan.daylightSummary}` : "",
+    plan?.replaySummary ? `<strong>Replay Year:</strong> ${plan.replaySummary}` : "",
+    plan?.riskSummary ? `<strong>Risk Estimate:</strong> ${plan.riskSummary}` : "",
+    plan?.comfortSummary ? `<strong>Comfort Profile:</strong> ${plan.comfortSummary}` : "",
+    ranking && plan?.constraintSummary ? `<strong><em>BestStart!</em> Constraints:</strong> ${plan.constraintSummary}` : "",
+    ranking?.paceSearch && plan?.paceRangeSummary
+      ? `<strong><em>BestStart!</em> Pace Range:</strong> ${plan.paceRangeSummary}; best at ${ranking.paceSearch.bestMpd} miles/day` : ""
+  ].filter(Boolean).map(line => `<p style="margin:0 0 6px;">${line}</p>`).join("");
+
+  const durHtml = `${planHtml}
+    <table style="width:100%; margin-bottom:4px;">
+      <tr>
+        <th style="width:25%;">${startDateLabel}</th>
+        <th style="width:25%;">Estimated End Date</th>
+        <th style="width:25%;">Distance</th>
+        <th style="width:25%;">Estimated Duration</th>
+      </tr>
+      <tr>
+        <td>${startStr}</td>
+        <td>${endStr}</td>
+        <td>${distanceMiles != null ? fmtMile(distanceMiles) + " miles" : "\u2014"}</td>
+        <td>${durationDays != null ? durationDays + " days" : "\u2014"}</td>
+      </tr>
+    </table>
+    ${durationNote ? `<p style="margin:2px 0 6px; font-size:0.88rem; color:#555;">${durationNote}</p>` : ""}
+    ${warningHtml}`;
+
+  // 2. UTCI thermal comfort profile
+  const headerCells = UTCI_CATEGORIES.map(c =>
+    `<th style="${c.style} padding:5px 8px; font-size:0.78rem; font-weight:600;">${c.label}<br><span style="font-size:0.68rem; font-weight:400; opacity:0.85;">${utciCategoryRange(c.key)}</span></th>`
+  ).join("");
+  const dataCells = UTCI_CATEGORIES.map(c =>
+    `<td style="text-align:center; padding:5px 8px;">${utciCounts ? (utciCounts[c.key] ?? 0) : "\u2014"}</td>`
+  ).join("");
+  const utciHtml = `
+    <h3>Thermal Stress and Comfort Profile: Days on Trail</h3>
+    <p style="margin:0 0 6px; font-size:0.85rem; color:#555;">Categories use UTCI computed from normal temperature, humidity and wind with an estimated sun load; days missing humidity or wind use apparent temperature instead.</p>
+    <div style="overflow-x:auto; margin-bottom:12px;">
+      <table style="border-collapse:collapse; min-width:620px;">
+        <tr>${headerCells}</tr>
+        <tr>${dataCells}</tr>
+      </table>
+    </div>`;
+
+  // 3. Side-by-side extremes
+  function extremeCols(rec) {
+    const niceDate = rec.date.toLocaleDateString(undefined, { year: "numeric", month: "long", day: "numeric" });
+    const location = formatLocation(rec);
+    return `
+      <tr><th>Date</th><td colspan="3">${niceDate}</td></tr>
+      <tr><th>Location</th><td colspan="3">${location}</td></tr>
+      <tr><th></th><th style="background:#f0f0f0;">Actual Temp</th><th style="background:#f0f0f0;">Apparent Temp</th><th style="background:#f0f0f0;">Rel. Humidity</th></tr>
+      <tr><th>Anticipated High</th><td>${fmtTemp(rec.avgHigh)}</td><td>${fmtTemp(rec.appHigh)}</td><td>${fmtRh(rec.rhHigh)}</td></tr>
+      <tr><th>Anticipated Low</th><td>${fmtTemp(rec.avgLow)}</td><td>${fmtTemp(rec.appLow)}</td><td>${fmtRh(rec.rhLow)}</td></tr>${percentileRangeRows(rec)}`;
+  }
+  const extremesHtml = `
+    <div style="display:grid; grid-template-columns:1fr 1fr; gap:16px;">
+      <div>
+        <h3>Hottest Day (Highest Apparent High)</h3>
+        <table>${extremeCols(hottest)}</table>
+      </div>
+      <div>
+        <h3>Coldest Night (Lowest Apparent Low)</h3>
+        <table>${extremeCols(coldest)}</table>
+        ${percentileRangeNote(coldest)}
+      </div>
+    </div>`;
+
+  // 4. Day-by-day itinerary and the snow, rain and daylight summaries read from its rows
+  const itineraryHtml = renderItineraryTable(itinerary, formatLocation, { mph: daylight.mph, timeZoneOf });
+  const snowHtml      = renderSnowWarningBlock(itinerary, formatLocation);
+  const wetHtml       = renderWetDaysBlock(itinerary, formatLocation);
+  const daylightHtml  = renderDaylightBlock(itinerary, formatLocation, daylight, addedDays);
+  const exportHtml    = renderPlanExportButtons(itinerary, { plan, startDate, formatLocation, milestones });
+
+  // 5. Replay year and risk estimate placeholders, filled in by runReplayYear() / runRiskEstimate()
+  const replayHtml = plan?.replayYear
+    ? `<div id="durReplayResult"><p style="margin:0 0 12px;">Fetching ${plan.replayYear} weather along the hike\u2026</p></div>` : "";
+  const riskHtml = plan?.risk
+    ? `<div id="durRiskResult"><p style="margin:0 0 12px;">Fetching historical weather for the risk estimate\u2026</p></div>` : "";
+
+  setHtmlIfExists("durExtremesHot", durHtml + renderBestStartRanking(ranking) + utciHtml + snowHtml + wetHtml + daylightHtml + extremesHtml + replayHtml + riskHtml + exportHtml + itineraryHtml);
+  wireItineraryFilter();
+  wirePlanExportButtons();
+}
+
+/* -------------------------------------------------------
+   Replay year (Tool A)
+   Moves the planned hike to the same dates in a past year
+   and reads each day's actual weather from the Open-Meteo
+   archive at that day's point, through the trail's own
+   fetchHistorical(). Open a trail page with ?archive=mock to
+   work offline: archive responses are then synthesized from
+   the point's normals with a repeatable per-date offset.
+   Points are grouped by archive grid cell, one request per
+   cell. Long hikes widen the cells toward
+   REPLAY_TARGET_REQUESTS of them, but never past
+   REPLAY_MAX_CELL_DEG, and the result says when they did.
+------------------------------------------------------- */
+
+const ARCHIVE_FETCH_CONCURRENCY = 4;
+const REPLAY_GRID_DEG           = 0.1; // Open-Meteo archive (ERA5-Land) cells are about 0.1°
+const REPLAY_MAX_CELL_DEG       = 0.5; // widest cell one point's weather stands in for (~35 miles)
+const REPLAY_TARGET_REQUESTS    = 40;
+
+let replayRunId = 0; // a newer Tool A run discards an older replay's results
+
+/** True when the page URL asks for the offline archive mock (?archive=mock). */
+function archiveMockEnabled() {
+  try {
+    return new URLSearchParams(window.location.search).get("archive") === "mock";
+  } catch {
+    return false;
+  }
+}
+
+/** startDate moved to the same month/day in year; Feb 29 becomes Feb 28. */
+function replayStartDate(startDate, year) {
+  const month = startDate.getMonth();
+  return new Date(year, month, Math.min(startDate.getDate(), daysInMonth(month)));
+}
+
+/** Repeatable 0–1 value for a string (FNV-1a hash). */
+function hashUnit(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0) / 0xffffffff;
+}
+
+/**
+ * Offline stand-in for an archive response covering range at point.
+ * Each date gets the normals moved by one offset per point and date, scaled
+ * so ±1.28 spreads (the 10th / 90th percentiles of a normal curve) land on
+ * the p10 / p90 normals where the point has them, else on ±8 °F.
+ */
+function mockArchiveResponse(point, range, normals) {
+  const fields = {
+    temperature_2m_max:       ["hi",     "hi_p10",     "hi_p90"],
+    temperature_2m_min:       ["lo",     "lo_p10",     "lo_p90"],
+    apparent_temperature_max: ["app_hi", "app_hi_p10", "app_hi_p90"],
+    apparent_temperature_min: ["app_lo", "app_lo_p10", "app_lo_p90"]
+  };
+  const daily = { time: [], relative_humidity_2m_max: [], relative_humidity_2m_min: [], windspeed_10m_max: [] };
+  for (const f of Object.keys(fields)) daily[f] = [];
+
+  const [y, m, d] = range.start_date.split("-").map(Number);
+  for (let date = new Date(y, m - 1, d); toISODate(date) <= range.end_date; date = addDays(date, 1)) {
+    const iso = toISODate(date);
+    const idx = dayIndexFromMonthDay(iso.slice(5));
+    const z   = (hashUnit(`${point.id}:${iso}`) - 0.5) * 2 * 1.6;
+    const at  = (key) => (Number.isFinite(normals?.[key]?.[idx]) ? normals[key][idx] : null);
+
+    daily.time.push(iso);
+    for (const [f, [mean, p10, p90]] of Object.entries(fields)) {
+      const base   = at(mean);
+      const spread = at(p10) != null && at(p90) != null ? (at(p90) - at(p10)) / 2.56 : 8 / 1.28;
+      daily[f].push(base != null ? Math.round((base + z * spread) * 10) / 10 : null);
+    }
+    daily.relative_humidity_2m_max.push(at("rh_hi"));
+    daily.relative_humidity_2m_min.push(at("rh_lo"));
+    daily.windspeed_10m_max.push(at("ws"));
+  }
+  return { daily };
+}
+
+/** Runs fn over items with at most limit calls in flight; rejects on the first failure. */
+async function forEachLimited(items, limit, fn) {
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) await fn(items[next++]);
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+}
+
+/** The trail's fetchHistorical(point, range), or the offline mock built from getNormals(point). */
+function fetchArchiveDaily(point, range, fetchHistorical, getNormals) {
+  return archiveMockEnabled()
+    ? Promise.resolve(mockArchiveResponse(point, range, getNormals(point)))
+    : fetchHistorical(point, range);
+}
+
+/** Day i of an archive response's daily arrays as a thermalDayTemps() input. */
+function archiveDayWeather(daily, i) {
+  const num = (arr) => (Number.isFinite(arr?.[i]) ? arr[i] : null);
+  return {
+    hi:      num(daily.temperature_2m_max),       lo:     num(daily.temperature_2m_min),
+    appHigh: num(daily.apparent_temperature_max), appLow: num(daily.apparent_temperature_min),
+    rhHigh:  num(daily.relative_humidity_2m_max), rhLow:  num(daily.relative_humidity_2m_min),
+    ws:      num(daily.windspeed_10m_max)
+  };
+}
+
+/**
+ * Hike points grouped into archive cells of step degrees, starting at
+ * REPLAY_GRID_DEG and doubling, up to REPLAY_MAX_CELL_DEG, until there are
+ * at most REPLAY_TARGET_REQUESTS. A long hike may still need more.
+ * Returns { cells: [{ point, points, start, end }], step } where point is the
+ * cell's first hike point, points every point in it and start/end the ISO
+ * date range the hike spends there.
+ */
+function groupReplayCells(hikePoints) {
+  const located = hikePoints.filter(hp => hp.point);
+  for (let step = REPLAY_GRID_DEG; ; step = Math.min(step * 2, REPLAY_MAX_CELL_DEG)) {
+    const byCell = new Map();
+    for (const { date, point } of located) {
+      const key = `${Math.round(Number(point.lat) / step)}:${Math.round(Number(point.lon) / step)}`;
+      const iso = toISODate(date);
+      const c   = byCell.get(key);
+      if (!c) { byCell.set(key, { point, points: new Map([[point.id, point]]), start: iso, end: iso }); continue; }
+      c.points.set(point.id, point);
+      if (iso < c.start) c.start = iso;
+      if (iso > c.end)   c.end   = iso;
+    }
+    if (byCell.size <= REPLAY_TARGET_REQUESTS || step >= REPLAY_MAX_CELL_DEG) return { cells: [...byCell.values()], step };
+  }
+}
+
+/**
+ * Actual daily weather for every hike point, keyed "<point id>|YYYY-MM-DD".
+ * One archive request per groupReplayCells() cell covers every date the hike
+ * spends in it and is shared by all of the cell's points.
+ * onProgress — (done, total) after each cell's request.
+ */
+async function fetchReplayWeather(cells, fetchHistorical, getNormals, onProgress = () => {}) {
+  const weather = new Map();
+  let done = 0;
+
+  await forEachLimited(cells, ARCHIVE_FETCH_CONCURRENCY, async ({ point, points, start, end }) => {
+    const data  = await fetchArchiveDaily(point, { start_date: start, end_date: end }, fetchHistorical, getNormals);
+    const daily = data?.daily || {};
+    (daily.time || []).forEach((iso, i) => {
+      const day = archiveDayWeather(daily, i);
+      for (const id of points.keys()) weather.set(`${id}|${iso}`, day);
+    });
+    onProgress(++done, cells.length);
+  });
+  return weather;
+}
+
+/**
+ * Hottest day, coldest night and UTCI counts of the replayed hike, scored the
+ * same way as the normals. Returns { hottest, coldest, counts, days, missing }
+ * where missing counts days the archive had no temperatures for.
+ */
+function summarizeReplay(hikePoints, weather) {
+  const counts = Object.fromEntries(UTCI_CATEGORIES.map(c => [c.key, 0]));
+  let hottest = null, coldest = null, missing = 0;
+
+  for (const { date, point } of hikePoints) {
+    const iso = toISODate(date);
+    const w   = point ? weather.get(`${point.id}|${iso}`) : null;
+    if (!w || !Number.isFinite(w.hi) || !Number.isFinite(w.lo)) { missing++; continue; }
+
+    const temps = thermalDayTemps(w, point.lat, dayIndexFromMonthDay(iso.slice(5)));
+    if (temps) counts[utciCategoryFor(temps.high, temps.low)]++;
+
+    const rec = { date, point, avgHigh: w.hi, avgLow: w.lo, appHigh: w.appHigh, appLow: w.appLow, rhHigh: w.rhHigh, rhLow: w.rhLow };
+    const heat = (r) => (Number.isFinite(r.appHigh) ? r.appHigh : r.avgHigh);
+    const cold = (r) => (Number.isFinite(r.appLow)  ? r.appLow  : r.avgLow);
+    if (!hottest || heat(rec) > heat(hottest)) hottest = rec;
+    if (!coldest || cold(rec) < cold(coldest)) coldest = rec;
+  }
+  return { hottest, coldest, counts, days: hikePoints.length, missing };
+}
+
+/** Normals vs replay-year table for #durReplayResult; grouping is groupReplayCells()'s result. */
+function renderReplayComparison(year, normals, replay, formatLocation, grouping) {
+  const md = (d) => d.toLocaleDateString(undefined, { month: "short", day: "numeric" });
+  const extreme = (rec, high) => {
+    if (!rec) return "\u2014";
+    const temp = high ? `${fmtTemp(rec.appHigh)} (actual ${fmtTemp(rec.avgHigh)})` : `${fmtTemp(rec.appLow)} (actual ${fmtTemp(rec.avgLow)})`;
+    return `${md(rec.date)}, ${formatLocation(rec)}<br><strong>${temp}</strong>`;
+  };
+  const categoryRows = UTCI_CATEGORIES.map(c => `
+        <tr><th style="text-align:left;${c.style}">${c.label}</th><td>${normals.utciCounts?.[c.key] ?? 0}</td><td>${replay.counts[c.key] ?? 0}</td></tr>`).join("");
+  const cellNote = `${grouping.cells.length} grid cell${grouping.cells.length === 1 ? "" : "s"} of ${+grouping.step.toFixed(2)}\u00b0`;
+  const widenedNote = grouping.step > REPLAY_GRID_DEG
+    ? ` The archive's own cells are ${REPLAY_GRID_DEG}\u00b0; these were widened to keep the number of requests down, so points up to about ${Math.round(grouping.step * 69)} miles apart share one day's weather.` : "";
+  const missingNote = replay.missing
+    ? ` ${replay.missing} of ${replay.days} days had no archive data and are left out of the ${year} column.` : "";
+
+  return `
+    <h3>Replay: ${year} Weather on the Same Itinerary</h3>
+    <p style="margin:0 0 6px; font-size:0.85rem; color:#555;">Same route and daily miles, started on the same month and day in ${year}. Apparent temperatures are shown with the actual air temperature in parentheses.</p>
+    <div style="overflow-x:auto; margin-bottom:12px;">
+      <table>
+        <tr><th></th><th style="min-width:180px;">Normals</th><th style="min-width:180px;">${year} Actual</th></tr>
+        <tr><th style="text-align:left;">Hottest Day</th><td>${extreme(normals.hottest, true)}</td><td>${extreme(replay.hottest, true)}</td></tr>
+        <tr><th style="text-align:left;">Coldest Night</th><td>${extreme(normals.coldest, false)}</td><td>${extreme(replay.coldest, false)}</td></tr>
+        ${categoryRows}
+      </table>
+    </div>
+    <p style="margin:0 0 12px; font-size:0.85rem; color:#555;">${year} values are Open-Meteo archive daily values with no elevation correction. Hike points are grouped into ${cellNote}, one archive request each, so nearby points share that cell's weather.${widenedNote}${missingNote}${archiveMockEnabled() ? " <strong>Offline mock data (?archive=mock), not real weather.</strong>" : ""}</p>`;
+}
+
+/**
+ * Replays year along the hike and fills #durReplayResult (rendered by
+ * renderDurExtremesBlocksShared() when plan.replayYear is set).
+ * startDate       — the planned start; only its month/day carry over
+ * getHikePoints   — (startDate) => hike points for the current plan
+ * fetchHistorical — the trail's (point, { start_date, end_date }) => archive response
+ * getNormals      — (point) => normals, used by the offline mock
+ * normals         — { hottest, coldest, utciCounts } of the normals-based result
+ */
+async function runReplayYear({ year, startDate, getHikePoints, fetchHistorical, getNormals, formatLocation, normals }) {
+  const runId = ++replayRunId;
+  const box   = () => (runId === replayRunId ? el("durReplayResult") : null);
+
+  const hikePoints = getHikePoints(replayStartDate(startDate, year));
+  if (!hikePoints.length) return;
+
+  try {
+    const grouping = groupReplayCells(hikePoints);
+    const weather  = await fetchReplayWeather(grouping.cells, fetchHistorical, getNormals, (done, total) => {
+      const target = box();
+      if (target) target.innerHTML = `<p style="margin:0 0 12px;">Fetching ${year} weather along the hike\u2026 ${done} of ${total} grid cells.</p>`;
+    });
+    const target = box();
+    if (target) target.innerHTML = renderReplayComparison(year, normals, summarizeReplay(hikePoints, weather), formatLocation, grouping);
+  } catch (err) {
+    console.error("[replay] error:", err);
+    const target = box();
+    if (target) target.innerHTML = `<p style="margin:0 0 12px; color:#b00000;">${year} replay unavailable \u2014 ${err.message}</p>`;
+  }
+}
+
+/* -------------------------------------------------------
+   Risk estimate (Tool A)
+   Monte Carlo over the historical years: each run moves the
+   plan to one year's dates, randomizes the pace around the
+   entered miles per day, and reads that year's archive
+   weather along the way. Weather comes from stations every
+   RISK_STATION_MILES of the route, one archive request each
+   covering all years, so a run costs no network time.
+------------------------------------------------------- */
+
+const RISK_RUNS_PER_YEAR   = 40;
+const RISK_COLD_NIGHT_F    = 20;
+const RISK_HEAT_DAYS       = 5;
+const RISK_HEAT_CATEGORIES = ["strong-heat", "very-strong-heat", "extreme-heat"];
+const RISK_STATION_MILES   = 40;
+const RISK_MAX_STATIONS    = 60;
+
+let riskRunId = 0; // a newer Tool A run discards an older estimate's results
+
+/** Seeded 0–1 generator (mulberry32) so an estimate repeats for the same plan. */
+function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** Standard normal draw from a 0–1 generator (Box–Muller). */
+function gaussianDraw(rng) {
+  return Math.sqrt(-2 * Math.log(1 - rng())) * Math.cos(2 * Math.PI * rng());
+}
+
+/**
+ * A planHikeSchedule() milesPerDay that varies milesPerDay (number or pace
+ * function) by one factor for the whole hike and another for each day, both
+ * normal with standard deviation variation (0.1 = 10%).
+ */
+function jitteredPace(milesPerDay, variation, rng) {
+  const base   = typeof milesPerDay === "function" ? milesPerDay : () => milesPerDay;
+  const factor = Math.max(0.5, 1 + gaussianDraw(rng) * variation);
+  const daily  = [];
+  return (hikeDay, hikeMile) => {
+    while (daily.length <= hikeDay) daily.push(Math.max(0.3, 1 + gaussianDraw(rng) * variation));
+    return base(hikeDay, hikeMile) * factor * daily[hikeDay];
+  };
+}
+
+/** Weather stations along a hike: its first point, then one every RISK_STATION_MILES or more. */
+function riskStations(hikePoints) {
+  const onTrail = hikePoints.filter(d => d.point && d.dayType !== "travel");
+  if (!onTrail.length) return [];
+  const span    = onTrail[onTrail.length - 1].hikeMile - onTrail[0].hikeMile;
+  const spacing = Math.max(RISK_STATION_MILES, span / RISK_MAX_STATIONS);
+  const stations = [];
+  for (const d of onTrail) {
+    if (!stations.length || d.hikeMile - stations[stations.length - 1].hikeMile >= spacing) {
+      stations.push({ hikeMile: d.hikeMile, point: d.point, weather: new Map() });
+    }
+  }
+  return stations;
+}
 
-  // 1. Duration summary table
-  const startStr = startDate
-    ? startDate.toLocaleDateString(undefined, { year: "numeric", month: "long", day: "numeric" }) : "\u2014";
-  const endStr = endDate
-    ? endDate.toLocaleDateString(undefined, { year: "numeric", month: "long", day: "numeric" }) : "\u2014";
+function nearestStation(stations, hikeMile) {
+  let best = stations[0];
+  for (const s of stations) {
+    if (Math.abs(s.hikeMile - hikeMile) < Math.abs(best.hikeMile - hikeMile)) best = s;
+  }
+  return best;
+}
 
-  const durHtml = `
-    <table style="width:100%; margin-bottom:4px;">
-      <tr>
-        <th style="width:25%;">${startDateLabel}</th>
-        <th style="width:25%;">Estimated End Date</th>
-        <th style="width:25%;">Distance</th>
-        <th style="width:25%;">Estimated Duration</th>
-      </tr>
-      <tr>
-        <td>${startStr}</td>
-        <td>${endStr}</td>
-        <td>${distanceMiles != null ? fmtMile(distanceMiles) + " miles" : "\u2014"}</td>
-        <td>${durationDays != null ? durationDays + " days" : "\u2014"}</td>
-      </tr>
+/** Value at quantile q of an ascending array. */
+function sortedQuantile(sorted, q) {
+  return sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+}
+
+/**
+ * Runs the estimate for plan from startDate's month/day in every historical year.
+ * Returns { runs: [{ year, coldNight, heatDays, days }], years, stations } where
+ * days is the hike's length in calendar days.
+ */
+async function simulateRisk({ plan, startDate, getHikePoints, fetchHistorical, getNormals, onProgress = () => {} }) {
+  const years = [];
+  for (let y = REPLAY_FIRST_YEAR; y <= REPLAY_LAST_YEAR; y++) years.push(y);
+
+  const basePoints = getHikePoints(replayStartDate(startDate, years[0]), plan);
+  const stations   = riskStations(basePoints);
+  if (!stations.length) return { runs: [], years, stations: 0 };
+
+  // One range covering every year's hike, with room for slow runs
+  const baseDays = basePoints[basePoints.length - 1].dayIndex + 1;
+  const lastEnd  = addDays(replayStartDate(startDate, years[years.length - 1]), Math.min(400, Math.ceil(baseDays * 1.6) + 14));
+  const range    = {
+    start_date: toISODate(replayStartDate(startDate, years[0])),
+    end_date:   toISODate(new Date(Math.min(lastEnd, addDays(new Date(), -7))))
+  };
+
+  let fetched = 0;
+  await forEachLimited(stations, ARCHIVE_FETCH_CONCURRENCY, async (station) => {
+    const data  = await fetchArchiveDaily(station.point, range, fetchHistorical, getNormals);
+    const daily = data?.daily || {};
+    (daily.time || []).forEach((iso, i) => station.weather.set(iso, archiveDayWeather(daily, i)));
+    onProgress(++fetched, stations.length);
+  });
+
+  const runs = [];
+  for (const year of years) {
+    const rng   = seededRandom(year);
+    const start = replayStartDate(startDate, year);
+    for (let r = 0; r < RISK_RUNS_PER_YEAR; r++) {
+      const hikePoints = getHikePoints(start, { ...plan, milesPerDay: jitteredPace(plan.milesPerDay, plan.risk.paceVariation, rng) });
+      if (!hikePoints.length) continue;
+
+      let coldNight = false, heatDays = 0;
+      for (const { date, point, dayType, hikeMile } of hikePoints) {
+        if (dayType === "travel") continue;
+        const iso = toISODate(date);
+        const w   = nearestStation(stations, hikeMile).weather.get(iso);
+        if (!w || !Number.isFinite(w.hi) || !Number.isFinite(w.lo)) continue;
+        if (w.lo < RISK_COLD_NIGHT_F) coldNight = true;
+        const temps = thermalDayTemps(w, point.lat, dayIndexFromMonthDay(iso.slice(5)));
+        if (temps && RISK_HEAT_CATEGORIES.includes(utciCategoryFor(temps.high, temps.low))) heatDays++;
+      }
+      runs.push({ year, coldNight, heatDays, days: hikePoints[hikePoints.length - 1].dayIndex + 1 });
+    }
+  }
+  return { runs, years, stations: stations.length };
+}
+
+/** Risk estimate block for #durRiskResult; finish dates are read from the planned startDate. */
+function renderRiskEstimate({ runs, years, stations }, startDate, paceVariation) {
+  if (!runs.length) return `<p style="margin:0 0 12px;">Risk estimate unavailable \u2014 no archive weather along this hike.</p>`;
+
+  const pct     = (n, of) => `${Math.round(100 * n / of)}%`;
+  const md      = (d) => d.toLocaleDateString(undefined, { month: "short", day: "numeric" });
+  const finish  = (days) => addDays(startDate, days - 1);
+  const isCold  = (r) => r.coldNight;
+  const isHot   = (r) => r.heatDays >= RISK_HEAT_DAYS;
+  const lengths = runs.map(r => r.days).sort((a, b) => a - b);
+  const [p10, p50, p90] = [0.1, 0.5, 0.9].map(q => sortedQuantile(lengths, q));
+
+  // Finish dates by week from the earliest finish
+  const weeks = new Map();
+  for (const d of lengths) {
+    const w = Math.floor((d - lengths[0]) / 7);
+    weeks.set(w, (weeks.get(w) || 0) + 1);
+  }
+  const most = Math.max(...weeks.values());
+  const weekRows = [...weeks.entries()].sort((a, b) => a[0] - b[0]).map(([w, n]) => {
+    const from = finish(lengths[0] + w * 7);
+    return `
+        <tr><td style="white-space:nowrap;">${md(from)} \u2013 ${md(addDays(from, 6))}</td>
+          <td style="width:60%;"><div style="background:#5b8c5a; height:12px; width:${Math.round(100 * n / most)}%;"></div></td>
+          <td style="text-align:right;">${pct(n, runs.length)}</td></tr>`;
+  }).join("");
+
+  const yearRows = years.map(year => {
+    const rs = runs.filter(r => r.year === year);
+    if (!rs.length) return "";
+    const mid = sortedQuantile(rs.map(r => r.days).sort((a, b) => a - b), 0.5);
+    return `
+        <tr><td>${year}</td><td>${pct(rs.filter(isCold).length, rs.length)}</td><td>${pct(rs.filter(isHot).length, rs.length)}</td><td>${md(finish(mid))}</td></tr>`;
+  }).join("");
+
+  return `
+    <h3>Risk Estimate: ${runs.length} Simulated Hikes</h3>
+    <table style="margin-bottom:8px;">
+      <tr><th style="text-align:left;">At least one night below ${RISK_COLD_NIGHT_F} \u00b0F</th><td><strong>${pct(runs.filter(isCold).length, runs.length)}</strong></td></tr>
+      <tr><th style="text-align:left;">${RISK_HEAT_DAYS}+ heat-stress days</th><td><strong>${pct(runs.filter(isHot).length, runs.length)}</strong></td></tr>
+      <tr><th style="text-align:left;">Finish date</th><td>most likely around <strong>${md(finish(p50))}</strong>; 80% of runs finish ${md(finish(p10))} \u2013 ${md(finish(p90))}</td></tr>
     </table>
-    ${durationNote ? `<p style="margin:2px 0 6px; font-size:0.88rem; color:#555;">${durationNote}</p>` : ""}
-    ${warningHtml}`;
+    <div style="overflow-x:auto; margin-bottom:8px;">
+      <table style="min-width:360px;">
+        <tr><th>Finish week</th><th></th><th>Runs</th></tr>${weekRows}
+      </table>
+    </div>
+    <div style="overflow-x:auto; margin-bottom:8px;">
+      <table>
+        <tr><th>Weather year</th><th>Night below ${RISK_COLD_NIGHT_F} \u00b0F</th><th>${RISK_HEAT_DAYS}+ heat-stress days</th><th>Median finish</th></tr>${yearRows}
+      </table>
+    </div>
+    <p style="margin:0 0 12px; font-size:0.85rem; color:#555;">${RISK_RUNS_PER_YEAR} runs per year, ${years[0]}\u2013${years[years.length - 1]}, each with the pace varied by \u00b1${Math.round(paceVariation * 100)}% (standard deviation) for the whole hike and again day to day. Nights use the actual air-temperature low; heat-stress days are Strong Heat or worse on the thermal comfort scale. Weather is read from ${stations} archive point${stations === 1 ? "" : "s"} along the route, with no elevation correction.${archiveMockEnabled() ? " <strong>Offline mock data (?archive=mock), not real weather.</strong>" : ""}</p>`;
+}
 
-  // 2. UTCI thermal comfort profile
-  const UTCI_COLS = [
-    { key: "extreme-cold",     label: "Extreme Cold",     range: "low < −17°F",      style: "background:#001e70;color:#fff;" },
-    { key: "very-strong-cold", label: "Very Strong Cold", range: "low −17–8°F",  style: "background:#0044cc;color:#fff;" },
-    { key: "strong-cold",      label: "Strong Cold",      range: "low 9–31°F",        style: "background:#3377ff;color:#fff;" },
-    { key: "moderate-cold",    label: "Moderate Cold",    range: "low 32–47°F",       style: "background:#99bbff;color:#000;" },
-    { key: "comfort",          label: "Comfort Zone",     range: "hi ≤79, lo ≥48°F", style: "background:#2e7a2e;color:#fff;" },
-    { key: "moderate-heat",    label: "Moderate Heat",    range: "high 80–90°F",      style: "background:#ffcc66;color:#000;" },
-    { key: "strong-heat",      label: "Strong Heat",      range: "high 91–100°F",     style: "background:#ff8800;color:#fff;" },
-    { key: "very-strong-heat", label: "Very Strong Heat", range: "high 101–115°F",    style: "background:#cc2200;color:#fff;" },
-    { key: "extreme-heat",     label: "Extreme Heat",     range: "high > 115°F",           style: "background:#660000;color:#fff;" },
-  ];
-  const headerCells = UTCI_COLS.map(c =>
-    `<th style="${c.style} padding:5px 8px; font-size:0.78rem; font-weight:600;">${c.label}<br><span style="font-size:0.68rem; font-weight:400; opacity:0.85;">${c.range}</span></th>`
-  ).join("");
-  const dataCells = UTCI_COLS.map(c =>
-    `<td style="text-align:center; padding:5px 8px;">${utciCounts ? (utciCounts[c.key] ?? 0) : "\u2014"}</td>`
+/**
+ * Runs the risk estimate for plan (plan.risk set) and fills #durRiskResult
+ * (rendered by renderDurExtremesBlocksShared()).
+ * getHikePoints   — (startDate, plan) => hike points
+ * fetchHistorical — the trail's (point, { start_date, end_date }) => archive response
+ * getNormals      — (point) => normals, used by the offline mock
+ */
+async function runRiskEstimate({ plan, startDate, getHikePoints, fetchHistorical, getNormals }) {
+  const runId = ++riskRunId;
+  const box   = () => (runId === riskRunId ? el("durRiskResult") : null);
+
+  try {
+    const result = await simulateRisk({
+      plan, startDate, getHikePoints, fetchHistorical, getNormals,
+      onProgress: (done, total) => {
+        const target = box();
+        if (target) target.innerHTML = `<p style="margin:0 0 12px;">Fetching historical weather for the risk estimate\u2026 ${done} of ${total} points.</p>`;
+      }
+    });
+    const target = box();
+    if (target) target.innerHTML = renderRiskEstimate(result, startDate, plan.risk.paceVariation);
+  } catch (err) {
+    console.error("[risk] error:", err);
+    const target = box();
+    if (target) target.innerHTML = `<p style="margin:0 0 12px; color:#b00000;">Risk estimate unavailable \u2014 ${err.message}</p>`;
+  }
+}
+
+/**
+ * Top-10 table and 365-day comfort score curve for a BestStart! ranking.
+ * ranking — { candidates, top } from runBestStartShared()
+ */
+function renderBestStartRanking(ranking) {
+  if (!ranking?.top?.length) return "";
+  const { candidates, top } = ranking;
+  const best = top[0].score;
+  const md = (d) => d.toLocaleDateString(undefined, { month: "short", day: "numeric" });
+  const fmtScore = (v) => v.toFixed(2);
+
+  const nearBest = candidates.filter(c => c.status === "ok" && c.score >= best * 0.98).length;
+  const nExtreme = candidates.filter(c => c.status === "extreme").length;
+  const nElim    = candidates.filter(c => c.status === "eliminated").length;
+  const nLimit   = candidates.filter(c => c.status === "constrained").length;
+  const nSnow    = candidates.filter(c => c.status === "snow").length;
+
+  const rows = top.map((c, i) => `
+      <tr>
+        <td>${i + 1}</td>
+        <td>${md(c.startDate)}</td>
+        <td>${fmtScore(c.score)}</td>
+        <td>${i === 0 ? "\u2014" : best - c.score < 0.005 ? "tie" : "\u2212" + fmtScore(best - c.score)}</td>
+        <td>${c.counts.comfort}</td>
+      </tr>`).join("");
+
+  // Score curve: x = start day of year, y = mean daily score (0–10)
+  const W = 730, H = 170, PAD_L = 28, PAD_B = 18, plotH = H - PAD_B;
+  const xOf = (doy) => PAD_L + doy * ((W - PAD_L) / 365);
+  const yOf = (score) => plotH - (score / 10) * (plotH - 6);
+  const colW = (W - PAD_L) / 365;
+
+  let path = "", penDown = false;
+  const shades = [];
+  candidates.forEach((c, doy) => {
+    if (c.status === "ok") {
+      path += `${penDown ? "L" : "M"}${xOf(doy).toFixed(1)},${yOf(c.score).toFixed(1)} `;
+      penDown = true;
+    } else {
+      penDown = false;
+      const fill = c.status === "extreme" ? "#cc2200" : c.status === "constrained" ? "#3a6ea5"
+        : c.status === "snow" ? "#5fa8d3" : "#888";
+      shades.push(`<rect x="${xOf(doy).toFixed(1)}" y="0" width="${colW.toFixed(2)}" height="${plotH}" fill="${fill}" opacity="0.18"/>`);
+    }
+  });
+
+  const monthTicks = [];
+  for (let m = 0; m < 12; m++) {
+    const d = new Date(2026, m, 1);
+    const x = xOf(dayIndexFromMonthDay(toISODate(d).slice(5)));
+    monthTicks.push(`<line x1="${x.toFixed(1)}" y1="${plotH}" x2="${x.toFixed(1)}" y2="${plotH + 4}" stroke="#999"/>`,
+      `<text x="${(x + 2).toFixed(1)}" y="${H - 4}" font-size="10" fill="#555">${d.toLocaleDateString(undefined, { month: "short" })}</text>`);
+  }
+  const yTicks = [0, 5, 10].map(v =>
+    `<line x1="${PAD_L}" y1="${yOf(v).toFixed(1)}" x2="${W}" y2="${yOf(v).toFixed(1)}" stroke="#e4e4e4"/>` +
+    `<text x="${PAD_L - 4}" y="${(yOf(v) + 3).toFixed(1)}" font-size="10" fill="#555" text-anchor="end">${v}</text>`
   ).join("");
-  const utciHtml = `
-    <h3>Thermal Stress and Comfort Profile: Days on Trail</h3>
-    <div style="overflow-x:auto; margin-bottom:12px;">
-      <table style="border-collapse:collapse; min-width:620px;">
-        <tr>${headerCells}</tr>
-        <tr>${dataCells}</tr>
+
+  const bestDoy = candidates.indexOf(top[0]);
+  const topDots = top.map((c, i) => {
+    const doy = candidates.indexOf(c);
+    return `<circle cx="${xOf(doy).toFixed(1)}" cy="${yOf(c.score).toFixed(1)}" r="${i === 0 ? 4 : 2.5}" fill="${i === 0 ? "#2e7a2e" : "#ffcc66"}" stroke="#333" stroke-width="0.6"><title>#${i + 1} ${md(c.startDate)}: ${fmtScore(c.score)}</title></circle>`;
+  }).join("");
+
+  const legend = [
+    nExtreme ? `<span style="color:#cc2200;">&#9632;</span> ${nExtreme} starts eliminated by extreme heat/cold` : "",
+    nElim    ? `<span style="color:#888;">&#9632;</span> ${nElim} starts eliminated by trail rules (e.g. snow season)` : "",
+    nLimit   ? `<span style="color:#3a6ea5;">&#9632;</span> ${nLimit} starts outside your constraints` : "",
+    nSnow    ? `<span style="color:#5fa8d3;">&#9632;</span> ${nSnow} starts reaching typically snow-covered trail` : ""
+  ].filter(Boolean).join(" &nbsp; ");
+
+  return `
+    <h3><em>BestStart!</em> Rankings${ranking.paceSearch ? ` at ${ranking.paceSearch.bestMpd} Miles per Day` : ""}</h3>
+    <p style="margin:0 0 6px; font-size:0.9rem;">Comfort score is the mean daily UTCI tier score (10 = every day in the comfort zone).
+      ${nearBest} start date${nearBest === 1 ? "" : "s"} score within 2% of the best (${md(candidates[bestDoy].startDate)}).</p>
+    <div style="display:grid; grid-template-columns:minmax(220px, 1fr) 3fr; gap:16px; align-items:start; margin-bottom:12px;">
+      <table>
+        <tr><th>Rank</th><th>Start</th><th>Score</th><th>vs. Best</th><th>Comfort Days</th></tr>
+        ${rows}
       </table>
-    </div>`;
+      <div style="overflow-x:auto;">
+        <svg viewBox="0 0 ${W} ${H}" width="100%" style="min-width:480px; max-width:${W}px;" role="img" aria-label="Comfort score by start date">
+          ${shades.join("")}
+          ${yTicks}
+          ${monthTicks.join("")}
+          <path d="${path}" fill="none" stroke="#2e5aa8" stroke-width="1.4"/>
+          ${topDots}
+        </svg>
+        ${legend ? `<p style="margin:2px 0 0; font-size:0.82rem; color:#555;">${legend}</p>` : ""}
+      </div>
+    </div>
+    ${renderPaceSearchGrid(ranking.paceSearch)}`;
+}
 
-  // 3. Side-by-side extremes
-  function extremeCols(rec) {
-    const niceDate = rec.date.toLocaleDateString(undefined, { year: "numeric", month: "long", day: "numeric" });
-    const location = formatLocation(rec);
-    return `
-      <tr><th>Date</th><td colspan="3">${niceDate}</td></tr>
-      <tr><th>Location</th><td colspan="3">${location}</td></tr>
-      <tr><th></th><th style="background:#f0f0f0;">Actual Temp</th><th style="background:#f0f0f0;">Apparent Temp</th><th style="background:#f0f0f0;">Rel. Humidity</th></tr>
-      <tr><th>Anticipated High</th><td>${fmtTemp(rec.avgHigh)}</td><td>${fmtTemp(rec.appHigh)}</td><td>${fmtRh(rec.rhHigh)}</td></tr>
-      <tr><th>Anticipated Low</th><td>${fmtTemp(rec.avgLow)}</td><td>${fmtTemp(rec.appLow)}</td><td>${fmtRh(rec.rhLow)}</td></tr>`;
+/**
+ * 2D view of a pace-range BestStart! search: mean daily score for every
+ * pace × start date, the best combinations, and the score gained per extra
+ * mile per day between neighbouring paces.
+ * paceSearch — ranking.paceSearch from runBestStartSearch()
+ */
+function renderPaceSearchGrid(paceSearch) {
+  if (!paceSearch?.rows?.length) return "";
+  const { rows, bestMpd } = paceSearch;
+  const md = (d) => d.toLocaleDateString(undefined, { month: "short", day: "numeric" });
+
+  // Mean score 0–10 → red (0) through yellow (5) to green (10)
+  const scoreColor = (v) => {
+    const t = Math.max(0, Math.min(1, v / 10));
+    const r = t < 0.5 ? 220 : Math.round(220 - (t - 0.5) * 2 * 174);
+    const g = t < 0.5 ? Math.round(40 + t * 2 * 164) : Math.round(204 - (t - 0.5) * 2 * 82);
+    return `rgb(${r},${g},${t < 0.5 ? 40 : 46})`;
+  };
+  const statusColor = { extreme: "#5a0000", snow: "#5fa8d3", eliminated: "#999", constrained: "#3a6ea5", "no-data": "#eee" };
+
+  const CELL_W = 2, CELL_H = 14, PAD_L = 44, PAD_B = 16;
+  const W = PAD_L + 365 * CELL_W, H = rows.length * CELL_H + PAD_B;
+  const cells = [];
+  rows.forEach((r, ri) => {
+    const y = ri * CELL_H;
+    cells.push(`<text x="${PAD_L - 4}" y="${y + CELL_H - 3}" font-size="10" fill="${r.mpd === bestMpd ? "#000" : "#555"}" text-anchor="end"${r.mpd === bestMpd ? ` font-weight="700"` : ""}>${r.mpd}</text>`);
+    if (!r.ranking) {
+      cells.push(`<rect x="${PAD_L}" y="${y}" width="${365 * CELL_W}" height="${CELL_H - 1}" fill="#ddd"><title>${r.mpd} mpd: hike is too long for this planner</title></rect>`);
+      return;
+    }
+    // Merge runs of equal colour to keep the SVG small
+    let runStart = 0, runFill = null;
+    const flush = (end) => {
+      if (runFill) cells.push(`<rect x="${PAD_L + runStart * CELL_W}" y="${y}" width="${(end - runStart) * CELL_W}" height="${CELL_H - 1}" fill="${runFill}"/>`);
+    };
+    r.ranking.candidates.forEach((c, doy) => {
+      const fill = c.status === "ok" ? scoreColor(c.score) : statusColor[c.status];
+      if (fill !== runFill) { flush(doy); runStart = doy; runFill = fill; }
+    });
+    flush(365);
+  });
+  for (let m = 0; m < 12; m++) {
+    const d = new Date(2026, m, 1);
+    const x = PAD_L + dayIndexFromMonthDay(toISODate(d).slice(5)) * CELL_W;
+    cells.push(`<text x="${x + 2}" y="${H - 3}" font-size="10" fill="#555">${d.toLocaleDateString(undefined, { month: "short" })}</text>`);
   }
-  const extremesHtml = `
-    <div style="display:grid; grid-template-columns:1fr 1fr; gap:16px;">
+
+  // Best combinations across the whole grid
+  const combos = rows.flatMap(r => (r.ranking?.top || []).map(c => ({ mpd: r.mpd, durationDays: r.durationDays, ...c })))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, 10);
+  const comboRows = combos.map((c, i) => `
+      <tr><td>${i + 1}</td><td>${c.mpd}</td><td>${md(c.startDate)}</td><td>${c.durationDays}</td><td>${c.score.toFixed(2)}</td></tr>`).join("");
+
+  // Marginal gain between neighbouring paces, using each pace's best start
+  const scored = rows.filter(r => r.ranking?.top?.length);
+  const gainRows = scored.map((r, i) => {
+    const best = r.ranking.top[0];
+    const prev = scored[i - 1];
+    const gain = prev ? (best.score - prev.ranking.top[0].score) / (r.mpd - prev.mpd) : null;
+    return `
+      <tr><td>${r.mpd}</td><td>${md(best.startDate)}</td><td>${r.durationDays}</td><td>${best.score.toFixed(2)}</td>
+        <td>${gain == null ? "\u2014" : (gain >= 0 ? "+" : "\u2212") + Math.abs(gain).toFixed(3)}</td></tr>`;
+  }).join("");
+
+  return `
+    <h3>Start Date &times; Pace</h3>
+    <p style="margin:0 0 6px; font-size:0.9rem;">Each row is one pace (miles/day); each column a start date. Greener is a higher mean daily comfort score;
+      <span style="color:#5a0000;">&#9632;</span> extreme heat/cold, <span style="color:#999;">&#9632;</span> trail rules,
+      <span style="color:#3a6ea5;">&#9632;</span> outside your constraints${rows.some(r => r.ranking?.candidates.some(c => c.status === "snow")) ? `,
+      <span style="color:#5fa8d3;">&#9632;</span> snow-covered trail` : ""}.</p>
+    <div style="overflow-x:auto; margin-bottom:10px;">
+      <svg viewBox="0 0 ${W} ${H}" width="${W}" height="${H}" role="img" aria-label="Comfort score by pace and start date">${cells.join("")}</svg>
+    </div>
+    <div style="display:grid; grid-template-columns:1fr 1fr; gap:16px; align-items:start; margin-bottom:12px;">
       <div>
-        <h3>Hottest Day (Highest Apparent High)</h3>
-        <table>${extremeCols(hottest)}</table>
+        <h4 style="margin:0 0 4px;">Best Combinations</h4>
+        <table>
+          <tr><th>Rank</th><th>Miles/Day</th><th>Start</th><th>Days</th><th>Score</th></tr>
+          ${comboRows}
+        </table>
       </div>
       <div>
-        <h3>Coldest Night (Lowest Apparent Low)</h3>
-        <table>${extremeCols(coldest)}</table>
+        <h4 style="margin:0 0 4px;">Score Gain per Extra Mile per Day</h4>
+        <table>
+          <tr><th>Miles/Day</th><th>Best Start</th><th>Days</th><th>Score</th><th>Gain / +1 mpd</th></tr>
+          ${gainRows}
+        </table>
       </div>
     </div>`;
+}
+
+
+/**
+ * Message for a BestStart! run with no valid start when the user's constraints
+ * ruled some starts out, or "" so the caller can show its trail-specific message.
+ */
+function constrainedBestStartFailureHtml(ranking) {
+  const nLimit = ranking?.candidates.filter(c => c.status === "constrained").length || 0;
+  const nSnow  = ranking?.candidates.filter(c => c.status === "snow").length || 0;
+  if (!nLimit && !nSnow) return "";
+  const ruledOut = [
+    nLimit ? `${nLimit} start dates fall outside them` : "",
+    nSnow  ? `${nSnow} reach typically snow-covered trail` : ""
+  ].filter(Boolean).join(", ");
+  return `<p style="color:#b00000; font-weight:600; margin-top:0.75rem;">No valid start date found within your <em>BestStart!</em> constraints \u2014 ${ruledOut}, and every remaining start includes extreme heat or cold stress or a trail closure. Try widening your start window, moving your finish-by date, removing a blackout range or allowing snow-covered trail.</p>`;
+}
+
+/** True when day-of-year d falls in [from, to], wrapping past December 31 when from > to. */
+function dayInYearRange(d, from, to) {
+  return from <= to ? d >= from && d <= to : d >= from || d <= to;
+}
 
-  setHtmlIfExists("durExtremesHot", durHtml + utciHtml + extremesHtml);
+/**
+ * The eliminator for a config's landmarkSeason { tag, from, to } ("MM-DD"
+ * dates, wrapping past December 31 when from > to): a start is skipped when
+ * the hike reaches its first `tag` landmark (see scheduleLandmarkDays()) in
+ * that season. The landmark falls on the same schedule day for every start
+ * unless the daylight cap is on; a hike that never reaches it skips nothing.
+ */
+function landmarkSeasonEliminator(legs, plan, { tag, from, to }) {
+  const dayOf = (p) => scheduleLandmarkDays(legs, planHikeSchedule(legs, p), tag)[0]?.dayIndex ?? null;
+  const fixed = plan.daylight?.cap ? null : dayOf(plan);
+  const range = [dayIndexFromMonthDay(from), dayIndexFromMonthDay(to)];
+  return (startDate) => {
+    const idx = plan.daylight?.cap ? dayOf({ ...plan, startDate }) : fixed;
+    return idx != null && dayInYearRange(dayIndexFromMonthDay(toISODate(addDays(startDate, idx)).slice(5)), ...range);
+  };
+}
+
+/**
+ * True when a start date breaks the BestStart! constraints from readBestStartConstraints():
+ * outside the start window, finishing after the next finish-by date, or on trail
+ * during any blackout range.
+ * durationDays — the itinerary's real length (its last dayIndex + 1), which the
+ *                daylight cap can make longer than the planned duration
+ */
+function violatesBestStartConstraints(constraints, startDate, durationDays) {
+  if (!constraints) return false;
+  const { windowFrom, windowTo, finishBy, blackouts } = constraints;
+  const doy = dayIndexFromMonthDay(toISODate(startDate).slice(5));
+
+  if ((windowFrom != null || windowTo != null) &&
+      !dayInYearRange(doy, windowFrom ?? 0, windowTo ?? 364)) return true;
+
+  if (finishBy != null && durationDays - 1 > (finishBy - doy + 365) % 365) return true;
+
+  for (let k = 0; k < Math.min(durationDays, 365); k++) {
+    const d = (doy + k) % 365;
+    if (blackouts.some(b => dayInYearRange(d, b.from, b.to))) return true;
+  }
+  return false;
+}
+
+// Candidate start dates are days of this (non-leap) year.
+const BEST_START_REF_YEAR = 2026;
+
+function bestStartCandidateDate(doy) {
+  return new Date(BEST_START_REF_YEAR, 0, 1 + doy);
 }
 
 /**
@@ -465,24 +4385,48 @@ function renderDurExtremesBlocksShared(hottest, coldest, opts = {}) {
  *   durationDays  — integer, hike length in days
  *   getHikePoints — (startDate: Date) => [{date, point}, ...]
  *   getNormals    — (point) => {app_hi:[365], app_lo:[365]} | null
- *   eliminator    — optional (startDate: Date, endDate: Date) => bool  (true = skip this candidate)
+ *   eliminator    — optional (startDate: Date, endDate: Date, doy) => bool  (true = skip this candidate)
+ *   landmarkSeason — optional { tag, from, to }, an eliminator the planner worker can
+ *                   rebuild (see landmarkSeasonEliminator()); bestStartPaceRuns() turns it
+ *                   into the eliminator
+ *   constraints   — optional plan.constraints from readPlanOptions(); starts breaking them are skipped,
+ *                   and with avoidSnow so are starts that reach typically snow-covered trail
+ *   onProgress    — optional (done, total) => void, called every few start dates
  *
- * Returns { bestStartDate: Date | null, bestCounts: object | null }
+ * Returns { bestStartDate: Date | null, bestCounts: object | null, ranking }
+ *   ranking.candidates — one entry per start day of year:
+ *     { startDate, score, counts, status: "ok" | "extreme" | "snow" | "eliminated" | "constrained" | "no-data" }
+ *     score is the mean daily UTCI score (0–10); null unless status is "ok"
+ *     "ok" candidates also carry hikeDays, the itinerary's real length (a daylight
+ *     cap can stretch it past durationDays)
+ *   ranking.top        — the 10 "ok" candidates with the highest mean score, best first
  */
-function runBestStartShared({ durationDays, getHikePoints, getNormals, eliminator = null }) {
-  const REF_YEAR = 2026;
-  let bestScore = -Infinity, bestStartDate = null, bestCounts = null;
+function runBestStartShared({ durationDays, getHikePoints, getNormals, eliminator = null, constraints = null, onProgress = null }) {
+  const candidates = [];
 
   for (let doy = 0; doy < 365; doy++) {
-    const startDate = new Date(REF_YEAR, 0, 1 + doy);
+    if (onProgress && doy % 15 === 0) onProgress(doy, 365);
+    const startDate = bestStartCandidateDate(doy);
     const endDate   = addDays(startDate, durationDays - 1);
 
-    if (eliminator && eliminator(startDate, endDate)) continue;
+    if (eliminator && eliminator(startDate, endDate, doy)) {
+      candidates.push({ startDate, score: null, counts: null, status: "eliminated" });
+      continue;
+    }
 
     const hikePoints = getHikePoints(startDate);
-    if (!hikePoints || !hikePoints.length) continue;
+    if (!hikePoints || !hikePoints.length) {
+      candidates.push({ startDate, score: null, counts: null, status: "no-data" });
+      continue;
+    }
+    // Constraints test the itinerary's real length: a daylight cap can run it past durationDays
+    const hikeDays = hikePoints[hikePoints.length - 1].dayIndex + 1;
+    if (violatesBestStartConstraints(constraints, startDate, hikeDays)) {
+      candidates.push({ startDate, score: null, counts: null, status: "constrained" });
+      continue;
+    }
 
-    let totalScore = 0, eliminated = false;
+    let totalScore = 0, scoredDays = 0, eliminated = null;
     const counts = {
       "extreme-cold": 0, "very-strong-cold": 0, "strong-cold": 0, "moderate-cold": 0,
       "comfort": 0,
@@ -491,25 +4435,477 @@ function runBestStartShared({ durationDays, getHikePoints, getNormals, eliminato
 
     for (const { date, point } of hikePoints) {
       const normals = getNormals(point);
-      if (!normals?.app_hi?.length) continue;
-      const idx     = dayIndexFromMonthDay(toISODate(date).slice(5));
-      const appHigh = normals.app_hi[idx];
-      const appLow  = normals.app_lo[idx];
-      if (!Number.isFinite(appHigh) || !Number.isFinite(appLow)) continue;
-      const hs = utciScoreHigh(appHigh);
-      const ls = utciScoreLow(appLow);
-      if (hs === 0 || ls === 0) { eliminated = true; break; }
-      totalScore += (hs + ls) / 2;
-      counts[utciCategoryDay(hs, ls, appHigh, appLow)]++;
+      if (!normals) continue;
+      const idx   = dayIndexFromMonthDay(toISODate(date).slice(5));
+      if (constraints?.avoidSnow && isTypicallySnowCovered(normals, idx)) { eliminated = "snow"; break; }
+      const temps = thermalDayTempsFromNormals(normals, idx, point.lat);
+      if (!temps) continue;
+      const hs = utciScoreHigh(temps.high);
+      const ls = utciScoreLow(temps.low);
+      const dayScore = utciDayScore(hs, ls);
+      if (dayScore == null) { eliminated = "extreme"; break; }
+      totalScore += applyWetPenalty(dayScore, normals.pr_prob?.[idx]);
+      scoredDays++;
+      counts[utciCategoryDay(hs, ls, temps.high, temps.low)]++;
+    }
+
+    if (eliminated) {
+      candidates.push({ startDate, score: null, counts: null, status: eliminated });
+    } else if (!scoredDays) {
+      candidates.push({ startDate, score: null, counts: null, status: "no-data" });
+    } else {
+      candidates.push({ startDate, score: totalScore / scoredDays, counts, hikeDays, status: "ok" });
+    }
+  }
+
+  // Rank on the mean daily score the table and curve show, so days without
+  // normals don't count against a start (ties keep the earliest start)
+  const top = candidates
+    .filter(c => c.status === "ok")
+    .sort((a, b) => b.score - a.score || a.startDate - b.startDate)
+    .slice(0, 10);
+
+  return {
+    bestStartDate: top[0] ? new Date(top[0].startDate) : null,
+    bestCounts:    top[0] ? { ...top[0].counts } : null,
+    ranking:       { candidates, top }
+  };
+}
+
+/**
+ * BestStart! for the Miles per Day input, or — when the Pace Range controls
+ * are on — for every pace in the range, with the plan at each pace keeping
+ * its ramp-up, section paces and rest days (see planAtPace()).
+ *
+ * config:
+ *   route       — the planner route passed to readPlanOptions()
+ *   milesPerDay — the validated Miles per Day input
+ *   plan        — the plan already read for milesPerDay
+ *   configFor   — (plan) => runBestStartShared() config for that plan
+ *   maxDays     — paces whose hike runs longer are skipped (default 365)
+ * onProgress — optional (done, total) => void across all paces
+ *
+ * Returns the winning { mpd, plan, durationDays, bestStartDate, bestCounts, ranking }.
+ * Paces are compared on mean daily score, since faster paces mean fewer days.
+ * With a pace range, ranking.paceSearch = { rows: [{ mpd, durationDays, ranking }] }
+ * for the 2D view in renderBestStartRanking().
+ */
+function runBestStartSearch(search, onProgress = null) {
+  return pickBestStartPace(runBestStartPaces(search, onProgress), !!search.plan.paceRange);
+}
+
+/** bestStartPaceRuns() with runBestStartShared() run for each pace that has a config. */
+function runBestStartPaces(search, onProgress = null) {
+  const runs  = bestStartPaceRuns(search);
+  const total = runs.filter(run => run.config).length * 365;
+  let done = 0;
+  return runs.map(run => {
+    if (!run.config) return run;
+    const offset = done;
+    done += 365;
+    return {
+      ...run,
+      ...runBestStartShared({ ...run.config, onProgress: onProgress && ((n) => onProgress(offset + n, total)) })
+    };
+  });
+}
+
+/**
+ * The paces runBestStartSearch() tries, each { mpd, plan, durationDays, config }.
+ * Range paces over maxDays get config: null and are listed but not run.
+ */
+function bestStartPaceRuns({ route, milesPerDay, plan, configFor, maxDays = 365 }) {
+  const run = (mpd, p, limit = Infinity) => {
+    const config = configFor(p);
+    if (config.durationDays > limit) return { mpd, plan: p, durationDays: config.durationDays, config: null };
+    const eliminator = config.landmarkSeason
+      ? landmarkSeasonEliminator(route.legs, p, config.landmarkSeason)
+      : config.eliminator;
+    return { mpd, plan: p, durationDays: config.durationDays, config: { ...config, eliminator } };
+  };
+  if (!plan.paceRange) return [run(milesPerDay, plan)];
+
+  return plan.paceRange.map(mpd => run(mpd, planAtPace(plan, mpd), maxDays));
+}
+
+/** plan at another Miles per Day, keeping a pace profile's ramp-up and section paces. */
+function planAtPace(plan, milesPerDay) {
+  const pace = plan.milesPerDay;
+  return { ...plan, milesPerDay: typeof pace === "function" ? buildPaceFn({ ...pace.spec, milesPerDay }) : milesPerDay };
+}
+
+/**
+ * The best of the scanned paces — each run { mpd, plan, durationDays,
+ * bestStartDate, bestCounts, ranking } — with the pace grid attached when
+ * there was a pace range.
+ */
+function pickBestStartPace(runs, paceRange) {
+  const rows = runs.map(({ config, ...r }) => (config === null ? { mpd: r.mpd, durationDays: r.durationDays, ranking: null } : r));
+  if (!paceRange) return rows[0];
+
+  const scoreOf = (r) => r.ranking?.top?.[0]?.score ?? -Infinity;
+  const best = rows.reduce((a, r) => (scoreOf(r) > scoreOf(a) ? r : a), rows[0]);
+  if (!best?.bestStartDate) return best || { bestStartDate: null, ranking: null };
+
+  best.ranking = { ...best.ranking, paceSearch: { rows, bestMpd: best.mpd } };
+  return best;
+}
+
+/**
+ * Loads the normals a BestStart! search reads: the chunks along its route,
+ * so a section search fetches only that section. Every candidate start
+ * walks the same stretch of trail, so one sample itinerary covers them all.
+ */
+function ensureSearchNormals(source, search) {
+  if (!source?.packed) return Promise.resolve();
+  const config = search.configFor(search.plan);
+  return source.ensureAround(config.getHikePoints(new Date()));
+}
+
+/**
+ * Runs BestStart! for every #durDirectionSelect option and shows the results
+ * side by side in #bestStartResult. Each column's button re-runs the full
+ * BestStart! for that direction.
+ * prepare — (directionId) => { error } | { search } where search is the
+ *           runBestStartSearch() config for that direction
+ */
+async function compareDirectionsShared(prepare) {
+  const select = el("durDirectionSelect");
+  if (!select) return;
+  const options = [...select.options].map(o => ({ value: o.value, label: o.textContent.trim() }));
+
+  setDisplayIfExists("durExtremesWrap", "none");
+  const scanId  = beginBestStartScan(`Comparing ${options.length} directions\u2026`);
+  const results = [];
+  for (const [i, opt] of options.entries()) {
+    const prep = prepare(opt.value);
+    if (prep.error) { results.push({ ...opt, error: prep.error }); continue; }
+    const best = await scanBestStart(prep.search, scanId, (done, total) => updateScanProgress(i + done / total, options.length));
+    if (best === null) return;
+    if (!best.bestStartDate) { results.push({ ...opt, error: "No valid start date." }); continue; }
+    // The itinerary's own length, as Tool A shows it — the daylight cap can stretch it
+    const days = best.ranking.top[0].hikeDays ?? best.durationDays;
+    results.push({
+      ...opt,
+      mpd:          best.mpd,
+      startDate:    best.bestStartDate,
+      endDate:      addDays(best.bestStartDate, days - 1),
+      durationDays: days,
+      score:        best.ranking.top[0].score,
+      counts:       best.bestCounts
+    });
+  }
+  setHtmlIfExists("bestStartResult", renderDirectionComparison(results));
+
+  el("bestStartResult")?.querySelectorAll("[data-direction]").forEach(btn => {
+    btn.addEventListener("click", () => {
+      select.value = btn.dataset.direction;
+      select.dispatchEvent(new Event("change", { bubbles: true }));
+      el("bestStartBtn")?.click();
+    });
+  });
+}
+
+function renderDirectionComparison(results) {
+  const md = (d) => d.toLocaleDateString(undefined, { month: "long", day: "numeric" });
+  const ok = results.filter(r => !r.error);
+  const topScore = ok.length ? Math.max(...ok.map(r => r.score)) : null;
+  const showPace = ok.some(r => r.mpd !== ok[0].mpd);
+
+  const cell = (r, fn) => `<td>${r.error ? "\u2014" : fn(r)}</td>`;
+  const row  = (label, fn, style = "") => `<tr><th style="text-align:left;${style}">${label}</th>${results.map(r => cell(r, fn)).join("")}</tr>`;
+
+  const head = results.map(r => `
+      <th style="min-width:140px;">${r.label}${!r.error && r.score === topScore ? `<br><span style="font-size:0.78rem; color:#2e7a2e;">best overall</span>` : ""}</th>`).join("");
+  const errors = results.some(r => r.error)
+    ? `<tr><th></th>${results.map(r => `<td style="color:#b00000; font-size:0.85rem;">${r.error || ""}</td>`).join("")}</tr>` : "";
+
+  const categoryRows = UTCI_CATEGORIES.map(c =>
+    row(c.label, r => r.counts?.[c.key] ?? 0, c.style)).join("");
+
+  return `
+    <h3>Direction Comparison</h3>
+    <p style="margin:0 0 6px; font-size:0.9rem;">Each direction uses its own <em>BestStart!</em> date with your current pace and planning options.</p>
+    <div style="overflow-x:auto;">
+      <table>
+        <tr><th></th>${head}</tr>
+        ${errors}
+        ${row("<em>BestStart!</em> Date", r => md(r.startDate))}
+        ${row("Estimated End Date", r => md(r.endDate))}
+        ${row("Duration", r => `${r.durationDays} days`)}
+        ${showPace ? row("Miles per Day", r => r.mpd) : ""}
+        ${row("Comfort Score", r => r.score.toFixed(2))}
+        ${categoryRows}
+        <tr><th></th>${results.map(r => `<td>${r.error ? "" : `<button type="button" class="btn-secondary" data-direction="${r.value}">Show details</button>`}</td>`).join("")}</tr>
+      </table>
+    </div>`;
+}
+
+/* -------------------------------------------------------
+   BestStart! worker
+   A scan builds 365 itineraries per pace — seconds of work on 0.5-mile
+   IAT points or across a pace range — so the whole search,
+   runBestStartSearch() but for picking the winner, runs in
+   js/planner-worker.js. The worker loads this file but has none of a
+   trail's state, so a job carries the route as data:
+   - each leg's lookup pieces (see lookupLeg()), with their point lists
+     as keys and indices into the job's points
+   - those points' coordinates, and their normals as Float64Arrays; a
+     record is sent once and then referred to by id
+   - the plan, with a pace profile as its buildPaceFn() spec, and the
+     config's landmarkSeason in place of an eliminator
+   A config with any other eliminator can't be sent. Cancelling
+   terminates the worker; the next scan starts a fresh one. Where no
+   worker can run (or a job can't be sent) the scan runs on the page
+   as before.
+------------------------------------------------------- */
+
+// Resolved against this script's URL while it loads (currentScript is
+// null later), so pages at any depth find the worker.
+const PLANNER_WORKER_URL = typeof document !== "undefined" && document.currentScript?.src
+  ? new URL("planner-worker.js", document.currentScript.src).href
+  : "planner-worker.js";
+const PLANNER_NORMALS_FIELDS = ["hi", "lo", "app_hi", "app_lo", "rh_hi", "rh_lo", "ws", "pr_prob", "snow_cover"];
+
+let plannerWorker     = null;          // { worker, jobs: Map(id → { resolve, reject, onProgress }), sent: Set of normals ids }
+let plannerJobSeq     = 0;
+let plannerNormalsSeq = 0;
+const plannerNormalsIds = new WeakMap();   // a normals record's first array → its id
+let bestStartScanId   = 0;              // a newer (or cancelled) scan discards an older one's results
+
+function getPlannerWorker() {
+  if (plannerWorker) return plannerWorker;
+  if (typeof Worker === "undefined") return null;
+
+  let worker;
+  try {
+    worker = new Worker(PLANNER_WORKER_URL);
+  } catch (err) {
+    console.warn("[planner] worker could not start:", err);
+    return null;
+  }
+  const state = { worker, jobs: new Map(), sent: new Set() };
+  worker.onmessage = (event) => {
+    const msg = event.data || {};
+    const job = state.jobs.get(msg.id);
+    if (!job) return;
+    if (msg.type === "progress") {
+      job.onProgress?.(msg.done, msg.total);
+      return;
+    }
+    state.jobs.delete(msg.id);
+    if (msg.type === "result") job.resolve(msg.result);
+    else job.reject(new Error(msg.message || "planner worker failed"));
+  };
+  worker.onerror = (event) => {
+    event.preventDefault?.();
+    stopPlannerWorker(new Error(event.message || "planner worker failed to load"));
+  };
+  plannerWorker = state;
+  return state;
+}
+
+/** Terminates the worker. Jobs in flight reject with err, or resolve null (cancelled). */
+function stopPlannerWorker(err = null) {
+  const state = plannerWorker;
+  if (!state) return;
+  plannerWorker = null;
+  state.worker.terminate();
+  for (const job of state.jobs.values()) {
+    if (err) job.reject(err);
+    else job.resolve(null);
+  }
+}
+
+function cancelPlannerScan() {
+  stopPlannerWorker();
+}
+
+function packPlannerNormals(rec) {
+  const fields = {};
+  for (const name of PLANNER_NORMALS_FIELDS) {
+    const arr = rec[name];
+    if (arr?.length) fields[name] = Float64Array.from(arr, v => (Number.isFinite(v) ? v : NaN));
+  }
+  return fields;
+}
+
+/**
+ * The "best-start" job for runBestStartInWorker(), and the normals ids it
+ * sends for the first time.
+ */
+function bestStartWorkerJob(search, sent) {
+  const config = search.configFor(search.plan);
+  if (config.eliminator) throw new Error("the eliminator can't be sent to the worker");
+  const pace = search.plan.milesPerDay;
+  if (typeof pace === "function" && !pace.spec) throw new Error("pace profile has no spec");
+
+  const points = [], pointIndex = new Map();
+  const lists  = [], listIndex  = new Map();
+  const listOf = (list) => {
+    let i = listIndex.get(list);
+    if (i !== undefined) return i;
+    const keys = Float64Array.from(list.points, (p, k) => (list.keys ? list.keys[k] : list.key(p)));
+    const idx  = Int32Array.from(list.points, p => {
+      let n = pointIndex.get(p);
+      if (n === undefined) { n = points.length; pointIndex.set(p, n); points.push(p); }
+      return n;
+    });
+    i = lists.length;
+    listIndex.set(list, i);
+    lists.push({ keys, idx });
+    return i;
+  };
+  // Every pace walks the same route; only the schedule differs.
+  const legs = search.route.legs.map(leg => {
+    if (!leg.lookup) throw new Error("route leg has no lookup");
+    const scalars = Object.fromEntries(Object.entries(leg).filter(([, v]) => typeof v !== "function"));
+    return { ...scalars, lookup: leg.lookup.map(({ list, ...piece }) => ({ ...piece, list: listOf(list) })) };
+  });
+
+  const normals = [], newIds = [];
+  const pointNormals = Int32Array.from(points, p => {
+    const rec = config.getNormals(p);
+    const key = rec && PLANNER_NORMALS_FIELDS.map(f => rec[f]).find(a => a && typeof a === "object");
+    if (!key) return -1;
+    let id = plannerNormalsIds.get(key);
+    if (id === undefined) { id = plannerNormalsSeq++; plannerNormalsIds.set(key, id); }
+    if (!sent.has(id) && !newIds.includes(id)) {
+      normals.push({ id, fields: packPlannerNormals(rec) });
+      newIds.push(id);
     }
+    return id;
+  });
+
+  return {
+    job: {
+      type: "best-start",
+      route: { legs, lists, points: points.map(p => ({ id: p.id, lat: Number(p.lat), lon: Number(p.lon) })), pointNormals },
+      normals,
+      plan: { ...search.plan, milesPerDay: typeof pace === "function" ? { paceSpec: pace.spec } : pace },
+      milesPerDay:    search.milesPerDay,
+      maxDays:        search.maxDays ?? 365,
+      landmarkSeason: config.landmarkSeason ?? null,
+      comfortProfile
+    },
+    newIds
+  };
+}
+
+/**
+ * Worker side of a "best-start" job: runBestStartPaces() on the job's route.
+ * Returns each run's { mpd, durationDays, bestStartDate, bestCounts, ranking },
+ * or { mpd, durationDays, config: null } for a skipped pace; the page puts
+ * the plans back (they can hold a pace function).
+ * normalsById — every normals record sent to this worker, by id.
+ */
+function runBestStartWorkerJob(job, normalsById, onProgress) {
+  const { points, pointNormals } = job.route;
+  const lists   = job.route.lists.map(({ keys, idx }) => ({ keys, points: Array.from(idx, i => points[i]) }));
+  const legs    = job.route.legs.map(leg => lookupLeg({ ...leg, lookup: leg.lookup.map(piece => ({ ...piece, list: lists[piece.list] })) }));
+  const normals = new Map(points.map((p, i) => [p, normalsById.get(pointNormals[i]) || null]));
+  const pace    = job.plan.milesPerDay;
+  comfortProfile = job.comfortProfile;
+
+  const search = {
+    route:       { legs },
+    milesPerDay: job.milesPerDay,
+    plan:        { ...job.plan, milesPerDay: pace?.paceSpec ? buildPaceFn(pace.paceSpec) : pace },
+    maxDays:     job.maxDays,
+    configFor:   (plan) => ({
+      durationDays:   planHikeSchedule(legs, plan).length,
+      getHikePoints:  (startDate) => buildItinerary(legs, { startDate, ...plan }),
+      getNormals:     (point) => normals.get(point) || null,
+      landmarkSeason: job.landmarkSeason,
+      constraints:    plan.constraints
+    })
+  };
+  return runBestStartPaces(search, onProgress).map(({ plan, config, ...run }) => (config ? run : { ...run, config: null }));
+}
 
-    if (eliminated) continue;
-    if (totalScore > bestScore) {
-      bestScore     = totalScore;
-      bestStartDate = new Date(startDate);
-      bestCounts    = { ...counts };
+/**
+ * runBestStartSearch() in the planner worker. Resolves the same result, or
+ * null when cancelled; rejects when there is no worker or the job can't be
+ * sent, so the caller can run the scan on the page instead.
+ */
+async function runBestStartInWorker(search, onProgress = () => {}) {
+  const state = getPlannerWorker();
+  if (!state) throw new Error("Web Workers are unavailable");
+  if (!search.route?.legs) throw new Error("search has no route legs");
+
+  const { job, newIds } = bestStartWorkerJob(search, state.sent);
+  const id = ++plannerJobSeq;
+  const runs = await new Promise((resolve, reject) => {
+    state.jobs.set(id, { resolve, reject, onProgress });
+    try {
+      state.worker.postMessage({ ...job, id });
+    } catch (err) {
+      state.jobs.delete(id);
+      reject(err);
+      return;
     }
+    newIds.forEach(n => state.sent.add(n));
+  });
+  if (runs === null) return null;
+
+  const paceRange = !!search.plan.paceRange;
+  return pickBestStartPace(runs.map(run => ({ ...run, plan: paceRange ? planAtPace(search.plan, run.mpd) : search.plan })), paceRange);
+}
+
+/**
+ * Shows a progress bar and Cancel button in #bestStartResult and cancels
+ * any scan still running. Returns the scan's id for scanBestStart().
+ */
+function beginBestStartScan(label) {
+  cancelPlannerScan();
+  const scanId = ++bestStartScanId;
+  setHtmlIfExists("bestStartResult", `
+    <div class="scan-progress" role="status">
+      <span>${label}</span>
+      <progress id="scanProgressBar" max="1" value="0"></progress>
+      <span id="scanProgressPct">0%</span>
+      <button type="button" id="scanCancelBtn" class="btn-secondary">Cancel</button>
+    </div>`);
+  el("scanCancelBtn")?.addEventListener("click", () => {
+    bestStartScanId++;
+    cancelPlannerScan();
+    setHtmlIfExists("bestStartResult", "<p style='color:#555;font-style:italic;'><em>BestStart!</em> cancelled.</p>");
+  });
+  return scanId;
+}
+
+function updateScanProgress(done, total) {
+  const frac = total ? Math.min(1, done / total) : 0;
+  const bar  = el("scanProgressBar");
+  if (bar) bar.value = frac;
+  setHtmlIfExists("scanProgressPct", `${Math.round(frac * 100)}%`);
+}
+
+/**
+ * One search of scan scanId, in the worker when possible. Resolves null
+ * once the scan has been cancelled or replaced by a newer one.
+ */
+async function scanBestStart(search, scanId, onProgress = updateScanProgress) {
+  let best;
+  try {
+    best = await runBestStartInWorker(search, onProgress);
+  } catch (err) {
+    if (scanId !== bestStartScanId) return null;
+    console.warn("[planner] scanning on the page:", err);
+    setDisplayIfExists("scanCancelBtn", "none");
+    await new Promise(resolve => setTimeout(resolve, 0));   // let the progress bar paint first
+    best = runBestStartSearch(search);
   }
+  return scanId === bestStartScanId ? best : null;
+}
 
-  return { bestStartDate, bestCounts };
+/**
+ * runBestStartSearch() for a trail's BestStart! button: scans in the worker
+ * behind a progress bar, then clears it. Resolves null if cancelled.
+ */
+async function runBestStartScan(search) {
+  const scanId = beginBestStartScan("Scanning start dates\u2026");
+  const best   = await scanBestStart(search, scanId);
+  if (best) setHtmlIfExists("bestStartResult", "");
+  return best;
 }
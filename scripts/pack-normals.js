@@ -0,0 +1,253 @@
+/**
+ * pack-normals.js
+ *
+ * Writes the compact, lazily loaded form of a trail's historical_weather.json
+ * so the browser does not have to download and parse the whole file (tens of
+ * MB on the CDT and NCT) before BestStart works.
+ * - Reads trails/<trail>/data/historical_weather.json (and points.json for
+ *   coordinates and section labels the normals records don't carry)
+ * - Orders the records along the trail (spine by mile, then each alternate)
+ *   and splits them into chunks of consecutive points from the same
+ *   section / state / alternate, merging short runs and splitting long ones
+ * - Writes trails/<trail>/data/normals/:
+ *     index.json     — meta, field list, chunk list, and every point's id,
+ *                      coordinates and other scalars (mile, alt_id, grid_elev…)
+ *     NN-<label>-<hash>.bin — per chunk, little-endian int16: for each point
+ *                      (index order) and each field (fields order), 365 values
+ *                      of round(value × scale); -32768 = missing
+ * - Chunk names carry a content hash, so a chunk can be cached forever;
+ *   chunks left over from an earlier pack are deleted
+ *
+ * The trail's generate-normals script and the patch-*-normals scripts run this
+ * after they write the JSON. The JSON stays the source of truth (and the
+ * fallback the app uses when there is no index).
+ *
+ * Run: node scripts/pack-normals.js <trail-folder>
+ *   e.g. node scripts/pack-normals.js continental-divide-trail
+ */
+
+const fs     = require("fs");
+const path   = require("path");
+const crypto = require("crypto");
+
+// ---------------- CONFIG ----------------
+
+const FORMAT  = "trailtemps-normals-packed";
+const VERSION = 1;
+const DAYS    = 365;
+const NULL    = -32768;
+
+// Chunk sizing, in normals points (~15 KB each at 21 fields).
+const TARGET_CHUNK_POINTS = 40;
+const MAX_CHUNK_POINTS    = 80;
+
+// Fixed-point scale per field; anything not listed keeps one decimal.
+const FIELD_SCALES = {
+  pr:         100,    // inches, 0.01 in
+  pr_prob:    1000,   // 0–1
+  snow_cover: 1000    // 0–1
+};
+const DEFAULT_SCALE = 10;
+
+// Scalars copied from points.json when the normals record lacks them.
+const POINT_SCALARS = ["lat", "lon", "mile"];
+
+// Record fields used, in order, to label a chunk.
+const LABEL_FIELDS = ["alt_id", "section", "section_id", "passage_id", "state", "region"];
+
+// --------------------------------------
+
+function readJson(p) {
+  return JSON.parse(fs.readFileSync(p, "utf8"));
+}
+
+function slugify(s) {
+  return String(s).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 32) || "points";
+}
+
+/** Names of the 365-day arrays present on any record, in first-seen order. */
+function collectFields(records) {
+  const fields = [];
+  for (const rec of records) {
+    for (const [k, v] of Object.entries(rec)) {
+      if (Array.isArray(v) && v.length === DAYS && !fields.includes(k)) fields.push(k);
+    }
+  }
+  return fields;
+}
+
+/** Largest power-of-ten scale ≤ the configured one that keeps every value inside int16. */
+function scaleFor(name, records) {
+  let max = 0;
+  for (const rec of records) {
+    for (const v of rec[name] || []) if (Number.isFinite(v)) max = Math.max(max, Math.abs(v));
+  }
+  let scale = FIELD_SCALES[name] ?? DEFAULT_SCALE;
+  while (scale > 1 && Math.round(max * scale) > 32767) scale /= 10;
+  if (Math.round(max * scale) > 32767) throw new Error(`${name}: value ${max} does not fit int16`);
+  return scale;
+}
+
+function labelOf(rec, pointInfo) {
+  for (const k of LABEL_FIELDS) {
+    const v = rec[k] ?? pointInfo?.[k];
+    if (v != null && v !== "") return String(v);
+  }
+  return "";
+}
+
+/**
+ * Consecutive records with the same label, then short neighbouring runs
+ * merged up to TARGET_CHUNK_POINTS and long runs split at MAX_CHUNK_POINTS.
+ * Returns [{ label, records }].
+ */
+function planChunks(records, labels) {
+  const runs = [];
+  records.forEach((rec, i) => {
+    const last = runs[runs.length - 1];
+    if (last && last.label === labels[i]) last.records.push(rec);
+    else runs.push({ label: labels[i], records: [rec] });
+  });
+
+  const merged = [];
+  for (const run of runs) {
+    const last = merged[merged.length - 1];
+    if (last && last.records.length + run.records.length <= TARGET_CHUNK_POINTS) {
+      last.records.push(...run.records);
+      if (!last.labels.includes(run.label)) last.labels.push(run.label);
+    } else {
+      merged.push({ labels: [run.label], records: [...run.records] });
+    }
+  }
+
+  const chunks = [];
+  for (const m of merged) {
+    const label = m.labels.length > 1 ? `${m.labels[0]}..${m.labels[m.labels.length - 1]}` : m.labels[0];
+    const parts = Math.ceil(m.records.length / MAX_CHUNK_POINTS);
+    const size  = Math.ceil(m.records.length / parts);
+    for (let i = 0; i < parts; i++) {
+      chunks.push({ label: parts > 1 ? `${label} ${i + 1}` : label, records: m.records.slice(i * size, (i + 1) * size) });
+    }
+  }
+  return chunks;
+}
+
+function encodeChunk(records, fields) {
+  const buf = Buffer.alloc(records.length * fields.length * DAYS * 2);
+  let off = 0;
+  for (const rec of records) {
+    for (const { name, scale } of fields) {
+      const arr = rec[name];
+      for (let d = 0; d < DAYS; d++) {
+        const v = arr?.[d];
+        buf.writeInt16LE(Number.isFinite(v) ? Math.round(v * scale) : NULL, off);
+        off += 2;
+      }
+    }
+  }
+  return buf;
+}
+
+/**
+ * Packs dataDir/historical_weather.json into dataDir/normals/.
+ * Returns { chunks, points, bytes, jsonBytes }.
+ */
+function packNormals(dataDir) {
+  const histPath   = path.join(dataDir, "historical_weather.json");
+  const pointsPath = path.join(dataDir, "points.json");
+  const outDir     = path.join(dataDir, "normals");
+  if (!fs.existsSync(histPath)) throw new Error(`Missing: ${histPath}`);
+
+  const hist    = readJson(histPath);
+  const records = (hist.points || []).filter(p => p?.id != null);
+  if (!records.length) throw new Error("historical_weather.json has no points");
+
+  // Some files (AT, FT) store only ids — fall back to points.json.
+  const info = new Map();
+  if (fs.existsSync(pointsPath)) {
+    const pts = readJson(pointsPath);
+    for (const p of Array.isArray(pts) ? pts : pts.points || []) {
+      if (p?.id != null)        info.set(String(p.id), p);
+      if (p?.legacy_id != null) info.set(String(p.legacy_id), p);
+    }
+  }
+
+  // Chunk along the trail, not in file order: spine by mile, then each
+  // alternate by its own mile, so a chunk covers one stretch of ground.
+  const posOf = (rec) => {
+    const pt = info.get(String(rec.id));
+    return Number(rec.alt_mile ?? rec.mile ?? rec.axis_mile ?? pt?.alt_mile ?? pt?.mile ?? pt?.axis_mile ?? NaN);
+  };
+  const altOf = (rec) => String(rec.alt_id ?? info.get(String(rec.id))?.alt_id ?? "");
+  records.sort((a, b) => altOf(a).localeCompare(altOf(b)) || (posOf(a) - posOf(b)) || 0);
+
+  const fields = collectFields(records).map(name => ({ name, scale: scaleFor(name, records) }));
+  const fieldNames = new Set(fields.map(f => f.name));
+  const labels = records.map(rec => labelOf(rec, info.get(String(rec.id))));
+  const chunks = planChunks(records, labels);
+
+  fs.mkdirSync(outDir, { recursive: true });
+  const index = {
+    format:    FORMAT,
+    version:   VERSION,
+    generated: new Date().toISOString(),
+    source:    "historical_weather.json",
+    meta:      hist.meta || {},
+    days:      DAYS,
+    encoding:  "int16le",
+    null:      NULL,
+    fields,
+    chunks:    [],
+    points:    []
+  };
+
+  let bytes = 0;
+  chunks.forEach((chunk, ci) => {
+    const buf  = encodeChunk(chunk.records, fields);
+    const hash = crypto.createHash("sha1").update(buf).digest("hex").slice(0, 8);
+    const file = `${String(ci).padStart(2, "0")}-${slugify(chunk.label)}-${hash}.bin`;
+    fs.writeFileSync(path.join(outDir, file), buf);
+    bytes += buf.length;
+    index.chunks.push({ file, label: chunk.label, count: chunk.records.length, bytes: buf.length });
+
+    for (const rec of chunk.records) {
+      const entry = { id: rec.id, chunk: ci };
+      for (const [k, v] of Object.entries(rec)) {
+        if (k !== "id" && !fieldNames.has(k) && !Array.isArray(v)) entry[k] = v;
+      }
+      const pt = info.get(String(rec.id));
+      for (const k of POINT_SCALARS) if (entry[k] == null && pt?.[k] != null) entry[k] = pt[k];
+      index.points.push(entry);
+    }
+  });
+
+  fs.writeFileSync(path.join(outDir, "index.json"), JSON.stringify(index) + "\n", "utf8");
+
+  const keep = new Set(["index.json", ...index.chunks.map(c => c.file)]);
+  for (const f of fs.readdirSync(outDir)) {
+    if (f.endsWith(".bin") && !keep.has(f)) fs.unlinkSync(path.join(outDir, f));
+  }
+
+  return { chunks: index.chunks.length, points: index.points.length, bytes, jsonBytes: fs.statSync(histPath).size };
+}
+
+function main() {
+  const trail = process.argv[2];
+  if (!trail) throw new Error("Usage: node scripts/pack-normals.js <trail-folder>");
+
+  const res = packNormals(path.join("trails", trail, "data"));
+  const mb  = (n) => (n / 1048576).toFixed(2);
+  console.log(`Packed ${res.points} normals records into ${res.chunks} chunks`);
+  console.log(`  ${mb(res.jsonBytes)} MB JSON → ${mb(res.bytes)} MB packed`);
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (err) {
+    console.error("Fatal:", err.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { packNormals };
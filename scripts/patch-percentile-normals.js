@@ -0,0 +1,227 @@
+/**
+ * patch-percentile-normals.js
+ *
+ * Adds 10th / 90th percentile temperatures to an existing
+ * historical_weather.json without touching the mean arrays.
+ * - Reads trails/<trail>/data/historical_weather.json (and points.json for any
+ *   record without lat/lon)
+ * - For each record missing "lo_p10", fetches daily max/min and apparent
+ *   max/min temperatures via the Open-Meteo Historical Weather API over the
+ *   file's own normals range
+ * - Adds 365-day arrays (Jan 1 = index 0, Feb 29 skipped), each pooled over
+ *   a ±7-day window around the date:
+ *     hi_p10, hi_p90, lo_p10, lo_p90                  — daily high / low (°F)
+ *     hi_app_p10, hi_app_p90, lo_app_p10, lo_app_p90  — apparent high / low (°F)
+ * - Writes progress to disk after EACH point (safe resume)
+ *
+ * New points get the same fields from the trail's generate-normals-*.js; this
+ * script backfills files generated before percentiles were added. The
+ * historical_weather.json files in the repo all predate them: until it has
+ * run for a trail (it repacks the normals when done), Tool A on that trail
+ * leaves out the typical-range rows under the hottest day and coldest night.
+ * (The weather tool's typical ranges come from the live archive and don't
+ * need it.)
+ *
+ * Run: node scripts/patch-percentile-normals.js <trail-folder>
+ *   e.g. node scripts/patch-percentile-normals.js florida-trail
+ */
+
+const fs   = require("fs");
+const path = require("path");
+
+const { packNormals } = require("./pack-normals.js");
+
+// ---------------- CONFIG ----------------
+
+const DEFAULT_START_DATE = "2018-01-01";
+const DEFAULT_END_DATE   = "2024-12-31";
+const DATASET            = "ERA5-Land";
+
+// Percentiles pool ±PCTL_WINDOW_DAYS around each date: seven values per date
+// alone are too few for a stable 10th / 90th percentile.
+const PCTL_WINDOW_DAYS = 7;
+
+const DAILY_SERIES = {
+  hi:     "temperature_2m_max",
+  lo:     "temperature_2m_min",
+  hi_app: "apparent_temperature_max",
+  lo_app: "apparent_temperature_min"
+};
+
+const SLEEP_MS   = 15000;
+const MAX_POINTS = null;   // set to a number to patch only the first N records
+
+const API_BASE = "https://archive-api.open-meteo.com/v1/archive";
+
+// --------------------------------------
+
+function readJson(p) {
+  return JSON.parse(fs.readFileSync(p, "utf8"));
+}
+
+function writeJson(p, obj) {
+  fs.writeFileSync(p, JSON.stringify(obj, null, 2) + "\n", "utf8");
+}
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+function dayIndexFromMMDD(mmdd) {
+  const [mm, dd] = mmdd.split("-").map(Number);
+  const d     = new Date(2021, mm - 1, dd);
+  const start = new Date(2021, 0, 1);
+  return Math.max(0, Math.min(364, Math.round((d - start) / 86400000)));
+}
+
+/** The normals date range recorded in the file's meta, whichever generator wrote it. */
+function normalsRange(meta = {}) {
+  const text = meta.range || meta.normals_range;
+  if (typeof text === "string" && text.includes("..")) {
+    const [start, end] = text.split("..");
+    return { start, end };
+  }
+  if (meta.date_range?.start_date && meta.date_range?.end_date) {
+    return { start: meta.date_range.start_date, end: meta.date_range.end_date };
+  }
+  if (typeof meta.years === "string" && /^\d{4}-\d{4}$/.test(meta.years)) {
+    const [y0, y1] = meta.years.split("-");
+    return { start: `${y0}-01-01`, end: `${y1}-12-31` };
+  }
+  return { start: DEFAULT_START_DATE, end: DEFAULT_END_DATE };
+}
+
+async function fetchTemperatures(lat, lon, range) {
+  const url = new URL(API_BASE);
+  url.searchParams.set("latitude",           String(lat));
+  url.searchParams.set("longitude",          String(lon));
+  url.searchParams.set("start_date",         range.start);
+  url.searchParams.set("end_date",           range.end);
+  url.searchParams.set("daily",              Object.values(DAILY_SERIES).join(","));
+  url.searchParams.set("temperature_unit",   "fahrenheit");
+  url.searchParams.set("timezone",           "auto");
+
+  const resp = await fetch(url.toString());
+  if (!resp.ok) {
+    const txt = await resp.text().catch(() => "");
+    const err = new Error(`HTTP ${resp.status} from Open-Meteo`);
+    err.status = resp.status;
+    err.body   = txt.slice(0, 300);
+    throw err;
+  }
+  return resp.json();
+}
+
+function quantile(sorted, p) {
+  const pos = (sorted.length - 1) * p;
+  const i   = Math.floor(pos);
+  const v   = i + 1 < sorted.length ? sorted[i] + (sorted[i + 1] - sorted[i]) * (pos - i) : sorted[i];
+  return Math.round(v * 10) / 10;
+}
+
+function computePercentileNormals(daily) {
+  const times = daily?.time || [];
+  const out   = {};
+  let count   = 0;
+
+  for (const [key, field] of Object.entries(DAILY_SERIES)) {
+    const values = daily?.[field] || [];
+    const byDay  = Array.from({ length: 365 }, () => []);
+    for (let i = 0; i < times.length; i++) {
+      if (times[i].endsWith("-02-29") || !Number.isFinite(values[i])) continue;
+      byDay[dayIndexFromMMDD(times[i].slice(5))].push(values[i]);
+    }
+    if (key === "lo") count = byDay.filter((b) => b.length).length;
+
+    const p10 = new Array(365).fill(null), p90 = new Array(365).fill(null);
+    for (let idx = 0; idx < 365; idx++) {
+      const pool = [];
+      for (let k = -PCTL_WINDOW_DAYS; k <= PCTL_WINDOW_DAYS; k++) pool.push(...byDay[(idx + k + 365) % 365]);
+      if (!pool.length) continue;
+      pool.sort((a, b) => a - b);
+      p10[idx] = quantile(pool, 0.1);
+      p90[idx] = quantile(pool, 0.9);
+    }
+    out[`${key}_p10`] = p10;
+    out[`${key}_p90`] = p90;
+  }
+  return { percentiles: out, count };
+}
+
+async function main() {
+  const trail = process.argv[2];
+  if (!trail) throw new Error("Usage: node scripts/patch-percentile-normals.js <trail-folder>");
+
+  const dataDir    = path.join("trails", trail, "data");
+  const histPath   = path.join(dataDir, "historical_weather.json");
+  const pointsPath = path.join(dataDir, "points.json");
+  if (!fs.existsSync(histPath)) throw new Error(`Missing: ${histPath}`);
+
+  const hist = readJson(histPath);
+  if (!Array.isArray(hist.points)) throw new Error("historical_weather.json has no points array");
+  hist.meta = hist.meta || {};
+
+  // Some files (AT) store only ids — fall back to points.json for coordinates.
+  const coords = new Map();
+  if (fs.existsSync(pointsPath)) {
+    const pts = readJson(pointsPath);
+    for (const p of Array.isArray(pts) ? pts : pts.points || []) {
+      if (p?.id != null)        coords.set(String(p.id), p);
+      if (p?.legacy_id != null) coords.set(String(p.legacy_id), p);
+    }
+  }
+
+  const range   = normalsRange(hist.meta);
+  const missing = hist.points.filter((p) => !Array.isArray(p.lo_p10));
+  const todo    = MAX_POINTS != null ? missing.slice(0, MAX_POINTS) : missing;
+
+  console.log(`Normals records:           ${hist.points.length}`);
+  console.log(`Missing percentiles:       ${missing.length}`);
+  console.log(`Normals range:             ${range.start}..${range.end}`);
+
+  let processed = 0;
+  for (const rec of todo) {
+    const src = Number.isFinite(Number(rec.lat)) ? rec : coords.get(String(rec.id)) || coords.get(String(rec.legacy_id));
+    const lat = Number(src?.lat), lon = Number(src?.lon);
+    if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
+      console.warn(`Skipping ${rec.id}: no lat/lon`);
+      continue;
+    }
+
+    console.log(`\n[${processed + 1}/${todo.length}] ${rec.id} lat=${lat} lon=${lon}`);
+
+    try {
+      const data = await fetchTemperatures(lat, lon, range);
+      if (!data?.daily?.time?.length) throw new Error("No daily.time in response");
+
+      const { percentiles, count } = computePercentileNormals(data.daily);
+      if (count < 330) console.warn(`  ⚠ Sparse coverage (${count}/365 days). Still writing.`);
+
+      Object.assign(rec, percentiles);
+
+      hist.meta.percentiles = `Open-Meteo ${DATASET} 10th / 90th percentile temperatures (°F), ±${PCTL_WINDOW_DAYS}-day window`;
+      writeJson(histPath, hist);
+
+      processed++;
+      console.log("  ✔ Written");
+      await sleep(SLEEP_MS);
+
+    } catch (err) {
+      console.error(`\nERROR on ${rec.id}: ${err.message}`);
+      if (err.status) console.error(`HTTP status: ${err.status}`);
+      if (err.body)   console.error(`Body: ${err.body}`);
+      console.error("\nStopping so you can resume later. Re-run to continue.");
+      process.exit(1);
+    }
+  }
+
+  console.log(`\n✔ Done. Added percentiles to ${processed} records.`);
+
+  const packed = packNormals(dataDir);
+  console.log(`Packed for the app: ${packed.chunks} chunks in data/normals/`);
+}
+
+main().catch((err) => {
+  console.error("Fatal:", err.message);
+  process.exit(1);
+});
@@ -0,0 +1,219 @@
+/**
+ * patch-snow-normals.js
+ *
+ * Adds snow-depth normals to an existing historical_weather.json without
+ * re-fetching anything else.
+ * - Reads trails/<trail>/data/historical_weather.json (and points.json for any
+ *   record without lat/lon)
+ * - For each record missing "snow", fetches hourly snow_depth via the
+ *   Open-Meteo Historical Weather API over the file's own normals range and
+ *   averages it to one value per date
+ * - Adds two 365-day arrays (Jan 1 = index 0, Feb 29 skipped):
+ *     snow       — avg daily snow depth (in)
+ *     snow_cover — share of years snow-covered on that date (≥ 1 in), 0–1
+ * - Writes progress to disk after EACH point (safe resume)
+ *
+ * New points get the same fields from the trail's generate-normals-*.js; this
+ * script backfills files generated before snow depth was added. Only the
+ * snow-country trails use it (PCT, CDT, AZT, PNT). Until it has run for one
+ * of them (it repacks the normals when done), that trail's page hides the
+ * "Avoid typically snow-covered trail" constraint, the Snow Cover column and
+ * the Snow on Trail warning.
+ *
+ * Run: node scripts/patch-snow-normals.js <trail-folder>
+ *   e.g. node scripts/patch-snow-normals.js pacific-crest-trail
+ */
+
+const fs   = require("fs");
+const path = require("path");
+
+const { packNormals } = require("./pack-normals.js");
+
+// ---------------- CONFIG ----------------
+
+const DEFAULT_START_DATE = "2018-01-01";
+const DEFAULT_END_DATE   = "2024-12-31";
+const DATASET            = "ERA5-Land";
+
+// A date counts as snow-covered at 1 in of snow depth or more.
+const SNOW_COVER_IN = 1;
+
+// Open-Meteo reports snow depth in metres unless asked for imperial units.
+const SNOW_DEPTH_TO_IN = { m: 39.3701, cm: 0.393701, ft: 12, inch: 1 };
+
+const SLEEP_MS   = 15000;
+const MAX_POINTS = null;   // set to a number to patch only the first N records
+
+const API_BASE = "https://archive-api.open-meteo.com/v1/archive";
+
+// --------------------------------------
+
+function readJson(p) {
+  return JSON.parse(fs.readFileSync(p, "utf8"));
+}
+
+function writeJson(p, obj) {
+  fs.writeFileSync(p, JSON.stringify(obj, null, 2) + "\n", "utf8");
+}
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+function dayIndexFromMMDD(mmdd) {
+  const [mm, dd] = mmdd.split("-").map(Number);
+  const d     = new Date(2021, mm - 1, dd);
+  const start = new Date(2021, 0, 1);
+  return Math.max(0, Math.min(364, Math.round((d - start) / 86400000)));
+}
+
+/** The normals date range recorded in the file's meta, whichever generator wrote it. */
+function normalsRange(meta = {}) {
+  const text = meta.range || meta.normals_range;
+  if (typeof text === "string" && text.includes("..")) {
+    const [start, end] = text.split("..");
+    return { start, end };
+  }
+  if (meta.date_range?.start_date && meta.date_range?.end_date) {
+    return { start: meta.date_range.start_date, end: meta.date_range.end_date };
+  }
+  if (typeof meta.years === "string" && /^\d{4}-\d{4}$/.test(meta.years)) {
+    const [y0, y1] = meta.years.split("-");
+    return { start: `${y0}-01-01`, end: `${y1}-12-31` };
+  }
+  return { start: DEFAULT_START_DATE, end: DEFAULT_END_DATE };
+}
+
+async function fetchSnowDepth(lat, lon, range) {
+  const url = new URL(API_BASE);
+  url.searchParams.set("latitude",           String(lat));
+  url.searchParams.set("longitude",          String(lon));
+  url.searchParams.set("start_date",         range.start);
+  url.searchParams.set("end_date",           range.end);
+  url.searchParams.set("hourly",             "snow_depth");
+  url.searchParams.set("timezone",           "auto");
+
+  const resp = await fetch(url.toString());
+  if (!resp.ok) {
+    const txt = await resp.text().catch(() => "");
+    const err = new Error(`HTTP ${resp.status} from Open-Meteo`);
+    err.status = resp.status;
+    err.body   = txt.slice(0, 300);
+    throw err;
+  }
+  return resp.json();
+}
+
+function computeSnowNormals(hourly, hourlyUnits) {
+  const toIn  = SNOW_DEPTH_TO_IN[hourlyUnits?.snow_depth] ?? SNOW_DEPTH_TO_IN.m;
+  const times = hourly?.time       || [];
+  const depth = hourly?.snow_depth || [];
+
+  // Hourly → one mean depth per date
+  const byDate = new Map();
+  for (let i = 0; i < times.length; i++) {
+    if (!Number.isFinite(depth[i])) continue;
+    const date = times[i].slice(0, 10);
+    const b    = byDate.get(date) || { sum: 0, n: 0 };
+    b.sum += depth[i];
+    b.n++;
+    byDate.set(date, b);
+  }
+
+  const sum = new Array(365).fill(0), covered = new Array(365).fill(0), n = new Array(365).fill(0);
+  for (const [date, b] of byDate) {
+    if (date.endsWith("-02-29")) continue;
+    const idx   = dayIndexFromMMDD(date.slice(5));
+    const depIn = (b.sum / b.n) * toIn;
+    sum[idx] += depIn;
+    if (depIn >= SNOW_COVER_IN) covered[idx]++;
+    n[idx]++;
+  }
+
+  const round1 = (v) => Math.round(v * 10) / 10;
+  const round2 = (v) => Math.round(v * 100) / 100;
+  return {
+    snow:       n.map((c, i) => (c ? round1(sum[i] / c) : null)),
+    snow_cover: n.map((c, i) => (c ? round2(covered[i] / c) : null)),
+    count:      n.filter(Boolean).length
+  };
+}
+
+async function main() {
+  const trail = process.argv[2];
+  if (!trail) throw new Error("Usage: node scripts/patch-snow-normals.js <trail-folder>");
+
+  const dataDir    = path.join("trails", trail, "data");
+  const histPath   = path.join(dataDir, "historical_weather.json");
+  const pointsPath = path.join(dataDir, "points.json");
+  if (!fs.existsSync(histPath)) throw new Error(`Missing: ${histPath}`);
+
+  const hist = readJson(histPath);
+  if (!Array.isArray(hist.points)) throw new Error("historical_weather.json has no points array");
+  hist.meta = hist.meta || {};
+
+  // Some files (AT) store only ids — fall back to points.json for coordinates.
+  const coords = new Map();
+  if (fs.existsSync(pointsPath)) {
+    const pts = readJson(pointsPath);
+    for (const p of Array.isArray(pts) ? pts : pts.points || []) {
+      if (p?.id != null)        coords.set(String(p.id), p);
+      if (p?.legacy_id != null) coords.set(String(p.legacy_id), p);
+    }
+  }
+
+  const range   = normalsRange(hist.meta);
+  const missing = hist.points.filter((p) => !Array.isArray(p.snow));
+  const todo    = MAX_POINTS != null ? missing.slice(0, MAX_POINTS) : missing;
+
+  console.log(`Normals records:           ${hist.points.length}`);
+  console.log(`Missing snow depth:        ${missing.length}`);
+  console.log(`Normals range:             ${range.start}..${range.end}`);
+
+  let processed = 0;
+  for (const rec of todo) {
+    const src = Number.isFinite(Number(rec.lat)) ? rec : coords.get(String(rec.id)) || coords.get(String(rec.legacy_id));
+    const lat = Number(src?.lat), lon = Number(src?.lon);
+    if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
+      console.warn(`Skipping ${rec.id}: no lat/lon`);
+      continue;
+    }
+
+    console.log(`\n[${processed + 1}/${todo.length}] ${rec.id} lat=${lat} lon=${lon}`);
+
+    try {
+      const data = await fetchSnowDepth(lat, lon, range);
+      if (!data?.hourly?.time?.length) throw new Error("No hourly.time in response");
+
+      const { snow, snow_cover, count } = computeSnowNormals(data.hourly, data.hourly_units);
+      if (count < 330) console.warn(`  ⚠ Sparse coverage (${count}/365 days). Still writing.`);
+
+      rec.snow       = snow;
+      rec.snow_cover = snow_cover;
+
+      hist.meta.snow = `Open-Meteo ${DATASET} hourly snow_depth, daily mean (in); snow-covered ≥ ${SNOW_COVER_IN} in`;
+      writeJson(histPath, hist);
+
+      processed++;
+      console.log("  ✔ Written");
+      await sleep(SLEEP_MS);
+
+    } catch (err) {
+      console.error(`\nERROR on ${rec.id}: ${err.message}`);
+      if (err.status) console.error(`HTTP status: ${err.status}`);
+      if (err.body)   console.error(`Body: ${err.body}`);
+      console.error("\nStopping so you can resume later. Re-run to continue.");
+      process.exit(1);
+    }
+  }
+
+  console.log(`\n✔ Done. Added snow depth to ${processed} records.`);
+
+  const packed = packNormals(dataDir);
+  console.log(`Packed for the app: ${packed.chunks} chunks in data/normals/`);
+}
+
+main().catch((err) => {
+  console.error("Fatal:", err.message);
+  process.exit(1);
+});
@@ -0,0 +1,145 @@
+const test   = require("node:test");
+const assert = require("node:assert/strict");
+const { loadSharedUtils, straightRoute, fakeInput, fakeCheckbox } = require("./load-shared-utils.js");
+
+const { ctx } = loadSharedUtils();
+
+const doy  = (monthDay) => ctx.dayIndexFromMonthDay(monthDay);
+const date = (iso) => new Date(`${iso}T00:00:00`);   // local midnight
+const constraints = (c) => ({ windowFrom: null, windowTo: null, finishBy: null, blackouts: [], ...c });
+
+test("violatesBestStartConstraints passes every start without constraints", () => {
+  assert.equal(ctx.violatesBestStartConstraints(null, date("2026-01-01"), 200), false);
+  assert.equal(ctx.violatesBestStartConstraints(constraints({}), date("2026-01-01"), 200), false);
+});
+
+test("violatesBestStartConstraints keeps starts inside the start window", () => {
+  const spring = constraints({ windowFrom: doy("03-01"), windowTo: doy("04-30") });
+  assert.equal(ctx.violatesBestStartConstraints(spring, date("2026-03-15"), 150), false);
+  assert.equal(ctx.violatesBestStartConstraints(spring, date("2026-04-30"), 150), false);
+  assert.equal(ctx.violatesBestStartConstraints(spring, date("2026-05-01"), 150), true);
+
+  // A window from November to February wraps past December 31
+  const winter = constraints({ windowFrom: doy("11-01"), windowTo: doy("02-28") });
+  assert.equal(ctx.violatesBestStartConstraints(winter, date("2026-12-20"), 30), false);
+  assert.equal(ctx.violatesBestStartConstraints(winter, date("2026-01-10"), 30), false);
+  assert.equal(ctx.violatesBestStartConstraints(winter, date("2026-06-01"), 30), true);
+});
+
+test("violatesBestStartConstraints checks the finish-by date against the hike's length", () => {
+  const byOctober = constraints({ finishBy: doy("09-30") });
+  // Apr 1 + 179 days is Sep 27; + 184 days is Oct 2
+  assert.equal(ctx.violatesBestStartConstraints(byOctober, date("2026-04-01"), 180), false);
+  assert.equal(ctx.violatesBestStartConstraints(byOctober, date("2026-04-01"), 185), true);
+  // The finish-by date is the next one after the start
+  assert.equal(ctx.violatesBestStartConstraints(byOctober, date("2026-10-15"), 300), false);
+});
+
+test("violatesBestStartConstraints rules out starts on trail during a blackout", () => {
+  const july = constraints({ blackouts: [{ from: doy("07-01"), to: doy("07-10") }] });
+  assert.equal(ctx.violatesBestStartConstraints(july, date("2026-06-01"), 20), false);
+  assert.equal(ctx.violatesBestStartConstraints(july, date("2026-06-01"), 40), true);
+  assert.equal(ctx.violatesBestStartConstraints(july, date("2026-07-11"), 300), false);
+});
+
+// readPaceRange() on a page whose Pace Range controls hold these values
+function paceRange(min, max, step) {
+  const elements = {
+    durPaceRangeToggle: fakeCheckbox(true),
+    durPaceMin: fakeInput(min), durPaceMax: fakeInput(max), durPaceStep: fakeInput(step)
+  };
+  return loadSharedUtils({ elements }).ctx.readPaceRange();
+}
+
+test("readPaceRange lists every pace from the slowest to the fastest", () => {
+  const range = paceRange(12, 15, 1);
+  assert.deepEqual(Array.from(range.paces), [12, 13, 14, 15]);
+  assert.equal(range.summary, "searched 12\u201315 miles/day in steps of 1");
+
+  // A step that doesn't reach the maximum stops short of it
+  assert.deepEqual(Array.from(paceRange(12, 13, 0.3).paces), [12, 12.3, 12.6, 12.9]);
+  assert.deepEqual(Array.from(paceRange(12.5, 12.5, 1).paces), [12.5]);
+});
+
+test("readPaceRange rejects ranges of too many paces before listing them", () => {
+  assert.equal(paceRange(1, 30, 1).paces.length, 30);
+  assert.match(paceRange(1, 31, 1).error, /more than 30 paces/);
+  assert.match(paceRange(12, 25, 0.0001).error, /at least 0.1 miles per day/);
+  assert.match(paceRange(12, 25, 0).error, /at least 0.1 miles per day/);
+  assert.match(paceRange(12, 25, -1).error, /at least 0.1 miles per day/);
+});
+
+test("readPaceRange keeps paces to tenths instead of rounding them", () => {
+  assert.match(paceRange(12, 14, 0.25).error, /tenths of a mile/);
+  assert.match(paceRange(12.05, 14, 1).error, /tenths of a mile/);
+  assert.deepEqual(Array.from(paceRange(12, 12.4, 0.1).paces), [12, 12.1, 12.2, 12.3, 12.4]);
+});
+
+test("landmarkSeasonEliminator skips starts reaching the landmark in its season", () => {
+  const { legs } = straightRoute(ctx, { miles: 100 });
+  const tagged   = [{ ...legs[0], katahdin: "end" }];
+  const season   = { tag: "katahdin", from: "10-15", to: "05-15" };
+  const skip     = ctx.landmarkSeasonEliminator(tagged, { milesPerDay: 10 }, season);
+
+  // 100 miles at 10 a day reaches the end on day index 9
+  assert.equal(skip(date("2026-09-20")), false);   // Sep 29
+  assert.equal(skip(date("2026-10-06")), true);    // Oct 15
+  assert.equal(skip(date("2026-05-06")), true);    // May 15
+  assert.equal(skip(date("2026-05-07")), false);   // May 16
+
+  // A hike that never reaches the landmark skips nothing
+  const untagged = ctx.landmarkSeasonEliminator(legs, { milesPerDay: 10 }, season);
+  assert.equal(untagged(date("2026-12-01")), false);
+});
+
+// Normals that are warm in summer and cold in winter, a little cooler up the trail
+function syntheticNormals(point) {
+  const days = (f) => Array.from({ length: 365 }, (_, d) => f(Math.cos(2 * Math.PI * (d - 200) / 365)));
+  const cool = point.mile / 20;
+  return {
+    hi: days(c => 60 + 25 * c - cool), lo: days(c => 40 + 22 * c - cool),
+    app_hi: days(c => 60 + 27 * c - cool), app_lo: days(c => 38 + 24 * c - cool),
+    rh_hi: days(() => 85), rh_lo: days(() => 45), ws: days(c => 12 - 4 * c), pr_prob: days(() => 0.3)
+  };
+}
+
+test("the planner worker job finds the same best start as the page", () => {
+  const { legs } = straightRoute(ctx, { miles: 300, step: 2 });
+  const route    = { legs: [{ ...legs[0], katahdin: "end" }] };
+  const normals  = new Map();
+  const getNormals = (p) => {
+    if (!normals.has(p.id)) normals.set(p.id, syntheticNormals(p));
+    return normals.get(p.id);
+  };
+  const plan   = {
+    milesPerDay: ctx.buildPaceFn({ milesPerDay: 15, rampStartMpd: 8, rampDays: 4 }),
+    constraints: null, paceRange: [12, 15, 20]
+  };
+  const search = {
+    route, milesPerDay: 15, plan,
+    configFor: (p) => ({
+      durationDays:   ctx.planHikeSchedule(route.legs, p).length,
+      getHikePoints:  (startDate) => ctx.buildItinerary(route.legs, { startDate, ...p }),
+      getNormals,
+      landmarkSeason: { tag: "katahdin", from: "10-15", to: "05-15" },
+      constraints:    p.constraints
+    })
+  };
+
+  const page = ctx.runBestStartSearch(search);
+
+  // What runBestStartInWorker() posts and gets back, minus the worker itself
+  const { job } = ctx.bestStartWorkerJob(search, new Set());
+  const posted  = structuredClone(job);
+  const runs    = structuredClone(ctx.runBestStartWorkerJob(posted, new Map(posted.normals.map(n => [n.id, n.fields])), () => {}));
+  const worker  = ctx.pickBestStartPace(runs.map(run => ({ ...run, plan: ctx.planAtPace(plan, run.mpd) })), true);
+
+  assert.ok(page.bestStartDate);
+  assert.equal(worker.mpd, page.mpd);
+  assert.equal(worker.bestStartDate.getTime(), page.bestStartDate.getTime());
+  const summary = (best) => JSON.stringify(Array.from(best.ranking.paceSearch.rows, row => [
+    row.mpd, row.durationDays, row.ranking?.candidates.map(c => `${c.status}:${c.score}`).join(",")
+  ]));
+  assert.equal(summary(worker), summary(page));
+  assert.equal(worker.plan.milesPerDay.spec.milesPerDay, page.mpd);
+});
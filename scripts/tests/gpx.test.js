@@ -0,0 +1,31 @@
+const test   = require("node:test");
+const assert = require("node:assert/strict");
+const { loadSharedUtils } = require("./load-shared-utils.js");
+
+const { ctx } = loadSharedUtils();
+
+test("buildPlanGpx writes camp waypoints and one track segment per leg", () => {
+  const gpx = ctx.buildPlanGpx({
+    name: "Trail: 2026-05-01 to 2026-05-03",
+    desc: "Planned hike <3 days> & more",
+    waypoints: [
+      { name: "Day 1 (2026-05-01)", desc: "Mile 12", type: "hike", lat: 38.1234567, lon: -78.5 },
+      { name: "Day 2 (2026-05-02)", desc: "Rest \"here\"", type: "zero", lat: 38.2, lon: -78.4 }
+    ],
+    segments: [[[38, -78], [38.1, -78.05]], [[39, -77]]]
+  });
+  assert.match(gpx, /^<\?xml version="1.0" encoding="UTF-8"\?>\n<gpx version="1.1"/);
+  assert.equal(gpx.match(/<wpt /g).length, 2);
+  assert.match(gpx, /<wpt lat="38.123457" lon="-78.500000">\n    <name>Day 1 \(2026-05-01\)<\/name>/);
+  assert.match(gpx, /<type>zero<\/type>/);
+  assert.match(gpx, /<desc>Planned hike &lt;3 days&gt; &amp; more<\/desc>/);
+  assert.equal(gpx.match(/<trkseg>/g).length, 2);
+  assert.equal(gpx.match(/<trkpt /g).length, 3);
+  assert.match(gpx, /<trkpt lat="38.100000" lon="-78.050000"\/>/);
+});
+
+test("buildPlanGpx leaves out waypoints when there are none", () => {
+  const gpx = ctx.buildPlanGpx({ name: "T", desc: "", waypoints: [], segments: [[[38, -78]]] });
+  assert.doesNotMatch(gpx, /<wpt/);
+  assert.match(gpx, /<\/metadata>\n  <trk>/);
+});
@@ -0,0 +1,69 @@
+const test   = require("node:test");
+const assert = require("node:assert/strict");
+const { loadSharedUtils, straightRoute } = require("./load-shared-utils.js");
+
+const { ctx } = loadSharedUtils();
+
+const utf8Bytes = (s) => Buffer.byteLength(s, "utf8");
+
+test("buildPlanIcs makes an all-day event per entry with stable UIDs", () => {
+  const ics = ctx.buildPlanIcs({
+    name: "AT, NOBO",
+    uidPrefix: "at-nobo-20260501",
+    events: [
+      { date: new Date(2026, 4, 1), kind: "day", summary: "Day 1: Springer; Hawk Mtn", description: "Miles 0–12\nC:\\maps" },
+      { date: new Date(2026, 4, 2), kind: "state-nc", summary: "State line: North Carolina", description: "" },
+      { date: new Date(2026, 4, 2), kind: "state-nc", summary: "State line: North Carolina", description: "" },
+      { date: new Date(2026, 11, 31), summary: "New Year's Eve", description: "" }
+    ]
+  });
+  assert.ok(ics.endsWith("END:VCALENDAR\r\n"));
+  assert.doesNotMatch(ics.replace(/\r\n/g, ""), /\n/);   // every line ends in CRLF
+  assert.match(ics, /^BEGIN:VCALENDAR\r\nVERSION:2.0\r\n/);
+  assert.match(ics, /\r\nX-WR-CALNAME:AT\\, NOBO\r\n/);
+
+  assert.deepEqual(ics.match(/^UID:.*$/gm).map(l => l.trim()), [
+    "UID:at-nobo-20260501-20260501-day@trailtemps",
+    "UID:at-nobo-20260501-20260502-state-nc@trailtemps",
+    "UID:at-nobo-20260501-20260502-state-nc-2@trailtemps",
+    "UID:at-nobo-20260501-20261231-event@trailtemps"
+  ]);
+  assert.match(ics, /DTSTART;VALUE=DATE:20260501\r\nDTEND;VALUE=DATE:20260502\r\n/);
+  assert.match(ics, /DTSTART;VALUE=DATE:20261231\r\nDTEND;VALUE=DATE:20270101\r\n/);
+  assert.match(ics, /\r\nSUMMARY:Day 1: Springer\\; Hawk Mtn\r\n/);
+  assert.match(ics, /\r\nDESCRIPTION:Miles 0–12\\nC:\\\\maps\r\n/);
+});
+
+test("icsFold folds lines at 75 octets without splitting a character", () => {
+  assert.equal(ctx.icsFold("SUMMARY:short"), "SUMMARY:short");
+
+  const ascii = "DESCRIPTION:" + "x".repeat(200);
+  const folded = ctx.icsFold(ascii).split("\r\n");
+  assert.ok(folded.length > 1);
+  assert.equal(utf8Bytes(folded[0]), 75);
+  for (const line of folded) assert.ok(utf8Bytes(line) <= 75);
+  for (const line of folded.slice(1)) assert.equal(line[0], " ");
+  assert.equal(folded.map((l, i) => (i ? l.slice(1) : l)).join(""), ascii);
+
+  // En dashes are three bytes: the line breaks before one rather than inside it
+  const wide = "DESCRIPTION:" + "–".repeat(40);
+  const parts = ctx.icsFold(wide).split("\r\n");
+  assert.equal(utf8Bytes(parts[0]), 12 + 21 * 3);
+  for (const line of parts) assert.ok(utf8Bytes(line) <= 75);
+  assert.equal(parts.map((l, i) => (i ? l.slice(1) : l)).join(""), wide);
+});
+
+test("routeMilestones lists state lines and travel days", () => {
+  const { legs } = straightRoute(ctx, { miles: 40, stateAt: (m) => (m < 25 ? "MD" : "PA") });
+  const route = { legs: [{ ...legs[0], travelDaysAfter: 1 }, legs[0]] };
+  const startDate = new Date(2026, 4, 1);
+  const events = ctx.routeMilestones(route, { milesPerDay: 10 }, startDate);
+
+  assert.deepEqual(Array.from(events, e => [ctx.toISODate(e.date), e.kind, e.summary]), [
+    ["2026-05-03", "state-pa", "State line: Pennsylvania"],
+    ["2026-05-05", "travel", "Travel day"],
+    // The second leg starts back in Maryland: that is no state line
+    ["2026-05-08", "state-pa", "State line: Pennsylvania"]
+  ]);
+  assert.match(events[0].description, /Maryland into Pennsylvania near hike mile 25/);
+});
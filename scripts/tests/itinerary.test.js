@@ -0,0 +1,127 @@
+const test   = require("node:test");
+const assert = require("node:assert/strict");
+const { loadSharedUtils, straightRoute } = require("./load-shared-utils.js");
+
+const { ctx } = loadSharedUtils();
+
+// Arrays from the vm context have its Array prototype; copy them out to compare
+const dayTypes = (days) => days.map(d => d.dayType).join(",");
+const miles    = (days) => Array.from(days, d => Math.round(d.dayMiles * 100) / 100);
+const col      = (days, key) => Array.from(days, d => d[key]);
+
+test("planHikeSchedule walks each leg at the daily pace, with a short last day", () => {
+  const { legs } = straightRoute(ctx, { miles: 50 });
+  const days = ctx.planHikeSchedule(legs, { milesPerDay: 12 });
+  assert.deepEqual(miles(days), [12, 12, 12, 12, 2]);
+  assert.deepEqual(col(days, "hikeMile"), [0, 12, 24, 36, 48]);
+  assert.deepEqual(col(days, "dayIndex"), [0, 1, 2, 3, 4]);
+});
+
+test("planHikeSchedule adds travel days between legs only", () => {
+  const legs = [
+    { miles: 20, pointAt: () => null, travelDaysAfter: 2 },
+    { miles: 10, pointAt: () => null, travelDaysAfter: 3 }
+  ];
+  const days = ctx.planHikeSchedule(legs, { milesPerDay: 10 });
+  assert.equal(dayTypes(days), "hike,hike,travel,travel,hike");
+  assert.deepEqual(col(days, "legIndex"), [0, 0, 0, 0, 1]);
+  assert.equal(days[4].hikeMile, 20);
+});
+
+test("planHikeSchedule limits the hike to a section window", () => {
+  const legs = [
+    { miles: 20, pointAt: () => null, travelDaysAfter: 2 },
+    { miles: 20, pointAt: () => null }
+  ];
+  const within = ctx.planHikeSchedule(legs, { milesPerDay: 10, section: { fromMile: 5, toMile: 18 } });
+  assert.equal(dayTypes(within), "hike,hike");
+  assert.deepEqual(col(within, "hikeMile"), [5, 15]);
+  assert.deepEqual(miles(within), [10, 3]);
+
+  // A window running into the next leg keeps the travel days between them
+  const across = ctx.planHikeSchedule(legs, { milesPerDay: 10, section: { fromMile: 15, toMile: 25 } });
+  assert.equal(dayTypes(across), "hike,travel,travel,hike");
+  assert.deepEqual(col(across, "hikeMile"), [15, 20, 20, 20]);
+});
+
+test("buildPaceFn ramps up to the target pace and applies section windows", () => {
+  const pace = ctx.buildPaceFn({
+    milesPerDay: 20, rampStartMpd: 10, rampDays: 5,
+    windows: [{ fromMile: 100, toMile: 150, mpd: 12 }]
+  });
+  assert.deepEqual([0, 1, 2, 4, 5, 30].map(day => pace(day, 0)), [10, 12, 14, 18, 20, 20]);
+  assert.equal(pace(30, 120), 12);
+  assert.equal(pace(30, 150), 20);   // windows end before toMile
+  // Inside a window the ramp-up heads for the window's pace
+  assert.equal(pace(0, 120), 10);
+  assert.ok(Math.abs(pace(4, 120) - 11.6) < 1e-9);
+  assert.equal(pace(5, 120), 12);
+  assert.deepEqual(JSON.parse(JSON.stringify(pace.spec)), {
+    milesPerDay: 20, rampStartMpd: 10, rampDays: 5,
+    windows: [{ fromMile: 100, toMile: 150, mpd: 12 }]
+  });
+});
+
+test("planHikeSchedule follows a buildPaceFn() pace", () => {
+  const { legs } = straightRoute(ctx, { miles: 100 });
+  const pace = ctx.buildPaceFn({ milesPerDay: 20, rampStartMpd: 10, rampDays: 2 });
+  assert.deepEqual(miles(ctx.planHikeSchedule(legs, { milesPerDay: pace })), [10, 15, 20, 20, 20, 15]);
+});
+
+test("planHikeSchedule inserts zero and nero days", () => {
+  const { legs } = straightRoute(ctx, { miles: 60 });
+  const every = ctx.planHikeSchedule(legs, {
+    milesPerDay: 10,
+    restDays: { every: 2, kind: "nero", neroMiles: 4, stops: [] }
+  });
+  assert.equal(dayTypes(every), "hike,hike,nero,hike,hike,nero,hike,hike");
+  assert.deepEqual(miles(every), [10, 10, 4, 10, 10, 4, 10, 2]);
+
+  // A stop ends the day that reaches it; its rest days follow
+  const stop = ctx.planHikeSchedule(legs, {
+    milesPerDay: 10,
+    restDays: { every: 0, kind: "zero", neroMiles: 0, stops: [{ hikeMile: 25, days: 2, kind: "zero" }] }
+  });
+  assert.equal(dayTypes(stop), "hike,hike,hike,zero,zero,hike,hike,hike,hike");
+  assert.deepEqual(col(stop, "hikeMile").slice(0, 6), [0, 10, 20, 25, 25, 25]);
+});
+
+test("planHikeSchedule caps days at the daylight at their start point", () => {
+  const { legs } = straightRoute(ctx, { miles: 100 });
+  const startDate = new Date(2026, 11, 21);   // short winter days
+  const days = ctx.planHikeSchedule(legs, { milesPerDay: 30, daylight: { mph: 1.5, cap: true }, startDate });
+  const sun  = ctx.sunTimes(startDate, 38, -78);
+  assert.ok(days[0].daylightCapped);
+  assert.ok(Math.abs(days[0].dayMiles - sun.daylightHours * 1.5) < 1e-9);
+  // Without a start date there is no daylight to cap by
+  const plain = ctx.planHikeSchedule(legs, { milesPerDay: 30, daylight: { mph: 1.5, cap: true } });
+  assert.deepEqual(miles(plain), [30, 30, 30, 10]);
+});
+
+test("the itinerary table shows rain and snow columns only with their normals", () => {
+  const day  = (i) => ({ date: new Date(2026, 4, 1 + i), dayIndex: i, dayType: "hike", hikeMile: i * 10, dayMiles: 10, point: null });
+  const rec  = { avgHigh: 70, avgLow: 50, appHigh: 70, appLow: 50 };
+  const html = (recs) => ctx.renderItineraryTable(recs.map((r, i) => ctx.itineraryRow(day(i), r)), () => "VA");
+
+  // Every row has as many cells as the header
+  const columnsMatch = (table) => {
+    const [head, ...rows] = table.split("<tr").slice(1);
+    return rows.every(row => row.split("<td").length === head.split("<th>").length);
+  };
+
+  const plain = html([rec, rec]);
+  assert.doesNotMatch(plain, /Rain Chance|Snow Cover/);
+  assert.ok(columnsMatch(plain));
+
+  const wet = html([{ ...rec, rainChance: 0.42 }, rec]);
+  assert.match(wet, /<th>Rain Chance<\/th>/);
+  assert.match(wet, /<td>42%<\/td>/);
+  assert.doesNotMatch(wet, /Snow Cover/);
+  assert.ok(columnsMatch(wet));
+
+  const snowy = html([rec, { ...rec, snowCover: 0.8, snowDepthIn: 14 }]);
+  assert.match(snowy, /<th>Snow Cover<\/th>/);
+  assert.match(snowy, /<td>80%<\/td>/);
+  assert.doesNotMatch(snowy, /Rain Chance/);
+  assert.ok(columnsMatch(snowy));
+});
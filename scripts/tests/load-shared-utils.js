@@ -0,0 +1,130 @@
+/**
+ * load-shared-utils.js
+ *
+ * Loads js/shared-utils.js the way a trail page does — as a classic script,
+ * its functions and constants globals — into a fresh vm context for the
+ * tests in this folder. The page around it is a minimal stand-in:
+ * - document.getElementById() answers from the `elements` passed in (see
+ *   fakeInput / fakeSelect / fakeCheckbox); every other id is missing
+ * - localStorage is an in-memory Map; location / history record the URL
+ * - there is no IndexedDB, Worker or fetch, so code that needs them takes
+ *   its fallback path
+ *
+ * const { ctx, run } = loadSharedUtils({ elements, search })
+ *   ctx — the context: shared-utils functions are ctx.<name>
+ *   run — (code) => value, for the top-level const / let bindings
+ */
+
+const fs   = require("fs");
+const path = require("path");
+const vm   = require("vm");
+
+const SHARED_UTILS = path.join(__dirname, "..", "..", "js", "shared-utils.js");
+
+class FakeEvent {
+  constructor(type, opts = {}) {
+    this.type    = type;
+    this.bubbles = !!opts.bubbles;
+  }
+}
+
+class FakeElement {
+  constructor(tagName, props = {}) {
+    this.tagName   = tagName;
+    this.listeners = {};
+    this.innerHTML = "";
+    Object.assign(this, props);
+  }
+  addEventListener(type, fn) {
+    (this.listeners[type] ||= []).push(fn);
+  }
+  dispatchEvent(event) {
+    for (const fn of this.listeners[event.type] || []) fn(event);
+    return true;
+  }
+  click() {
+    this.dispatchEvent(new FakeEvent("click"));
+  }
+  querySelector() {
+    return null;
+  }
+  querySelectorAll() {
+    return [];
+  }
+}
+
+// A select keeps its value only when one of its options has it, as in a browser
+class FakeSelect extends FakeElement {
+  constructor(values, value = values[0]) {
+    super("SELECT", { options: values.map(v => ({ value: String(v), textContent: String(v) })) });
+    this.value = value;
+  }
+  get value() {
+    return this._value;
+  }
+  set value(v) {
+    this._value = this.options.some(o => o.value === String(v)) ? String(v) : "";
+  }
+  get selectedOptions() {
+    return this.options.filter(o => o.value === this._value);
+  }
+}
+
+const fakeInput    = (value = "") => new FakeElement("INPUT", { value: String(value) });
+const fakeCheckbox = (checked = false) => new FakeElement("INPUT", { type: "checkbox", checked });
+const fakeSelect   = (values, value) => new FakeSelect(values, value);
+
+function loadSharedUtils({ elements = {}, search = "" } = {}) {
+  const storage  = new Map();
+  const location = { pathname: "/trails/test-trail/", search, hash: "", href: `https://example.test/trails/test-trail/${search}` };
+  const history  = {
+    state: null,
+    urls:  [],
+    replaceState(state, title, url) {
+      this.state = state;
+      this.urls.push(url);
+      location.search = url.includes("?") ? url.slice(url.indexOf("?")) : "";
+    }
+  };
+  const document = {
+    readyState:       "complete",
+    currentScript:    null,
+    getElementById:   (id) => elements[id] || null,
+    querySelector:    () => null,
+    querySelectorAll: () => [],
+    addEventListener() {},
+    createElement:    (tag) => new FakeElement(tag.toUpperCase())
+  };
+
+  const ctx = {
+    console, URL, URLSearchParams, TextDecoder, TextEncoder, structuredClone,
+    setTimeout, clearTimeout,
+    Event: FakeEvent,
+    document, location, history,
+    navigator: { onLine: true },
+    localStorage: {
+      getItem:    (k) => (storage.has(k) ? storage.get(k) : null),
+      setItem:    (k, v) => storage.set(k, String(v)),
+      removeItem: (k) => storage.delete(k)
+    }
+  };
+  ctx.window = ctx;
+  vm.createContext(ctx);
+  vm.runInContext(fs.readFileSync(SHARED_UTILS, "utf8"), ctx, { filename: SHARED_UTILS });
+  return { ctx, run: (code) => vm.runInContext(code, ctx) };
+}
+
+/**
+ * A one-leg route over points every `step` miles, keyed by mile, as a trail's
+ * buildRouteLegs() would build it. stateAt — (mile) => state code.
+ */
+function straightRoute(ctx, { miles, step = 1, stateAt = () => "VA", lat = 38, lon = -78 }) {
+  const points = [];
+  for (let m = 0; m <= miles + 1e-9; m += step) {
+    points.push({ id: `p${points.length}`, mile: m, state: stateAt(m), lat: lat + m / 100, lon });
+  }
+  const list = { points, key: p => p.mile };
+  return { points, legs: [ctx.lookupLeg({ miles, lookup: [{ to: miles, list, key: 0, slope: 1 }] })] };
+}
+
+module.exports = { loadSharedUtils, straightRoute, fakeInput, fakeSelect, fakeCheckbox };
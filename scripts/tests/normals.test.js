@@ -0,0 +1,45 @@
+const test   = require("node:test");
+const assert = require("node:assert/strict");
+const { loadSharedUtils } = require("./load-shared-utils.js");
+
+const { ctx } = loadSharedUtils();
+
+const NULL  = -32768;
+const index = { days: 3, null: NULL, fields: [{ name: "hi", scale: 10 }, { name: "pr", scale: 100 }] };
+
+// Little-endian int16s, per stub, per field, one per day — as pack-normals.js writes them
+function chunk(values) {
+  const view = new DataView(new ArrayBuffer(values.length * 2));
+  values.forEach((v, i) => view.setInt16(i * 2, v, true));
+  return view.buffer;
+}
+
+test("decodeNormalsChunk scales each field's days back onto the point stubs", () => {
+  const stubs = [{ id: "a", mile: 0 }, { id: "b", mile: 5 }];
+  const recs  = ctx.decodeNormalsChunk(index, stubs, chunk([
+    655, 702, -15,   12, 0, 250,     // a: hi, pr
+    600, NULL, 610,  NULL, 5, NULL   // b: hi, pr
+  ]));
+  assert.equal(recs.length, 2);
+  assert.equal(recs[0].id, "a");
+  assert.equal(recs[1].mile, 5);
+  assert.deepEqual(Array.from(recs[0].hi), [65.5, 70.2, -1.5]);
+  assert.deepEqual(Array.from(recs[0].pr), [0.12, 0, 2.5]);
+  assert.deepEqual(Array.from(recs[1].hi), [60, null, 61]);
+  assert.deepEqual(Array.from(recs[1].pr), [null, 0.05, null]);
+});
+
+test("decodeNormalsChunk drops a field with no values for a point", () => {
+  // Stubs carry empty arrays for every field until their chunk loads
+  const stubs = [{ id: "a", hi: [], pr: [] }];
+  const [rec] = ctx.decodeNormalsChunk(index, stubs, chunk([700, 710, 720, NULL, NULL, NULL]));
+  assert.deepEqual(Array.from(rec.hi), [70, 71, 72]);
+  assert.equal("pr" in rec, false);
+  assert.deepEqual(stubs[0].pr, []);   // the stub itself is left alone
+});
+
+test("decodeNormalsChunk rejects a chunk that does not match its stubs", () => {
+  const stubs = [{ id: "a" }];
+  assert.throws(() => ctx.decodeNormalsChunk(index, stubs, chunk([1, 2, 3, 4, 5, 6, 7])), /normals chunk size mismatch/);
+  assert.throws(() => ctx.decodeNormalsChunk(index, stubs, chunk([1, 2, 3, 4, 5])), { name: "RangeError" });   // short: reads past the end
+});
@@ -0,0 +1,36 @@
+const test   = require("node:test");
+const assert = require("node:assert/strict");
+const { loadSharedUtils } = require("./load-shared-utils.js");
+
+const { ctx } = loadSharedUtils();
+
+const days = (v) => Array.from({ length: 365 }, () => v);
+
+test("percentileNormals keeps a record's p10 / p90 arrays under the app.js names", () => {
+  const rec = { hi: days(70), hi_p10: days(60), hi_p90: days(80), lo_app_p10: days(30) };
+  assert.deepEqual(Object.keys(ctx.percentileNormals(rec)), ["hi_p10", "hi_p90", "app_lo_p10"]);
+  assert.deepEqual(Object.keys(ctx.percentileNormals({ hi: days(70) })), []);
+});
+
+test("percentilesAt reads a day's ranges, shifting the apparent ones", () => {
+  const normals = ctx.percentileNormals({
+    hi_p10: days(60), hi_p90: days(80), lo_p10: days(35), lo_p90: days(50),
+    hi_app_p10: days(58), hi_app_p90: days(84), lo_app_p10: days(30), lo_app_p90: days(49)
+  });
+  const at = ctx.percentilesAt(normals, 100, { high: -2, low: -3 });
+  assert.deepEqual({ ...at }, {
+    hiP10: 60, hiP90: 80, loP10: 35, loP90: 50,
+    appHiP10: 56, appHiP90: 82, appLoP10: 27, appLoP90: 46
+  });
+});
+
+test("typical ranges are left out for normals without percentiles", () => {
+  const at = ctx.percentilesAt({ hi: days(70), lo: days(50) }, 100);
+  assert.ok(Object.values(at).every(v => v === null));
+  assert.equal(ctx.percentileRangeRows(at), "");
+  assert.equal(ctx.percentileRangeNote(at), "");
+
+  const rec = { hiP10: 60, hiP90: 80, loP10: 35, loP90: 50, appHiP10: null, appHiP90: null, appLoP10: 30, appLoP90: 49 };
+  assert.match(ctx.percentileRangeRows(rec), /High, typical range<\/th><td>60–80 °F<\/td><td>—<\/td>/);
+  assert.match(ctx.percentileRangeNote(rec), /One night in ten drops to 35/);
+});
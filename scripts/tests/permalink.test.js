@@ -0,0 +1,114 @@
+const test   = require("node:test");
+const assert = require("node:assert/strict");
+const { loadSharedUtils, fakeInput, fakeSelect, fakeCheckbox } = require("./load-shared-utils.js");
+
+const range = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => from + i);
+
+// The Tool A controls of a freshly loaded trail page
+function planControls() {
+  return {
+    durBtn:             fakeInput(),
+    durDirectionSelect: fakeSelect(["NOBO", "SOBO"]),
+    durDateMode:        fakeSelect(["start", "end"]),
+    durMonthSelect:     fakeSelect(range(1, 12), "1"),
+    durDaySelect:       fakeSelect(range(1, 31), "1"),
+    durMilesPerDay:     fakeInput("15"),
+    durSectionToggle:   fakeCheckbox(),
+    durSectionFrom:     fakeSelect(["", "Georgia", "Virginia"], ""),
+    durSectionTo:       fakeSelect(["", "Virginia", "Maine"], ""),
+    durSectionFromMile: fakeInput(),
+    durSectionToMile:   fakeInput(),
+    durPaceToggle:      fakeCheckbox(),
+    durRampStart:       fakeInput(),
+    durRampDays:        fakeInput(),
+    durRestToggle:      fakeCheckbox(),
+    durRestEvery:       fakeInput("7"),
+    durRestKind:        fakeSelect(["zero", "nero"]),
+    durNeroMiles:       fakeInput("5"),
+    durDaylightToggle:  fakeCheckbox(),
+    durDaylightMph:     fakeInput("2"),
+    durDaylightCap:     fakeCheckbox()
+  };
+}
+
+const plain = (v) => JSON.parse(JSON.stringify(v));   // out of the vm context, for deepEqual
+
+test("a plan permalink puts the same plan back and re-runs it", () => {
+  // Fill in a plan on one page and press Calculate
+  const first = planControls();
+  const page  = loadSharedUtils({ elements: first });
+  page.ctx.initPermalink();
+  first.durDirectionSelect.value = "SOBO";
+  first.durDateMode.value    = "end";
+  first.durMonthSelect.value = "9";
+  first.durDaySelect.value   = "14";
+  first.durMilesPerDay.value = "18.5";
+  first.durSectionToggle.checked = true;
+  first.durSectionFrom.value     = "Virginia";
+  first.durSectionTo.value       = "Maine";
+  first.durPaceToggle.checked = true;
+  first.durRampStart.value    = "10";
+  first.durRampDays.value     = "6";
+  first.durRestToggle.checked = true;
+  first.durRestEvery.value    = "5";
+  first.durRestKind.value     = "nero";
+  first.durNeroMiles.value    = "8";
+  first.durDaylightToggle.checked = true;
+  first.durDaylightMph.value      = "1.8";
+  first.durDaylightCap.checked    = true;
+  first.durBtn.click();
+
+  const url = page.ctx.history.urls.at(-1);
+  assert.match(url, /^\/trails\/test-trail\/\?/);
+  const query = new URLSearchParams(url.slice(url.indexOf("?")));
+  assert.equal(query.get("dir"), "SOBO");
+  assert.equal(query.get("from"), "end");
+  assert.equal(query.get("start"), "09-14");
+  assert.equal(query.get("mpd"), "18.5");
+  const expected = plain(page.ctx.readPlanOptionsForm());
+  assert.deepEqual(JSON.parse(query.get("plan")), expected);
+
+  // Open the link on a fresh page
+  const second = planControls();
+  let runs = 0;
+  second.durBtn.addEventListener("click", () => runs++);
+  const opened = loadSharedUtils({ elements: second, search: url.slice(url.indexOf("?")) });
+  opened.ctx.initPermalink();
+
+  assert.equal(runs, 1);
+  assert.equal(second.durDirectionSelect.value, "SOBO");
+  assert.equal(second.durDateMode.value, "end");
+  assert.equal(second.durMonthSelect.value, "9");
+  assert.equal(second.durDaySelect.value, "14");
+  assert.equal(second.durMilesPerDay.value, "18.5");
+  assert.deepEqual(plain(opened.ctx.readPlanOptionsForm()), expected);
+  assert.equal(opened.ctx.history.urls.at(-1), url);   // re-running keeps the same link
+});
+
+test("a plan permalink leaves switched-off plan options out", () => {
+  const controls = planControls();
+  const page     = loadSharedUtils({ elements: controls });
+  page.ctx.initPermalink();
+  controls.durBtn.click();
+
+  const url = page.ctx.history.urls.at(-1);
+  const query = new URLSearchParams(url.slice(url.indexOf("?")));
+  assert.equal(query.has("plan"), false);
+  assert.equal(query.get("mpd"), "15");
+
+  // Opening it leaves the page's own option settings alone
+  const opened = planControls();
+  opened.durRestToggle.checked = true;
+  loadSharedUtils({ elements: opened, search: url.slice(url.indexOf("?")) }).ctx.initPermalink();
+  assert.equal(opened.durRestToggle.checked, true);
+});
+
+test("a plan permalink ignores values that fit no control", () => {
+  const controls = planControls();
+  let runs = 0;
+  controls.durBtn.addEventListener("click", () => runs++);
+  loadSharedUtils({ elements: controls, search: "?dir=EAST&start=13-40&plan=%5B1%5D" }).ctx.initPermalink();
+  assert.equal(runs, 0);
+  assert.equal(controls.durDirectionSelect.value, "NOBO");
+  assert.equal(controls.durMonthSelect.value, "1");
+});
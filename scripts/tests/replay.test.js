@@ -0,0 +1,40 @@
+const test   = require("node:test");
+const assert = require("node:assert/strict");
+const { loadSharedUtils } = require("./load-shared-utils.js");
+
+const { ctx } = loadSharedUtils();
+
+// A hike point a day, each `spacing` degrees north of the last
+function hikeNorth(days, spacing) {
+  return Array.from({ length: days }, (_, i) => ({
+    date:  new Date(2026, 3, 1 + i),
+    point: { id: `p${i}`, lat: 35 + i * spacing, lon: -80 }
+  }));
+}
+
+test("groupReplayCells shares one archive request between points in a grid cell", () => {
+  const { cells, step } = ctx.groupReplayCells(hikeNorth(6, 0.02));
+  assert.equal(step, 0.1);
+  assert.equal(cells.length, 2);
+  assert.deepEqual(Array.from(cells[0].points.keys()), ["p0", "p1", "p2"]);
+  assert.deepEqual([cells[0].start, cells[0].end], ["2026-04-01", "2026-04-03"]);
+  assert.deepEqual([cells[1].start, cells[1].end], ["2026-04-04", "2026-04-06"]);
+});
+
+test("groupReplayCells widens cells for a long hike, but not past half a degree", () => {
+  // 20° of latitude: 0.2° cells would still be 100 requests
+  const long = ctx.groupReplayCells(hikeNorth(200, 0.1));
+  assert.equal(long.step, 0.5);
+  assert.equal(long.cells.length, 41);
+
+  // A shorter one stops widening once it is within 40 requests
+  const short = ctx.groupReplayCells(hikeNorth(60, 0.1));
+  assert.equal(short.step, 0.2);
+  assert.equal(short.cells.length, 30);
+});
+
+test("groupReplayCells leaves out days without a point", () => {
+  const days = hikeNorth(3, 0.5);
+  days[1].point = null;
+  assert.equal(ctx.groupReplayCells(days).cells.length, 2);
+});
@@ -0,0 +1,31 @@
+const test   = require("node:test");
+const assert = require("node:assert/strict");
+const { loadSharedUtils } = require("./load-shared-utils.js");
+
+const { ctx } = loadSharedUtils();
+
+test("utciCelsius is close to air temperature in the reference environment", () => {
+  // Reference: still air (0.5 m/s at 10 m), Tmrt = Ta, 50% humidity
+  for (const ta of [0, 10, 20, 25, 30]) {
+    const utci = ctx.utciCelsius(ta, ta, 0.5, 50);
+    assert.ok(Math.abs(utci - ta) < 1, `UTCI ${utci} at Ta ${ta}`);
+  }
+});
+
+test("utciCelsius feels colder in wind and warmer in sun and humidity", () => {
+  assert.ok(ctx.utciCelsius(0, 0, 8, 50) < ctx.utciCelsius(0, 0, 0.5, 50) - 10);
+  assert.ok(ctx.utciCelsius(25, 45, 0.5, 50) > ctx.utciCelsius(25, 25, 0.5, 50) + 4);
+  assert.ok(ctx.utciCelsius(30, 30, 0.5, 90) > ctx.utciCelsius(30, 30, 0.5, 30) + 3);
+});
+
+test("utciCelsius clamps wind to 0.5-17 m/s", () => {
+  assert.equal(ctx.utciCelsius(10, 10, 0, 50), ctx.utciCelsius(10, 10, 0.5, 50));
+  assert.equal(ctx.utciCelsius(10, 10, 30, 50), ctx.utciCelsius(10, 10, 17, 50));
+});
+
+test("utciCelsius returns null outside the approximation's range", () => {
+  assert.equal(ctx.utciCelsius(-51, -51, 2, 50), null);
+  assert.equal(ctx.utciCelsius(51, 51, 2, 50), null);
+  assert.equal(ctx.utciCelsius(20, 95, 2, 50), null);    // Tmrt - Ta above 70
+  assert.equal(ctx.utciCelsius(20, -15, 2, 50), null);   // Tmrt - Ta below -30
+});
@@ -0,0 +1,179 @@
+/* sw.js — TrailTemps service worker
+   Makes the site usable with no signal.
+   - Install: precaches the site shell (landing page, shared CSS/JS, Leaflet).
+   - Each visited trail page posts the same-origin files it loaded (its HTML,
+     app.js, points, geojson and normals) via js/pwa.js; those are kept in the
+     trail cache so planning and BestStart run offline.
+   - Open-Meteo and map tiles are never cached here — the trail pages keep
+     their own forecast/archive cache, with normals and geojson, in the
+     IndexedDB store (js/shared-utils.js) and say when it is stale.
+   Bump CACHE_VERSION whenever the shell list or caching rules change.
+*/
+
+const CACHE_VERSION = "v4";
+const SHELL_CACHE   = `trailtemps-shell-${CACHE_VERSION}`;
+const TRAIL_CACHE   = `trailtemps-trails-${CACHE_VERSION}`;
+
+const SHELL_URLS = [
+  "/",
+  "/manifest.webmanifest",
+  "/css/styles.css",
+  "/js/shared-utils.js",
+  "/js/planner-worker.js",
+  "/js/trail-nav.js",
+  "/js/pwa.js",
+  "/images/favicon.svg",
+  "/images/TrailTemps_Logo.png",
+  "/images/TrailTemps_Logo.jpg",
+  "https://unpkg.com/leaflet@1.9.4/dist/leaflet.css",
+  "https://unpkg.com/leaflet@1.9.4/dist/leaflet.js"
+];
+
+// Third-party files that are versioned in their URL and safe to serve from cache.
+const CDN_ORIGINS = ["https://unpkg.com"];
+
+/* -------------------------------------------------------
+   Lifecycle
+------------------------------------------------------- */
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  const keep = new Set([SHELL_CACHE, TRAIL_CACHE]);
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names.filter(n => n.startsWith("trailtemps-") && !keep.has(n)).map(n => caches.delete(n))))
+      .then(() => self.clients.claim())
+  );
+});
+
+/* -------------------------------------------------------
+   Trail precache — { type: "cache-urls", urls: [...] } from js/pwa.js
+------------------------------------------------------- */
+
+function isCacheable(url) {
+  return url.origin === self.location.origin || CDN_ORIGINS.includes(url.origin);
+}
+
+function isPageUrl(url) {
+  return url.pathname.endsWith("/") || url.pathname.endsWith(".html");
+}
+
+/**
+ * The trail cache key for a URL: no hash, and for pages no query string
+ * either — permalinks all share one copy, as the ignoreSearch reads expect.
+ */
+function trailCacheKey(url, isPage = isPageUrl(url)) {
+  const key = new URL(url);
+  key.hash = "";
+  if (isPage) key.search = "";
+  return key.href;
+}
+
+async function cacheUrls(urls) {
+  const cache = await caches.open(TRAIL_CACHE);
+  const queue = [...urls];
+  while (queue.length) {
+    let url;
+    try { url = new URL(queue.shift(), self.location.origin); } catch { continue; }
+    if (!isCacheable(url) || url.pathname === "/sw.js") continue;
+    url = new URL(trailCacheKey(url));
+    // The page only fetches the normals chunks it needs; take them all so
+    // every section of a visited trail plans offline. (The index itself is
+    // usually cached already by networkFirst, so it is always re-read here.)
+    const isNormalsIndex = url.pathname.endsWith("/normals/index.json");
+    if (!isNormalsIndex && await caches.match(url.href)) continue;
+    try {
+      const resp = await fetch(url.href);
+      if (!resp.ok) continue;
+      if (isNormalsIndex) {
+        const index = await resp.clone().json();
+        for (const c of index.chunks || []) queue.push(new URL(c.file, url).href);
+      }
+      await cache.put(url.href, resp);
+    } catch { /* offline — the next visit with signal fills it in */ }
+  }
+}
+
+self.addEventListener("message", (event) => {
+  const msg = event.data || {};
+  if (msg.type === "cache-urls" && Array.isArray(msg.urls)) {
+    event.waitUntil(cacheUrls(msg.urls));
+  }
+});
+
+/* -------------------------------------------------------
+   Fetch strategies
+   - Pages, scripts, styles: network first so fixes ship immediately,
+     cache when there is no signal. Same for data/normals/index.json — it
+     names the chunk files, and a stale copy would point at deleted ones.
+   - Trail data (.json/.geojson/.bin/images): stale-while-revalidate — the
+     normals chunks answer instantly (their names carry a content hash).
+   - CDN: cache first (the URL is versioned).
+------------------------------------------------------- */
+
+async function putInTrailCache(request, resp) {
+  if (!resp || !resp.ok || resp.type === "opaque") return;
+  const cache = await caches.open(TRAIL_CACHE);
+  const url   = new URL(request.url);
+  await cache.put(trailCacheKey(url, request.mode === "navigate" || isPageUrl(url)), resp);
+}
+
+async function networkFirst(request) {
+  try {
+    const resp = await fetch(request);
+    putInTrailCache(request, resp.clone());
+    return resp;
+  } catch (err) {
+    const cached = await caches.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+    if (request.mode === "navigate") {
+      const home = await caches.match("/");
+      if (home) return home;
+    }
+    throw err;
+  }
+}
+
+async function staleWhileRevalidate(event) {
+  const request = event.request;
+  const cached  = await caches.match(request, { ignoreSearch: true });
+  const network = fetch(request)
+    .then(resp => { putInTrailCache(request, resp.clone()); return resp; });
+  if (cached) {
+    event.waitUntil(network.catch(() => {}));
+    return cached;
+  }
+  return network;
+}
+
+async function cacheFirst(request) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+  const resp = await fetch(request);
+  if (resp.ok) (await caches.open(SHELL_CACHE)).put(request, resp.clone());
+  return resp;
+}
+
+self.addEventListener("fetch", (event) => {
+  const request = event.request;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+  if (!isCacheable(url)) return;   // Open-Meteo, map tiles, analytics: straight to network
+
+  if (url.origin !== self.location.origin) {
+    event.respondWith(cacheFirst(request));
+  } else if (request.mode === "navigate" || /\.(js|css|html)$/.test(url.pathname) || url.pathname.endsWith("/")
+             || url.pathname.endsWith("/normals/index.json")) {
+    event.respondWith(networkFirst(request));
+  } else {
+    event.respondWith(staleWhileRevalidate(event));
+  }
+});
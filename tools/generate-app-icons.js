@@ -0,0 +1,49 @@
+// Generates the square PWA icons listed in manifest.webmanifest from the site logo.
+// Output: images/icons/icon-192.png, icon-512.png, icon-maskable-512.png
+// Run: node tools/generate-app-icons.js
+
+const { createCanvas, loadImage } = require('@napi-rs/canvas');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const OUT_DIR = path.join(ROOT, 'images', 'icons');
+const LOGO = path.join(ROOT, 'images', 'TrailTemps_Logo.png');
+
+// fill — share of the square the logo may cover. Maskable icons keep it
+// inside the central safe zone (a circle 80% across) that every mask shows.
+const ICONS = [
+  { out: 'icon-192.png',          size: 192, fill: 0.9  },
+  { out: 'icon-512.png',          size: 512, fill: 0.9  },
+  { out: 'icon-maskable-512.png', size: 512, fill: 0.56 },
+];
+
+async function generateIcon(logo, icon) {
+  const canvas = createCanvas(icon.size, icon.size);
+  const ctx = canvas.getContext('2d');
+
+  // White background, as behind the logo on the hub page
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, icon.size, icon.size);
+
+  // Logo — centered
+  const scale = (icon.size * icon.fill) / Math.max(logo.width, logo.height);
+  const logoW = logo.width * scale;
+  const logoH = logo.height * scale;
+  ctx.drawImage(logo, (icon.size - logoW) / 2, (icon.size - logoH) / 2, logoW, logoH);
+
+  fs.writeFileSync(path.join(OUT_DIR, icon.out), canvas.toBuffer('image/png'));
+  console.log(`  ✓  ${icon.out}`);
+}
+
+async function main() {
+  fs.mkdirSync(OUT_DIR, { recursive: true });
+  console.log(`Generating ${ICONS.length} app icons → images/icons/\n`);
+  const logo = await loadImage(LOGO);
+  for (const icon of ICONS) {
+    await generateIcon(logo, icon);
+  }
+  console.log('\nDone.');
+}
+
+main().catch(err => { console.error(err); process.exit(1); });
@@ -8,7 +8,7 @@
    - Weather: Open-Meteo forecast (5 days) + current
    - Planning (Weather tool): 7-year planning average high/low for selected Month/Day (window-smoothed)
    - Units: Fahrenheit, mph
-   - Caching: localStorage
+   - Caching: IndexedDB store (normals, trail geojson, Open-Meteo); localStorage for the rest
 */
 
 function getTrailMeta() {
@@ -28,6 +28,7 @@ function getTrailMeta() {
     pointsUrl: new URL("points.json", dataDir).href,
     trailGeojsonUrl: new URL("trail.geojson", dataDir).href,
     normalsUrl: new URL("historical_weather.json", dataDir).href,
+    packedNormalsUrl: new URL("normals/index.json",      dataDir).href,
     defaultMapCenter: [38.5, -81.0],
     defaultZoom: 4,
   };
@@ -61,7 +62,12 @@ const FORECAST_DAILY_VARS = [
 
 const HIST_DAILY_VARS = [
   "temperature_2m_max",
-  "temperature_2m_min"
+  "temperature_2m_min",
+  "apparent_temperature_max",
+  "apparent_temperature_min",
+  "relative_humidity_2m_max",
+  "relative_humidity_2m_min",
+  "windspeed_10m_max"
 ].join(",");
 
 // Planning smoothing: +/- 3 days
@@ -86,6 +92,7 @@ let trailMaxMiles = null;
 let trailTotalMiles = null;
 
 // Precomputed normals
+let normalsSource    = null;  // openNormalsSource() — packed chunks or the full JSON
 let normalsByPointId = new Map(); // pointId -> { hi:[365], lo:[365] }
 let normalsMeta = null;
 
@@ -131,109 +138,93 @@ function syncWeatherMapWidthToExtremesMap() {
 /* ---------------------------
    Tool A: Hike duration / end-date calculator
 ---------------------------- */
-function isKatahdinSnowSeason(dateObj) {
-  // Snow season: Oct 15 - May 15 (inclusive)
-  const m = dateObj.getMonth() + 1;
-  const d = dateObj.getDate();
-
-  if (m > 10) return true;
-  if (m === 10 && d >= 15) return true;
-
-  if (m < 5) return true;
-  if (m === 5 && d <= 15) return true;
+// Katahdin snow season: Oct 15 - May 15 (inclusive). Also BestStart!'s
+// landmarkSeason, so the planner worker can skip those starts itself.
+const KATAHDIN_SNOW_SEASON = { tag: "katahdin", from: "10-15", to: "05-15" };
 
-  return false;
+function isKatahdinSnowSeason(dateObj) {
+  const md = toISODate(dateObj).slice(5);
+  return md >= KATAHDIN_SNOW_SEASON.from || md <= KATAHDIN_SNOW_SEASON.to;
 }
 
 function isFlipFlop(direction) {
   return direction === "ff_nobo_sobo" || direction === "ff_hf_nobo_sobo" || direction === "ff_hf_sobo_nobo";
 }
 
-// Returns [{date, point}, ...] for a complete hike (one or two legs).
-// For flip-flop modes the two legs are concatenated; dates skip FLIP_FLOP_TRAVEL_DAYS between them.
-function buildHikePoints(startDate, direction, milesPerDay) {
-  const pts = [];
-
-  if (direction === "NOBO" || direction === "SOBO") {
-    const startMile = direction === "SOBO" ? trailMaxMiles : trailMinMiles;
-    const sign = direction === "SOBO" ? -1 : 1;
-    const numDays = Math.ceil(trailTotalMiles / milesPerDay);
-    for (let i = 0; i < numDays; i++) {
-      const date = addDays(startDate, i);
-      let mile = startMile + sign * milesPerDay * i;
-      mile = Math.max(trailMinMiles, Math.min(trailMaxMiles, mile));
-      const point = getNearestPointByMile(mile);
-      if (point) pts.push({ date, point });
-    }
-    return pts;
+// Route legs for a direction (see the itinerary engine in shared-utils.js).
+// Flip-flops are two legs with FLIP_FLOP_TRAVEL_DAYS between them; leg ends at
+// Katahdin and at the Harpers Ferry flip point are tagged ("start" / "end") so
+// their dates can be found for any section.
+function buildRouteLegs(direction) {
+  const byMile = { points: allPointsSortedByMile, key: getPointMile };
+  // A leg of `miles` walked from startMile, north (sign 1) or south (-1)
+  const walk = (startMile, sign, miles, tags) =>
+    lookupLeg({ miles, lookup: [{ to: miles, list: byMile, key: startMile, slope: sign }], ...tags });
+
+  if (direction === "SOBO") {
+    return [walk(trailMaxMiles, -1, trailTotalMiles, { katahdin: "start" })];
+  }
+  if (!isFlipFlop(direction)) {
+    return [walk(trailMinMiles, 1, trailTotalMiles, { katahdin: "end" })];
   }
-
-  if (!isFlipFlop(direction)) return pts;
 
   const southDist = HF_MILE - trailMinMiles; // Springer → HF
   const northDist = trailMaxMiles - HF_MILE;  // HF → Katahdin
 
-  let leg1StartMile, leg1Sign, leg1Dist;
-  let leg2StartMile, leg2Sign, leg2Dist;
-
   if (direction === "ff_nobo_sobo") {
-    leg1StartMile = trailMinMiles; leg1Sign =  1; leg1Dist = southDist; // Springer NOBO → HF
-    leg2StartMile = trailMaxMiles; leg2Sign = -1; leg2Dist = northDist; // Katahdin SOBO → HF
-  } else if (direction === "ff_hf_nobo_sobo") {
-    leg1StartMile = HF_MILE;       leg1Sign =  1; leg1Dist = northDist; // HF NOBO → Katahdin
-    leg2StartMile = HF_MILE;       leg2Sign = -1; leg2Dist = southDist; // HF SOBO → Springer
-  } else {
-    // ff_hf_sobo_nobo
-    leg1StartMile = HF_MILE;       leg1Sign = -1; leg1Dist = southDist; // HF SOBO → Springer
-    leg2StartMile = trailMaxMiles; leg2Sign = -1; leg2Dist = northDist; // Katahdin SOBO → HF
+    return [
+      walk(trailMinMiles, 1, southDist, { travelDaysAfter: FLIP_FLOP_TRAVEL_DAYS, harpersFerry: "end" }), // Springer NOBO → HF
+      walk(trailMaxMiles, -1, northDist, { katahdin: "start", harpersFerry: "end" })                      // Katahdin SOBO → HF
+    ];
   }
-
-  const leg1Days = Math.ceil(leg1Dist / milesPerDay);
-  const leg2Days = Math.ceil(leg2Dist / milesPerDay);
-
-  for (let i = 0; i < leg1Days; i++) {
-    const date = addDays(startDate, i);
-    let mile = leg1StartMile + leg1Sign * milesPerDay * i;
-    mile = Math.max(trailMinMiles, Math.min(trailMaxMiles, mile));
-    const point = getNearestPointByMile(mile);
-    if (point) pts.push({ date, point });
+  if (direction === "ff_hf_nobo_sobo") {
+    return [
+      walk(HF_MILE, 1, northDist, { travelDaysAfter: FLIP_FLOP_TRAVEL_DAYS, katahdin: "end", harpersFerry: "start" }), // HF NOBO → Katahdin
+      walk(HF_MILE, -1, southDist, { harpersFerry: "start" })                                                          // HF SOBO → Springer
+    ];
   }
+  // ff_hf_sobo_nobo
+  return [
+    walk(HF_MILE, -1, southDist, { travelDaysAfter: FLIP_FLOP_TRAVEL_DAYS, harpersFerry: "start" }), // HF SOBO → Springer
+    walk(trailMaxMiles, -1, northDist, { katahdin: "start", harpersFerry: "end" })                 // Katahdin SOBO → HF
+  ];
+}
 
-  const leg2Offset = leg1Days + FLIP_FLOP_TRAVEL_DAYS;
-  for (let i = 0; i < leg2Days; i++) {
-    const date = addDays(startDate, leg2Offset + i);
-    let mile = leg2StartMile + leg2Sign * milesPerDay * i;
-    mile = Math.max(trailMinMiles, Math.min(trailMaxMiles, mile));
-    const point = getNearestPointByMile(mile);
-    if (point) pts.push({ date, point });
-  }
+// Returns [{date, point, ...}, ...] for a complete hike or a section of it.
+// For flip-flop modes the two legs are concatenated; dates skip FLIP_FLOP_TRAVEL_DAYS between them.
+function buildHikePoints(startDate, direction, plan) {
+  return buildItinerary(buildRouteLegs(direction), { startDate, ...plan });
+}
 
-  return pts;
+// Days on which the schedule is at a leg end tagged with `tag` ("katahdin" or
+// "harpersFerry"), in order: [{ dayIndex, at: "start" | "end" }]. Empty when
+// the hike (or section) never touches it. plan may carry startDate, so a
+// daylight cap is applied as it is in the itinerary.
+function landmarkDays(direction, plan, tag) {
+  const legs = buildRouteLegs(direction);
+  return scheduleLandmarkDays(legs, planHikeSchedule(legs, plan), tag);
 }
 
-// Returns the date the hiker is at Katahdin for any flip-flop direction.
-function flipFlopKatahdinDate(startDate, direction, milesPerDay) {
-  const southDist = HF_MILE - trailMinMiles;
-  const northDist = trailMaxMiles - HF_MILE;
-  if (direction === "ff_hf_nobo_sobo") {
-    // Katahdin is at the END of Leg 1 (HF → Katahdin)
-    return addDays(startDate, Math.ceil(northDist / milesPerDay) - 1);
-  }
-  // ff_nobo_sobo and ff_hf_sobo_nobo: Katahdin is at the START of Leg 2
-  return addDays(startDate, Math.ceil(southDist / milesPerDay) + FLIP_FLOP_TRAVEL_DAYS);
+// Day index (0-based) on which the schedule reaches Katahdin, or null when
+// the hike (or section) never touches it.
+function katahdinDayIndex(direction, plan) {
+  return landmarkDays(direction, plan, "katahdin")[0]?.dayIndex ?? null;
+}
+
+// Returns the date the hiker is at Katahdin for any direction, or null.
+function katahdinDate(startDate, direction, plan) {
+  const idx = katahdinDayIndex(direction, { ...plan, startDate });
+  return idx == null ? null : addDays(startDate, idx);
 }
 
-// Returns {leg1Days, leg2Days, totalDays} for any flip-flop direction.
-function calcFlipFlopDays(direction, milesPerDay) {
-  const southDist = HF_MILE - trailMinMiles;
-  const northDist = trailMaxMiles - HF_MILE;
-  const leg1Days = direction === "ff_hf_nobo_sobo"
-    ? Math.ceil(northDist / milesPerDay)
-    : Math.ceil(southDist / milesPerDay);
-  const leg2Days = direction === "ff_hf_nobo_sobo"
-    ? Math.ceil(southDist / milesPerDay)
-    : Math.ceil(northDist / milesPerDay);
-  return { leg1Days, leg2Days, totalDays: leg1Days + FLIP_FLOP_TRAVEL_DAYS + leg2Days };
+// Hike-mile route for the Section Hike controls.
+function getPlannerRoute(direction = el("durDirectionSelect")?.value || "NOBO") {
+  if (!allPointsSortedByMile.length || !Number.isFinite(trailTotalMiles)) return null;
+  return {
+    legs: buildRouteLegs(direction),
+    sectionOf: (p) => STATE_NAME[p.state] || p.state,
+    trailMileOf: (p) => getPointMile(p)
+  };
 }
 
 function renderDurationResult({ direction, startDate, endDate, distanceMiles, milesPerDay, durationDays, startDateLabel = "Start Date" }) {
@@ -282,8 +273,23 @@ function initDurationUI() {
   const bsBtn = el("bestStartBtn");
   if (bsBtn) bsBtn.addEventListener("click", runBestStart);
 
+  const cmpBtn = el("compareDirBtn");
+  if (cmpBtn) cmpBtn.addEventListener("click", () => runBestStart({ compareDirections: true }));
+
   const mpdEl = el("durMilesPerDay");
   if (mpdEl && mpdEl.value === "") mpdEl.value = "15";
+
+  initPlanOptionsUI(getPlannerRoute, { minMilesPerDay: 7 });
+  initSavedPlansUI({
+    trail:     trailSlug,
+    renderMap: (plans) => renderDurExtremesMap(null, null, plans)
+  });
+  initPlanExports({
+    trail:        trailSlug,
+    name:         "Appalachian Trail",
+    getRoute:     getPlannerRoute,
+    fetchGeojson: fetchTrailGeojson
+  });
 }
 
 /* ---------------------------
@@ -314,13 +320,35 @@ function getNearestPointByMile(targetMile) {
   return Math.abs(getPointMile(a) - targetMile) <= Math.abs(getPointMile(b) - targetMile) ? a : b;
 }
 
-function renderDurExtremesBlocks(hottest, coldest, { startDate, endDate, distanceMiles, durationDays, startDateLabel = "Start Date", utciCounts, direction = "NOBO", durationNote, katahdinDate } = {}) {
+// Calendar export events for the Harpers Ferry flip point and Katahdin.
+function calendarMilestones(startDate, direction, plan, katahdinDate) {
+  if (!startDate) return [];
+  const milestones = landmarkDays(direction, { ...plan, startDate }, "harpersFerry").map(({ dayIndex, at }) => ({
+    date: addDays(startDate, dayIndex),
+    kind: `harpers-ferry-${at}`,
+    summary: at === "start" ? "Leave Harpers Ferry, WV" : "Reach Harpers Ferry, WV",
+    description: "Flip-flop point at Harpers Ferry, WV (~mile 1,012)."
+  }));
+  if (katahdinDate) {
+    milestones.push({
+      date: katahdinDate,
+      kind: "katahdin",
+      summary: "Mt. Katahdin, ME",
+      description: "Northern terminus of the AT in Baxter State Park." + (isKatahdinSnowSeason(katahdinDate)
+        ? " This date falls in the October\u2013May snow season, when the park often closes the summit trail." : "")
+    });
+  }
+  return milestones;
+}
+
+function renderDurExtremesBlocks(hottest, coldest, { startDate, endDate, distanceMiles, durationDays, startDateLabel = "Start Date", utciCounts, itinerary, ranking, direction = "NOBO", durationNote, katahdinDate, plan } = {}) {
   // AT-specific: Katahdin snow season warning.
-  // NOBO: warn if end date falls in the Oct–May closure season.
+  // NOBO: warn if the summit date (the end date for a full hike) falls in the Oct–May closure season.
   // Flip-flop: warn if the computed Katahdin date falls in the closure season.
   // SOBO: no warning — hikers choose their Katahdin start explicitly; BestStart! eliminates snow season starts.
+  // Sections that never reach Katahdin have no katahdinDate and get no warning.
   let katahdinWarning = "";
-  if (direction === "NOBO" && endDate && isKatahdinSnowSeason(endDate)) {
+  if (direction === "NOBO" && katahdinDate && isKatahdinSnowSeason(katahdinDate)) {
     katahdinWarning = `<p style="color:#b00000; font-weight:600; margin-top:0.5rem;">
         Hiking on Mt. Katahdin, Maine during the October–May snow season is often closed or restricted based on local conditions.
        </p>`;
@@ -331,14 +359,16 @@ function renderDurExtremesBlocks(hottest, coldest, { startDate, endDate, distanc
   }
 
   renderDurExtremesBlocksShared(hottest, coldest, {
-    startDate, endDate, distanceMiles, durationDays, startDateLabel, utciCounts,
+    startDate, endDate, distanceMiles, durationDays, startDateLabel, utciCounts, itinerary, ranking, plan,
     warningHtml: katahdinWarning,
     durationNote,
-    formatLocation: (rec) => `${STATE_NAME[rec.point.state] || rec.point.state} — Mile ~${fmtMile(rec.point.mile)}`
+    milestones: calendarMilestones(startDate, direction, plan, katahdinDate),
+    formatLocation: (rec) => `${STATE_NAME[rec.point.state] || rec.point.state} — Mile ~${fmtMile(rec.point.mile)}`,
+    timeZoneOf: () => "America/New_York"
   });
 }
 
-function renderDurExtremesMap(hottest, coldest) {
+function renderDurExtremesMap(hottest, coldest, comparePlans = null) {
   const mapEl = el("durExtremesMap");
   if (!mapEl) return;
   if (typeof L === "undefined") return;
@@ -360,6 +390,14 @@ function renderDurExtremesMap(hottest, coldest) {
 
   durMapLayerGroup.clearLayers();
 
+  // Saved-plan comparison: every plan's pins, numbered
+  if (comparePlans) {
+    const latLngs = addPlanComparisonPins(durMapLayerGroup, comparePlans);
+    if (latLngs.length) durMap.fitBounds(L.latLngBounds(latLngs), { padding: [30, 30] });
+    setTimeout(invalidate, 0);
+    return;
+  }
+
   if (!hottest?.point || !coldest?.point) {
     setTimeout(invalidate, 0);
     return;
@@ -388,7 +426,25 @@ function renderDurExtremesMap(hottest, coldest) {
   setTimeout(invalidate, 0);
 }
 
-async function computeAndRenderDurationExtremes({ direction, startDate, milesPerDay, durationDays, distanceMiles, startDateLabel = "Start Date" }) {
+/** A point's normals under the getNormals() names shared with the other trails. */
+function getAtNormals(point) {
+  const raw = normalsByPointId.get(point.id)
+    || (point.legacy_id ? normalsByPointId.get(point.legacy_id) : null);
+  if (!raw) return null;
+  return {
+    hi:     raw.hi,
+    lo:     raw.lo,
+    app_hi: raw.hi_app || raw.hi || [],
+    app_lo: raw.lo_app || raw.lo || [],
+    rh_hi:  raw.rh_hi,
+    rh_lo:  raw.rh_lo,
+    ws:     raw.ws,
+    pr_prob: raw.pr_prob,
+    ...percentileNormals(raw),
+  };
+}
+
+async function computeAndRenderDurationExtremes({ direction, startDate, plan, durationDays, distanceMiles, startDateLabel = "Start Date", ranking = null }) {
   setDisplayIfExists("durExtremesWrap", "none");
   setHtmlIfExists("durExtremesHot", "");
   setHtmlIfExists("durExtremesCold", "");
@@ -403,7 +459,8 @@ async function computeAndRenderDurationExtremes({ direction, startDate, milesPer
     return;
   }
 
-  const hikePoints = buildHikePoints(startDate, direction, milesPerDay);
+  const hikePoints = buildHikePoints(startDate, direction, plan);
+  if (!(await normalsReady(normalsSource.ensureAround(hikePoints)))) return;
 
   let hottest = null;
   let coldest = null;
@@ -413,13 +470,18 @@ async function computeAndRenderDurationExtremes({ direction, startDate, milesPer
     "comfort": 0,
     "moderate-heat": 0, "strong-heat": 0, "very-strong-heat": 0, "extreme-heat": 0
   };
+  const itinerary = [];
 
-  for (const { date, point } of hikePoints) {
+  for (const day of hikePoints) {
+    const { date, point } = day;
     const normals =
       normalsByPointId.get(point.id) ||
       (point.legacy_id ? normalsByPointId.get(point.legacy_id) : null);
 
-    if (!normals || !Array.isArray(normals.hi) || !Array.isArray(normals.lo)) continue;
+    if (!normals || !Array.isArray(normals.hi) || !Array.isArray(normals.lo)) {
+      itinerary.push(itineraryRow(day, null));
+      continue;
+    }
 
     const monthDay = toISODate(date).slice(5); // MM-DD
     const idx = dayIndexFromMonthDay(monthDay);
@@ -427,7 +489,10 @@ async function computeAndRenderDurationExtremes({ direction, startDate, milesPer
     const avgHigh = normals.hi[idx];
     const avgLow  = normals.lo[idx];
 
-    if (!Number.isFinite(avgHigh) || !Number.isFinite(avgLow)) continue;
+    if (!Number.isFinite(avgHigh) || !Number.isFinite(avgLow)) {
+      itinerary.push(itineraryRow(day, null));
+      continue;
+    }
 
     const appHigh = (normals.hi_app && Number.isFinite(normals.hi_app[idx]))
       ? normals.hi_app[idx]
@@ -441,14 +506,25 @@ async function computeAndRenderDurationExtremes({ direction, startDate, milesPer
     const rhHigh = (normals.rh_hi && Number.isFinite(normals.rh_hi[idx])) ? normals.rh_hi[idx] : null;
     const rhLow  = (normals.rh_lo && Number.isFinite(normals.rh_lo[idx])) ? normals.rh_lo[idx] : null;
 
-    const rec = { date, targetMile: point.mile, point, avgHigh, avgLow, appHigh, appLow, rhHigh, rhLow };
+    const temps = thermalDayTemps({
+      hi: avgHigh, lo: avgLow, rhHigh, rhLow,
+      ws: (normals.ws && Number.isFinite(normals.ws[idx])) ? normals.ws[idx] : null,
+      appHigh, appLow
+    }, point.lat, idx);
+    const utciHigh = temps?.utci ? temps.high : null;
+    const utciLow  = temps?.utci ? temps.low  : null;
+
+    const rainChance = (normals.pr_prob && Number.isFinite(normals.pr_prob[idx])) ? normals.pr_prob[idx] : null;
+    const precipIn   = (normals.pr      && Number.isFinite(normals.pr[idx]))      ? normals.pr[idx]      : null;
+
+    const rec = { date, targetMile: point.mile, point, avgHigh, avgLow, appHigh, appLow, rhHigh, rhLow, utciHigh, utciLow, rainChance, precipIn, ...percentilesAt(normals, idx) };
+    itinerary.push(itineraryRow(day, rec));
 
     if (!hottest || rec.appHigh > hottest.appHigh) hottest = rec;
     if (!coldest || rec.appLow  < coldest.appLow)  coldest = rec;
 
-    const highScore = utciScoreHigh(appHigh);
-    const lowScore  = utciScoreLow(appLow);
-    utciCounts[utciCategoryDay(highScore, lowScore, appHigh, appLow)]++;
+    const category = temps && utciCategoryFor(temps.high, temps.low);
+    if (category) utciCounts[category]++;
   }
 
   const endDate = hikePoints.length > 0
@@ -459,12 +535,10 @@ async function computeAndRenderDurationExtremes({ direction, startDate, milesPer
     ? Math.round((endDate - startDate) / 86400000) + 1
     : (durationDays || 0);
 
-  const durationNote = isFlipFlop(direction)
-    ? `Includes ${FLIP_FLOP_TRAVEL_DAYS} travel days between legs at Harpers Ferry, WV (~mile 1,012)`
-    : undefined;
-
-  const katahdinDate = isFlipFlop(direction)
-    ? flipFlopKatahdinDate(startDate, direction, milesPerDay)
+  const travelDays = planHikeSchedule(buildRouteLegs(direction), plan)
+    .filter(d => d.dayType === "travel").length;
+  const durationNote = travelDays > 0
+    ? `Includes ${travelDays} travel days between legs at Harpers Ferry, WV (~mile 1,012)`
     : undefined;
 
   setDisplayIfExists("durExtremesWrap", "block");
@@ -475,11 +549,36 @@ async function computeAndRenderDurationExtremes({ direction, startDate, milesPer
     durationDays: totalCalendarDays,
     startDateLabel,
     utciCounts,
+    itinerary,
+    ranking,
     direction,
     durationNote,
-    katahdinDate
+    katahdinDate: katahdinDate(startDate, direction, plan),
+    plan
   });
   renderDurExtremesMap(hottest, coldest);
+
+  if (plan.replayYear) {
+    runReplayYear({
+      year: plan.replayYear,
+      startDate,
+      getHikePoints: (replayStart) => buildHikePoints(replayStart, direction, plan),
+      fetchHistorical,
+      getNormals: getAtNormals,
+      formatLocation: (rec) => `${STATE_NAME[rec.point.state] || rec.point.state} \u2014 Mile ~${fmtMile(rec.point.mile)}`,
+      normals: { hottest, coldest, utciCounts }
+    });
+  }
+
+  if (plan.risk) {
+    runRiskEstimate({
+      plan,
+      startDate,
+      getHikePoints: (riskStart, riskPlan) => buildHikePoints(riskStart, direction, riskPlan),
+      fetchHistorical,
+      getNormals: getAtNormals
+    });
+  }
 }
 
 function runDurationCalculator() {
@@ -509,29 +608,39 @@ function runDurationCalculator() {
     return;
   }
 
-  const startDate = resolveStartDate(monthDay);
-  const distance = trailTotalMiles;
-
-  let durationDays;
-  if (isFlipFlop(direction)) {
-    const { totalDays } = calcFlipFlopDays(direction, mpd);
-    durationDays = totalDays;
-  } else {
-    durationDays = Math.ceil(distance / mpd);
+  const { plan, error } = readPlanOptions(getPlannerRoute(), mpd);
+  if (error) {
+    setDurStatus(error);
+    return;
   }
 
+  const distance = plan.section ? plan.section.miles : trailTotalMiles;
+  const legs         = buildRouteLegs(direction);
+  const durationDays = planHikeSchedule(legs, plan).length;
+
   if (durationDays > 365) {
     setDurStatus("For this planner, hikes cannot exceed one year (365 days). Please adjust Miles per Day.");
     return;
   }
 
+  // Plan From "Katahdin Summit Date" works back from the summit day, wherever it falls in the itinerary
+  const { startDate, startDateLabel, error: dateError } = resolvePlanStartDate(monthDay, {
+    finish: scheduleFinishOffset(legs, plan),
+    katahdin: (start) => katahdinDayIndex(direction, { ...plan, startDate: start })
+  });
+  if (dateError) {
+    setDurStatus(dateError);
+    return;
+  }
+
   if (normalsByPointId && normalsByPointId.size > 0) {
     computeAndRenderDurationExtremes({
       direction,
       startDate,
-      milesPerDay: mpd,
+      plan,
       durationDays,
-      distanceMiles: distance
+      distanceMiles: distance,
+      startDateLabel
     }).catch(err => {
       console.error(err);
       setDurStatus(`Error computing temperature extremes: ${err.message}`);
@@ -544,9 +653,39 @@ function runDurationCalculator() {
 /* ---------------------------
    BestStart: UTCI thermal comfort scoring
    UTCI scoring functions now live in shared-utils.js.
-   This thin wrapper handles AT-specific logic (Katahdin eliminator).
+   This thin wrapper handles AT-specific logic (Katahdin snow season).
 ---------------------------- */
-function runBestStart() {
+/**
+ * BestStart! setup for one direction with the current Tool A inputs.
+ * Returns { search } — search is the runBestStartSearch() config — or { error }.
+ */
+function prepareBestStart(direction, mpd) {
+  const route = getPlannerRoute(direction);
+  const { plan, error } = readPlanOptions(route, mpd);
+  if (error) return { error };
+
+  const durationDays = planHikeSchedule(buildRouteLegs(direction), plan).length;
+  if (durationDays > 365) {
+    return { error: "For this planner, hikes cannot exceed one year (365 days). Please adjust Miles per Day." };
+  }
+
+  return {
+    search: {
+      route, milesPerDay: mpd, plan,
+      configFor: (plan) => ({
+        durationDays: planHikeSchedule(buildRouteLegs(direction), plan).length,
+        getHikePoints: (startDate) => buildHikePoints(startDate, direction, plan),
+        getNormals: getAtNormals,
+        // Starts reaching Katahdin in its snow season are skipped; a section
+        // that never reaches Katahdin skips none.
+        landmarkSeason: KATAHDIN_SNOW_SEASON,
+        constraints: plan.constraints
+      })
+    }
+  };
+}
+
+async function runBestStart({ compareDirections = false } = {}) {
   setDurStatus("");
   if (el("bestStartResult")) el("bestStartResult").innerHTML = "";
   if (el("durResult")) el("durResult").innerHTML = "";
@@ -572,46 +711,30 @@ function runBestStart() {
     return;
   }
 
-  let durationDays;
-  if (isFlipFlop(direction)) {
-    const { totalDays } = calcFlipFlopDays(direction, mpd);
-    durationDays = totalDays;
-  } else {
-    durationDays = Math.ceil(trailTotalMiles / mpd);
+  const prep = prepareBestStart(direction, mpd);
+  if (prep.error) {
+    setDurStatus(prep.error);
+    return;
   }
 
-  if (durationDays > 365) {
-    setDurStatus("For this planner, hikes cannot exceed one year (365 days). Please adjust Miles per Day.");
+  if (compareDirections) {
+    if (!(await normalsReady(normalsSource.ensureAll()))) return;
+    await compareDirectionsShared((id) => prepareBestStart(id, mpd));
     return;
   }
 
-  function getAtNormals(point) {
-    const raw = normalsByPointId.get(point.id)
-      || (point.legacy_id ? normalsByPointId.get(point.legacy_id) : null);
-    if (!raw) return null;
-    return {
-      app_hi: raw.hi_app || raw.hi || [],
-      app_lo: raw.lo_app || raw.lo || [],
-    };
-  }
+  if (!(await normalsReady(ensureSearchNormals(normalsSource, prep.search)))) return;
 
-  const { bestStartDate } = runBestStartShared({
-    durationDays,
-    getHikePoints: (startDate) => buildHikePoints(startDate, direction, mpd),
-    getNormals: getAtNormals,
-    eliminator: (startDate, endDate) => {
-      if (direction === "SOBO") return isKatahdinSnowSeason(startDate);
-      if (direction === "NOBO") return isKatahdinSnowSeason(endDate);
-      if (isFlipFlop(direction)) return isKatahdinSnowSeason(flipFlopKatahdinDate(startDate, direction, mpd));
-      return false;
-    }
-  });
+  const best = await runBestStartScan(prep.search);
+  if (!best) return;
+  const { bestStartDate, ranking, plan: bestPlan, durationDays: bestDays } = best;
 
   if (!bestStartDate) {
     setHtmlIfExists("bestStartResult",
+      constrainedBestStartFailureHtml(ranking) ||
       `<p style="color:#b00000; font-weight:600; margin-top:0.75rem;">
         No valid start date found — every possible start date includes at least one day of
-        extreme heat or cold stress. Try adjusting miles per day.
+        extreme heat or cold stress. Try adjusting miles per day or your comfort profile.
        </p>`);
     return;
   }
@@ -619,10 +742,11 @@ function runBestStart() {
   computeAndRenderDurationExtremes({
     direction,
     startDate: bestStartDate,
-    milesPerDay: mpd,
-    durationDays,
-    distanceMiles: trailTotalMiles,
-    startDateLabel: "<em>BestStart!</em> Date"
+    plan: bestPlan,
+    durationDays: bestDays,
+    distanceMiles: bestPlan.section ? bestPlan.section.miles : trailTotalMiles,
+    startDateLabel: "<em>BestStart!</em> Date",
+    ranking
   }).catch(err => {
     console.error(err);
     setDurStatus(`Error computing temperature extremes: ${err.message}`);
@@ -777,20 +901,22 @@ function updateMap(point) {
 /* ---------------------------
    Local AT overlay
 ---------------------------- */
+async function fetchTrailGeojson() {
+  const key = `trail_geojson_${trailSlug}_v1`;
+  const cached = await storeGet(key, AT_TTL_MS);
+  if (cached) return cached;
+  const resp = await fetch(TRAIL_GEOJSON_URL, { cache: "no-cache" });
+  if (!resp.ok) throw new Error(`Failed to load ${TRAIL_GEOJSON_URL} (${resp.status})`);
+  const geojson = await resp.json();
+  storeSet(key, geojson);
+  return geojson;
+}
+
 async function loadTrailOverlay() {
   if (!map) return;
 
-  const CACHE_KEY = `trail_geojson_${trailSlug}_v1`;
-  const cached = cacheGet(CACHE_KEY, AT_TTL_MS);
-
   try {
-    let geojson = cached;
-    if (!geojson) {
-      const resp = await fetch(TRAIL_GEOJSON_URL, { cache: "no-cache" });
-      if (!resp.ok) throw new Error(`Failed to load ${TRAIL_GEOJSON_URL} (${resp.status})`);
-      geojson = await resp.json();
-      cacheSet(CACHE_KEY, geojson);
-    }
+    const geojson = await fetchTrailGeojson();
 
     if (trailLayer) { try { map.removeLayer(trailLayer); } catch {} trailLayer = null; }
     if (trailHaloLayer) { try { map.removeLayer(trailHaloLayer); } catch {} trailHaloLayer = null; }
@@ -832,17 +958,8 @@ async function loadTrailOverlay() {
 async function loadTrailOverlayForDurMap() {
   if (!durMap) return;
 
-  const CACHE_KEY = `trail_geojson_${trailSlug}_v1`;
-  const cached = cacheGet(CACHE_KEY, AT_TTL_MS);
-
   try {
-    let geojson = cached;
-    if (!geojson) {
-      const resp = await fetch(TRAIL_GEOJSON_URL, { cache: "no-cache" });
-      if (!resp.ok) throw new Error(`Failed to load ${TRAIL_GEOJSON_URL} (${resp.status})`);
-      geojson = await resp.json();
-      cacheSet(CACHE_KEY, geojson);
-    }
+    const geojson = await fetchTrailGeojson();
 
     if (durTrailLayer) { try { durMap.removeLayer(durTrailLayer); } catch {} durTrailLayer = null; }
     if (durTrailHaloLayer) { try { durMap.removeLayer(durTrailHaloLayer); } catch {} durTrailHaloLayer = null; }
@@ -929,30 +1046,39 @@ async function loadPoints() {
 }
 
 async function loadPrecomputedNormals() {
-  // historical_weather.json is too large for localStorage — rely on HTTP cache instead.
-  const resp = await fetch(NORMALS_URL);
-  if (!resp.ok) {
-    throw new Error(`Failed to load ${NORMALS_URL} (${resp.status})`);
-  }
-  const payload = await resp.json();
-
   normalsByPointId = new Map();
-  normalsMeta = payload.meta || null;
-
-  const pts = payload.points || [];
-  for (const p of pts) {
-    if (!p || !p.id) continue;
-    if (!Array.isArray(p.hi) || !Array.isArray(p.lo)) continue;
-    normalsByPointId.set(String(p.id), {
-      hi:     p.hi,
-      lo:     p.lo,
-      hi_app: Array.isArray(p.hi_app) ? p.hi_app : null,
-      lo_app: Array.isArray(p.lo_app) ? p.lo_app : null,
-      rh_hi:  Array.isArray(p.rh_hi)  ? p.rh_hi  : null,
-      rh_lo:  Array.isArray(p.rh_lo)  ? p.rh_lo  : null,
-      ws:     Array.isArray(p.ws)     ? p.ws     : null,
-    });
-  }
+  normalsSource = await openNormalsSource({
+    packedUrl: META.packedNormalsUrl,
+    storeKey:  `normals_${trailSlug}`,
+    version:   NORMALS_CACHE_VERSION,
+    ttlMs:     NORMALS_TTL_MS,
+    loadJson: async () => {
+      const resp = await fetch(NORMALS_URL);
+      if (!resp.ok) {
+        throw new Error(`Failed to load ${NORMALS_URL} (${resp.status})`);
+      }
+      return resp.json();
+    },
+    onRecords: (records) => records.forEach(setNormalsRecord),
+  });
+  normalsMeta = normalsSource.meta;
+}
+
+function setNormalsRecord(p) {
+  if (!p || !p.id) return;
+  if (!Array.isArray(p.hi) || !Array.isArray(p.lo)) return;
+  normalsByPointId.set(String(p.id), {
+    hi:     p.hi,
+    lo:     p.lo,
+    hi_app: Array.isArray(p.hi_app) ? p.hi_app : null,
+    lo_app: Array.isArray(p.lo_app) ? p.lo_app : null,
+    rh_hi:  Array.isArray(p.rh_hi)  ? p.rh_hi  : null,
+    rh_lo:  Array.isArray(p.rh_lo)  ? p.rh_lo  : null,
+    ws:     Array.isArray(p.ws)     ? p.ws     : null,
+    pr:      Array.isArray(p.pr)      ? p.pr      : null,
+    pr_prob: Array.isArray(p.pr_prob) ? p.pr_prob : null,
+    ...percentileNormals(p),
+  });
 }
 
 /* ---------------------------
@@ -960,7 +1086,7 @@ async function loadPrecomputedNormals() {
 ---------------------------- */
 async function fetchForecast(point) {
   const cacheKey = `forecast:${point.id}`;
-  const cached = cacheGet(cacheKey, FORECAST_TTL_MS);
+  const cached = await storeGet(cacheKey, FORECAST_TTL_MS);
   if (cached) return cached;
 
   const url = new URL(FORECAST_BASE);
@@ -973,11 +1099,13 @@ async function fetchForecast(point) {
   url.searchParams.set("timezone", "auto");
   url.searchParams.set("forecast_days", "5");
 
-  const resp = await fetch(url.toString());
+  let resp;
+  try { resp = await fetch(url.toString()); }
+  catch (err) { return staleOrThrow(cacheKey, err); }
   if (!resp.ok) throw new Error(`Forecast request failed (${resp.status})`);
   const data = await resp.json();
 
-  cacheSet(cacheKey, data);
+  storeSet(cacheKey, data);
   return data;
 }
 
@@ -993,7 +1121,7 @@ function lastSevenYearsRange() {
 
 async function fetchHistorical(point, range) {
   const cacheKey = `hist:${point.id}:${range.start_date}:${range.end_date}`;
-  const cached = cacheGet(cacheKey, HIST_TTL_MS);
+  const cached = await storeGet(cacheKey, HIST_TTL_MS);
   if (cached) return cached;
 
   const url = new URL(HIST_BASE);
@@ -1003,13 +1131,16 @@ async function fetchHistorical(point, range) {
   url.searchParams.set("end_date", range.end_date);
   url.searchParams.set("daily", HIST_DAILY_VARS);
   url.searchParams.set("temperature_unit", "fahrenheit");
+  url.searchParams.set("windspeed_unit", "mph");
   url.searchParams.set("timezone", "auto");
 
-  const resp = await fetch(url.toString());
+  let resp;
+  try { resp = await fetch(url.toString()); }
+  catch (err) { return staleOrThrow(cacheKey, err); }
   if (!resp.ok) throw new Error(`Historical request failed (${resp.status})`);
   const data = await resp.json();
 
-  cacheSet(cacheKey, data);
+  storeSet(cacheKey, data);
   return data;
 }
 
@@ -1071,14 +1202,18 @@ function computePlanningAverageForMonthDay(histDaily, monthDay, windowDays) {
   return {
     monthDay,
     avgHigh: avg(maxVals),
-    avgLow: avg(minVals)
+    avgLow: avg(minVals),
+    hiP10: quantile(maxVals, 0.1),
+    hiP90: quantile(maxVals, 0.9),
+    loP10: quantile(minVals, 0.1),
+    loP90: quantile(minVals, 0.9)
   };
 }
 
 /* ---------------------------
    Rendering (Weather tool)
 ---------------------------- */
-function renderPlanningSummary(point, monthDay, range, avgHigh, avgLow, appHigh, appLow) {
+function renderPlanningSummary(point, monthDay, range, avgHigh, avgLow, appHigh, appLow, spread = null) {
   const niceDate = formatMonthDayName(monthDay);
 
   const appHighRow = appHigh != null
@@ -1086,6 +1221,12 @@ function renderPlanningSummary(point, monthDay, range, avgHigh, avgLow, appHigh,
   const appLowRow  = appLow  != null
     ? `<tr><th>Apparent Low</th><td>${Math.round(appLow)} \u00B0F</td></tr>`  : "";
 
+  // 10th–90th percentile of the same pooled days as the averages
+  const highRangeRow = Number.isFinite(spread?.hiP10)
+    ? `<tr><th>High, typical range</th><td>${fmtTempRange(spread.hiP10, spread.hiP90)}</td></tr>` : "";
+  const lowRangeRow  = Number.isFinite(spread?.loP10)
+    ? `<tr><th>Low, typical range</th><td>${fmtTempRange(spread.loP10, spread.loP90)}</td></tr>`  : "";
+
   el("planningSummaryBlock").innerHTML = `
     <h2>Planning: 7-year average</h2>
     <table>
@@ -1093,10 +1234,13 @@ function renderPlanningSummary(point, monthDay, range, avgHigh, avgLow, appHigh,
       <tr><th>Planning Date</th><td>${niceDate}</td></tr>
       <tr><th>7-year Avg High</th><td>${avgHigh != null ? Math.round(avgHigh) + " °F" : "—"}</td></tr>
       ${appHighRow}
+      ${highRangeRow}
       <tr><th>7-year Avg Low</th><td>${avgLow != null ? Math.round(avgLow) + " °F" : "—"}</td></tr>
       ${appLowRow}
+      ${lowRangeRow}
       <tr><th>Historical Range Used</th><td>${range.start_date} to ${range.end_date}</td></tr>
     </table>
+    ${percentileRangeNote(spread)}
     <p class="note">
       Averages are computed from daily highs/lows across the range above, using a
       ${TYPICAL_WINDOW_DAYS * 2 + 1}-day window centered on the Planning Date.
@@ -1222,10 +1366,16 @@ async function runWeather() {
   el("forecastBlock").innerHTML = "";
 
   try {
-    const forecastData = await fetchForecast(point);
-
-    renderCurrent(forecastData, point);
-    renderForecastTable(forecastData);
+    const forecastData = await fetchForecast(point).catch(err => {
+      console.warn("[AT] forecast unavailable:", err);
+      setHtmlIfExists("currentBlock", forecastUnavailableHtml(err));
+      return null;
+    });
+    if (forecastData) {
+      renderCurrent(forecastData, point);
+      renderForecastTable(forecastData);
+      markStaleIfExists("currentBlock", forecastData);
+    }
 
     const range = lastSevenYearsRange();
 
@@ -1241,6 +1391,7 @@ async function runWeather() {
     // Apparent temps from precomputed normals (if available for this point)
     let appHigh = null;
     let appLow  = null;
+    await normalsSource?.ensureAround([point]).catch(err => console.warn("[AT] normals chunk not loaded:", err));
     const nearestNormals = normalsByPointId.get(point.id)
       || (point.legacy_id ? normalsByPointId.get(point.legacy_id) : null);
     if (nearestNormals) {
@@ -1249,9 +1400,10 @@ async function runWeather() {
       if (nearestNormals.lo_app && Number.isFinite(nearestNormals.lo_app[idx])) appLow  = nearestNormals.lo_app[idx];
     }
 
-    renderPlanningSummary(point, monthDay, range, planning.avgHigh, planning.avgLow, appHigh, appLow);
+    renderPlanningSummary(point, monthDay, range, planning.avgHigh, planning.avgLow, appHigh, appLow, planning);
+    markStaleIfExists("planningSummaryBlock", histData, "archive weather");
 
-    const forecastAppLows = forecastData.daily?.apparent_temperature_min || [];
+    const forecastAppLows = forecastData?.daily?.apparent_temperature_min || [];
     if (forecastAppLows.some(v => Number.isFinite(v) && v <= 20) ||
         (Number.isFinite(appLow) && appLow <= 20)) {
       const s = el("weatherStatus");
@@ -1303,6 +1455,7 @@ if (map) {
 }
 
     renderStateOptions();
+    refreshPlanOptionsUI(getPlannerRoute());
 
     const stateSel = el("stateSelect");
     const firstState = stateSel?.value;
@@ -1326,6 +1479,9 @@ if (map) {
       refreshMapSize();
     }, 250);
 
+    // Restore a shared plan / weather lookup from the URL
+    initPermalink({ weather: { state: "stateSelect", mile: "atMileInput" } });
+
   } catch (err) {
     console.error(err);
   }
@@ -3,9 +3,11 @@
  *
  * Generates daily "normals" (365-day averaged arrays) for Appalachian Trail points.
  * - Reads trails/appalachian-trail/data/points.json (439 points at 5-mile intervals)
- * - Fetches daily max/min temps, apparent temps, humidity, and wind speed
+ * - Fetches daily max/min temps, apparent temps, humidity, wind speed and precipitation
  *   via Open-Meteo Historical Weather API (ERA5-Land, 2018–2024)
  * - Computes average for each MM-DD across the date range (skips Feb 29)
+ * - Also stores 10th / 90th percentile highs and lows (actual and apparent),
+ *   pooled over a ±7-day window, as *_p10 / *_p90 arrays
  * - Writes to trails/appalachian-trail/data/historical_weather.json
  * - Resume-safe: writes after EACH point; re-run to continue where it stopped
  * - Existing records that are missing hi_app/lo_app are treated as incomplete
@@ -21,6 +23,8 @@
 const fs   = require("fs");
 const path = require("path");
 
+const { packNormals } = require("../../../scripts/pack-normals.js");
+
 // ─── CONFIG ────────────────────────────────────────────────────────────────
 
 const DATA_DIR    = path.join("trails", "appalachian-trail", "data");
@@ -54,8 +58,12 @@ const DAILY_VARS = [
   "relative_humidity_2m_max",
   "relative_humidity_2m_min",
   "windspeed_10m_max",
+  "precipitation_sum",
 ].join(",");
 
+// A day counts as wet at 0.04 in (1 mm) of precipitation or more.
+const WET_DAY_IN = 0.04;
+
 // ─── UTILITIES ─────────────────────────────────────────────────────────────
 
 function readJson(p)       { return JSON.parse(fs.readFileSync(p, "utf8")); }
@@ -82,6 +90,7 @@ async function fetchDailyData(lat, lon) {
   url.searchParams.set("daily",            DAILY_VARS);
   url.searchParams.set("temperature_unit", TEMP_UNIT);
   url.searchParams.set("windspeed_unit",   WIND_UNIT);
+  url.searchParams.set("precipitation_unit", "inch");
   url.searchParams.set("timezone",         TIMEZONE);
 
   const resp = await fetch(url.toString());
@@ -97,6 +106,57 @@ async function fetchDailyData(lat, lon) {
 
 // ─── NORMALS COMPUTATION ───────────────────────────────────────────────────
 
+// Percentiles pool ±PCTL_WINDOW_DAYS around each date: seven values per date
+// alone are too few for a stable 10th / 90th percentile.
+const PCTL_WINDOW_DAYS = 7;
+
+/**
+ * 10th / 90th percentile arrays (365 values, Jan 1 = index 0, °F, 1 decimal)
+ * for the daily highs and lows and, where fetched, the apparent highs and lows:
+ * { hi_p10, hi_p90, lo_p10, lo_p90, hi_app_p10, hi_app_p90, lo_app_p10, lo_app_p90 }
+ */
+function computePercentileNormals(daily) {
+  const series = {
+    hi:     daily?.temperature_2m_max,
+    lo:     daily?.temperature_2m_min,
+    hi_app: daily?.apparent_temperature_max,
+    lo_app: daily?.apparent_temperature_min,
+  };
+  const times = daily?.time || [];
+
+  const quantile = (sorted, p) => {
+    const pos = (sorted.length - 1) * p;
+    const i   = Math.floor(pos);
+    const v   = i + 1 < sorted.length ? sorted[i] + (sorted[i + 1] - sorted[i]) * (pos - i) : sorted[i];
+    return Math.round(v * 10) / 10;
+  };
+
+  const out = {};
+  for (const [key, values] of Object.entries(series)) {
+    if (!values?.length) continue;
+
+    const byDay = Array.from({ length: 365 }, () => []);
+    for (let i = 0; i < times.length; i++) {
+      const [, mm, dd] = times[i].split("-").map(Number);
+      if ((mm === 2 && dd === 29) || values[i] == null || !isFinite(values[i])) continue;
+      byDay[Math.round((Date.UTC(2021, mm - 1, dd) - Date.UTC(2021, 0, 1)) / 86400000)].push(values[i]);
+    }
+
+    const p10 = new Array(365).fill(null), p90 = new Array(365).fill(null);
+    for (let idx = 0; idx < 365; idx++) {
+      const pool = [];
+      for (let k = -PCTL_WINDOW_DAYS; k <= PCTL_WINDOW_DAYS; k++) pool.push(...byDay[(idx + k + 365) % 365]);
+      if (!pool.length) continue;
+      pool.sort((a, b) => a - b);
+      p10[idx] = quantile(pool, 0.1);
+      p90[idx] = quantile(pool, 0.9);
+    }
+    out[`${key}_p10`] = p10;
+    out[`${key}_p90`] = p90;
+  }
+  return out;
+}
+
 function computeNormals(daily) {
   const acc = new Map();
 
@@ -108,9 +168,12 @@ function computeNormals(daily) {
   const rh_hi  = daily?.relative_humidity_2m_max  || [];
   const rh_lo  = daily?.relative_humidity_2m_min  || [];
   const ws     = daily?.windspeed_10m_max         || [];
+  const pr     = daily?.precipitation_sum         || [];
+  // 1 on a wet day, 0 on a dry one — averaged, it is the chance of a wet day
+  const pr_prob = pr.map(v => (Number.isFinite(v) ? (v >= WET_DAY_IN ? 1 : 0) : null));
 
-  const fields  = ["hi", "lo", "app_hi", "app_lo", "rh_hi", "rh_lo", "ws"];
-  const sources = [hi, lo, app_hi, app_lo, rh_hi, rh_lo, ws];
+  const fields  = ["hi", "lo", "app_hi", "app_lo", "rh_hi", "rh_lo", "ws", "pr", "pr_prob"];
+  const sources = [hi, lo, app_hi, app_lo, rh_hi, rh_lo, ws, pr, pr_prob];
 
   for (let i = 0; i < times.length; i++) {
     const iso = times[i];
@@ -228,12 +291,15 @@ async function main() {
         rh_hi:  normals.rh_hi,
         rh_lo:  normals.rh_lo,
         ws:     normals.ws,
+        pr:     normals.pr,
+        pr_prob: normals.pr_prob,
+        ...computePercentileNormals(daily),
       });
 
       hist.meta.source    = `Open-Meteo ${DATASET} ${START_DATE}..${END_DATE}`;
       hist.meta.dataset   = DATASET;
       hist.meta.range     = `${START_DATE}..${END_DATE}`;
-      hist.meta.units     = `temperature: ${TEMP_UNIT}, wind: ${WIND_UNIT}`;
+      hist.meta.units     = `temperature: ${TEMP_UNIT}, wind: ${WIND_UNIT}, precipitation: inch`;
       hist.meta.generated = new Date().toISOString();
       writeJson(HIST_PATH, hist);
 
@@ -254,6 +320,9 @@ async function main() {
   console.log(`\n✔ Done. Generated ${processed} new records.`);
   console.log(`historical_weather.json now has ${hist.points.length} total records.`);
   console.log(`(Expected ${allPoints.length} when complete)`);
+
+  const packed = packNormals(DATA_DIR);
+  console.log(`Packed for the app: ${packed.chunks} chunks in data/normals/`);
 }
 
 main().catch((err) => {
@@ -16,7 +16,8 @@
            - Elevation correction noted in output when applied
    Maps: Leaflet + OSM tiles + trail.geojson overlay
    Units: Fahrenheit, mph, %
-   Caching: localStorage (TTL-based)
+   Caching: IndexedDB store (normals, trail geojson, Open-Meteo) and
+            localStorage for the rest, both TTL-based
    ---------------------------------------------------------------
 
    Elevation correction logic (applied to apparent temperature):
@@ -50,6 +51,7 @@ function getTrailMeta() {
     pointsUrl:       new URL("points.json",            dataDir).href,
     trailGeojsonUrl: new URL("trail.geojson",          dataDir).href,
     normalsUrl:      new URL("historical_weather.json", dataDir).href,
+    packedNormalsUrl: new URL("normals/index.json",      dataDir).href,
     aztMetaUrl:      new URL("azt_meta.json",           dataDir).href,
     defaultMapCenter: [33.5, -111.5],
     defaultZoom:      6,
@@ -86,6 +88,7 @@ const HIST_DAILY_VARS = [
   "apparent_temperature_min",
   "relative_humidity_2m_max",
   "relative_humidity_2m_min",
+  "windspeed_10m_max",
 ].join(",");
 
 /* ============================================================
@@ -111,6 +114,9 @@ const AZT_SPINE_MAX  = 882.5;
 // Flagstaff alt: branches mid-P31 at Fisher Point (spine mile ~568.3), rejoins at P34 start
 const AZT_FLAGSTAFF_BRANCH  = 568.3;
 const AZT_FLAGSTAFF_REJOIN  = 596.3;
+// Pusch Ridge segment (P11 / P11e)
+const AZT_PUSCH_BRANCH      = 164.0;
+const AZT_PUSCH_REJOIN      = 183.0;
 
 /* ============================================================
    4. MODULE-LEVEL STATE
@@ -125,7 +131,8 @@ let pointsSorted     = [];        // [Point] sorted by mile
 let aztMeta = null;
 
 // Precomputed normals
-let normalsByPointId  = new Map(); // point.id → { hi, lo, app_hi, app_lo, rh_hi, rh_lo, ws }
+let normalsSource     = null;  // openNormalsSource() — packed chunks or the full JSON
+let normalsByPointId  = new Map(); // point.id → { hi, lo, app_hi, app_lo, rh_hi, rh_lo, ws, pr, pr_prob, snow, snow_cover }
 let normalsByMile     = [];        // [{ id, mile }] sorted — nearest-neighbour fallback
 let normalsMeta       = null;
 
@@ -289,31 +296,20 @@ async function loadPoints() {
 }
 
 async function loadPrecomputedNormals() {
-  const key = `azt_normals_${trailSlug}_${NORMALS_CACHE_VERSION}`;
-  const cached = cacheGet(key, NORMALS_TTL_MS);
-  let payload = cached;
-  if (!payload) {
-    const r = await fetch(META.normalsUrl, { cache: "no-cache" });
-    if (!r.ok) throw new Error(`historical_weather.json fetch failed (${r.status})`);
-    payload = await r.json();
-    cacheSet(key, payload);
-  }
-
   normalsByPointId = new Map();
-  normalsMeta = payload.meta || null;
-
-  for (const p of (payload.points || [])) {
-    if (!p?.id) continue;
-    normalsByPointId.set(String(p.id), {
-      hi:     p.hi     || [],
-      lo:     p.lo     || [],
-      app_hi: p.hi_app || p.hi || [],
-      app_lo: p.lo_app || p.lo || [],
-      rh_hi:  p.rh_hi  || [],
-      rh_lo:  p.rh_lo  || [],
-      ws:     p.ws     || [],
-    });
-  }
+  normalsSource = await openNormalsSource({
+    packedUrl: META.packedNormalsUrl,
+    storeKey:  `normals_${trailSlug}`,
+    version:   NORMALS_CACHE_VERSION,
+    ttlMs:     NORMALS_TTL_MS,
+    loadJson: async () => {
+      const r = await fetch(META.normalsUrl, { cache: "no-cache" });
+      if (!r.ok) throw new Error(`historical_weather.json fetch failed (${r.status})`);
+      return r.json();
+    },
+    onRecords: (records) => records.forEach(setNormalsRecord),
+  });
+  normalsMeta = normalsSource.meta;
 
   // Build nearest-neighbour mile index
   normalsByMile = pointsSorted
@@ -323,18 +319,37 @@ async function loadPrecomputedNormals() {
   console.log("[AZT] normals loaded:", normalsByPointId.size, "points");
 }
 
+/** Adds one point's normals entry — an index stub first, then the full record once its chunk loads. */
+function setNormalsRecord(p) {
+  if (!p?.id) return;
+  normalsByPointId.set(String(p.id), {
+    hi:     p.hi     || [],
+    lo:     p.lo     || [],
+    app_hi: p.hi_app || p.hi || [],
+    app_lo: p.lo_app || p.lo || [],
+    rh_hi:  p.rh_hi  || [],
+    rh_lo:  p.rh_lo  || [],
+    ws:     p.ws     || [],
+    pr:     p.pr     || [],
+    pr_prob: p.pr_prob || [],
+    snow:    p.snow || [],
+    snow_cover: p.snow_cover || [],
+    ...percentileNormals(p),
+  });
+}
+
 /* ============================================================
    13. TRAIL GEOJSON OVERLAY
    ============================================================ */
 
 async function fetchTrailGeojson() {
   const key = `trail_geojson_${trailSlug}_v1`;
-  const cached = cacheGet(key, TRAIL_TTL_MS);
+  const cached = await storeGet(key, TRAIL_TTL_MS);
   if (cached) return cached;
   const r = await fetch(META.trailGeojsonUrl, { cache: "no-store" });
   if (!r.ok) throw new Error(`trail.geojson fetch failed (${r.status})`);
   const gj = await r.json();
-  cacheSet(key, gj);
+  storeSet(key, gj);
   return gj;
 }
 
@@ -447,14 +462,13 @@ function getNearestPoint(mile, selectedAlts = {}) {
   const useAltPusch     = (selectedAlts.pusch     || "p11") === "p11e";
 
   // Pusch Ridge segment (P11 / P11e): spine miles ~164–183
-  const PUSCH_BRANCH = 164.0, PUSCH_REJOIN = 183.0;
-  if (mile >= PUSCH_BRANCH && mile <= PUSCH_REJOIN) {
+  if (mile >= AZT_PUSCH_BRANCH && mile <= AZT_PUSCH_REJOIN) {
     const passageId = useAltPusch ? "p11e" : "p11";
     const segPts = pointsSorted.filter(p => p.passage_id === passageId);
     if (segPts.length) {
       // Alt points use passage_mile; main points use spine mile
       const keyFn = useAltPusch ? p => p.passage_mile : p => p.mile;
-      const localMile = useAltPusch ? (mile - PUSCH_BRANCH) : mile;
+      const localMile = useAltPusch ? (mile - AZT_PUSCH_BRANCH) : mile;
       return binaryNearest(segPts, localMile, keyFn);
     }
   }
@@ -480,7 +494,7 @@ function getNearestPoint(mile, selectedAlts = {}) {
 
 async function fetchForecast(point) {
   const key = `azt_forecast:${point.id}`;
-  const cached = cacheGet(key, FORECAST_TTL_MS);
+  const cached = await storeGet(key, FORECAST_TTL_MS);
   if (cached) return cached;
 
   const url = new URL(FORECAST_BASE);
@@ -493,10 +507,12 @@ async function fetchForecast(point) {
   url.searchParams.set("timezone",         "auto");
   url.searchParams.set("forecast_days",    "5");
 
-  const r = await fetch(url.toString());
+  let r;
+  try { r = await fetch(url.toString()); }
+  catch (err) { return staleOrThrow(key, err); }
   if (!r.ok) throw new Error(`Forecast fetch failed (${r.status})`);
   const data = await r.json();
-  cacheSet(key, data);
+  storeSet(key, data);
   return data;
 }
 
@@ -509,7 +525,7 @@ function lastSevenYearsRange() {
 
 async function fetchHistorical(point, range) {
   const key = `azt_hist:${point.id}:${range.start_date}:${range.end_date}`;
-  const cached = cacheGet(key, HIST_TTL_MS);
+  const cached = await storeGet(key, HIST_TTL_MS);
   if (cached) return cached;
 
   const url = new URL(HIST_BASE);
@@ -519,12 +535,15 @@ async function fetchHistorical(point, range) {
   url.searchParams.set("end_date",         range.end_date);
   url.searchParams.set("daily",            HIST_DAILY_VARS);
   url.searchParams.set("temperature_unit", "fahrenheit");
+  url.searchParams.set("windspeed_unit",   "mph");
   url.searchParams.set("timezone",         "auto");
 
-  const r = await fetch(url.toString());
+  let r;
+  try { r = await fetch(url.toString()); }
+  catch (err) { return staleOrThrow(key, err); }
   if (!r.ok) throw new Error(`Historical fetch failed (${r.status})`);
   const data = await r.json();
-  cacheSet(key, data);
+  storeSet(key, data);
   return data;
 }
 
@@ -592,6 +611,7 @@ function computePlanningAverages(histDaily, monthDay, windowDays) {
     avgAppLow:  avg(buckets["apparent_temperature_min"]),
     avgRhHigh:  avg(buckets["relative_humidity_2m_max"]),
     avgRhLow:   avg(buckets["relative_humidity_2m_min"]),
+    ...percentilesFromBuckets(buckets),
   };
 }
 
@@ -606,6 +626,7 @@ function renderPlanningSummary(point, monthDay, range, avgs) {
     applyElevationCorrection(avgs.avgAppHigh, avgs.avgAppLow, point);
 
   const elevNote = elevCorrectionNote(direction, elevDiffFt);
+  const appShift = { high: corrAppHigh - avgs.avgAppHigh, low: corrAppLow - avgs.avgAppLow };
 
   el("planningSummaryBlock").innerHTML = `
     <h2>Planning: 7-year Average</h2>
@@ -614,8 +635,10 @@ function renderPlanningSummary(point, monthDay, range, avgs) {
       <tr><th></th><th style="background:#f0f0f0;">Actual Temp</th><th style="background:#f0f0f0;">Apparent Temp</th><th style="background:#f0f0f0;">Relative Humidity</th></tr>
       <tr><th>Avg High</th><td>${fmtTemp(avgs.avgHigh)}</td><td>${fmtTemp(corrAppHigh)}${elevNote}</td><td>${fmtRh(avgs.avgRhHigh)}</td></tr>
       <tr><th>Avg Low</th><td>${fmtTemp(avgs.avgLow)}</td><td>${fmtTemp(corrAppLow)}${elevNote}</td><td>${fmtRh(avgs.avgRhLow)}</td></tr>
+      ${percentileRangeRows(avgs, appShift)}
       <tr><th>Historical Range</th><td colspan="3">${range.start_date} to ${range.end_date}</td></tr>
     </table>
+    ${percentileRangeNote(avgs, appShift)}
     <p class="note">
       Averages computed from daily highs/lows over a ${TYPICAL_WINDOW_DAYS*2+1}-day window
       centered on the planning date, across 7 years of data.
@@ -796,9 +819,16 @@ async function runWeather() {
   setHtmlIfExists("forecastBlock",        "");
 
   try {
-    const forecastData = await fetchForecast(point);
-    renderCurrent(forecastData, point);
-    renderForecastTable(forecastData, point);
+    const forecastData = await fetchForecast(point).catch(err => {
+      console.warn("[AZT] forecast unavailable:", err);
+      setHtmlIfExists("currentBlock", forecastUnavailableHtml(err));
+      return null;
+    });
+    if (forecastData) {
+      renderCurrent(forecastData, point);
+      renderForecastTable(forecastData, point);
+      markStaleIfExists("currentBlock", forecastData);
+    }
 
     const range    = lastSevenYearsRange();
     const histData = await fetchHistorical(point, range);
@@ -807,8 +837,9 @@ async function runWeather() {
 
     const avgs = computePlanningAverages(daily, monthDay, TYPICAL_WINDOW_DAYS);
     renderPlanningSummary(point, monthDay, range, avgs);
+    markStaleIfExists("planningSummaryBlock", histData, "archive weather");
 
-    const forecastAppLows = forecastData.daily?.apparent_temperature_min || [];
+    const forecastAppLows = forecastData?.daily?.apparent_temperature_min || [];
     if (forecastAppLows.some(v => Number.isFinite(v) && v <= 20) ||
         (Number.isFinite(avgs.avgAppLow) && avgs.avgAppLow <= 20)) {
       const s = el("weatherStatus");
@@ -873,32 +904,62 @@ function getNearestNormals(point) {
 }
 
 /**
- * Build the ordered sequence of points for a hike, one per day.
- * Prefers alt-passage points when the hiker has selected that alternate.
+ * Route legs for the itinerary engine (shared-utils.js): a single leg whose
+ * hike miles map onto the spine, preferring alt-passage points when the
+ * hiker has selected that alternate — the same points getNearestPoint()
+ * picks, written as a lookup.
  */
-function buildHikePoints({ directionId, startDate, milesPerDay, totalMiles, selectedAlts }) {
-  const durationDays    = Math.ceil(totalMiles / milesPerDay);
-  const hikePoints      = [];
-  const isNobo          = directionId === "nobo";
-  const useAltFlagstaff = (selectedAlts?.flagstaff || "p32") === "p33";
-  const useAltPusch     = (selectedAlts?.pusch     || "p11") === "p11e";
-
-  for (let i = 0; i < durationDays; i++) {
-    const date    = addDays(startDate, i);
-    const cumMile = milesPerDay * i;
-
-    let spineMile;
-    if (isNobo) {
-      spineMile = Math.min(AZT_SPINE_MIN + cumMile, AZT_SPINE_MAX);
-    } else {
-      spineMile = Math.max(AZT_SPINE_MAX - cumMile, AZT_SPINE_MIN);
-    }
+function buildRouteLegs({ directionId, totalMiles, selectedAlts }) {
+  const isNobo = directionId === "nobo";
+  const spine  = { points: pointsSorted, key: p => p.mile };
+
+  // A passage stretch walks that passage's points: an alternate by passage_mile
+  // from the branch, the main passage by spine mile; with no points, the spine
+  const passage = (passageId, isAlt, branch, rejoin) => {
+    const points = pointsSorted.filter(p => p.passage_id === passageId);
+    if (!points.length) return { from: branch, to: rejoin, list: spine };
+    return isAlt
+      ? { from: branch, to: rejoin, list: { points, key: p => p.passage_mile }, offset: branch }
+      : { from: branch, to: rejoin, list: { points, key: p => p.mile } };
+  };
+  const useAltPusch     = (selectedAlts.pusch     || "p11") === "p11e";
+  const useAltFlagstaff = (selectedAlts.flagstaff || "p32") === "p33";
+  const stretches = [   // south to north, in spine miles; offset is subtracted from the key
+    { from: AZT_SPINE_MIN, to: AZT_PUSCH_BRANCH, list: spine },
+    passage(useAltPusch ? "p11e" : "p11", useAltPusch, AZT_PUSCH_BRANCH, AZT_PUSCH_REJOIN),
+    { from: AZT_PUSCH_REJOIN, to: AZT_FLAGSTAFF_BRANCH, list: spine },
+    passage(useAltFlagstaff ? "p33" : "p32", useAltFlagstaff, AZT_FLAGSTAFF_BRANCH, AZT_FLAGSTAFF_REJOIN),
+    { from: AZT_FLAGSTAFF_REJOIN, to: AZT_SPINE_MAX, list: spine }
+  ];
 
-    const point = getNearestPoint(spineMile, selectedAlts);
-    if (point) hikePoints.push({ date, point });
+  const lookup = isNobo
+    ? stretches.map(s => ({ to: s.to - AZT_SPINE_MIN, list: s.list, key: s.from - (s.offset || 0), slope: 1 }))
+    : stretches.reverse().map(s => ({ to: AZT_SPINE_MAX - s.from, list: s.list, key: s.to - (s.offset || 0), slope: -1 }));
+  // Alternates can make the hike longer than the spine; the extra miles stay at its end
+  if (totalMiles > AZT_SPINE_MAX - AZT_SPINE_MIN) {
+    lookup.push({ to: totalMiles, list: spine, key: isNobo ? AZT_SPINE_MAX : AZT_SPINE_MIN });
   }
 
-  return hikePoints;
+  return [lookupLeg({ miles: totalMiles, lookup })];
+}
+
+/**
+ * Build the ordered sequence of points for a hike (or section), one per day.
+ */
+function buildHikePoints({ startDate, plan, ...route }) {
+  return buildItinerary(buildRouteLegs(route), { startDate, ...plan });
+}
+
+/** Route for the Section Hike controls, from the current direction/alternates. */
+function getPlannerRoute(directionId = el("durDirectionSelect")?.value || "nobo") {
+  if (!pointsSorted.length) return null;
+  const selectedAlts = getSelectedAlts();
+  const passages     = aztMeta?.passages || window.AZT_PASSAGES_BOOTSTRAP || [];
+  return {
+    legs: buildRouteLegs({ directionId, totalMiles: calcTotalMiles(directionId, selectedAlts), selectedAlts }),
+    sectionOf: (p) => passages.find(x => x.id === p.passage_id)?.name || p.passage_id,
+    trailMileOf: (p) => p.mile
+  };
 }
 
 function computeExtremesFromHikePoints(hikePoints) {
@@ -924,17 +985,18 @@ function computeExtremesFromHikePoints(hikePoints) {
     const { corrAppHigh: avgAppHigh, corrAppLow: avgAppLow } =
       applyElevationCorrection(rawAppHigh, rawAppLow, point);
 
+    const appShift  = { high: avgAppHigh - rawAppHigh, low: avgAppLow - rawAppLow };
     const avgRhHigh = normals.rh_hi?.[idx];
     const avgRhLow  = normals.rh_lo?.[idx];
 
     const heatVal = isFinite(avgAppHigh) ? avgAppHigh : avgHigh;
     if (!hottest || heatVal > (isFinite(hottest.appHigh) ? hottest.appHigh : hottest.avgHigh)) {
-      hottest = { date, point, avgHigh, avgLow, appHigh: avgAppHigh, appLow: avgAppLow, rhHigh: avgRhHigh, rhLow: avgRhLow };
+      hottest = { date, point, avgHigh, avgLow, appHigh: avgAppHigh, appLow: avgAppLow, rhHigh: avgRhHigh, rhLow: avgRhLow, ...percentilesAt(normals, idx, appShift) };
     }
 
     const coldVal = isFinite(avgAppLow) ? avgAppLow : avgLow;
     if (!coldest || coldVal < (isFinite(coldest.appLow) ? coldest.appLow : coldest.avgLow)) {
-      coldest = { date, point, avgHigh, avgLow, appHigh: avgAppHigh, appLow: avgAppLow, rhHigh: avgRhHigh, rhLow: avgRhLow };
+      coldest = { date, point, avgHigh, avgLow, appHigh: avgAppHigh, appLow: avgAppLow, rhHigh: avgRhHigh, rhLow: avgRhLow, ...percentilesAt(normals, idx, appShift) };
     }
   }
 
@@ -944,11 +1006,12 @@ function computeExtremesFromHikePoints(hikePoints) {
 function renderDurExtremesBlocks(hottest, coldest, opts = {}) {
   renderDurExtremesBlocksShared(hottest, coldest, {
     formatLocation: (rec) => aztPointLabel(rec.point),
+    timeZoneOf:     () => "America/Phoenix",
     ...opts
   });
 }
 
-function renderDurExtremesMap(hottest, coldest) {
+function renderDurExtremesMap(hottest, coldest, comparePlans = null) {
   const mapEl = el("durExtremesMap");
   if (!mapEl || typeof L === "undefined") return;
 
@@ -964,6 +1027,14 @@ function renderDurExtremesMap(hottest, coldest) {
 
   durMapLayerGroup.clearLayers();
 
+  // Saved-plan comparison: every plan's pins, numbered
+  if (comparePlans) {
+    const latLngs = addPlanComparisonPins(durMapLayerGroup, comparePlans);
+    if (latLngs.length) durMap.fitBounds(L.latLngBounds(latLngs), { padding: [30, 30] });
+    try { durMap.invalidateSize(); } catch {}
+    return;
+  }
+
   if (!hottest?.point || !coldest?.point) {
     try { durMap.invalidateSize(); } catch {}
     return;
@@ -989,7 +1060,8 @@ function renderDurExtremesMap(hottest, coldest) {
 }
 
 async function computeAndRenderDurationExtremes(params) {
-  const { startDate, durationDays, totalMiles, startDateLabel = "Start Date" } = params;
+  const { startDate, durationDays, totalMiles, plan, startDateLabel = "Start Date", ranking = null } = params;
+  const { section } = plan;
   setDisplayIfExists("durExtremesWrap", "none");
   setHtmlIfExists("durExtremesHot",  "");
   setHtmlIfExists("durExtremesCold", "");
@@ -1009,17 +1081,41 @@ async function computeAndRenderDurationExtremes(params) {
     setDurStatus("Could not compute hike path \u2014 check data loading.");
     return;
   }
+  if (!(await normalsReady(normalsSource.ensureAround(hikePoints)))) return;
 
   const { hottest, coldest } = computeExtremesFromHikePoints(hikePoints);
   const utciCounts = computeUtciCounts(hikePoints, getNearestNormals);
+  const itinerary = buildItineraryRows(hikePoints, getNearestNormals);
   const endDate = startDate ? addDays(startDate, durationDays - 1) : null;
 
   setDisplayIfExists("durExtremesWrap", "block");
   renderDurExtremesBlocks(hottest, coldest, {
-    startDate, endDate, distanceMiles: totalMiles, durationDays, startDateLabel, utciCounts
+    startDate, endDate, distanceMiles: section ? section.miles : totalMiles, durationDays, startDateLabel, utciCounts, itinerary, ranking, plan
   });
   renderDurExtremesMap(hottest, coldest);
 
+  if (plan.replayYear) {
+    runReplayYear({
+      year: plan.replayYear,
+      startDate: params.startDate,
+      getHikePoints: (startDate) => buildHikePoints({ ...params, startDate }),
+      fetchHistorical,
+      getNormals: getNearestNormals,
+      formatLocation: (rec) => aztPointLabel(rec.point),
+      normals: { hottest, coldest, utciCounts }
+    });
+  }
+
+  if (plan.risk) {
+    runRiskEstimate({
+      plan,
+      startDate: params.startDate,
+      getHikePoints: (startDate, plan) => buildHikePoints({ ...params, startDate, plan }),
+      fetchHistorical,
+      getNormals: getNearestNormals
+    });
+  }
+
   const durResult = el("durResult");
   if (!durResult) return;
 
@@ -1056,22 +1152,27 @@ function runDurationCalculator() {
   if (mpd == null || mpd <= 0) { setDurStatus("Please enter miles per day."); return; }
   if (mpd < 5)  { setDurStatus("For this planner, hikes must average at least 5 miles per day."); return; }
 
+  const { plan, error } = readPlanOptions(getPlannerRoute(), mpd);
+  if (error) { setDurStatus(error); return; }
+  const { section } = plan;
+
   const totalMiles   = calcTotalMiles(directionId, selectedAlts);
-  const durationDays = Math.ceil(totalMiles / mpd);
+  const legs         = buildRouteLegs({ directionId, totalMiles, selectedAlts });
+  const durationDays = planHikeSchedule(legs, plan).length;
 
   if (durationDays > 365) {
     setDurStatus("Estimated duration exceeds one year. Please increase miles per day.");
     return;
   }
 
-  const startDate = resolveStartDate(monthDay);
+  const { startDate, startDateLabel } = resolvePlanStartDate(monthDay, { finish: scheduleFinishOffset(legs, plan) });
   const endDate   = addDays(startDate, durationDays - 1);
 
-  renderDurationResult({ directionId, startDate, endDate, totalMiles, milesPerDay: mpd, durationDays });
+  renderDurationResult({ directionId, startDate, endDate, totalMiles: section ? section.miles : totalMiles, milesPerDay: mpd, durationDays });
 
   if (normalsByPointId.size > 0 && allPoints.length > 0) {
     computeAndRenderDurationExtremes({
-      directionId, startDate, milesPerDay: mpd, totalMiles, durationDays, selectedAlts
+      directionId, startDate, totalMiles, durationDays, selectedAlts, plan, startDateLabel
     }).catch(err => {
       console.error("[AZT] extremes error:", err);
       setDurStatus(`Error computing extremes: ${err.message}`);
@@ -1081,7 +1182,35 @@ function runDurationCalculator() {
   }
 }
 
-function runBestStart() {
+/**
+ * BestStart! setup for one direction with the current Tool A inputs.
+ * Returns { totalMiles, search } — search is the runBestStartSearch() config — or { error }.
+ */
+function prepareBestStart(directionId, mpd) {
+  const selectedAlts = getSelectedAlts();
+  const route = getPlannerRoute(directionId);
+  const { plan, error } = readPlanOptions(route, mpd);
+  if (error) return { error };
+
+  const totalMiles   = calcTotalMiles(directionId, selectedAlts);
+  const durationDays = planHikeSchedule(buildRouteLegs({ directionId, totalMiles, selectedAlts }), plan).length;
+  if (durationDays > 365) return { error: "For this planner, hikes cannot exceed one year. Please adjust Miles per Day." };
+
+  return {
+    totalMiles,
+    search: {
+      route, milesPerDay: mpd, plan,
+      configFor: (plan) => ({
+        durationDays: planHikeSchedule(buildRouteLegs({ directionId, totalMiles, selectedAlts }), plan).length,
+        getHikePoints: (startDate) => buildHikePoints({ directionId, startDate, totalMiles, selectedAlts, plan }),
+        getNormals: (point) => getNearestNormals(point),
+        constraints: plan.constraints
+      })
+    }
+  };
+}
+
+async function runBestStart({ compareDirections = false } = {}) {
   setDurStatus("");
   if (el("bestStartResult")) el("bestStartResult").innerHTML = "";
   if (el("durResult")) el("durResult").innerHTML = "";
@@ -1096,25 +1225,33 @@ function runBestStart() {
   if (!normalsByPointId.size) { setDurStatus("Historical weather data is still loading. Please try again."); return; }
   if (!allPoints.length) { setDurStatus("Trail data is still loading. Please try again."); return; }
 
-  const totalMiles   = calcTotalMiles(directionId, selectedAlts);
-  const durationDays = Math.ceil(totalMiles / mpd);
-  if (durationDays > 365) { setDurStatus("For this planner, hikes cannot exceed one year. Please adjust Miles per Day."); return; }
+  const prep = prepareBestStart(directionId, mpd);
+  if (prep.error) { setDurStatus(prep.error); return; }
+  const { totalMiles } = prep;
 
-  const { bestStartDate } = runBestStartShared({
-    durationDays,
-    getHikePoints: (startDate) => buildHikePoints({ directionId, startDate, milesPerDay: mpd, totalMiles, selectedAlts }),
-    getNormals: (point) => getNearestNormals(point),
-  });
+  if (compareDirections) {
+    if (!(await normalsReady(normalsSource.ensureAll()))) return;
+    await compareDirectionsShared((id) => prepareBestStart(id, mpd));
+    return;
+  }
+
+  if (!(await normalsReady(ensureSearchNormals(normalsSource, prep.search)))) return;
+
+  const best = await runBestStartScan(prep.search);
+  if (!best) return;
+  const { bestStartDate, ranking, plan: bestPlan, durationDays: bestDays } = best;
 
   if (!bestStartDate) {
     setHtmlIfExists("bestStartResult",
-      `<p style="color:#b00000; font-weight:600; margin-top:0.75rem;">No valid start date found \u2014 every possible start date includes at least one day of extreme heat or cold stress. Try adjusting miles per day.</p>`);
+      constrainedBestStartFailureHtml(ranking) ||
+      `<p style="color:#b00000; font-weight:600; margin-top:0.75rem;">No valid start date found \u2014 every possible start date includes at least one day of extreme heat or cold stress. Try adjusting miles per day or your comfort profile.</p>`);
     return;
   }
 
   computeAndRenderDurationExtremes({
-    directionId, startDate: bestStartDate, milesPerDay: mpd, totalMiles, durationDays, selectedAlts,
-    startDateLabel: "<em>BestStart!</em> Date"
+    directionId, startDate: bestStartDate, totalMiles, durationDays: bestDays, selectedAlts, plan: bestPlan,
+    startDateLabel: "<em>BestStart!</em> Date",
+    ranking
   }).catch(err => { console.error(err); setDurStatus(`Error: ${err.message}`); });
 }
 
@@ -1126,8 +1263,21 @@ function initDurationUI() {
   initMonthDayPickerGeneric("durMonthSelect", "durDaySelect");
   el("durBtn")?.addEventListener("click", runDurationCalculator);
   el("bestStartBtn")?.addEventListener("click", runBestStart);
+  el("compareDirBtn")?.addEventListener("click", () => runBestStart({ compareDirections: true }));
   const mpdEl = el("durMilesPerDay");
   if (mpdEl && mpdEl.value === "") mpdEl.value = "15";
+  initPlanOptionsUI(getPlannerRoute, { minMilesPerDay: 5 });
+  initSavedPlansUI({
+    trail:     trailSlug,
+    alts:      ["alt-pusch", "alt-flagstaff"],
+    renderMap: (plans) => renderDurExtremesMap(null, null, plans)
+  });
+  initPlanExports({
+    trail:        trailSlug,
+    name:         "Arizona Trail",
+    getRoute:     getPlannerRoute,
+    fetchGeojson: fetchTrailGeojson
+  });
 }
 
 function initWeatherUI() {
@@ -1164,7 +1314,7 @@ async function main() {
   loadTrailOverlay();
 
   // Load azt_meta.json (non-blocking — updates labels/options if loaded)
-  loadAztMeta()
+  const metaLoaded = loadAztMeta()
     .then(() => {
       // Re-populate passages with canonical meta data
       const regionSel = el("aztRegionSelect");
@@ -1176,6 +1326,7 @@ async function main() {
   // Load points
   try {
     await loadPoints();
+    refreshPlanOptionsUI(getPlannerRoute());
 
     if (map) {
       const b = boundsFromPoints(allPoints);
@@ -1194,6 +1345,13 @@ async function main() {
     setDurStatus("Temperature extremes unavailable \u2014 historical_weather.json not found. Run the generation script to enable this feature.");
   }
 
+  // Restore a shared plan / weather lookup once the meta-driven lists are in
+  await metaLoaded;
+  initPermalink({
+    weather: { region: "aztRegionSelect", passage: "aztPassageSelect", mile: "aztMileInput" },
+    alts:    ["alt-pusch", "alt-flagstaff"]
+  });
+
   setTimeout(refreshMapSize, 250);
 }
 
@@ -3,7 +3,8 @@
    generate-normals-azt.js
    Reads data/points.json, selects one point per NORMALS_INTERVAL_MI miles,
    fetches 7-year ERA5-Land normals from Open-Meteo, and writes (or appends
-   to) data/historical_weather.json.
+   to) data/historical_weather.json. Besides the means it stores 10th / 90th
+   percentile highs and lows (actual and apparent) as *_p10 / *_p90 arrays.
 
    Automatically resumes from where it left off — only fetches points that
    are not yet present in historical_weather.json.
@@ -28,6 +29,9 @@
 import { writeFileSync, readFileSync, existsSync } from "fs";
 import { fileURLToPath } from "url";
 import path from "path";
+import { createRequire } from "module";
+
+const { packNormals } = createRequire(import.meta.url)("../../../scripts/pack-normals.js");
 
 /* ---------- paths ---------------------------------------------------------- */
 const __dir     = path.dirname(fileURLToPath(import.meta.url));
@@ -48,8 +52,21 @@ const DAILY_VARS = [
   "relative_humidity_2m_max",
   "relative_humidity_2m_min",
   "windspeed_10m_max",
+  "precipitation_sum",
 ].join(",");
 
+// A day counts as wet at 0.04 in (1 mm) of precipitation or more.
+const WET_DAY_IN = 0.04;
+
+// Snow depth is only published hourly; it is averaged to one value per date.
+const HOURLY_VARS = "snow_depth";
+
+// A date counts as snow-covered at 1 in of snow depth or more.
+const SNOW_COVER_IN = 1;
+
+// Open-Meteo reports snow depth in metres (feet when precipitation_unit=inch).
+const SNOW_DEPTH_TO_IN = { m: 39.3701, cm: 0.393701, ft: 12, inch: 1 };
+
 /* ---------- CLI args ------------------------------------------------------- */
 const args    = process.argv.slice(2);
 const DRY_RUN = args.includes("--dry-run");
@@ -75,9 +92,83 @@ function dayIndex(month, day) {
   return Math.min(364, Math.max(0, Math.round((ref - start) / 86400000)));
 }
 
-function buildCalendarNormals(daily) {
+/** Mean snow depth (in) for each date in daily.time, from the hourly snow_depth series. */
+function dailySnowDepthIn(daily, hourly, hourlyUnits) {
+  const toIn  = SNOW_DEPTH_TO_IN[hourlyUnits?.snow_depth] ?? SNOW_DEPTH_TO_IN.m;
+  const times = hourly?.time       || [];
+  const depth = hourly?.snow_depth || [];
+
+  const byDate = new Map();
+  for (let i = 0; i < times.length; i++) {
+    if (depth[i] == null || !isFinite(depth[i])) continue;
+    const date = times[i].slice(0, 10);
+    const b    = byDate.get(date) || { sum: 0, n: 0 };
+    b.sum += depth[i];
+    b.n++;
+    byDate.set(date, b);
+  }
+
+  return (daily.time || []).map(date => {
+    const b = byDate.get(date);
+    return b ? (b.sum / b.n) * toIn : null;
+  });
+}
+
+// Percentiles pool ±PCTL_WINDOW_DAYS around each date: seven values per date
+// alone are too few for a stable 10th / 90th percentile.
+const PCTL_WINDOW_DAYS = 7;
+
+/**
+ * 10th / 90th percentile arrays (365 values, Jan 1 = index 0, °F, 1 decimal)
+ * for the daily highs and lows and, where fetched, the apparent highs and lows:
+ * { hi_p10, hi_p90, lo_p10, lo_p90, hi_app_p10, hi_app_p90, lo_app_p10, lo_app_p90 }
+ */
+function computePercentileNormals(daily) {
+  const series = {
+    hi:     daily?.temperature_2m_max,
+    lo:     daily?.temperature_2m_min,
+    hi_app: daily?.apparent_temperature_max,
+    lo_app: daily?.apparent_temperature_min,
+  };
+  const times = daily?.time || [];
+
+  const quantile = (sorted, p) => {
+    const pos = (sorted.length - 1) * p;
+    const i   = Math.floor(pos);
+    const v   = i + 1 < sorted.length ? sorted[i] + (sorted[i + 1] - sorted[i]) * (pos - i) : sorted[i];
+    return Math.round(v * 10) / 10;
+  };
+
+  const out = {};
+  for (const [key, values] of Object.entries(series)) {
+    if (!values?.length) continue;
+
+    const byDay = Array.from({ length: 365 }, () => []);
+    for (let i = 0; i < times.length; i++) {
+      const [, mm, dd] = times[i].split("-").map(Number);
+      if ((mm === 2 && dd === 29) || values[i] == null || !isFinite(values[i])) continue;
+      byDay[Math.round((Date.UTC(2021, mm - 1, dd) - Date.UTC(2021, 0, 1)) / 86400000)].push(values[i]);
+    }
+
+    const p10 = new Array(365).fill(null), p90 = new Array(365).fill(null);
+    for (let idx = 0; idx < 365; idx++) {
+      const pool = [];
+      for (let k = -PCTL_WINDOW_DAYS; k <= PCTL_WINDOW_DAYS; k++) pool.push(...byDay[(idx + k + 365) % 365]);
+      if (!pool.length) continue;
+      pool.sort((a, b) => a - b);
+      p10[idx] = quantile(pool, 0.1);
+      p90[idx] = quantile(pool, 0.9);
+    }
+    out[`${key}_p10`] = p10;
+    out[`${key}_p90`] = p90;
+  }
+  return out;
+}
+
+function buildCalendarNormals(daily, snowDepth = []) {
   const buckets = Array.from({ length: 365 }, () => ({
-    hi: [], lo: [], hi_app: [], lo_app: [], rh_hi: [], rh_lo: [], ws: []
+    hi: [], lo: [], hi_app: [], lo_app: [], rh_hi: [], rh_lo: [], ws: [], pr: [], pr_prob: [],
+    snow: [], snow_cover: []
   }));
 
   const times = daily.time || [];
@@ -92,11 +183,19 @@ function buildCalendarNormals(daily) {
     push(buckets[idx].rh_hi,  daily.relative_humidity_2m_max?.[i]);
     push(buckets[idx].rh_lo,  daily.relative_humidity_2m_min?.[i]);
     push(buckets[idx].ws,     daily.windspeed_10m_max?.[i]);
+    push(buckets[idx].pr,     daily.precipitation_sum?.[i]);
+    // 1 on a wet day, 0 on a dry one — averaged, it is the chance of a wet day
+    const pr = daily.precipitation_sum?.[i];
+    if (pr != null && isFinite(pr)) buckets[idx].pr_prob.push(pr >= WET_DAY_IN ? 1 : 0);
+    // Snow cover works the same way: the chance that the date is snow-covered
+    const snow = snowDepth[i];
+    push(buckets[idx].snow, snow);
+    if (snow != null && isFinite(snow)) buckets[idx].snow_cover.push(snow >= SNOW_COVER_IN ? 1 : 0);
   }
 
-  const avgArr = (key) => buckets.map(b =>
+  const avgArr = (key, scale = 10) => buckets.map(b =>
     b[key].length
-      ? Math.round((b[key].reduce((a, v) => a + v, 0) / b[key].length) * 10) / 10
+      ? Math.round((b[key].reduce((a, v) => a + v, 0) / b[key].length) * scale) / scale
       : null
   );
 
@@ -108,6 +207,10 @@ function buildCalendarNormals(daily) {
     rh_hi:  avgArr("rh_hi"),
     rh_lo:  avgArr("rh_lo"),
     ws:     avgArr("ws"),
+    pr:     avgArr("pr", 100),
+    pr_prob: avgArr("pr_prob", 100),
+    snow:   avgArr("snow"),
+    snow_cover: avgArr("snow_cover", 100),
   };
 }
 
@@ -119,8 +222,10 @@ async function fetchNormals(lat, lon, range) {
   url.searchParams.set("start_date",       range.start_date);
   url.searchParams.set("end_date",         range.end_date);
   url.searchParams.set("daily",            DAILY_VARS);
+  url.searchParams.set("hourly",           HOURLY_VARS);
   url.searchParams.set("temperature_unit", "fahrenheit");
   url.searchParams.set("windspeed_unit",   "mph");
+  url.searchParams.set("precipitation_unit", "inch");
   url.searchParams.set("timezone",         "auto");
 
   const res = await fetch(url.toString());
@@ -217,7 +322,8 @@ async function main() {
 
     try {
       const data       = await fetchNormals(pt.lat, pt.lon, range);
-      const normals    = buildCalendarNormals(data.daily || {});
+      const normals    = buildCalendarNormals(data.daily || {},
+                           dailySnowDepthIn(data.daily || {}, data.hourly, data.hourly_units));
       const gridElevFt = data.elevation != null ? Math.round(data.elevation * 3.28084) : null;
 
       const record = {
@@ -227,6 +333,7 @@ async function main() {
         mile:       pt.mile,
         passage_id: pt.passage_id,
         ...normals,
+        ...computePercentileNormals(data.daily || {}),
       };
       if (gridElevFt        != null) record.grid_elev  = gridElevFt;
       if (pt.trail_elev     != null) record.trail_elev = pt.trail_elev;
@@ -250,6 +357,8 @@ async function main() {
       units: {
         temperature: "Fahrenheit",
         wind_speed:  "mph",
+        precipitation: "inch",
+        snow_depth:  "inch",
         humidity:    "percent",
         elevation:   "feet",
       },
@@ -261,6 +370,12 @@ async function main() {
         rh_hi:  "avg daily max relative humidity (%)",
         rh_lo:  "avg daily min relative humidity (%)",
         ws:     "avg daily max wind speed (mph)",
+        pr:     "avg daily precipitation (in)",
+        pr_prob: "share of years with a wet day, ≥ 0.04 in (0–1)",
+        snow:   "avg daily snow depth (in)",
+        snow_cover: "share of years snow-covered, ≥ 1 in of snow depth (0–1)",
+        hi_p10: "10th percentile daily high (°F), ±7-day window; likewise hi_p90, lo_p10, lo_p90",
+        hi_app_p10: "10th percentile apparent high (°F); likewise hi_app_p90, lo_app_p10, lo_app_p90",
       },
       note: "Each array has 365 values (Jan 1 = index 0). " +
             "grid_elev and trail_elev in feet; used by app.js for elevation correction.",
@@ -279,6 +394,9 @@ async function main() {
   } else {
     console.log(`\nAll ${normPts.length} points complete — historical_weather.json is ready.`);
   }
+
+  const packed = packNormals(DATA_DIR);
+  console.log(`Packed for the app: ${packed.chunks} chunks in data/normals/`);
 }
 
 main().catch(err => { console.error("Fatal:", err); process.exit(1); });
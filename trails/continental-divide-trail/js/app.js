@@ -13,8 +13,8 @@
            - 7-year planning average high/low
    Maps: Leaflet + OSM tiles + trail.geojson overlay
    Units: Fahrenheit, mph, %
-   Caching: localStorage (TTL-based); historical_weather.json (~40-50 MB)
-            relies on HTTP cache only (too large for localStorage)
+   Caching: IndexedDB store (normals, trail geojson, Open-Meteo) and
+            localStorage for the rest, both TTL-based
    ---------------------------------------------------------------*/
 
 /* ============================================================
@@ -37,6 +37,7 @@ function getTrailMeta() {
     pointsUrl:       new URL("points.json",            dataDir).href,
     trailGeojsonUrl: new URL("trail.geojson",          dataDir).href,
     normalsUrl:      new URL("historical_weather.json", dataDir).href,
+    packedNormalsUrl: new URL("normals/index.json",      dataDir).href,
     cdtMetaUrl:      new URL("cdt_meta.json",           dataDir).href,
     defaultMapCenter: [38.5, -107.5],
     defaultZoom:      5,
@@ -73,6 +74,7 @@ const HIST_DAILY_VARS = [
   "apparent_temperature_min",
   "relative_humidity_2m_max",
   "relative_humidity_2m_min",
+  "windspeed_10m_max",
 ].join(",");
 
 /* ============================================================
@@ -84,6 +86,7 @@ const TYPICAL_WINDOW_DAYS   = 3;
 const FORECAST_TTL_MS       = 30 * 60 * 1000;
 const HIST_TTL_MS           = 24 * 60 * 60 * 1000;
 const TRAIL_TTL_MS          = 30 * 24 * 60 * 60 * 1000;
+const NORMALS_TTL_MS        = 30 * 24 * 60 * 60 * 1000;
 const NORMALS_CACHE_VERSION = "v1";
 
 const ELEV_THRESHOLD_FT     = 300;
@@ -99,7 +102,8 @@ let altPointsByAltId = new Map();  // alt_id → [{...point}] sorted by alt_mile
 
 let cdtMeta = null;
 
-let normalsByPointId  = new Map();  // id → { hi, lo, app_hi, app_lo, rh_hi, rh_lo, ws, grid_elev }
+let normalsSource     = null;  // openNormalsSource() — packed chunks or the full JSON
+let normalsByPointId  = new Map();  // id → { hi, lo, app_hi, app_lo, rh_hi, rh_lo, ws, pr, pr_prob, snow, snow_cover, grid_elev }
 let normalsByMile     = [];         // [{id, mile, grid_elev}] spine, sorted
 let normalsAltByMile  = new Map();  // alt_id → [{id, alt_mile, grid_elev}] sorted
 
@@ -137,11 +141,23 @@ function applyElevationCorrection(normals, trailElevFt, gridElevFt) {
   const diffK     = diff / 1000;
   const corrected = { ...normals };
 
+  const shift = (arr, perK) => arr.map(v => Number.isFinite(v) ? Math.round((v + diffK * perK) * 10) / 10 : v);
+
+  // Air temperatures get the same lapse rate so UTCI scoring sees the trail elevation too.
+  corrected.app_hi = shift(normals.app_hi, -3.5);
+  corrected.hi     = shift(normals.hi,     -3.5);
   if (diff > ELEV_THRESHOLD_FT) {
-    corrected.app_hi = normals.app_hi.map(v => Number.isFinite(v) ? Math.round((v + diffK * -3.5) * 10) / 10 : v);
-    corrected.app_lo = normals.app_lo.map(v => Number.isFinite(v) ? Math.round((v + diffK * -2.0) * 10) / 10 : v);
-  } else {
-    corrected.app_hi = normals.app_hi.map(v => Number.isFinite(v) ? Math.round((v + diffK * -3.5) * 10) / 10 : v);
+    corrected.app_lo = shift(normals.app_lo, -2.0);
+    corrected.lo     = shift(normals.lo,     -2.0);
+  }
+  // Percentile ranges move with their means.
+  for (const key of ["hi_p10", "hi_p90", "app_hi_p10", "app_hi_p90"]) {
+    if (normals[key]) corrected[key] = shift(normals[key], -3.5);
+  }
+  if (diff > ELEV_THRESHOLD_FT) {
+    for (const key of ["lo_p10", "lo_p90", "app_lo_p10", "app_lo_p90"]) {
+      if (normals[key]) corrected[key] = shift(normals[key], -2.0);
+    }
   }
 
   return corrected;
@@ -228,24 +244,19 @@ async function loadPoints() {
 }
 
 async function loadPrecomputedNormals() {
-  const r = await fetch(META.normalsUrl);
-  if (!r.ok) throw new Error(`historical_weather.json fetch failed (${r.status})`);
-  const payload = await r.json();
-
   normalsByPointId = new Map();
-  for (const p of (payload.points || [])) {
-    if (!p?.id) continue;
-    normalsByPointId.set(String(p.id), {
-      hi:        p.hi     || [],
-      lo:        p.lo     || [],
-      app_hi:    p.hi_app || p.hi || [],
-      app_lo:    p.lo_app || p.lo || [],
-      rh_hi:     p.rh_hi  || [],
-      rh_lo:     p.rh_lo  || [],
-      ws:        p.ws     || [],
-      grid_elev: p.grid_elev != null ? Number(p.grid_elev) : null,
-    });
-  }
+  normalsSource = await openNormalsSource({
+    packedUrl: META.packedNormalsUrl,
+    storeKey:  `normals_${trailSlug}`,
+    version:   NORMALS_CACHE_VERSION,
+    ttlMs:     NORMALS_TTL_MS,
+    loadJson: async () => {
+      const r = await fetch(META.normalsUrl);
+      if (!r.ok) throw new Error(`historical_weather.json fetch failed (${r.status})`);
+      return r.json();
+    },
+    onRecords: (records) => records.forEach(setNormalsRecord),
+  });
 
   // Spine normals index (by mile)
   normalsByMile = pointsSorted
@@ -254,7 +265,7 @@ async function loadPrecomputedNormals() {
 
   // Alt normals index (by alt_id + alt_mile)
   normalsAltByMile = new Map();
-  for (const p of (payload.points || [])) {
+  for (const p of normalsSource.points) {
     if (!p?.alt_id || !p.id) continue;
     if (!normalsAltByMile.has(p.alt_id)) normalsAltByMile.set(p.alt_id, []);
     normalsAltByMile.get(p.alt_id).push({
@@ -269,18 +280,38 @@ async function loadPrecomputedNormals() {
   setTimeout(() => setDurStatus(""), 4000);
 }
 
+/** Adds one point's normals entry — an index stub first, then the full record once its chunk loads. */
+function setNormalsRecord(p) {
+  if (!p?.id) return;
+  normalsByPointId.set(String(p.id), {
+    hi:        p.hi     || [],
+    lo:        p.lo     || [],
+    app_hi:    p.hi_app || p.hi || [],
+    app_lo:    p.lo_app || p.lo || [],
+    rh_hi:     p.rh_hi  || [],
+    rh_lo:     p.rh_lo  || [],
+    ws:        p.ws     || [],
+    pr:        p.pr     || [],
+    pr_prob:   p.pr_prob || [],
+    snow:      p.snow || [],
+    snow_cover: p.snow_cover || [],
+    ...percentileNormals(p),
+    grid_elev: p.grid_elev != null ? Number(p.grid_elev) : null,
+  });
+}
+
 /* ============================================================
    9. TRAIL GEOJSON OVERLAY
    ============================================================ */
 
 async function fetchTrailGeojson() {
   const key    = `trail_geojson_${trailSlug}_v1`;
-  const cached = cacheGet(key, TRAIL_TTL_MS);
+  const cached = await storeGet(key, TRAIL_TTL_MS);
   if (cached) return cached;
   const r = await fetch(META.trailGeojsonUrl, { cache: "no-store" });
   if (!r.ok) throw new Error(`trail.geojson fetch failed (${r.status})`);
   const gj = await r.json();
-  cacheSet(key, gj);
+  storeSet(key, gj);
   return gj;
 }
 
@@ -383,12 +414,6 @@ function getNearestPoint(mile) {
   return binaryNearest(pointsSorted, mile, p => p.mile);
 }
 
-function getNearestAltPoint(altId, altMile) {
-  const arr = altPointsByAltId.get(altId) || [];
-  if (!arr.length) return null;
-  return binaryNearest(arr, altMile, p => p.alt_mile);
-}
-
 /* ============================================================
    12. NORMALS LOOKUP (with elevation correction)
    ============================================================ */
@@ -434,7 +459,7 @@ function getNearestNormals(point) {
 
 async function fetchForecast(point) {
   const key    = `cdt_forecast:${point.id}`;
-  const cached = cacheGet(key, FORECAST_TTL_MS);
+  const cached = await storeGet(key, FORECAST_TTL_MS);
   if (cached) return cached;
 
   const url = new URL(FORECAST_BASE);
@@ -447,10 +472,12 @@ async function fetchForecast(point) {
   url.searchParams.set("timezone",         "auto");
   url.searchParams.set("forecast_days",    "5");
 
-  const r = await fetch(url.toString());
+  let r;
+  try { r = await fetch(url.toString()); }
+  catch (err) { return staleOrThrow(key, err); }
   if (!r.ok) throw new Error(`Forecast fetch failed (${r.status})`);
   const data = await r.json();
-  cacheSet(key, data);
+  storeSet(key, data);
   return data;
 }
 
@@ -463,7 +490,7 @@ function lastSevenYearsRange() {
 
 async function fetchHistorical(point, range) {
   const key    = `cdt_hist:${point.id}:${range.start_date}:${range.end_date}`;
-  const cached = cacheGet(key, HIST_TTL_MS);
+  const cached = await storeGet(key, HIST_TTL_MS);
   if (cached) return cached;
 
   const url = new URL(HIST_BASE);
@@ -473,12 +500,15 @@ async function fetchHistorical(point, range) {
   url.searchParams.set("end_date",         range.end_date);
   url.searchParams.set("daily",            HIST_DAILY_VARS);
   url.searchParams.set("temperature_unit", "fahrenheit");
+  url.searchParams.set("windspeed_unit",   "mph");
   url.searchParams.set("timezone",         "auto");
 
-  const r = await fetch(url.toString());
+  let r;
+  try { r = await fetch(url.toString()); }
+  catch (err) { return staleOrThrow(key, err); }
   if (!r.ok) throw new Error(`Historical fetch failed (${r.status})`);
   const data = await r.json();
-  cacheSet(key, data);
+  storeSet(key, data);
   return data;
 }
 
@@ -543,6 +573,7 @@ function computePlanningAverages(histDaily, monthDay, windowDays) {
     avgAppLow:  avg(buckets["apparent_temperature_min"]),
     avgRhHigh:  avg(buckets["relative_humidity_2m_max"]),
     avgRhLow:   avg(buckets["relative_humidity_2m_min"]),
+    ...percentilesFromBuckets(buckets),
   };
 }
 
@@ -561,8 +592,10 @@ function renderPlanningSummary(point, monthDay, range, avgs) {
       <tr><th></th><th style="background:#f0f0f0;">Actual Temp</th><th style="background:#f0f0f0;">Apparent Temp</th><th style="background:#f0f0f0;">Relative Humidity</th></tr>
       <tr><th>Avg High</th><td>${fmtTemp(avgs.avgHigh)}</td><td>${fmtTemp(avgs.avgAppHigh)}</td><td>${fmtRh(avgs.avgRhHigh)}</td></tr>
       <tr><th>Avg Low</th><td>${fmtTemp(avgs.avgLow)}</td><td>${fmtTemp(avgs.avgAppLow)}</td><td>${fmtRh(avgs.avgRhLow)}</td></tr>
+      ${percentileRangeRows(avgs)}
       <tr><th>Historical Range</th><td colspan="3">${range.start_date} to ${range.end_date}</td></tr>
     </table>
+    ${percentileRangeNote(avgs)}
     <p class="note">
       Averages computed from daily highs/lows over a ${TYPICAL_WINDOW_DAYS*2+1}-day window
       centered on the planning date, across 7 years of data.
@@ -699,9 +732,16 @@ async function runWeather() {
   setHtmlIfExists("forecastBlock",       "");
 
   try {
-    const forecastData = await fetchForecast(point);
-    renderCurrent(forecastData, point);
-    renderForecastTable(forecastData);
+    const forecastData = await fetchForecast(point).catch(err => {
+      console.warn("[CDT] forecast unavailable:", err);
+      setHtmlIfExists("currentBlock", forecastUnavailableHtml(err));
+      return null;
+    });
+    if (forecastData) {
+      renderCurrent(forecastData, point);
+      renderForecastTable(forecastData);
+      markStaleIfExists("currentBlock", forecastData);
+    }
 
     const range    = lastSevenYearsRange();
     const histData = await fetchHistorical(point, range);
@@ -710,14 +750,15 @@ async function runWeather() {
 
     const avgs = computePlanningAverages(daily, monthDay, TYPICAL_WINDOW_DAYS);
     renderPlanningSummary(point, monthDay, range, avgs);
+    markStaleIfExists("planningSummaryBlock", histData, "archive weather");
 
-    const forecastAppLows = forecastData.daily?.apparent_temperature_min || [];
+    const forecastAppLows = forecastData?.daily?.apparent_temperature_min || [];
     if (forecastAppLows.some(v => Number.isFinite(v) && v <= 20) ||
         (Number.isFinite(avgs.avgAppLow) && avgs.avgAppLow <= 20)) {
       const s = el("weatherStatus");
       if (s) s.innerHTML = '<p style="color:#003388; font-weight:600; margin:0.5rem 0 0;">\u26a0 Cold Advisory: Apparent low temperatures at or below 20&nbsp;&deg;F are indicated for this location and date. Conditions at this level may be hazardous without proper cold-weather gear.</p>';
     }
-    if (forecastData.daily?.apparent_temperature_max?.some(v => Number.isFinite(v) && v >= 100) ||
+    if (forecastData?.daily?.apparent_temperature_max?.some(v => Number.isFinite(v) && v >= 100) ||
         (Number.isFinite(avgs.avgAppHigh) && avgs.avgAppHigh >= 100)) {
       const s = el("weatherStatus");
       if (s) s.innerHTML = '<p style="color:#8a0000; font-weight:600; margin:0.5rem 0 0;">\u26a0 Heat Advisory: Apparent high temperatures at or above 100&nbsp;&deg;F are indicated for this location and date. Plan accordingly and carry extra water.</p>';
@@ -791,27 +832,27 @@ function buildSoboSegments(noboSegments) {
   });
 }
 
-function getPointAtHikeMile(hikeMile, segments) {
-  for (let i = 0; i < segments.length; i++) {
-    const seg    = segments[i];
-    const segEnd = seg.hikeStart + seg.hikeLen;
-
-    if (hikeMile <= segEnd || i === segments.length - 1) {
-      const local = Math.max(0, hikeMile - seg.hikeStart);
-
-      if (seg.type === "alt") {
-        const altMile = seg.sobo ? Math.max(0, seg.altLen - local) : local;
-        return getNearestAltPoint(seg.altId, altMile) || getNearestPoint(seg.sobo ? seg.to ?? 0 : seg.from ?? 0);
-      } else {
-        const spineMile = seg.sobo ? seg.from - local : seg.from + local;
-        return getNearestPoint(Math.max(0, spineMile));
-      }
-    }
-  }
-  return getNearestPoint(0);
+/**
+ * The segment list as a route lookup: spine segments walk spine miles
+ * from → to, alt segments walk alt_mile 0 → altLen (reversed SOBO). An
+ * alternate with no points of its own stays at the spine's first point.
+ */
+function segmentLookup(segments) {
+  const spine = { points: pointsSorted, key: p => p.mile };
+  return segments.map(seg => {
+    const to = seg.hikeStart + seg.hikeLen;
+    if (seg.type === "spine") return { to, list: spine, key: seg.from, slope: seg.sobo ? -1 : 1 };
+    const points = altPointsByAltId.get(seg.altId) || [];
+    if (!points.length) return { to, list: spine, key: 0 };
+    return { to, list: { points, key: p => p.alt_mile }, key: seg.sobo ? seg.altLen : 0, slope: seg.sobo ? -1 : 1 };
+  });
 }
 
-function buildHikePoints({ directionId, startDate, milesPerDay, totalMiles, selectedAlts }) {
+/**
+ * Route legs for the itinerary engine (shared-utils.js). The CDT is one leg;
+ * alternates are handled by segmentLookup() via the segment list.
+ */
+function buildRouteLegs({ directionId, totalMiles, selectedAlts }) {
   const isNobo     = directionId.startsWith("nobo");
   const isChiefMtn = directionId.endsWith("chief_mtn");
 
@@ -822,17 +863,24 @@ function buildHikePoints({ directionId, startDate, milesPerDay, totalMiles, sele
   const noboSegs = buildNoboSegments(altGroups, selectedAlts, isChiefMtn);
   const segments = isNobo ? noboSegs : buildSoboSegments(noboSegs);
 
-  const durationDays = Math.ceil(totalMiles / milesPerDay);
-  const hikePoints   = [];
+  return [lookupLeg({ miles: totalMiles, lookup: segmentLookup(segments) })];
+}
 
-  for (let i = 0; i < durationDays; i++) {
-    const date     = addDays(startDate, i);
-    const hikeMile = Math.min(milesPerDay * i, totalMiles);
-    const point    = getPointAtHikeMile(hikeMile, segments);
-    if (point) hikePoints.push({ date, point });
-  }
+function buildHikePoints({ startDate, plan, ...route }) {
+  return buildItinerary(buildRouteLegs(route), { startDate, ...plan });
+}
 
-  return hikePoints;
+/** Route for the Section Hike controls: states on the spine, alternates by name. */
+function getPlannerRoute(directionId = el("durDirectionSelect")?.value || "nobo_waterton") {
+  if (!pointsSorted.length) return null;
+  const selectedAlts = getSelectedAlts();
+  return {
+    legs: buildRouteLegs({ directionId, totalMiles: calcTotalMiles(directionId, selectedAlts), selectedAlts }),
+    sectionOf: (p) => p.alt_id
+      ? (cdtMeta?.alt_groups || []).find(g => g.id === p.alt_id)?.alt?.label || p.alt_id
+      : (cdtMeta?.sections || []).find(s => s.state === p.state)?.name || p.state,
+    trailMileOf: (p) => p.alt_id ? NaN : p.mile
+  };
 }
 
 /* ============================================================
@@ -842,11 +890,12 @@ function buildHikePoints({ directionId, startDate, milesPerDay, totalMiles, sele
 function renderDurExtremesBlocks(hottest, coldest, opts = {}) {
   renderDurExtremesBlocksShared(hottest, coldest, {
     formatLocation: (rec) => cdtPointLabel(rec.point),
+    timeZoneOf:     () => "America/Denver",
     ...opts
   });
 }
 
-function renderDurExtremesMap(hottest, coldest) {
+function renderDurExtremesMap(hottest, coldest, comparePlans = null) {
   const mapEl = el("durExtremesMap");
   if (!mapEl || typeof L === "undefined") return;
 
@@ -862,6 +911,14 @@ function renderDurExtremesMap(hottest, coldest) {
 
   durMapLayerGroup.clearLayers();
 
+  // Saved-plan comparison: every plan's pins, numbered
+  if (comparePlans) {
+    const latLngs = addPlanComparisonPins(durMapLayerGroup, comparePlans);
+    if (latLngs.length) durMap.fitBounds(L.latLngBounds(latLngs), { padding: [30, 30] });
+    try { durMap.invalidateSize(); } catch {}
+    return;
+  }
+
   if (!hottest?.point || !coldest?.point) {
     try { durMap.invalidateSize(); } catch {}
     return;
@@ -904,8 +961,10 @@ async function computeAndRenderDurationExtremes(params) {
 
   const hikePoints = buildHikePoints(params);
   if (!hikePoints.length) return;
+  if (!(await normalsReady(normalsSource.ensureAround(hikePoints)))) return;
 
   const utciCounts = computeUtciCounts(hikePoints, getNearestNormals);
+  const itinerary  = buildItineraryRows(hikePoints, getNearestNormals);
   const endDate    = addDays(params.startDate, params.durationDays - 1);
 
   const warningHtml = extraNote || "";
@@ -928,23 +987,48 @@ async function computeAndRenderDurationExtremes(params) {
     const heatVal = Number.isFinite(avgAppHigh) ? avgAppHigh : avgHigh;
     const coldVal = Number.isFinite(avgAppLow)  ? avgAppLow  : avgLow;
     if (!hottest || heatVal > (Number.isFinite(hottest.appHigh) ? hottest.appHigh : hottest.avgHigh)) {
-      hottest = { date, point, avgHigh, avgLow, appHigh: avgAppHigh, appLow: avgAppLow, rhHigh: avgRhHigh, rhLow: avgRhLow };
+      hottest = { date, point, avgHigh, avgLow, appHigh: avgAppHigh, appLow: avgAppLow, rhHigh: avgRhHigh, rhLow: avgRhLow, ...percentilesAt(normals, idx) };
     }
     if (!coldest || coldVal < (Number.isFinite(coldest.appLow) ? coldest.appLow : coldest.avgLow)) {
-      coldest = { date, point, avgHigh, avgLow, appHigh: avgAppHigh, appLow: avgAppLow, rhHigh: avgRhHigh, rhLow: avgRhLow };
+      coldest = { date, point, avgHigh, avgLow, appHigh: avgAppHigh, appLow: avgAppLow, rhHigh: avgRhHigh, rhLow: avgRhLow, ...percentilesAt(normals, idx) };
     }
   }
 
   renderDurExtremesBlocks(hottest, coldest, {
     startDate: params.startDate,
     endDate,
-    distanceMiles: params.totalMiles,
+    distanceMiles: params.plan.section ? params.plan.section.miles : params.totalMiles,
     durationDays: params.durationDays,
     startDateLabel,
     utciCounts,
+    itinerary,
+    ranking: params.ranking,
     warningHtml,
+    plan: params.plan,
   });
   renderDurExtremesMap(hottest, coldest);
+
+  if (params.plan.replayYear) {
+    runReplayYear({
+      year: params.plan.replayYear,
+      startDate: params.startDate,
+      getHikePoints: (startDate) => buildHikePoints({ ...params, startDate }),
+      fetchHistorical,
+      getNormals: getNearestNormals,
+      formatLocation: (rec) => cdtPointLabel(rec.point),
+      normals: { hottest, coldest, utciCounts }
+    });
+  }
+
+  if (params.plan.risk) {
+    runRiskEstimate({
+      plan: params.plan,
+      startDate: params.startDate,
+      getHikePoints: (startDate, plan) => buildHikePoints({ ...params, startDate, plan }),
+      fetchHistorical,
+      getNormals: getNearestNormals
+    });
+  }
 }
 
 /* ============================================================
@@ -994,22 +1078,27 @@ function runDurationCalculator() {
   if (mpd == null || mpd <= 0) { setDurStatus("Please enter miles per day."); return; }
   if (mpd < 5)                 { setDurStatus("For this planner, hikes must average at least 5 miles per day."); return; }
 
+  const { plan, error } = readPlanOptions(getPlannerRoute(), mpd);
+  if (error) { setDurStatus(error); return; }
+  const { section } = plan;
+
   const totalMiles   = calcTotalMiles(directionId, selectedAlts);
-  const durationDays = Math.ceil(totalMiles / mpd);
+  const legs         = buildRouteLegs({ directionId, totalMiles, selectedAlts });
+  const durationDays = planHikeSchedule(legs, plan).length;
 
   if (durationDays > 730) {
     setDurStatus("Estimated duration exceeds two years. Please increase miles per day.");
     return;
   }
 
-  const startDate = resolveStartDate(monthDay);
+  const { startDate, startDateLabel } = resolvePlanStartDate(monthDay, { finish: scheduleFinishOffset(legs, plan) });
   const endDate   = addDays(startDate, durationDays - 1);
 
-  renderDurationResult({ directionId, startDate, endDate, totalMiles, milesPerDay: mpd, durationDays, selectedAlts });
+  renderDurationResult({ directionId, startDate, endDate, totalMiles: section ? section.miles : totalMiles, milesPerDay: mpd, durationDays, selectedAlts });
 
   if (normalsByPointId.size > 0 && allPoints.length > 0) {
     computeAndRenderDurationExtremes({
-      directionId, startDate, milesPerDay: mpd, totalMiles, durationDays, selectedAlts
+      directionId, startDate, totalMiles, durationDays, selectedAlts, plan, startDateLabel
     }).catch(err => {
       console.error("[CDT] extremes error:", err);
       setDurStatus(`Error computing extremes: ${err.message}`);
@@ -1023,7 +1112,37 @@ function runDurationCalculator() {
    21. BEST START
    ============================================================ */
 
-function runBestStart() {
+/**
+ * BestStart! setup for one direction with the current Tool A inputs.
+ * Returns { totalMiles, search } — search is the runBestStartSearch() config — or { error }.
+ */
+function prepareBestStart(directionId, mpd) {
+  const selectedAlts = getSelectedAlts();
+  const route = getPlannerRoute(directionId);
+  const { plan, error } = readPlanOptions(route, mpd);
+  if (error) return { error };
+
+  const totalMiles   = calcTotalMiles(directionId, selectedAlts);
+  const durationDays = planHikeSchedule(buildRouteLegs({ directionId, totalMiles, selectedAlts }), plan).length;
+  if (durationDays > 730) return { error: "Estimated duration exceeds two years. Please increase miles per day." };
+
+  return {
+    totalMiles,
+    search: {
+      route, milesPerDay: mpd, plan, maxDays: 730,
+      configFor: (plan) => ({
+        durationDays: planHikeSchedule(buildRouteLegs({ directionId, totalMiles, selectedAlts }), plan).length,
+        getHikePoints: (startDate) => buildHikePoints({
+          directionId, startDate, totalMiles, selectedAlts, plan
+        }),
+        getNormals: getNearestNormals,
+        constraints: plan.constraints
+      })
+    }
+  };
+}
+
+async function runBestStart({ compareDirections = false } = {}) {
   setDurStatus("");
   setHtmlIfExists("durResult", "");
   setHtmlIfExists("bestStartResult", "");
@@ -1036,48 +1155,45 @@ function runBestStart() {
   if (mpd == null || mpd <= 0) { setDurStatus("Please enter miles per day."); return; }
   if (mpd < 5) { setDurStatus("For this planner, hikes must average at least 5 miles per day."); return; }
 
-  const totalMiles   = calcTotalMiles(directionId, selectedAlts);
-  const durationDays = Math.ceil(totalMiles / mpd);
+  const prep = prepareBestStart(directionId, mpd);
+  if (prep.error) { setDurStatus(prep.error); return; }
+  const { totalMiles } = prep;
 
-  if (durationDays > 730) {
-    setDurStatus("Estimated duration exceeds two years. Please increase miles per day.");
+  if (!normalsByPointId.size || !allPoints.length) {
+    setDurStatus("Historical data not yet loaded \u2014 please wait and try again.");
     return;
   }
 
-  if (!normalsByPointId.size || !allPoints.length) {
-    setDurStatus("Historical data not yet loaded \u2014 please wait and try again.");
+  if (compareDirections) {
+    if (!(await normalsReady(normalsSource.ensureAll()))) return;
+    await compareDirectionsShared((id) => prepareBestStart(id, mpd));
     return;
   }
 
-  setHtmlIfExists("bestStartResult", "<p style='color:#555;font-style:italic;'>Scanning all start dates\u2026</p>");
+  if (!(await normalsReady(ensureSearchNormals(normalsSource, prep.search)))) return;
 
-  setTimeout(() => {
-    const { bestStartDate, bestCounts } = runBestStartShared({
-      durationDays,
-      getHikePoints: (startDate) => buildHikePoints({
-        directionId, startDate, milesPerDay: mpd, totalMiles, selectedAlts
-      }),
-      getNormals: getNearestNormals,
-    });
+  const best = await runBestStartScan(prep.search);
+  if (!best) return;
+  const { bestStartDate, ranking, plan: bestPlan, durationDays: bestDays } = best;
 
-    if (!bestStartDate) {
-      setHtmlIfExists("bestStartResult", "<p style='color:#b00000;'>No suitable start date found. The CDT's high-elevation terrain may eliminate all start dates due to extreme cold at the highest passes. Try a different route or direction.</p>");
-      return;
-    }
+  if (!bestStartDate) {
+    setHtmlIfExists("bestStartResult", constrainedBestStartFailureHtml(ranking) || "<p style='color:#b00000;'>No suitable start date found. The CDT's high-elevation terrain may eliminate all start dates due to extreme cold at the highest passes. Try a different route or direction.</p>");
+    return;
+  }
 
-    computeAndRenderDurationExtremes({
-      directionId,
-      startDate: bestStartDate,
-      milesPerDay: mpd,
-      totalMiles,
-      durationDays,
-      selectedAlts,
-      startDateLabel: "<em>BestStart!</em> Date",
-    }).catch(err => {
-      console.error("[CDT] BestStart extremes error:", err);
-      setDurStatus(`Error computing extremes: ${err.message}`);
-    });
-  }, 0);
+  computeAndRenderDurationExtremes({
+    directionId,
+    startDate: bestStartDate,
+    totalMiles,
+    durationDays: bestDays,
+    selectedAlts,
+    plan: bestPlan,
+    startDateLabel: "<em>BestStart!</em> Date",
+    ranking,
+  }).catch(err => {
+    console.error("[CDT] BestStart extremes error:", err);
+    setDurStatus(`Error computing extremes: ${err.message}`);
+  });
 }
 
 /* ============================================================
@@ -1088,8 +1204,21 @@ function initDurationUI() {
   initMonthDayPickerGeneric("durMonthSelect", "durDaySelect");
   el("durBtn")?.addEventListener("click", runDurationCalculator);
   el("bestStartBtn")?.addEventListener("click", runBestStart);
+  el("compareDirBtn")?.addEventListener("click", () => runBestStart({ compareDirections: true }));
   const mpdEl = el("durMilesPerDay");
   if (mpdEl && mpdEl.value === "") mpdEl.value = "20";
+  initPlanOptionsUI(getPlannerRoute, { minMilesPerDay: 5 });
+  initSavedPlansUI({
+    trail:     trailSlug,
+    alts:      ["alt-gila", "alt-rmnp", "alt-anaconda", "alt-spotted-bear"],
+    renderMap: (plans) => renderDurExtremesMap(null, null, plans)
+  });
+  initPlanExports({
+    trail:        trailSlug,
+    name:         "Continental Divide Trail",
+    getRoute:     getPlannerRoute,
+    fetchGeojson: fetchTrailGeojson
+  });
 }
 
 function initWeatherUI() {
@@ -1110,12 +1239,13 @@ async function main() {
   initMap();
   loadTrailOverlay();
 
-  loadCdtMeta()
+  const metaLoaded = loadCdtMeta()
     .then(() => updateStateInfo())
     .catch(e => console.warn("[CDT] cdt_meta not loaded:", e));
 
   try {
     await loadPoints();
+    refreshPlanOptionsUI(getPlannerRoute());
     if (map) {
       const b = boundsFromPoints(allPoints);
       if (b) map.fitBounds(b, { padding: [20, 20] });
@@ -1132,6 +1262,13 @@ async function main() {
     setDurStatus("Historical weather data not yet available \u2014 run generate-normals-cdt.js to enable temperature extremes.");
   }
 
+  // Restore a shared plan / weather lookup once the meta-driven lists are in
+  await metaLoaded;
+  initPermalink({
+    weather: { state: "cdtStateSelect", mile: "cdtMileInput" },
+    alts:    ["alt-gila", "alt-rmnp", "alt-anaconda", "alt-spotted-bear"]
+  });
+
   setTimeout(refreshMapSize, 250);
 }
 
@@ -3,9 +3,12 @@
  *
  * Generates daily "normals" (365-day averaged arrays) for Continental Divide Trail points.
  * - Reads trails/continental-divide-trail/data/points.json (spine + all alt points)
- * - Fetches daily max/min temps, apparent temps, humidity, and wind speed
+ * - Fetches daily max/min temps, apparent temps, humidity, wind speed and precipitation,
+ *   plus hourly snow depth averaged to a daily value,
  *   via Open-Meteo Historical Weather API (ERA5-Land, 2018-2024)
  * - Computes average for each MM-DD across 2018–2024 (skips Feb 29)
+ * - Also stores 10th / 90th percentile highs and lows (actual and apparent),
+ *   pooled over a ±7-day window, as *_p10 / *_p90 arrays
  * - Stores grid_elev (ft, from API elevation field) for elevation correction in app.js
  * - Writes trails/continental-divide-trail/data/historical_weather.json
  *   (wrapped in { meta, points })
@@ -26,6 +29,8 @@
 const fs   = require('fs');
 const path = require('path');
 
+const { packNormals } = require('../../../scripts/pack-normals.js');
+
 // ── Config ─────────────────────────────────────────────────────────────────────
 const DATA_DIR    = path.join('trails', 'continental-divide-trail', 'data');
 const POINTS_PATH = path.join(DATA_DIR, 'points.json');
@@ -50,8 +55,21 @@ const DAILY_VARS = [
   'relative_humidity_2m_max',
   'relative_humidity_2m_min',
   'windspeed_10m_max',
+  'precipitation_sum',
 ].join(',');
 
+// A day counts as wet at 0.04 in (1 mm) of precipitation or more.
+const WET_DAY_IN = 0.04;
+
+// Snow depth is only published hourly; it is averaged to one value per date.
+const HOURLY_VARS = 'snow_depth';
+
+// A date counts as snow-covered at 1 in of snow depth or more.
+const SNOW_COVER_IN = 1;
+
+// Open-Meteo reports snow depth in metres (feet when precipitation_unit=inch).
+const SNOW_DEPTH_TO_IN = { m: 39.3701, cm: 0.393701, ft: 12, inch: 1 };
+
 // ── Utilities ──────────────────────────────────────────────────────────────────
 function readJson(p)       { return JSON.parse(fs.readFileSync(p, 'utf8')); }
 function writeJson(p, obj) { fs.writeFileSync(p, JSON.stringify(obj, null, 2) + '\n', 'utf8'); }
@@ -74,8 +92,10 @@ async function fetchDailyData(lat, lon) {
   url.searchParams.set('start_date',       START_DATE);
   url.searchParams.set('end_date',         END_DATE);
   url.searchParams.set('daily',            DAILY_VARS);
+  url.searchParams.set('hourly',           HOURLY_VARS);
   url.searchParams.set('temperature_unit', 'fahrenheit');
   url.searchParams.set('windspeed_unit',   'mph');
+  url.searchParams.set('precipitation_unit', 'inch');
   url.searchParams.set('timezone',         'auto');
   url.searchParams.set('apikey',           API_KEY);
 
@@ -90,8 +110,81 @@ async function fetchDailyData(lat, lon) {
   return resp.json();
 }
 
+/** Mean snow depth (in) for each date in daily.time, from the hourly snow_depth series. */
+function dailySnowDepthIn(daily, hourly, hourlyUnits) {
+  const toIn  = SNOW_DEPTH_TO_IN[hourlyUnits?.snow_depth] ?? SNOW_DEPTH_TO_IN.m;
+  const times = hourly?.time       || [];
+  const depth = hourly?.snow_depth || [];
+
+  const byDate = new Map();
+  for (let i = 0; i < times.length; i++) {
+    if (!Number.isFinite(depth[i])) continue;
+    const date = times[i].slice(0, 10);
+    const b    = byDate.get(date) || { sum: 0, n: 0 };
+    b.sum += depth[i];
+    b.n++;
+    byDate.set(date, b);
+  }
+
+  return (daily?.time || []).map(date => {
+    const b = byDate.get(date);
+    return b ? (b.sum / b.n) * toIn : null;
+  });
+}
+
 // ── Normals computation ────────────────────────────────────────────────────────
-function computeNormals(daily) {
+// Percentiles pool ±PCTL_WINDOW_DAYS around each date: seven values per date
+// alone are too few for a stable 10th / 90th percentile.
+const PCTL_WINDOW_DAYS = 7;
+
+/**
+ * 10th / 90th percentile arrays (365 values, Jan 1 = index 0, °F, 1 decimal)
+ * for the daily highs and lows and, where fetched, the apparent highs and lows:
+ * { hi_p10, hi_p90, lo_p10, lo_p90, hi_app_p10, hi_app_p90, lo_app_p10, lo_app_p90 }
+ */
+function computePercentileNormals(daily) {
+  const series = {
+    hi:     daily?.temperature_2m_max,
+    lo:     daily?.temperature_2m_min,
+    hi_app: daily?.apparent_temperature_max,
+    lo_app: daily?.apparent_temperature_min,
+  };
+  const times = daily?.time || [];
+
+  const quantile = (sorted, p) => {
+    const pos = (sorted.length - 1) * p;
+    const i   = Math.floor(pos);
+    const v   = i + 1 < sorted.length ? sorted[i] + (sorted[i + 1] - sorted[i]) * (pos - i) : sorted[i];
+    return Math.round(v * 10) / 10;
+  };
+
+  const out = {};
+  for (const [key, values] of Object.entries(series)) {
+    if (!values?.length) continue;
+
+    const byDay = Array.from({ length: 365 }, () => []);
+    for (let i = 0; i < times.length; i++) {
+      const [, mm, dd] = times[i].split('-').map(Number);
+      if ((mm === 2 && dd === 29) || values[i] == null || !isFinite(values[i])) continue;
+      byDay[Math.round((Date.UTC(2021, mm - 1, dd) - Date.UTC(2021, 0, 1)) / 86400000)].push(values[i]);
+    }
+
+    const p10 = new Array(365).fill(null), p90 = new Array(365).fill(null);
+    for (let idx = 0; idx < 365; idx++) {
+      const pool = [];
+      for (let k = -PCTL_WINDOW_DAYS; k <= PCTL_WINDOW_DAYS; k++) pool.push(...byDay[(idx + k + 365) % 365]);
+      if (!pool.length) continue;
+      pool.sort((a, b) => a - b);
+      p10[idx] = quantile(pool, 0.1);
+      p90[idx] = quantile(pool, 0.9);
+    }
+    out[`${key}_p10`] = p10;
+    out[`${key}_p90`] = p90;
+  }
+  return out;
+}
+
+function computeNormals(daily, snowDepth = []) {
   const acc = new Map();
 
   const times  = daily?.time                     || [];
@@ -102,9 +195,15 @@ function computeNormals(daily) {
   const rh_hi  = daily?.relative_humidity_2m_max || [];
   const rh_lo  = daily?.relative_humidity_2m_min || [];
   const ws     = daily?.windspeed_10m_max        || [];
+  const pr     = daily?.precipitation_sum        || [];
+  // 1 on a wet day, 0 on a dry one — averaged, it is the chance of a wet day
+  const pr_prob = pr.map(v => (Number.isFinite(v) ? (v >= WET_DAY_IN ? 1 : 0) : null));
+  // Snow cover works the same way: the chance that the date is snow-covered
+  const snow       = snowDepth;
+  const snow_cover = snow.map(v => (Number.isFinite(v) ? (v >= SNOW_COVER_IN ? 1 : 0) : null));
 
-  const fields  = ['hi', 'lo', 'app_hi', 'app_lo', 'rh_hi', 'rh_lo', 'ws'];
-  const sources = [hi, lo, app_hi, app_lo, rh_hi, rh_lo, ws];
+  const fields  = ['hi', 'lo', 'app_hi', 'app_lo', 'rh_hi', 'rh_lo', 'ws', 'pr', 'pr_prob', 'snow', 'snow_cover'];
+  const sources = [hi, lo, app_hi, app_lo, rh_hi, rh_lo, ws, pr, pr_prob, snow, snow_cover];
 
   for (let i = 0; i < times.length; i++) {
     const iso = times[i];
@@ -202,7 +301,7 @@ async function main() {
       const daily = data?.daily;
       if (!daily?.time?.length) throw new Error('No daily.time in response');
 
-      const { normals, hiCount } = computeNormals(daily);
+      const { normals, hiCount } = computeNormals(daily, dailySnowDepthIn(daily, data.hourly, data.hourly_units));
 
       if (hiCount < 330) {
         console.warn(`  \u26a0 Sparse coverage (hi days=${hiCount}). Still writing.`);
@@ -224,6 +323,11 @@ async function main() {
         rh_hi:     normals.rh_hi,
         rh_lo:     normals.rh_lo,
         ws:        normals.ws,
+        pr:        normals.pr,
+        pr_prob:   normals.pr_prob,
+        snow:      normals.snow,
+        snow_cover: normals.snow_cover,
+        ...computePercentileNormals(daily),
         grid_elev: gridElevFt,
       };
 
@@ -241,7 +345,7 @@ async function main() {
       hist.meta.source    = `Open-Meteo ${DATASET} ${START_DATE}..${END_DATE}`;
       hist.meta.dataset   = DATASET;
       hist.meta.range     = `${START_DATE}..${END_DATE}`;
-      hist.meta.units     = 'temperature: fahrenheit, wind: mph';
+      hist.meta.units     = 'temperature: fahrenheit, wind: mph, precipitation: inch, snow depth: inch';
       hist.meta.generated = new Date().toISOString();
       writeJson(HIST_PATH, hist);
 
@@ -262,6 +366,9 @@ async function main() {
   console.log(`\n\u2714 Done. Generated ${processed} new normals records.`);
   console.log(`historical_weather.json now has ${hist.points.length} total records.`);
   console.log(`(Expected ~${targetPoints.length} when complete)`);
+
+  const packed = packNormals(DATA_DIR);
+  console.log(`Packed for the app: ${packed.chunks} chunks in data/normals/`);
 }
 
 main().catch(err => {
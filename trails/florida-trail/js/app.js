@@ -14,7 +14,8 @@
            - Relative humidity derived from actual + apparent temp
    Maps: Leaflet + OSM tiles + local trail.geojson overlay
    Units: Fahrenheit, mph, %
-   Caching: localStorage (TTL-based)
+   Caching: IndexedDB store (normals, trail geojson, Open-Meteo) and
+            localStorage for the rest, both TTL-based
    ---------------------------------------------------------------*/
 
 /* ============================================================
@@ -37,6 +38,7 @@ function getTrailMeta() {
     pointsUrl:        new URL("points.json",            dataDir).href,
     trailGeojsonUrl:  new URL("trails.geojson",         dataDir).href,
     normalsUrl:       new URL("historical_weather.json", dataDir).href,
+    packedNormalsUrl: new URL("normals/index.json",      dataDir).href,
     ftMetaUrl:        new URL("ft_meta.json",            dataDir).href,
     defaultMapCenter: [28.0, -82.5],
     defaultZoom:      6,
@@ -76,6 +78,7 @@ const HIST_DAILY_VARS = [
   "apparent_temperature_min",
   "relative_humidity_2m_max",
   "relative_humidity_2m_min",
+  "windspeed_10m_max",
 ].join(",");
 
 /* ============================================================
@@ -149,7 +152,8 @@ let ftSectionById = new Map();
 let ftAltGroupById = new Map();
 
 // Precomputed normals
-let normalsByPointId = new Map(); // point.id → { hi:[365], lo:[365], app_hi:[365], app_lo:[365], rh_hi:[365], rh_lo:[365] }
+let normalsSource    = null;  // openNormalsSource() — packed chunks or the full JSON
+let normalsByPointId = new Map(); // point.id → { hi:[365], lo:[365], app_hi:[365], app_lo:[365], rh_hi:[365], rh_lo:[365], pr:[365], pr_prob:[365] }
 let normalsSortedByMile = []; // [{ axis_mile, id }] sorted — for nearest-sample lookup
 let normalsMeta = null;
 
@@ -319,25 +323,21 @@ async function loadPoints() {
 }
 
 async function loadPrecomputedNormals() {
-  // historical_weather.json is too large for localStorage — rely on HTTP cache instead.
-  const r = await fetch(META.normalsUrl);
-  if (!r.ok) throw new Error(`historical_weather.json fetch failed (${r.status})`);
-  const payload = await r.json();
-
   normalsByPointId = new Map();
-  normalsMeta = payload.meta || null;
-
-  for (const p of (payload.points || [])) {
-    if (!p?.id) continue;
-    normalsByPointId.set(String(p.id), {
-      hi:     p.hi     || [],
-      lo:     p.lo     || [],
-      app_hi: p.hi_app || p.hi || [],   // JSON uses hi_app/lo_app keys
-      app_lo: p.lo_app || p.lo || [],
-      rh_hi:  p.rh_hi  || [],
-      rh_lo:  p.rh_lo  || [],
-    });
-  }
+  normalsSource = await openNormalsSource({
+    packedUrl: META.packedNormalsUrl,
+    storeKey:  `normals_${trailSlug}`,
+    version:   NORMALS_CACHE_VERSION,
+    ttlMs:     NORMALS_TTL_MS,
+    loadJson: async () => {
+      const r = await fetch(META.normalsUrl);
+      if (!r.ok) throw new Error(`historical_weather.json fetch failed (${r.status})`);
+      return r.json();
+    },
+    onRecords: (records) => records.forEach(setNormalsRecord),
+  });
+  normalsMeta = normalsSource.meta;
+
   // Build a mile-sorted index of sampled points for nearest-neighbour fallback.
   // allPoints is loaded before normals, so we can filter here.
   normalsSortedByMile = allPoints
@@ -348,18 +348,34 @@ async function loadPrecomputedNormals() {
   console.log("[FT] normals loaded:", normalsByPointId.size, "points,", normalsSortedByMile.length, "indexed by mile");
 }
 
+/** Adds one point's normals entry — an index stub first, then the full record once its chunk loads. */
+function setNormalsRecord(p) {
+  if (!p?.id) return;
+  normalsByPointId.set(String(p.id), {
+    hi:     p.hi     || [],
+    lo:     p.lo     || [],
+    app_hi: p.hi_app || p.hi || [],   // JSON uses hi_app/lo_app keys
+    app_lo: p.lo_app || p.lo || [],
+    rh_hi:  p.rh_hi  || [],
+    rh_lo:  p.rh_lo  || [],
+    pr:     p.pr     || [],
+    pr_prob: p.pr_prob || [],
+    ...percentileNormals(p),
+  });
+}
+
 /* ============================================================
    13. TRAIL GEOJSON OVERLAY  (shared helper)
    ============================================================ */
 
 async function fetchTrailGeojson() {
   const key = `trail_geojson_${trailSlug}_v5`;
-  const cached = cacheGet(key, TRAIL_TTL_MS);
+  const cached = await storeGet(key, TRAIL_TTL_MS);
   if (cached) return cached;
   const r = await fetch(META.trailGeojsonUrl, { cache: "no-store" });
   if (!r.ok) throw new Error(`trail.geojson fetch failed (${r.status})`);
   const gj = await r.json();
-  cacheSet(key, gj);
+  storeSet(key, gj);
   return gj;
 }
 
@@ -466,25 +482,6 @@ function getNearestPointInSection(sectionId, secMile) {
   return best;
 }
 
-/**
- * Find nearest spine point by axis_mile (binary search).
- */
-function getNearestSpinePoint(axisMile) {
-  const arr = allPointsSortedByAxisMile;
-  if (!arr.length) return null;
-  let lo = 0, hi = arr.length - 1;
-  while (lo <= hi) {
-    const mid = (lo+hi)>>1;
-    if (arr[mid].axis_mile === axisMile) return arr[mid];
-    if (arr[mid].axis_mile < axisMile) lo = mid+1; else hi = mid-1;
-  }
-  const a = arr[Math.max(0, hi)];
-  const b = arr[Math.min(arr.length-1, lo)];
-  if (!a) return b;
-  if (!b) return a;
-  return Math.abs(a.axis_mile-axisMile) <= Math.abs(b.axis_mile-axisMile) ? a : b;
-}
-
 /**
  * For the western corridor, find a point by walking through the ordered
  * section list and accumulating sec_mile offsets.
@@ -517,7 +514,7 @@ function getNearestWesternCorridorPoint(cumulativeMile) {
 
 async function fetchForecast(point) {
   const key = `ft_forecast:${point.id}`;
-  const cached = cacheGet(key, FORECAST_TTL_MS);
+  const cached = await storeGet(key, FORECAST_TTL_MS);
   if (cached) return cached;
 
   const url = new URL(FORECAST_BASE);
@@ -530,10 +527,12 @@ async function fetchForecast(point) {
   url.searchParams.set("timezone",          "auto");
   url.searchParams.set("forecast_days",     "5");
 
-  const r = await fetch(url.toString());
+  let r;
+  try { r = await fetch(url.toString()); }
+  catch (err) { return staleOrThrow(key, err); }
   if (!r.ok) throw new Error(`Forecast fetch failed (${r.status})`);
   const data = await r.json();
-  cacheSet(key, data);
+  storeSet(key, data);
   return data;
 }
 
@@ -546,7 +545,7 @@ function lastSevenYearsRange() {
 
 async function fetchHistorical(point, range) {
   const key = `ft_hist:${point.id}:${range.start_date}:${range.end_date}`;
-  const cached = cacheGet(key, HIST_TTL_MS);
+  const cached = await storeGet(key, HIST_TTL_MS);
   if (cached) return cached;
 
   const url = new URL(HIST_BASE);
@@ -556,12 +555,15 @@ async function fetchHistorical(point, range) {
   url.searchParams.set("end_date",         range.end_date);
   url.searchParams.set("daily",            HIST_DAILY_VARS);
   url.searchParams.set("temperature_unit", "fahrenheit");
+  url.searchParams.set("windspeed_unit",   "mph");
   url.searchParams.set("timezone",         "auto");
 
-  const r = await fetch(url.toString());
+  let r;
+  try { r = await fetch(url.toString()); }
+  catch (err) { return staleOrThrow(key, err); }
   if (!r.ok) throw new Error(`Historical fetch failed (${r.status})`);
   const data = await r.json();
-  cacheSet(key, data);
+  storeSet(key, data);
   return data;
 }
 
@@ -630,6 +632,7 @@ function computePlanningAverages(histDaily, monthDay, windowDays) {
     avgAppLow:  avg(buckets["apparent_temperature_min"]),
     avgRhHigh:  avg(buckets["relative_humidity_2m_max"]),
     avgRhLow:   avg(buckets["relative_humidity_2m_min"]),
+    ...percentilesFromBuckets(buckets),
   };
 }
 
@@ -650,8 +653,10 @@ function renderPlanningSummary(point, monthDay, range, avgs) {
       <tr><th></th><th style="background:#f0f0f0;">Actual Temp</th><th style="background:#f0f0f0;">Apparent Temp</th><th style="background:#f0f0f0;">Relative Humidity</th></tr>
       <tr><th>Avg High</th><td>${fmtTemp(avgs.avgHigh)}</td><td>${fmtTemp(avgs.avgAppHigh)}</td><td>${fmtRh(avgs.avgRhHigh)}</td></tr>
       <tr><th>Avg Low</th><td>${fmtTemp(avgs.avgLow)}</td><td>${fmtTemp(avgs.avgAppLow)}</td><td>${fmtRh(avgs.avgRhLow)}</td></tr>
+      ${percentileRangeRows(avgs)}
       <tr><th>Historical Range</th><td colspan="3">${range.start_date} to ${range.end_date}</td></tr>
     </table>
+    ${percentileRangeNote(avgs)}
     <p class="note">
       Averages computed from daily highs/lows over a ${TYPICAL_WINDOW_DAYS*2+1}-day window
       centered on the planning date, across 7 years of data.
@@ -769,9 +774,16 @@ async function runWeather() {
   setHtmlIfExists("forecastBlock",        "");
 
   try {
-    const forecastData = await fetchForecast(point);
-    renderCurrent(forecastData, point);
-    renderForecastTable(forecastData);
+    const forecastData = await fetchForecast(point).catch(err => {
+      console.warn("[FT] forecast unavailable:", err);
+      setHtmlIfExists("currentBlock", forecastUnavailableHtml(err));
+      return null;
+    });
+    if (forecastData) {
+      renderCurrent(forecastData, point);
+      renderForecastTable(forecastData);
+      markStaleIfExists("currentBlock", forecastData);
+    }
 
     const range    = lastSevenYearsRange();
     const histData = await fetchHistorical(point, range);
@@ -780,8 +792,9 @@ async function runWeather() {
 
     const avgs = computePlanningAverages(daily, monthDay, TYPICAL_WINDOW_DAYS);
     renderPlanningSummary(point, monthDay, range, avgs);
+    markStaleIfExists("planningSummaryBlock", histData, "archive weather");
 
-    const forecastAppLows = forecastData.daily?.apparent_temperature_min || [];
+    const forecastAppLows = forecastData?.daily?.apparent_temperature_min || [];
     if (forecastAppLows.some(v => Number.isFinite(v) && v <= 20) ||
         (Number.isFinite(avgs.avgAppLow) && avgs.avgAppLow <= 20)) {
       const s = el("weatherStatus");
@@ -839,8 +852,8 @@ function dayIndexFromMonthDay(monthDay) {
 }
 
 /**
- * Build the ordered sequence of points for a hike, one per day.
- * Returns array of { date, point } objects.
+ * Route legs for the itinerary engine (shared-utils.js): one lookup leg
+ * (lookupLeg) that maps cumulative hike miles onto the trail.
  *
  * For spine hikes (NOBO/SOBO_PICKENS, eastern corridor):
  *   axis_mile advances by milesPerDay each day.
@@ -852,12 +865,11 @@ function dayIndexFromMonthDay(monthDay) {
  *
  * For Blackwater hikes: spine ends at axis_mile 1080 instead of 1204.
  */
-function buildHikePoints({ direction, startDate, milesPerDay, totalMiles, selectedAlts }) {
+function buildRouteLegs({ direction, totalMiles, selectedAlts }) {
   const isNobo = direction.startsWith("NOBO");
   const isBw   = direction.includes("BLACKWATER");
   const useWest = selectedAlts["alt-orlando-ocala-loop"] === "western_corridor";
 
-  const durationDays = Math.ceil(totalMiles / milesPerDay);
   const spineStart = isNobo ? FT_SPINE_MIN : (isBw ? FT_BW_END : FT_SPINE_MAX);
   const spineSign  = isNobo ? 1 : -1;
 
@@ -885,54 +897,72 @@ function buildHikePoints({ direction, startDate, milesPerDay, totalMiles, select
   });
   const westTotal = westSectionLengths.reduce((a,b)=>a+b,0);
 
-  const hikePoints = [];
-
-  for (let i = 0; i < durationDays; i++) {
-    const date = addDays(startDate, i);
-    const cumMile = milesPerDay * i;  // cumulative miles walked from start
-
-    let point = null;
-
-    if (useWest && cumMile >= spineBeforeSplit && cumMile < spineBeforeSplit + corridorLen) {
-      // In the western corridor
-      const corridorMile = cumMile - spineBeforeSplit;
-      // Scale to actual western corridor total
-      const scaledMile   = (corridorMile / corridorLen) * westTotal;
-      const corridorList = isNobo ? westSectionsNOBO : [...westSectionsNOBO].reverse();
-      const scaledPos    = isNobo ? scaledMile : (westTotal - scaledMile);
-
-      let remaining = scaledPos;
-      for (let s = 0; s < westSectionsNOBO.length; s++) {
-        const secId  = corridorList[s];
-        const secLen = westSectionLengths[isNobo ? s : westSectionsNOBO.length-1-s];
-        if (secLen === 0) continue;
-        if (remaining <= secLen || s === westSectionsNOBO.length-1) {
-          point = getNearestPointInSection(secId, Math.max(0, remaining));
-          break;
-        }
-        remaining -= secLen;
-      }
-    } else {
-      // On the spine (before split, after rejoin, or eastern corridor throughout)
-      let axisMile;
-      if (useWest && cumMile >= spineBeforeSplit + corridorLen) {
-        // After western corridor rejoins spine
-        const afterMile = cumMile - corridorLen + (rejoinAxisMile - branchAxisMile);
-        axisMile = isNobo
-          ? FT_SPINE_MIN + afterMile
-          : (isBw ? FT_BW_END : FT_SPINE_MAX) - afterMile;
-      } else {
-        axisMile = spineStart + spineSign * cumMile;
-      }
-
-      axisMile = Math.max(FT_SPINE_MIN, Math.min(isBw ? FT_BW_END : FT_SPINE_MAX, axisMile));
-      point = getNearestSpinePoint(axisMile);
-    }
-
-    if (point) hikePoints.push({ date, point });
+  const spineEnd = isBw ? FT_BW_END : FT_SPINE_MAX;
+  const spine    = { points: allPointsSortedByAxisMile, key: p => p.axis_mile };
+  if (!useWest) {
+    return [lookupLeg({ miles: totalMiles, lookup: [{ to: spineEnd - FT_SPINE_MIN, list: spine, key: spineStart, slope: spineSign }] })];
   }
 
-  return hikePoints;
+  // Spine up to the split, then each western section in turn (sec_mile scaled
+  // so the corridor spans corridorLen hike miles), then the spine past the rejoin
+  const lookup = [{ to: spineBeforeSplit, list: spine, key: spineStart, slope: spineSign }];
+  const scale  = westTotal / corridorLen;
+  let sectionStart = 0;
+  westSectionsNOBO.forEach((sid, s) => {
+    const secLen = westSectionLengths[s];
+    if (secLen === 0) return;
+    sectionStart += secLen;
+    lookup.push({
+      to: spineBeforeSplit + sectionStart / scale,
+      list: { points: pointsBySectionId.get(sid), key: p => p.sec_mile },
+      key: isNobo ? 0 : secLen,
+      slope: isNobo ? scale : -scale
+    });
+  });
+  const afterSplit = isNobo ? spineEnd - rejoinAxisMile : branchAxisMile - FT_SPINE_MIN;
+  lookup.push({
+    to: spineBeforeSplit + corridorLen + afterSplit,
+    list: spine,
+    key: isNobo ? rejoinAxisMile : branchAxisMile,
+    slope: spineSign
+  });
+
+  return [lookupLeg({ miles: totalMiles, lookup })];
+}
+
+/**
+ * Build the ordered sequence of points for a hike (or section), one per day.
+ * Returns array of { date, point, ... } objects.
+ */
+function buildHikePoints({ startDate, plan, ...route }) {
+  return buildItinerary(buildRouteLegs(route), { startDate, ...plan });
+}
+
+/**
+ * Route for the Section Hike controls; trail miles are spine axis miles.
+ * Off-spine points only name a section when that section is on the chosen
+ * route (western corridor, Blackwater); otherwise they stay in the current run.
+ */
+function getPlannerRoute(direction = el("durDirectionSelect")?.value || "NOBO_PICKENS") {
+  if (!allPoints.length) return null;
+  const selectedAlts = getSelectedAlts();
+  const useWest      = selectedAlts["alt-orlando-ocala-loop"] === "western_corridor";
+  const WEST_SECTIONS = new Set([
+    "upper_kiss","reedy_creek","green_swamp_east","green_swamp_west",
+    "croom","citrus","cfgwest","cfgeast_ocalawest"
+  ]);
+  const onRoute = (p) => String(p.id).startsWith("ft-main-")
+    || (useWest && WEST_SECTIONS.has(p.section_id))
+    || (direction.includes("BLACKWATER") && p.section_id === "blackwater_ext");
+
+  return {
+    legs: buildRouteLegs({ direction, totalMiles: calcTotalMiles(direction, selectedAlts), selectedAlts }),
+    sectionOf: (p) => !onRoute(p) ? null
+      : ftSectionById.get(p.section_id)?.name
+        || window.FT_SECTIONS_BOOTSTRAP?.find(s => s.id === p.section_id)?.name
+        || p.section_id,
+    trailMileOf: (p) => String(p.id).startsWith("ft-main-") ? p.axis_mile : NaN
+  };
 }
 
 /**
@@ -987,27 +1017,31 @@ function computeExtremesFromHikePoints(hikePoints) {
     // Hottest by apparent high (most dangerous heat)
     const heatVal = isFinite(avgAppHigh) ? avgAppHigh : avgHigh;
     if (!hottest || heatVal > (isFinite(hottest.appHigh) ? hottest.appHigh : hottest.avgHigh)) {
-      hottest = { date, point, avgHigh, avgLow, appHigh: avgAppHigh, appLow: avgAppLow, rhHigh: avgRhHigh, rhLow: avgRhLow };
+      hottest = { date, point, avgHigh, avgLow, appHigh: avgAppHigh, appLow: avgAppLow, rhHigh: avgRhHigh, rhLow: avgRhLow, ...percentilesAt(normals, idx) };
     }
 
     // Coldest by apparent low (most dangerous cold)
     const coldVal = isFinite(avgAppLow) ? avgAppLow : avgLow;
     if (!coldest || coldVal < (isFinite(coldest.appLow) ? coldest.appLow : coldest.avgLow)) {
-      coldest = { date, point, avgHigh, avgLow, appHigh: avgAppHigh, appLow: avgAppLow, rhHigh: avgRhHigh, rhLow: avgRhLow };
+      coldest = { date, point, avgHigh, avgLow, appHigh: avgAppHigh, appLow: avgAppLow, rhHigh: avgRhHigh, rhLow: avgRhLow, ...percentilesAt(normals, idx) };
     }
   }
 
   return { hottest, coldest };
 }
 
+// West of the Apalachicola River the panhandle keeps Central time.
+const ftTimeZone = (p) => (Number(p?.lon) < -85.0 ? "America/Chicago" : "America/New_York");
+
 function renderDurExtremesBlocks(hottest, coldest, opts = {}) {
   renderDurExtremesBlocksShared(hottest, coldest, {
     formatLocation: (rec) => ftPointLabel(rec.point),
+    timeZoneOf:     ftTimeZone,
     ...opts
   });
 }
 
-function renderDurExtremesMap(hottest, coldest) {
+function renderDurExtremesMap(hottest, coldest, comparePlans = null) {
   const mapEl = el("durExtremesMap");
   if (!mapEl || typeof L === "undefined") return;
 
@@ -1023,6 +1057,14 @@ function renderDurExtremesMap(hottest, coldest) {
 
   durMapLayerGroup.clearLayers();
 
+  // Saved-plan comparison: every plan's pins, numbered
+  if (comparePlans) {
+    const latLngs = addPlanComparisonPins(durMapLayerGroup, comparePlans);
+    if (latLngs.length) durMap.fitBounds(L.latLngBounds(latLngs), { padding: [30, 30] });
+    try { durMap.invalidateSize(); } catch {}
+    return;
+  }
+
   if (!hottest?.point || !coldest?.point) {
     try { durMap.invalidateSize(); } catch {}
     return;
@@ -1048,7 +1090,8 @@ function renderDurExtremesMap(hottest, coldest) {
 }
 
 async function computeAndRenderDurationExtremes(params) {
-  const { startDate, durationDays, totalMiles, startDateLabel = "Start Date" } = params;
+  const { startDate, durationDays, totalMiles, plan, startDateLabel = "Start Date", ranking = null } = params;
+  const { section } = plan;
   setDisplayIfExists("durExtremesWrap", "none");
   setHtmlIfExists("durExtremesHot", "");
   setHtmlIfExists("durExtremesCold", "");
@@ -1068,17 +1111,41 @@ async function computeAndRenderDurationExtremes(params) {
     setDurStatus("Could not compute hike path — check data loading.");
     return;
   }
+  if (!(await normalsReady(normalsSource.ensureAround(hikePoints)))) return;
 
   const { hottest, coldest } = computeExtremesFromHikePoints(hikePoints);
   const utciCounts = computeUtciCounts(hikePoints, getNearestNormals);
+  const itinerary = buildItineraryRows(hikePoints, getNearestNormals);
   const endDate = startDate ? addDays(startDate, durationDays - 1) : null;
 
   setDisplayIfExists("durExtremesWrap", "block");
   renderDurExtremesBlocks(hottest, coldest, {
-    startDate, endDate, distanceMiles: totalMiles, durationDays, startDateLabel, utciCounts
+    startDate, endDate, distanceMiles: section ? section.miles : totalMiles, durationDays, startDateLabel, utciCounts, itinerary, ranking, plan
   });
   renderDurExtremesMap(hottest, coldest);
 
+  if (plan.replayYear) {
+    runReplayYear({
+      year: plan.replayYear,
+      startDate: params.startDate,
+      getHikePoints: (startDate) => buildHikePoints({ ...params, startDate }),
+      fetchHistorical,
+      getNormals: getNearestNormals,
+      formatLocation: (rec) => ftPointLabel(rec.point),
+      normals: { hottest, coldest, utciCounts }
+    });
+  }
+
+  if (plan.risk) {
+    runRiskEstimate({
+      plan,
+      startDate: params.startDate,
+      getHikePoints: (startDate, plan) => buildHikePoints({ ...params, startDate, plan }),
+      fetchHistorical,
+      getNormals: getNearestNormals
+    });
+  }
+
   // Heat index advisory: if the hottest apparent high reaches 100 °F or above,
   // append a warning to the duration result block (mirrors NWS Heat Advisory threshold).
   const peakHeatIndex = hottest?.appHigh ?? hottest?.avgHigh;
@@ -1108,22 +1175,27 @@ function runDurationCalculator() {
   if (mpd == null || mpd <= 0) { setDurStatus("Please enter miles per day."); return; }
   if (mpd < 5) { setDurStatus("For this planner, hikes must average at least 5 miles per day."); return; }
 
+  const { plan, error } = readPlanOptions(getPlannerRoute(), mpd);
+  if (error) { setDurStatus(error); return; }
+  const { section } = plan;
+
   const totalMiles  = calcTotalMiles(direction, selectedAlts);
-  const durationDays = Math.ceil(totalMiles / mpd);
+  const legs         = buildRouteLegs({ direction, totalMiles, selectedAlts });
+  const durationDays = planHikeSchedule(legs, plan).length;
 
   if (durationDays > 365) {
     setDurStatus("Estimated duration exceeds one year. Please increase miles per day.");
     return;
   }
 
-  const startDate = resolveStartDate(monthDay);
+  const { startDate, startDateLabel } = resolvePlanStartDate(monthDay, { finish: scheduleFinishOffset(legs, plan) });
   const endDate   = addDays(startDate, durationDays - 1);
 
-  renderDurationResult({ direction, startDate, endDate, totalMiles, milesPerDay: mpd, durationDays });
+  renderDurationResult({ direction, startDate, endDate, totalMiles: section ? section.miles : totalMiles, milesPerDay: mpd, durationDays });
 
   if (normalsByPointId.size > 0 && allPoints.length > 0) {
     computeAndRenderDurationExtremes({
-      direction, startDate, milesPerDay: mpd, totalMiles, durationDays, selectedAlts
+      direction, startDate, totalMiles, durationDays, selectedAlts, plan, startDateLabel
     }).catch(err => {
       console.error("[FT] extremes error:", err);
       setDurStatus(`Error computing extremes: ${err.message}`);
@@ -1133,7 +1205,35 @@ function runDurationCalculator() {
   }
 }
 
-function runBestStart() {
+/**
+ * BestStart! setup for one direction with the current Tool A inputs.
+ * Returns { totalMiles, search } — search is the runBestStartSearch() config — or { error }.
+ */
+function prepareBestStart(direction, mpd) {
+  const selectedAlts = getSelectedAlts();
+  const route = getPlannerRoute(direction);
+  const { plan, error } = readPlanOptions(route, mpd);
+  if (error) return { error };
+
+  const totalMiles   = calcTotalMiles(direction, selectedAlts);
+  const durationDays = planHikeSchedule(buildRouteLegs({ direction, totalMiles, selectedAlts }), plan).length;
+  if (durationDays > 365) return { error: "For this planner, hikes cannot exceed one year. Please adjust Miles per Day." };
+
+  return {
+    totalMiles,
+    search: {
+      route, milesPerDay: mpd, plan,
+      configFor: (plan) => ({
+        durationDays: planHikeSchedule(buildRouteLegs({ direction, totalMiles, selectedAlts }), plan).length,
+        getHikePoints: (startDate) => buildHikePoints({ direction, startDate, totalMiles, selectedAlts, plan }),
+        getNormals: (point) => getNearestNormals(point),
+        constraints: plan.constraints
+      })
+    }
+  };
+}
+
+async function runBestStart({ compareDirections = false } = {}) {
   setDurStatus("");
   if (el("bestStartResult")) el("bestStartResult").innerHTML = "";
   if (el("durResult")) el("durResult").innerHTML = "";
@@ -1148,25 +1248,33 @@ function runBestStart() {
   if (!normalsByPointId.size) { setDurStatus("Historical weather data is still loading. Please try again."); return; }
   if (!allPoints.length) { setDurStatus("Trail data is still loading. Please try again."); return; }
 
-  const totalMiles   = calcTotalMiles(direction, selectedAlts);
-  const durationDays = Math.ceil(totalMiles / mpd);
-  if (durationDays > 365) { setDurStatus("For this planner, hikes cannot exceed one year. Please adjust Miles per Day."); return; }
+  const prep = prepareBestStart(direction, mpd);
+  if (prep.error) { setDurStatus(prep.error); return; }
+  const { totalMiles } = prep;
 
-  const { bestStartDate } = runBestStartShared({
-    durationDays,
-    getHikePoints: (startDate) => buildHikePoints({ direction, startDate, milesPerDay: mpd, totalMiles, selectedAlts }),
-    getNormals: (point) => getNearestNormals(point),
-  });
+  if (compareDirections) {
+    if (!(await normalsReady(normalsSource.ensureAll()))) return;
+    await compareDirectionsShared((id) => prepareBestStart(id, mpd));
+    return;
+  }
+
+  if (!(await normalsReady(ensureSearchNormals(normalsSource, prep.search)))) return;
+
+  const best = await runBestStartScan(prep.search);
+  if (!best) return;
+  const { bestStartDate, ranking, plan: bestPlan, durationDays: bestDays } = best;
 
   if (!bestStartDate) {
     setHtmlIfExists("bestStartResult",
-      `<p style="color:#b00000; font-weight:600; margin-top:0.75rem;">No valid start date found \u2014 every possible start date includes at least one day of extreme heat or cold stress. Try adjusting miles per day.</p>`);
+      constrainedBestStartFailureHtml(ranking) ||
+      `<p style="color:#b00000; font-weight:600; margin-top:0.75rem;">No valid start date found \u2014 every possible start date includes at least one day of extreme heat or cold stress. Try adjusting miles per day or your comfort profile.</p>`);
     return;
   }
 
   computeAndRenderDurationExtremes({
-    direction, startDate: bestStartDate, milesPerDay: mpd, totalMiles, durationDays, selectedAlts,
-    startDateLabel: "<em>BestStart!</em> Date"
+    direction, startDate: bestStartDate, totalMiles, durationDays: bestDays, selectedAlts, plan: bestPlan,
+    startDateLabel: "<em>BestStart!</em> Date",
+    ranking
   }).catch(err => { console.error(err); setDurStatus(`Error: ${err.message}`); });
 }
 
@@ -1239,8 +1347,21 @@ function initDurationUI() {
   const btn = el("durBtn");
   if (btn) btn.addEventListener("click", runDurationCalculator);
   el("bestStartBtn")?.addEventListener("click", runBestStart);
+  el("compareDirBtn")?.addEventListener("click", () => runBestStart({ compareDirections: true }));
   const mpdEl = el("durMilesPerDay");
   if (mpdEl && mpdEl.value === "") mpdEl.value = "12";
+  initPlanOptionsUI(getPlannerRoute, { minMilesPerDay: 5 });
+  initSavedPlansUI({
+    trail:     trailSlug,
+    alts:      ["alt-okee", "alt-ocala-loop"],
+    renderMap: (plans) => renderDurExtremesMap(null, null, plans)
+  });
+  initPlanExports({
+    trail:        trailSlug,
+    name:         "Florida Trail",
+    getRoute:     getPlannerRoute,
+    fetchGeojson: fetchTrailGeojson
+  });
 }
 
 function initWeatherUI() {
@@ -1278,7 +1399,7 @@ async function main() {
   loadTrailOverlay();
 
   // Load ft_meta.json (non-blocking but important — re-populates sections if loaded)
-  loadFtMeta()
+  const metaLoaded = loadFtMeta()
     .then(() => {
       // Re-populate section dropdown with canonical meta data
       const rid = el("regionSelect")?.value;
@@ -1289,6 +1410,7 @@ async function main() {
   // Load points
   try {
     await loadPoints();
+    refreshPlanOptionsUI(getPlannerRoute());
 
     // Fit weather map to trail extent
     if (map) {
@@ -1313,6 +1435,13 @@ async function main() {
     setDurStatus("Temperature extremes unavailable — historical_weather.json not found.");
   }
 
+  // Restore a shared plan / weather lookup once the meta-driven lists are in
+  await metaLoaded;
+  initPermalink({
+    weather: { region: "regionSelect", section: "sectionSelect", mile: "ftMileInput" },
+    alts:    ["alt-okee", "alt-ocala-loop"]
+  });
+
   setTimeout(refreshMapSize, 250);
 }
 
@@ -13,6 +13,9 @@ Open-Meteo Historical Weather API and averages by MM-DD to produce
     hi_app  — avg daily max apparent temperature / Steadman feels-like (°F)
     lo_app  — avg daily min apparent temperature / Steadman feels-like (°F)
 
+plus 10th / 90th percentile versions of each (hi_p10, hi_p90, lo_p10, ...,
+lo_app_p90), pooled over a ±PCTL_WINDOW_DAYS window around each date.
+
 RESUME CAPABILITY
 -----------------
 Progress is saved to a cache file (CACHE_FILE) after every successful
@@ -47,6 +50,7 @@ Python 3.8+, no third-party packages required (uses urllib only).
 
 import json
 import os
+import subprocess
 import time
 import urllib.request
 import urllib.error
@@ -58,6 +62,7 @@ from datetime import date, timedelta
 POINTS_FILE   = "../data/points.json"              # Input: FT points (in data/ sibling folder)
 CACHE_FILE    = "ft_weather_cache.json"            # Resume cache stays in tools/ alongside script
 OUTPUT_FILE   = "../data/historical_weather.json"  # Final output goes to data/ folder
+REPO_ROOT     = "../../.."                         # For scripts/pack-normals.js
 
 # Open-Meteo archive API
 ARCHIVE_BASE  = "https://archive-api.open-meteo.com/v1/archive"
@@ -78,6 +83,10 @@ RETRY_DELAY_S = 10.0   # Wait longer before each retry
 # Set to 0 for no smoothing; 3 gives a ±3 day window (7-day centered average)
 SMOOTH_WINDOW_DAYS = 3
 
+# Percentile window (±N days). Wider than the averaging window: seven values
+# per date alone are too few for a stable 10th / 90th percentile.
+PCTL_WINDOW_DAYS = 7
+
 # Sampling: ~1 point per this many trail miles per section, minimum 3 per section
 SAMPLE_EVERY_N_MILES = 5
 SAMPLE_MIN_PER_SECTION = 3
@@ -243,6 +252,52 @@ def compute_normals(daily):
 
     return hi, lo, hi_app, lo_app
 
+def compute_percentiles(daily):
+    """
+    10th / 90th percentile arrays for the same four series as compute_normals().
+    Returns a dict like {"hi_p10": [...365], "hi_p90": [...], ...}, one decimal °F.
+    """
+    series = {
+        "hi":     daily.get("temperature_2m_max", []),
+        "lo":     daily.get("temperature_2m_min", []),
+        "hi_app": daily.get("apparent_temperature_max", []),
+        "lo_app": daily.get("apparent_temperature_min", []),
+    }
+    times = daily.get("time", [])
+
+    def quantile(sorted_vals, p):
+        pos = (len(sorted_vals) - 1) * p
+        i = int(pos)
+        if i + 1 < len(sorted_vals):
+            v = sorted_vals[i] + (sorted_vals[i + 1] - sorted_vals[i]) * (pos - i)
+        else:
+            v = sorted_vals[i]
+        return round(v, 1)
+
+    out = {}
+    for key, values in series.items():
+        by_day = defaultdict(list)
+        for i, date_str in enumerate(times):
+            try:
+                _, m, d = (int(x) for x in date_str.split("-"))
+            except ValueError:
+                continue
+            if (m == 2 and d == 29) or i >= len(values) or values[i] is None:
+                continue
+            by_day[day_of_year_index(m, d)].append(values[i])
+
+        p10, p90 = [], []
+        for idx in range(365):
+            pool = []
+            for offset in range(-PCTL_WINDOW_DAYS, PCTL_WINDOW_DAYS + 1):
+                pool.extend(by_day.get((idx + offset) % 365, []))
+            pool.sort()
+            p10.append(quantile(pool, 0.1) if pool else None)
+            p90.append(quantile(pool, 0.9) if pool else None)
+        out[f"{key}_p10"] = p10
+        out[f"{key}_p90"] = p90
+    return out
+
 # ── Cache (resume support) ────────────────────────────────────────────────────
 
 def load_cache():
@@ -275,13 +330,18 @@ def assemble_output(sampled_points, cache):
         if pid not in cache:
             continue  # Skip any point that somehow wasn't fetched
         entry = cache[pid]
-        points_out.append({
+        record = {
             "id":     pid,
             "hi":     entry["hi"],
             "lo":     entry["lo"],
             "hi_app": entry["hi_app"],
             "lo_app": entry["lo_app"],
-        })
+        }
+        # Cache entries written before percentiles were added simply lack them
+        for key, arr in entry.items():
+            if key.endswith(("_p10", "_p90")):
+                record[key] = arr
+        points_out.append(record)
 
     return {
         "meta": {
@@ -300,6 +360,7 @@ def assemble_output(sampled_points, cache):
                 "lo":     "avg daily min dry-bulb temperature",
                 "hi_app": "avg daily max apparent temperature (Steadman feels-like / heat index)",
                 "lo_app": "avg daily min apparent temperature (Steadman feels-like / wind chill)",
+                "*_p10 / *_p90": f"10th / 90th percentile of the same series, ±{PCTL_WINDOW_DAYS}-day window",
             },
         },
         "points": points_out,
@@ -379,6 +440,7 @@ def main():
                     "lo":     lo,
                     "hi_app": hi_app,
                     "lo_app": lo_app,
+                    **compute_percentiles(daily),
                 }
 
                 save_cache(cache)
@@ -414,6 +476,11 @@ def main():
 
     size_kb = os.path.getsize(OUTPUT_FILE) / 1024
     print(f"Done. Wrote {completed} points to {OUTPUT_FILE} ({size_kb:.1f} KB)")
+
+    # The app loads the packed chunks in data/normals/, not the JSON itself.
+    packed = subprocess.run(["node", "scripts/pack-normals.js", "florida-trail"], cwd=REPO_ROOT)
+    if packed.returncode != 0:
+        print("WARNING: pack-normals failed — run `node scripts/pack-normals.js florida-trail` from the repo root.")
     print()
 
     if completed == total:
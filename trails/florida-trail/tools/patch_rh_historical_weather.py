@@ -36,6 +36,7 @@ Python 3.8+, no third-party packages required (uses urllib only).
 
 import json
 import os
+import subprocess
 import time
 import urllib.request
 import urllib.error
@@ -47,6 +48,7 @@ from datetime import date, timedelta
 POINTS_FILE   = "../data/points.json"
 HW_FILE       = "../data/historical_weather.json"   # patched in place
 RH_CACHE_FILE = "rh_patch_cache.json"               # resume cache in tools/
+REPO_ROOT     = "../../.."                          # for scripts/pack-normals.js
 
 ARCHIVE_BASE  = "https://archive-api.open-meteo.com/v1/archive"
 
@@ -300,6 +302,11 @@ def main():
     print(f"Done. {patched}/{len(hw_points)} points patched.")
     print(f"File size: {size_kb:.1f} KB")
 
+    # Re-pack so the app's data/normals/ chunks carry the patched RH.
+    packed = subprocess.run(["node", "scripts/pack-normals.js", "florida-trail"], cwd=REPO_ROOT)
+    if packed.returncode != 0:
+        print("WARNING: pack-normals failed — run `node scripts/pack-normals.js florida-trail` from the repo root.")
+
     if not_in_cache:
         print(f"WARNING: {not_in_cache} point(s) missing from cache — re-run to fetch them.")
     else:
@@ -13,7 +13,8 @@
            - Apparent temperature (Steadman: heat index + wind chill)
    Maps: Leaflet + OSM tiles + trail.geojson overlay
    Units: Fahrenheit, mph, %
-   Caching: localStorage (TTL-based)
+   Caching: IndexedDB store (normals, trail geojson, Open-Meteo) and
+            localStorage for the rest, both TTL-based
    ---------------------------------------------------------------*/
 
 /* ============================================================
@@ -37,6 +38,7 @@ function getTrailMeta() {
     trailGeojsonUrl:    new URL("trail.geojson",           dataDir).href,
     roadwalkGeojsonUrl: new URL("trail_roadwalk.geojson",  dataDir).href,
     normalsUrl:         new URL("historical_weather.json",  dataDir).href,
+    packedNormalsUrl:   new URL("normals/index.json",       dataDir).href,
     iatMetaUrl:         new URL("iat_meta.json",            dataDir).href,
     defaultMapCenter: [44.5, -90.0],
     defaultZoom:      7,
@@ -73,6 +75,7 @@ const HIST_DAILY_VARS = [
   "apparent_temperature_min",
   "relative_humidity_2m_max",
   "relative_humidity_2m_min",
+  "windspeed_10m_max",
 ].join(",");
 
 /* ============================================================
@@ -84,6 +87,7 @@ const TYPICAL_WINDOW_DAYS   = 3;
 const FORECAST_TTL_MS       = 30 * 60 * 1000;
 const HIST_TTL_MS           = 24 * 60 * 60 * 1000;
 const TRAIL_TTL_MS          = 30 * 24 * 60 * 60 * 1000;
+const NORMALS_TTL_MS        = 30 * 24 * 60 * 60 * 1000;
 const NORMALS_CACHE_VERSION = "v1";
 
 const IAT_TOTAL_MILES = 1315.6;  // total axis miles incl. absorbed roadwalk (West Alt); East Alt ≈ 1303
@@ -98,6 +102,7 @@ let eastAltPoints    = [];   // sorted by alt_mile — East Alt points only
 let iatMeta          = null;
 
 // Precomputed normals
+let normalsSource     = null;  // openNormalsSource() — packed chunks or the full JSON
 let normalsByPointId  = new Map();
 let normalsSortedAxis = [];   // [{ id, axis_mile }] sorted — nearest-neighbour
 let normalsMeta       = null;
@@ -124,11 +129,14 @@ function refreshMapSize() {
    6. POINT LABEL HELPER
    ============================================================ */
 
-function iatPointLabel(point) {
-  const segName = point.section
+function iatSegmentName(point) {
+  return point.section
     ? point.section.replace(/-/g, " ").replace(/\b\w/g, c => c.toUpperCase())
     : "Unknown Segment";
-  return `${segName} \u2014 Mile ${fmtMile(point.mile)}`;
+}
+
+function iatPointLabel(point) {
+  return `${iatSegmentName(point)} \u2014 Mile ${fmtMile(point.mile)}`;
 }
 
 /* ============================================================
@@ -197,26 +205,20 @@ async function loadPoints() {
 }
 
 async function loadPrecomputedNormals() {
-  // historical_weather.json may be large — rely on HTTP cache instead of localStorage.
-  const r = await fetch(META.normalsUrl);
-  if (!r.ok) throw new Error(`historical_weather.json fetch failed (${r.status})`);
-  const payload = await r.json();
-
   normalsByPointId = new Map();
-  normalsMeta      = payload.meta || null;
-
-  for (const p of (payload.points || [])) {
-    if (!p?.id) continue;
-    normalsByPointId.set(String(p.id), {
-      hi:     p.hi     || [],
-      lo:     p.lo     || [],
-      app_hi: p.hi_app || p.hi || [],
-      app_lo: p.lo_app || p.lo || [],
-      rh_hi:  p.rh_hi  || [],
-      rh_lo:  p.rh_lo  || [],
-      ws:     p.ws     || [],
-    });
-  }
+  normalsSource = await openNormalsSource({
+    packedUrl: META.packedNormalsUrl,
+    storeKey:  `normals_${trailSlug}`,
+    version:   NORMALS_CACHE_VERSION,
+    ttlMs:     NORMALS_TTL_MS,
+    loadJson: async () => {
+      const r = await fetch(META.normalsUrl);
+      if (!r.ok) throw new Error(`historical_weather.json fetch failed (${r.status})`);
+      return r.json();
+    },
+    onRecords: (records) => records.forEach(setNormalsRecord),
+  });
+  normalsMeta      = normalsSource.meta;
 
   // Build nearest-neighbour axis_mile index over main-spine points that have normals.
   // East Alt points fall back to nearest main-spine normal via getNearestNormals().
@@ -232,29 +234,46 @@ async function loadPrecomputedNormals() {
   }
 }
 
+/** Adds one point's normals entry — an index stub first, then the full record once its chunk loads. */
+function setNormalsRecord(p) {
+  if (!p?.id) return;
+  normalsByPointId.set(String(p.id), {
+    hi:     p.hi     || [],
+    lo:     p.lo     || [],
+    app_hi: p.hi_app || p.hi || [],
+    app_lo: p.lo_app || p.lo || [],
+    rh_hi:  p.rh_hi  || [],
+    rh_lo:  p.rh_lo  || [],
+    ws:     p.ws     || [],
+    pr:     p.pr     || [],
+    pr_prob: p.pr_prob || [],
+    ...percentileNormals(p),
+  });
+}
+
 /* ============================================================
    12. TRAIL GEOJSON OVERLAY
    ============================================================ */
 
 async function fetchTrailGeojson() {
   const key = `trail_geojson_${trailSlug}_v1`;
-  const cached = cacheGet(key, TRAIL_TTL_MS);
+  const cached = await storeGet(key, TRAIL_TTL_MS);
   if (cached) return cached;
   const r = await fetch(META.trailGeojsonUrl, { cache: "no-store" });
   if (!r.ok) throw new Error(`trail.geojson fetch failed (${r.status})`);
   const gj = await r.json();
-  cacheSet(key, gj);
+  storeSet(key, gj);
   return gj;
 }
 
 async function fetchRoadwalkGeojson() {
   const key = `roadwalk_geojson_${trailSlug}_v1`;
-  const cached = cacheGet(key, TRAIL_TTL_MS);
+  const cached = await storeGet(key, TRAIL_TTL_MS);
   if (cached) return cached;
   const r = await fetch(META.roadwalkGeojsonUrl, { cache: "no-store" });
   if (!r.ok) throw new Error(`trail_roadwalk.geojson fetch failed (${r.status})`);
   const gj = await r.json();
-  cacheSet(key, gj);
+  storeSet(key, gj);
   return gj;
 }
 
@@ -376,18 +395,13 @@ function getNearestPointByAxisMile(axisMile) {
   return binaryNearest(pointsByAxisMile, axisMile, p => p.axis_mile);
 }
 
-/** Find the East Alt point whose alt_mile is nearest to the target. */
-function getNearestEastAltPoint(altMile) {
-  return binaryNearest(eastAltPoints, altMile, p => p.alt_mile);
-}
-
 /* ============================================================
    15. OPEN-METEO API CALLS
    ============================================================ */
 
 async function fetchForecast(point) {
   const key = `iat_forecast:${point.id}`;
-  const cached = cacheGet(key, FORECAST_TTL_MS);
+  const cached = await storeGet(key, FORECAST_TTL_MS);
   if (cached) return cached;
 
   const url = new URL(FORECAST_BASE);
@@ -400,10 +414,12 @@ async function fetchForecast(point) {
   url.searchParams.set("timezone",         "auto");
   url.searchParams.set("forecast_days",    "5");
 
-  const r = await fetch(url.toString());
+  let r;
+  try { r = await fetch(url.toString()); }
+  catch (err) { return staleOrThrow(key, err); }
   if (!r.ok) throw new Error(`Forecast fetch failed (${r.status})`);
   const data = await r.json();
-  cacheSet(key, data);
+  storeSet(key, data);
   return data;
 }
 
@@ -416,7 +432,7 @@ function lastSevenYearsRange() {
 
 async function fetchHistorical(point, range) {
   const key = `iat_hist:${point.id}:${range.start_date}:${range.end_date}`;
-  const cached = cacheGet(key, HIST_TTL_MS);
+  const cached = await storeGet(key, HIST_TTL_MS);
   if (cached) return cached;
 
   const url = new URL(HIST_BASE);
@@ -426,12 +442,15 @@ async function fetchHistorical(point, range) {
   url.searchParams.set("end_date",         range.end_date);
   url.searchParams.set("daily",            HIST_DAILY_VARS);
   url.searchParams.set("temperature_unit", "fahrenheit");
+  url.searchParams.set("windspeed_unit",   "mph");
   url.searchParams.set("timezone",         "auto");
 
-  const r = await fetch(url.toString());
+  let r;
+  try { r = await fetch(url.toString()); }
+  catch (err) { return staleOrThrow(key, err); }
   if (!r.ok) throw new Error(`Historical fetch failed (${r.status})`);
   const data = await r.json();
-  cacheSet(key, data);
+  storeSet(key, data);
   return data;
 }
 
@@ -499,6 +518,7 @@ function computePlanningAverages(histDaily, monthDay, windowDays) {
     avgAppLow:  avg(buckets["apparent_temperature_min"]),
     avgRhHigh:  avg(buckets["relative_humidity_2m_max"]),
     avgRhLow:   avg(buckets["relative_humidity_2m_min"]),
+    ...percentilesFromBuckets(buckets),
   };
 }
 
@@ -517,8 +537,10 @@ function renderPlanningSummary(point, monthDay, range, avgs) {
       <tr><th></th><th style="background:#f0f0f0;">Actual Temp</th><th style="background:#f0f0f0;">Apparent Temp</th><th style="background:#f0f0f0;">Relative Humidity</th></tr>
       <tr><th>Avg High</th><td>${fmtTemp(avgs.avgHigh)}</td><td>${fmtTemp(avgs.avgAppHigh)}</td><td>${fmtRh(avgs.avgRhHigh)}</td></tr>
       <tr><th>Avg Low</th><td>${fmtTemp(avgs.avgLow)}</td><td>${fmtTemp(avgs.avgAppLow)}</td><td>${fmtRh(avgs.avgRhLow)}</td></tr>
+      ${percentileRangeRows(avgs)}
       <tr><th>Historical Range</th><td colspan="3">${range.start_date} to ${range.end_date}</td></tr>
     </table>
+    ${percentileRangeNote(avgs)}
     <p class="note">
       Averages computed from daily highs/lows over a ${TYPICAL_WINDOW_DAYS*2+1}-day window
       centered on the planning date, across 7 years of data.
@@ -650,9 +672,16 @@ async function runWeather() {
   setHtmlIfExists("forecastBlock",        "");
 
   try {
-    const forecastData = await fetchForecast(point);
-    renderCurrent(forecastData, point);
-    renderForecastTable(forecastData);
+    const forecastData = await fetchForecast(point).catch(err => {
+      console.warn("[IAT] forecast unavailable:", err);
+      setHtmlIfExists("currentBlock", forecastUnavailableHtml(err));
+      return null;
+    });
+    if (forecastData) {
+      renderCurrent(forecastData, point);
+      renderForecastTable(forecastData);
+      markStaleIfExists("currentBlock", forecastData);
+    }
 
     const range    = lastSevenYearsRange();
     const histData = await fetchHistorical(point, range);
@@ -661,8 +690,9 @@ async function runWeather() {
 
     const avgs = computePlanningAverages(daily, monthDay, TYPICAL_WINDOW_DAYS);
     renderPlanningSummary(point, monthDay, range, avgs);
+    markStaleIfExists("planningSummaryBlock", histData, "archive weather");
 
-    const forecastAppLows = forecastData.daily?.apparent_temperature_min || [];
+    const forecastAppLows = forecastData?.daily?.apparent_temperature_min || [];
     if (forecastAppLows.some(v => Number.isFinite(v) && v <= 20) ||
         (Number.isFinite(avgs.avgAppLow) && avgs.avgAppLow <= 20)) {
       const s = el("weatherStatus");
@@ -740,20 +770,19 @@ function getNearestNormals(point) {
 }
 
 /**
- * Build the ordered sequence of points for a hike, one per day.
+ * Route legs for the itinerary engine (shared-utils.js): one lookup leg
+ * (lookupLeg) that maps cumulative hike miles onto the trail.
  *
  * Main spine axis_miles cover the West Alt (Baraboo + roadwalk).
  * East Alt points have alt_mile (0-based from branch) instead of axis_mile.
  *
- * For each day's cumulative mile:
- *   - Pre-branch  → getNearestPointByAxisMile (main spine)
- *   - In alt zone, West Alt → getNearestPointByAxisMile (Baraboo on main spine)
- *   - In alt zone, East Alt → getNearestEastAltPoint (alt_mile lookup)
- *   - Post-rejoin → getNearestPointByAxisMile (main spine)
+ * Pieces of the hike:
+ *   - Pre-branch  → main spine by axis_mile
+ *   - In alt zone, West Alt → main spine (Baraboo), scaled onto branch→rejoin
+ *   - In alt zone, East Alt → East Alt points by alt_mile
+ *   - Post-rejoin → main spine by axis_mile
  */
-function buildHikePoints({ directionId, startDate, milesPerDay, totalMiles, selectedAlt }) {
-  const durationDays = Math.ceil(totalMiles / milesPerDay);
-  const hikePoints   = [];
+function buildRouteLegs({ directionId, totalMiles, selectedAlt }) {
   const isWTE        = directionId === "west_to_east";
   const spineTotal   = iatMeta?.trail?.total_trail_miles || IAT_TOTAL_MILES;
   const ag           = iatMeta?.alt_groups?.[0];
@@ -768,49 +797,46 @@ function buildHikePoints({ directionId, startDate, milesPerDay, totalMiles, sele
   // Miles from trail start to branch point (WTE: 0→branch; ETW: 0→(total−branch))
   const preBranchMiles = isWTE ? branchAxis : (spineTotal - branchAxis);
 
-  function getPoint(cumMile) {
-    const capped = Math.min(cumMile, totalMiles);
-
-    if (capped <= preBranchMiles) {
-      // Pre-branch: direct spine lookup
-      const axis = isWTE ? capped : (spineTotal - capped);
-      return getNearestPointByAxisMile(axis);
-
-    } else if (capped <= preBranchMiles + altMiles) {
-      // In the alt zone
-      const altProgress = capped - preBranchMiles;  // miles from branch
-
-      if (altId === "east") {
-        // East Alt: look up by alt_mile
-        return getNearestEastAltPoint(altProgress);
-      } else {
-        // West Alt: Baraboo is on the main spine; map proportionally onto
-        // the branch→rejoin axis_mile range
-        const spineAltLen = rejoinAxis - branchAxis;
-        const t           = spineAltLen > 0 ? altProgress / westAltMiles : 0;
-        const axis        = isWTE
-          ? branchAxis + t * spineAltLen
-          : rejoinAxis - t * spineAltLen;
-        return getNearestPointByAxisMile(axis);
-      }
-
-    } else {
-      // Post-rejoin: back on main spine
-      const postMiles = capped - preBranchMiles - altMiles;
-      const axis = isWTE
-        ? Math.min(rejoinAxis + postMiles, spineTotal)
-        : Math.max(branchAxis - postMiles, 0);
-      return getNearestPointByAxisMile(axis);
+  const sign      = isWTE ? 1 : -1;
+  const spine     = { points: pointsByAxisMile, key: p => p.axis_mile };
+  const altLookup = altId === "east"
+    // East Alt: look up by alt_mile (miles from branch)
+    ? { list: { points: eastAltPoints, key: p => p.alt_mile }, key: 0, slope: 1 }
+    // West Alt: Baraboo is on the main spine; map proportionally onto
+    // the branch→rejoin axis_mile range
+    : { list: spine, key: isWTE ? branchAxis : rejoinAxis, slope: sign * (rejoinAxis - branchAxis) / westAltMiles };
+  if (!(rejoinAxis > branchAxis)) altLookup.slope = 0;
+
+  const lookup = [
+    // Pre-branch: direct spine lookup
+    { to: preBranchMiles, list: spine, key: isWTE ? 0 : spineTotal, slope: sign },
+    { to: preBranchMiles + altMiles, ...altLookup },
+    // Post-rejoin: back on main spine
+    {
+      to:    preBranchMiles + altMiles + (isWTE ? spineTotal - rejoinAxis : branchAxis),
+      list:  spine,
+      key:   isWTE ? rejoinAxis : branchAxis,
+      slope: sign
     }
-  }
+  ];
 
-  for (let i = 0; i < durationDays; i++) {
-    const date  = addDays(startDate, i);
-    const point = getPoint(milesPerDay * i);
-    if (point) hikePoints.push({ date, point });
-  }
+  return [lookupLeg({ miles: totalMiles, lookup })];
+}
 
-  return hikePoints;
+/** Build the ordered sequence of points for a hike (or section), one per day. */
+function buildHikePoints({ startDate, plan, ...route }) {
+  return buildItinerary(buildRouteLegs(route), { startDate, ...plan });
+}
+
+/** Route for the Section Hike controls; trail miles are spine axis miles. */
+function getPlannerRoute(directionId = el("durDirectionSelect")?.value || "west_to_east") {
+  if (!allPoints.length) return null;
+  const selectedAlt = getSelectedAlt();
+  return {
+    legs: buildRouteLegs({ directionId, totalMiles: calcTotalMiles(directionId, selectedAlt), selectedAlt }),
+    sectionOf: iatSegmentName,
+    trailMileOf: (p) => p.axis_mile ?? NaN
+  };
 }
 
 // Expose alt segment miles constants (miles within the alt zone only, not full trail)
@@ -839,12 +865,12 @@ function computeExtremesFromHikePoints(hikePoints) {
 
     const heatVal = isFinite(avgAppHigh) ? avgAppHigh : avgHigh;
     if (!hottest || heatVal > (isFinite(hottest.appHigh) ? hottest.appHigh : hottest.avgHigh)) {
-      hottest = { date, point, avgHigh, avgLow, appHigh: avgAppHigh, appLow: avgAppLow, rhHigh: avgRhHigh, rhLow: avgRhLow };
+      hottest = { date, point, avgHigh, avgLow, appHigh: avgAppHigh, appLow: avgAppLow, rhHigh: avgRhHigh, rhLow: avgRhLow, ...percentilesAt(normals, idx) };
     }
 
     const coldVal = isFinite(avgAppLow) ? avgAppLow : avgLow;
     if (!coldest || coldVal < (isFinite(coldest.appLow) ? coldest.appLow : coldest.avgLow)) {
-      coldest = { date, point, avgHigh, avgLow, appHigh: avgAppHigh, appLow: avgAppLow, rhHigh: avgRhHigh, rhLow: avgRhLow };
+      coldest = { date, point, avgHigh, avgLow, appHigh: avgAppHigh, appLow: avgAppLow, rhHigh: avgRhHigh, rhLow: avgRhLow, ...percentilesAt(normals, idx) };
     }
   }
 
@@ -854,11 +880,12 @@ function computeExtremesFromHikePoints(hikePoints) {
 function renderDurExtremesBlocks(hottest, coldest, opts = {}) {
   renderDurExtremesBlocksShared(hottest, coldest, {
     formatLocation: (rec) => iatPointLabel(rec.point),
+    timeZoneOf:     () => "America/Chicago",
     ...opts
   });
 }
 
-function renderDurExtremesMap(hottest, coldest) {
+function renderDurExtremesMap(hottest, coldest, comparePlans = null) {
   const mapEl = el("durExtremesMap");
   if (!mapEl || typeof L === "undefined") return;
 
@@ -874,6 +901,14 @@ function renderDurExtremesMap(hottest, coldest) {
 
   durMapLayerGroup.clearLayers();
 
+  // Saved-plan comparison: every plan's pins, numbered
+  if (comparePlans) {
+    const latLngs = addPlanComparisonPins(durMapLayerGroup, comparePlans);
+    if (latLngs.length) durMap.fitBounds(L.latLngBounds(latLngs), { padding: [30, 30] });
+    try { durMap.invalidateSize(); } catch {}
+    return;
+  }
+
   if (!hottest?.point || !coldest?.point) {
     try { durMap.invalidateSize(); } catch {}
     return;
@@ -900,7 +935,8 @@ function renderDurExtremesMap(hottest, coldest) {
 }
 
 async function computeAndRenderDurationExtremes(params) {
-  const { startDate, durationDays, totalMiles, startDateLabel = "Start Date" } = params;
+  const { startDate, durationDays, totalMiles, plan, startDateLabel = "Start Date", ranking = null } = params;
+  const { section } = plan;
   setDisplayIfExists("durExtremesWrap", "none");
   setHtmlIfExists("durExtremesHot",  "");
   setHtmlIfExists("durExtremesCold", "");
@@ -920,17 +956,41 @@ async function computeAndRenderDurationExtremes(params) {
     setDurStatus("Could not compute hike path \u2014 check data loading.");
     return;
   }
+  if (!(await normalsReady(normalsSource.ensureAround(hikePoints)))) return;
 
   const { hottest, coldest } = computeExtremesFromHikePoints(hikePoints);
   const utciCounts = computeUtciCounts(hikePoints, getNearestNormals);
+  const itinerary = buildItineraryRows(hikePoints, getNearestNormals);
   const endDate = startDate ? addDays(startDate, durationDays - 1) : null;
 
   setDisplayIfExists("durExtremesWrap", "block");
   renderDurExtremesBlocks(hottest, coldest, {
-    startDate, endDate, distanceMiles: totalMiles, durationDays, startDateLabel, utciCounts
+    startDate, endDate, distanceMiles: section ? section.miles : totalMiles, durationDays, startDateLabel, utciCounts, itinerary, ranking, plan
   });
   renderDurExtremesMap(hottest, coldest);
 
+  if (plan.replayYear) {
+    runReplayYear({
+      year: plan.replayYear,
+      startDate: params.startDate,
+      getHikePoints: (startDate) => buildHikePoints({ ...params, selectedAlt: params.selectedAlt || getSelectedAlt(), startDate }),
+      fetchHistorical,
+      getNormals: getNearestNormals,
+      formatLocation: (rec) => iatPointLabel(rec.point),
+      normals: { hottest, coldest, utciCounts }
+    });
+  }
+
+  if (plan.risk) {
+    runRiskEstimate({
+      plan,
+      startDate: params.startDate,
+      getHikePoints: (startDate, plan) => buildHikePoints({ ...params, selectedAlt: params.selectedAlt || getSelectedAlt(), startDate, plan }),
+      fetchHistorical,
+      getNormals: getNearestNormals
+    });
+  }
+
   const durResult = el("durResult");
   if (!durResult) return;
 
@@ -967,22 +1027,27 @@ function runDurationCalculator() {
   if (mpd == null || mpd <= 0) { setDurStatus("Please enter miles per day."); return; }
   if (mpd < 5) { setDurStatus("For this planner, hikes must average at least 5 miles per day."); return; }
 
+  const { plan, error } = readPlanOptions(getPlannerRoute(), mpd);
+  if (error) { setDurStatus(error); return; }
+  const { section } = plan;
+
   const totalMiles   = calcTotalMiles(directionId, selectedAlt);
-  const durationDays = Math.ceil(totalMiles / mpd);
+  const legs         = buildRouteLegs({ directionId, totalMiles, selectedAlt });
+  const durationDays = planHikeSchedule(legs, plan).length;
 
   if (durationDays > 365) {
     setDurStatus("Estimated duration exceeds one year. Please increase miles per day.");
     return;
   }
 
-  const startDate = resolveStartDate(monthDay);
+  const { startDate, startDateLabel } = resolvePlanStartDate(monthDay, { finish: scheduleFinishOffset(legs, plan) });
   const endDate   = addDays(startDate, durationDays - 1);
 
-  renderDurationResult({ directionId, startDate, endDate, totalMiles, milesPerDay: mpd, durationDays });
+  renderDurationResult({ directionId, startDate, endDate, totalMiles: section ? section.miles : totalMiles, milesPerDay: mpd, durationDays });
 
   if (normalsByPointId.size > 0 && allPoints.length > 0) {
     computeAndRenderDurationExtremes({
-      directionId, startDate, milesPerDay: mpd, totalMiles, durationDays, selectedAlt
+      directionId, startDate, totalMiles, durationDays, selectedAlt, plan, startDateLabel
     }).catch(err => {
       console.error("[IAT] extremes error:", err);
       setDurStatus(`Error computing extremes: ${err.message}`);
@@ -996,7 +1061,35 @@ function runDurationCalculator() {
    23. UI INITIALIZATION
    ============================================================ */
 
-function runBestStart() {
+/**
+ * BestStart! setup for one direction with the current Tool A inputs.
+ * Returns { totalMiles, search } — search is the runBestStartSearch() config — or { error }.
+ */
+function prepareBestStart(directionId, mpd) {
+  const selectedAlt  = getSelectedAlt();
+  const route = getPlannerRoute(directionId);
+  const { plan, error } = readPlanOptions(route, mpd);
+  if (error) return { error };
+
+  const totalMiles   = calcTotalMiles(directionId, selectedAlt);
+  const durationDays = planHikeSchedule(buildRouteLegs({ directionId, totalMiles, selectedAlt }), plan).length;
+  if (durationDays > 365) return { error: "For this planner, hikes cannot exceed one year. Please adjust Miles per Day." };
+
+  return {
+    totalMiles,
+    search: {
+      route, milesPerDay: mpd, plan,
+      configFor: (plan) => ({
+        durationDays: planHikeSchedule(buildRouteLegs({ directionId, totalMiles, selectedAlt }), plan).length,
+        getHikePoints: (startDate) => buildHikePoints({ directionId, startDate, totalMiles, selectedAlt, plan }),
+        getNormals: (point) => getNearestNormals(point),
+        constraints: plan.constraints
+      })
+    }
+  };
+}
+
+async function runBestStart({ compareDirections = false } = {}) {
   setDurStatus("");
   if (el("bestStartResult")) el("bestStartResult").innerHTML = "";
   if (el("durResult")) el("durResult").innerHTML = "";
@@ -1011,25 +1104,33 @@ function runBestStart() {
   if (!normalsByPointId.size) { setDurStatus("Historical weather data is still loading. Please try again."); return; }
   if (!allPoints.length) { setDurStatus("Trail data is still loading. Please try again."); return; }
 
-  const totalMiles   = calcTotalMiles(directionId, selectedAlt);
-  const durationDays = Math.ceil(totalMiles / mpd);
-  if (durationDays > 365) { setDurStatus("For this planner, hikes cannot exceed one year. Please adjust Miles per Day."); return; }
+  const prep = prepareBestStart(directionId, mpd);
+  if (prep.error) { setDurStatus(prep.error); return; }
+  const { totalMiles } = prep;
 
-  const { bestStartDate } = runBestStartShared({
-    durationDays,
-    getHikePoints: (startDate) => buildHikePoints({ directionId, startDate, milesPerDay: mpd, totalMiles, selectedAlt }),
-    getNormals: (point) => getNearestNormals(point),
-  });
+  if (compareDirections) {
+    if (!(await normalsReady(normalsSource.ensureAll()))) return;
+    await compareDirectionsShared((id) => prepareBestStart(id, mpd));
+    return;
+  }
+
+  if (!(await normalsReady(ensureSearchNormals(normalsSource, prep.search)))) return;
+
+  const best = await runBestStartScan(prep.search);
+  if (!best) return;
+  const { bestStartDate, ranking, plan: bestPlan, durationDays: bestDays } = best;
 
   if (!bestStartDate) {
     setHtmlIfExists("bestStartResult",
-      `<p style="color:#b00000; font-weight:600; margin-top:0.75rem;">No valid start date found \u2014 every possible start date includes at least one day of extreme heat or cold stress. Try adjusting miles per day.</p>`);
+      constrainedBestStartFailureHtml(ranking) ||
+      `<p style="color:#b00000; font-weight:600; margin-top:0.75rem;">No valid start date found \u2014 every possible start date includes at least one day of extreme heat or cold stress. Try adjusting miles per day or your comfort profile.</p>`);
     return;
   }
 
   computeAndRenderDurationExtremes({
-    directionId, startDate: bestStartDate, milesPerDay: mpd, totalMiles, durationDays, selectedAlt,
-    startDateLabel: "<em>BestStart!</em> Date"
+    directionId, startDate: bestStartDate, totalMiles, durationDays: bestDays, selectedAlt, plan: bestPlan,
+    startDateLabel: "<em>BestStart!</em> Date",
+    ranking
   }).catch(err => { console.error(err); setDurStatus(`Error: ${err.message}`); });
 }
 
@@ -1037,8 +1138,20 @@ function initDurationUI() {
   initMonthDayPickerGeneric("durMonthSelect", "durDaySelect");
   el("durBtn")?.addEventListener("click", runDurationCalculator);
   el("bestStartBtn")?.addEventListener("click", runBestStart);
+  el("compareDirBtn")?.addEventListener("click", () => runBestStart({ compareDirections: true }));
   const mpdEl = el("durMilesPerDay");
   if (mpdEl && mpdEl.value === "") mpdEl.value = "15";
+  initPlanOptionsUI(getPlannerRoute, { minMilesPerDay: 5 });
+  initSavedPlansUI({
+    trail:     trailSlug,
+    renderMap: (plans) => renderDurExtremesMap(null, null, plans)
+  });
+  initPlanExports({
+    trail:        trailSlug,
+    name:         "Ice Age Trail",
+    getRoute:     getPlannerRoute,
+    fetchGeojson: fetchTrailGeojson
+  });
 }
 
 function initWeatherUI() {
@@ -1062,13 +1175,14 @@ async function main() {
   loadTrailOverlay();
 
   // Load iat_meta.json (non-blocking)
-  loadIatMeta()
+  const metaLoaded = loadIatMeta()
     .then(() => updateSegmentInfo())
     .catch(e => console.warn("[IAT] iat_meta not loaded:", e));
 
   // Load points
   try {
     await loadPoints();
+    refreshPlanOptionsUI(getPlannerRoute());
 
     if (map) {
       const b = boundsFromPoints(allPoints);
@@ -1086,6 +1200,10 @@ async function main() {
     setDurStatus("Temperature extremes unavailable \u2014 historical_weather.json not found. Run the generation script to enable this feature.");
   }
 
+  // Restore a shared plan / weather lookup once the meta-driven lists are in
+  await metaLoaded;
+  initPermalink({ weather: { region: "regionSelect", segment: "segmentSelect", mile: "iatMileInput" } });
+
   setTimeout(refreshMapSize, 250);
 }
 
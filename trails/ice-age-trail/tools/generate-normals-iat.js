@@ -4,9 +4,11 @@
  * Generates daily "normals" (365-day averaged arrays) for Ice Age Trail points.
  * - Reads trails/ice-age-trail/data/points.json
  * - Selects one point per ~5 axis miles across the full trail (~240 points)
- * - Fetches daily max/min temps, apparent temps, humidity, and wind speed
+ * - Fetches daily max/min temps, apparent temps, humidity, wind speed and precipitation
  *   via Open-Meteo Historical Weather API (ERA5-Land, 2018–2024)
  * - Computes per-MM-DD average across years (skips Feb 29)
+ * - Also stores 10th / 90th percentile highs and lows (actual and apparent),
+ *   pooled over a ±7-day window, as *_p10 / *_p90 arrays
  * - Writes to trails/ice-age-trail/data/historical_weather.json
  * - Resume-safe: writes after EACH point; re-run to continue where it stopped
  *
@@ -18,6 +20,8 @@
 const fs   = require("fs");
 const path = require("path");
 
+const { packNormals } = require("../../../scripts/pack-normals.js");
+
 // ─── CONFIG ────────────────────────────────────────────────────────────────
 
 const DATA_DIR    = path.join("trails", "ice-age-trail", "data");
@@ -55,8 +59,12 @@ const DAILY_VARS = [
   "relative_humidity_2m_max",
   "relative_humidity_2m_min",
   "windspeed_10m_max",
+  "precipitation_sum",
 ].join(",");
 
+// A day counts as wet at 0.04 in (1 mm) of precipitation or more.
+const WET_DAY_IN = 0.04;
+
 // ─── TARGET POINT SELECTION ────────────────────────────────────────────────
 //
 // Main spine: select the point whose axis_mile is closest to each multiple of
@@ -185,6 +193,57 @@ function buildDayOfYearMap() {
 
 // ─── NORMALS COMPUTATION ──────────────────────────────────────────────────
 
+// Percentiles pool ±PCTL_WINDOW_DAYS around each date: seven values per date
+// alone are too few for a stable 10th / 90th percentile.
+const PCTL_WINDOW_DAYS = 7;
+
+/**
+ * 10th / 90th percentile arrays (365 values, Jan 1 = index 0, °F, 1 decimal)
+ * for the daily highs and lows and, where fetched, the apparent highs and lows:
+ * { hi_p10, hi_p90, lo_p10, lo_p90, hi_app_p10, hi_app_p90, lo_app_p10, lo_app_p90 }
+ */
+function computePercentileNormals(daily) {
+  const series = {
+    hi:     daily?.temperature_2m_max,
+    lo:     daily?.temperature_2m_min,
+    hi_app: daily?.apparent_temperature_max,
+    lo_app: daily?.apparent_temperature_min,
+  };
+  const times = daily?.time || [];
+
+  const quantile = (sorted, p) => {
+    const pos = (sorted.length - 1) * p;
+    const i   = Math.floor(pos);
+    const v   = i + 1 < sorted.length ? sorted[i] + (sorted[i + 1] - sorted[i]) * (pos - i) : sorted[i];
+    return Math.round(v * 10) / 10;
+  };
+
+  const out = {};
+  for (const [key, values] of Object.entries(series)) {
+    if (!values?.length) continue;
+
+    const byDay = Array.from({ length: 365 }, () => []);
+    for (let i = 0; i < times.length; i++) {
+      const [, mm, dd] = times[i].split("-").map(Number);
+      if ((mm === 2 && dd === 29) || values[i] == null || !isFinite(values[i])) continue;
+      byDay[Math.round((Date.UTC(2021, mm - 1, dd) - Date.UTC(2021, 0, 1)) / 86400000)].push(values[i]);
+    }
+
+    const p10 = new Array(365).fill(null), p90 = new Array(365).fill(null);
+    for (let idx = 0; idx < 365; idx++) {
+      const pool = [];
+      for (let k = -PCTL_WINDOW_DAYS; k <= PCTL_WINDOW_DAYS; k++) pool.push(...byDay[(idx + k + 365) % 365]);
+      if (!pool.length) continue;
+      pool.sort((a, b) => a - b);
+      p10[idx] = quantile(pool, 0.1);
+      p90[idx] = quantile(pool, 0.9);
+    }
+    out[`${key}_p10`] = p10;
+    out[`${key}_p90`] = p90;
+  }
+  return out;
+}
+
 function computeNormals(dailyData) {
   const DOY_MAP = buildDayOfYearMap();
 
@@ -196,6 +255,8 @@ function computeNormals(dailyData) {
     rh_hi:  Array.from({length: 365}, () => []),
     rh_lo:  Array.from({length: 365}, () => []),
     ws:     Array.from({length: 365}, () => []),
+    pr:     Array.from({length: 365}, () => []),
+    pr_prob: Array.from({length: 365}, () => []),
   };
 
   const times = dailyData.time || [];
@@ -218,11 +279,16 @@ function computeNormals(dailyData) {
     push(buckets.rh_hi,  "relative_humidity_2m_max");
     push(buckets.rh_lo,  "relative_humidity_2m_min");
     push(buckets.ws,     "windspeed_10m_max");
+    push(buckets.pr,     "precipitation_sum");
+
+    // 1 on a wet day, 0 on a dry one — averaged, it is the chance of a wet day
+    const pr = dailyData.precipitation_sum?.[i];
+    if (pr != null && isFinite(pr)) buckets.pr_prob[idx].push(pr >= WET_DAY_IN ? 1 : 0);
   }
 
-  function avgBuckets(arr) {
+  function avgBuckets(arr, scale = 10) {
     return arr.map(b =>
-      b.length ? Math.round((b.reduce((a, x) => a + x, 0) / b.length) * 10) / 10 : null
+      b.length ? Math.round((b.reduce((a, x) => a + x, 0) / b.length) * scale) / scale : null
     );
   }
 
@@ -234,6 +300,8 @@ function computeNormals(dailyData) {
     rh_hi:  avgBuckets(buckets.rh_hi),
     rh_lo:  avgBuckets(buckets.rh_lo),
     ws:     avgBuckets(buckets.ws),
+    pr:     avgBuckets(buckets.pr, 100),
+    pr_prob: avgBuckets(buckets.pr_prob, 100),
   };
 }
 
@@ -330,8 +398,11 @@ async function main() {
     // Try to reuse a nearby existing entry before making an API call.
     const nearby = findNearestExisting(pt, existingForReuse);
     if (nearby) {
-      const { hi, lo, hi_app, lo_app, rh_hi, rh_lo, ws } = nearby;
-      Object.assign(entry, { hi, lo, hi_app, lo_app, rh_hi, rh_lo, ws });
+      const { hi, lo, hi_app, lo_app, rh_hi, rh_lo, ws, pr, pr_prob } = nearby;
+      Object.assign(entry, { hi, lo, hi_app, lo_app, rh_hi, rh_lo, ws, pr, pr_prob });
+      for (const key of Object.keys(nearby)) {
+        if (/_p(10|90)$/.test(key)) entry[key] = nearby[key];
+      }
       output.points.push(entry);
       writeJson(HIST_PATH, output);
       reuseCount++;
@@ -348,6 +419,7 @@ async function main() {
     url.searchParams.set("daily",             DAILY_VARS);
     url.searchParams.set("temperature_unit",  TEMP_UNIT);
     url.searchParams.set("windspeed_unit",    WIND_UNIT);
+    url.searchParams.set("precipitation_unit", "inch");
     url.searchParams.set("timezone",          TIMEZONE);
 
     let data;
@@ -360,7 +432,7 @@ async function main() {
     }
 
     const normals = computeNormals(data.daily);
-    Object.assign(entry, normals);
+    Object.assign(entry, normals, computePercentileNormals(data.daily));
     output.points.push(entry);
     fetchCount++;
 
@@ -383,6 +455,9 @@ async function main() {
   if (output.points.length < targets.length) {
     console.log("Re-run to continue generating remaining points.");
   }
+
+  const packed = packNormals(DATA_DIR);
+  console.log(`Packed for the app: ${packed.chunks} chunks in data/normals/`);
 }
 
 main().catch(err => { console.error(err); process.exit(1); });
@@ -16,7 +16,8 @@
            - Apparent temperature (Steadman: heat index + wind chill)
    Maps: Leaflet + OSM tiles + trail.geojson overlay
    Units: Fahrenheit, mph, %
-   Caching: localStorage (TTL-based)
+   Caching: IndexedDB store (normals, trail geojson, Open-Meteo) and
+            localStorage for the rest, both TTL-based
    ---------------------------------------------------------------*/
 
 /* ============================================================
@@ -39,6 +40,7 @@ function getTrailMeta() {
     pointsUrl:       new URL("points.json",            dataDir).href,
     trailGeojsonUrl: new URL("trail.geojson",          dataDir).href,
     normalsUrl:      new URL("historical_weather.json", dataDir).href,
+    packedNormalsUrl: new URL("normals/index.json",      dataDir).href,
     nttMetaUrl:      new URL("ntt_meta.json",           dataDir).href,
     defaultMapCenter: [33.5, -89.5],
     defaultZoom:      7,
@@ -75,6 +77,7 @@ const HIST_DAILY_VARS = [
   "apparent_temperature_min",
   "relative_humidity_2m_max",
   "relative_humidity_2m_min",
+  "windspeed_10m_max",
 ].join(",");
 
 /* ============================================================
@@ -113,6 +116,7 @@ let pointsSortedByAxis = [];         // all points sorted by axis_mile
 
 let nttMeta = null;
 
+let normalsSource    = null;  // openNormalsSource() — packed chunks or the full JSON
 let normalsByPointId = new Map();
 let normalsByAxis    = [];           // [{id, axis_mile}] sorted — nearest-neighbour fallback
 let normalsMeta      = null;
@@ -149,17 +153,17 @@ function nttPointLabel(point) {
    ============================================================ */
 
 /**
- * Returns total duration days for a complete NTT traverse.
+ * Returns duration days for an NTT traverse (or section of one).
  * Unlike continuous trails, each section is ceilinged independently
  * because you cannot carry over unused miles between disconnected sections.
- * Four travel days are added (one between each consecutive section pair).
+ * One travel day is added between each consecutive section pair walked.
+ * Zero days (from the plan's rest days) are counted separately.
  */
-function calcNttDuration(milesPerDay) {
-  let hikingDays = 0;
-  for (const sec of NTT_SECTIONS_DEF) {
-    hikingDays += Math.ceil(sec.len / milesPerDay);
-  }
-  return { hikingDays, travelDays: NTT_TRAVEL_DAYS, totalDays: hikingDays + NTT_TRAVEL_DAYS };
+function calcNttDuration(plan, directionId = "nobo") {
+  const days       = planHikeSchedule(buildRouteLegs(directionId), plan);
+  const travelDays = days.filter(d => d.dayType === "travel").length;
+  const zeroDays   = days.filter(d => d.dayType === "zero").length;
+  return { hikingDays: days.length - travelDays - zeroDays, travelDays, zeroDays, totalDays: days.length };
 }
 
 /* ============================================================
@@ -211,31 +215,20 @@ async function loadPoints() {
 }
 
 async function loadPrecomputedNormals() {
-  const key = `ntt_normals_${trailSlug}_${NORMALS_CACHE_VERSION}`;
-  const cached = cacheGet(key, NORMALS_TTL_MS);
-  let payload = cached;
-  if (!payload) {
-    const r = await fetch(META.normalsUrl, { cache: "no-cache" });
-    if (!r.ok) throw new Error(`historical_weather.json fetch failed (${r.status})`);
-    payload = await r.json();
-    cacheSet(key, payload);
-  }
-
   normalsByPointId = new Map();
-  normalsMeta = payload.meta || null;
-
-  for (const p of (payload.points || [])) {
-    if (!p?.id) continue;
-    normalsByPointId.set(String(p.id), {
-      hi:     p.hi     || [],
-      lo:     p.lo     || [],
-      app_hi: p.hi_app || p.hi || [],
-      app_lo: p.lo_app || p.lo || [],
-      rh_hi:  p.rh_hi  || [],
-      rh_lo:  p.rh_lo  || [],
-      ws:     p.ws     || [],
-    });
-  }
+  normalsSource = await openNormalsSource({
+    packedUrl: META.packedNormalsUrl,
+    storeKey:  `normals_${trailSlug}`,
+    version:   NORMALS_CACHE_VERSION,
+    ttlMs:     NORMALS_TTL_MS,
+    loadJson: async () => {
+      const r = await fetch(META.normalsUrl, { cache: "no-cache" });
+      if (!r.ok) throw new Error(`historical_weather.json fetch failed (${r.status})`);
+      return r.json();
+    },
+    onRecords: (records) => records.forEach(setNormalsRecord),
+  });
+  normalsMeta = normalsSource.meta;
 
   normalsByAxis = pointsSortedByAxis
     .filter(p => normalsByPointId.has(p.id))
@@ -244,18 +237,35 @@ async function loadPrecomputedNormals() {
   console.log("[NTT] normals loaded:", normalsByPointId.size, "points");
 }
 
+/** Adds one point's normals entry — an index stub first, then the full record once its chunk loads. */
+function setNormalsRecord(p) {
+  if (!p?.id) return;
+  normalsByPointId.set(String(p.id), {
+    hi:     p.hi     || [],
+    lo:     p.lo     || [],
+    app_hi: p.hi_app || p.hi || [],
+    app_lo: p.lo_app || p.lo || [],
+    rh_hi:  p.rh_hi  || [],
+    rh_lo:  p.rh_lo  || [],
+    ws:     p.ws     || [],
+    pr:     p.pr     || [],
+    pr_prob: p.pr_prob || [],
+    ...percentileNormals(p),
+  });
+}
+
 /* ============================================================
    12. TRAIL GEOJSON OVERLAY
    ============================================================ */
 
 async function fetchTrailGeojson() {
   const key = `trail_geojson_${trailSlug}_v2`;
-  const cached = cacheGet(key, TRAIL_TTL_MS);
+  const cached = await storeGet(key, TRAIL_TTL_MS);
   if (cached) return cached;
   const r = await fetch(META.trailGeojsonUrl, { cache: "no-store" });
   if (!r.ok) throw new Error(`trail.geojson fetch failed (${r.status})`);
   const gj = await r.json();
-  cacheSet(key, gj);
+  storeSet(key, gj);
   return gj;
 }
 
@@ -376,7 +386,7 @@ function getNearestPointByAxis(axisMile) {
 
 async function fetchForecast(point) {
   const key = `ntt_forecast:${point.id}`;
-  const cached = cacheGet(key, FORECAST_TTL_MS);
+  const cached = await storeGet(key, FORECAST_TTL_MS);
   if (cached) return cached;
 
   const url = new URL(FORECAST_BASE);
@@ -389,10 +399,12 @@ async function fetchForecast(point) {
   url.searchParams.set("timezone",         "auto");
   url.searchParams.set("forecast_days",    "5");
 
-  const r = await fetch(url.toString());
+  let r;
+  try { r = await fetch(url.toString()); }
+  catch (err) { return staleOrThrow(key, err); }
   if (!r.ok) throw new Error(`Forecast fetch failed (${r.status})`);
   const data = await r.json();
-  cacheSet(key, data);
+  storeSet(key, data);
   return data;
 }
 
@@ -405,7 +417,7 @@ function lastSevenYearsRange() {
 
 async function fetchHistorical(point, range) {
   const key = `ntt_hist:${point.id}:${range.start_date}:${range.end_date}`;
-  const cached = cacheGet(key, HIST_TTL_MS);
+  const cached = await storeGet(key, HIST_TTL_MS);
   if (cached) return cached;
 
   const url = new URL(HIST_BASE);
@@ -415,12 +427,15 @@ async function fetchHistorical(point, range) {
   url.searchParams.set("end_date",         range.end_date);
   url.searchParams.set("daily",            HIST_DAILY_VARS);
   url.searchParams.set("temperature_unit", "fahrenheit");
+  url.searchParams.set("windspeed_unit",   "mph");
   url.searchParams.set("timezone",         "auto");
 
-  const r = await fetch(url.toString());
+  let r;
+  try { r = await fetch(url.toString()); }
+  catch (err) { return staleOrThrow(key, err); }
   if (!r.ok) throw new Error(`Historical fetch failed (${r.status})`);
   const data = await r.json();
-  cacheSet(key, data);
+  storeSet(key, data);
   return data;
 }
 
@@ -488,6 +503,7 @@ function computePlanningAverages(histDaily, monthDay, windowDays) {
     avgAppLow:  avg(buckets["apparent_temperature_min"]),
     avgRhHigh:  avg(buckets["relative_humidity_2m_max"]),
     avgRhLow:   avg(buckets["relative_humidity_2m_min"]),
+    ...percentilesFromBuckets(buckets),
   };
 }
 
@@ -506,8 +522,10 @@ function renderPlanningSummary(point, monthDay, range, avgs) {
       <tr><th></th><th style="background:#f0f0f0;">Actual Temp</th><th style="background:#f0f0f0;">Apparent Temp</th><th style="background:#f0f0f0;">Relative Humidity</th></tr>
       <tr><th>Avg High</th><td>${fmtTemp(avgs.avgHigh)}</td><td>${fmtTemp(avgs.avgAppHigh)}</td><td>${fmtRh(avgs.avgRhHigh)}</td></tr>
       <tr><th>Avg Low</th><td>${fmtTemp(avgs.avgLow)}</td><td>${fmtTemp(avgs.avgAppLow)}</td><td>${fmtRh(avgs.avgRhLow)}</td></tr>
+      ${percentileRangeRows(avgs)}
       <tr><th>Historical Range</th><td colspan="3">${range.start_date} to ${range.end_date}</td></tr>
     </table>
+    ${percentileRangeNote(avgs)}
     <p class="note">
       Averages computed from daily highs/lows over a ${TYPICAL_WINDOW_DAYS*2+1}-day window
       centered on the planning date, across 7 years of data.
@@ -646,9 +664,16 @@ async function runWeather() {
   setHtmlIfExists("forecastBlock",        "");
 
   try {
-    const forecastData = await fetchForecast(point);
-    renderCurrent(forecastData, point);
-    renderForecastTable(forecastData);
+    const forecastData = await fetchForecast(point).catch(err => {
+      console.warn("[NTT] forecast unavailable:", err);
+      setHtmlIfExists("currentBlock", forecastUnavailableHtml(err));
+      return null;
+    });
+    if (forecastData) {
+      renderCurrent(forecastData, point);
+      renderForecastTable(forecastData);
+      markStaleIfExists("currentBlock", forecastData);
+    }
 
     const range    = lastSevenYearsRange();
     const histData = await fetchHistorical(point, range);
@@ -657,8 +682,9 @@ async function runWeather() {
 
     const avgs = computePlanningAverages(daily, monthDay, TYPICAL_WINDOW_DAYS);
     renderPlanningSummary(point, monthDay, range, avgs);
+    markStaleIfExists("planningSummaryBlock", histData, "archive weather");
 
-    const forecastAppLows = forecastData.daily?.apparent_temperature_min || [];
+    const forecastAppLows = forecastData?.daily?.apparent_temperature_min || [];
     if (forecastAppLows.some(v => Number.isFinite(v) && v <= 20) ||
         (Number.isFinite(avgs.avgAppLow) && avgs.avgAppLow <= 20)) {
       const s = el("weatherStatus");
@@ -677,7 +703,7 @@ async function runWeather() {
    21. DURATION CALCULATOR  (Tool A)
    ============================================================ */
 
-function renderDurationResult({ directionId, startDate, endDate, hikingDays, travelDays, totalDays, milesPerDay }) {
+function renderDurationResult({ directionId, startDate, endDate, hikingDays, travelDays, zeroDays = 0, totalDays, milesPerDay, section = null }) {
   const startStr = startDate.toLocaleDateString(undefined, { year: "numeric", month: "long", day: "numeric" });
   const endStr   = endDate.toLocaleDateString(undefined,   { year: "numeric", month: "long", day: "numeric" });
 
@@ -688,10 +714,13 @@ function renderDurationResult({ directionId, startDate, endDate, hikingDays, tra
     <table>
       <tr><th>Direction</th><td>${dirLabel}</td></tr>
       <tr><th>Start Date</th><td>${startStr}</td></tr>
-      <tr><th>Total Trail Miles</th><td>${fmtMile(NTT_TOTAL_TRAIL_MILES)} miles (across 5 sections)</td></tr>
+      ${section
+        ? `<tr><th>Section Hike</th><td>${section.fromLabel} \u2192 ${section.toLabel} (${fmtMile(section.miles)} miles)</td></tr>`
+        : `<tr><th>Total Trail Miles</th><td>${fmtMile(NTT_TOTAL_TRAIL_MILES)} miles (across 5 sections)</td></tr>`}
       <tr><th>Miles per Day</th><td>${fmtMile(milesPerDay)}</td></tr>
       <tr><th>Hiking Days</th><td>${hikingDays} days</td></tr>
       <tr><th>Travel Days (between sections)</th><td>${travelDays} days</td></tr>
+      ${zeroDays ? `<tr><th>Zero Days</th><td>${zeroDays} days</td></tr>` : ""}
       <tr><th>Estimated Total Duration</th><td>${totalDays} days</td></tr>
       <tr><th>Estimated End Date</th><td>${endStr}</td></tr>
     </table>
@@ -724,7 +753,7 @@ function getNearestNormals(point) {
 }
 
 /**
- * Build the ordered sequence of points for a hike, one per day.
+ * Route legs for the itinerary engine (shared-utils.js), one per section.
  *
  * NTT is discontinuous: walk each section in order, add a travel day between sections.
  * Travel days use the endpoint of the section just completed (temperature still recorded).
@@ -732,37 +761,38 @@ function getNearestNormals(point) {
  * NOBO: Portkopinu → Rocky Springs → Yockanookany → Blackland Prairie → Highland Rim
  * SOBO: reverse order
  */
-function buildHikePoints({ directionId, startDate, milesPerDay }) {
-  const isNobo = directionId === "nobo";
-  const sections = isNobo ? NTT_SECTIONS_DEF : [...NTT_SECTIONS_DEF].slice().reverse();
-
-  const events = []; // { axisMile }
-
-  for (let si = 0; si < sections.length; si++) {
-    const sec = sections[si];
-    const daysInSection = Math.ceil(sec.len / milesPerDay);
-
-    for (let d = 0; d < daysInSection; d++) {
-      let axisMile;
-      if (isNobo) {
-        axisMile = Math.min(sec.axis_start + milesPerDay * d, sec.axis_end);
-      } else {
-        axisMile = Math.max(sec.axis_end - milesPerDay * d, sec.axis_start);
-      }
-      events.push({ axisMile });
-    }
+function buildRouteLegs(directionId) {
+  const isNobo   = directionId === "nobo";
+  const sections = isNobo ? NTT_SECTIONS_DEF : [...NTT_SECTIONS_DEF].reverse();
+
+  const byAxis   = { points: pointsSortedByAxis, key: p => p.axis_mile };
+
+  return sections.map(sec => lookupLeg({
+    miles: sec.len,
+    lookup: [{
+      to:    sec.axis_end - sec.axis_start,
+      list:  byAxis,
+      key:   isNobo ? sec.axis_start : sec.axis_end,
+      slope: isNobo ? 1 : -1
+    }],
+    travelDaysAfter: 1,
+    holdDuringTravel: true
+  }));
+}
 
-    // Travel day between sections: use the endpoint of the section just finished
-    if (si < sections.length - 1) {
-      const travelAxisMile = isNobo ? sec.axis_end : sec.axis_start;
-      events.push({ axisMile: travelAxisMile });
-    }
-  }
+/** Build the ordered sequence of points for a hike (or section), one per day. */
+function buildHikePoints({ directionId, startDate, plan }) {
+  return buildItinerary(buildRouteLegs(directionId), { startDate, ...plan });
+}
 
-  return events.map((evt, i) => {
-    const point = getNearestPointByAxis(evt.axisMile);
-    return point ? { date: addDays(startDate, i), point } : null;
-  }).filter(Boolean);
+/** Route for the Section Hike controls; trail miles are cumulative axis miles. */
+function getPlannerRoute(directionId = el("durDirectionSelect")?.value || "nobo") {
+  if (!allPoints.length) return null;
+  return {
+    legs: buildRouteLegs(directionId),
+    sectionOf: (p) => NTT_SECTIONS_DEF.find(s => s.id === p.section)?.name || null,
+    trailMileOf: (p) => p.axis_mile
+  };
 }
 
 function computeExtremesFromHikePoints(hikePoints) {
@@ -788,12 +818,12 @@ function computeExtremesFromHikePoints(hikePoints) {
 
     const heatVal = isFinite(avgAppHigh) ? avgAppHigh : avgHigh;
     if (!hottest || heatVal > (isFinite(hottest.appHigh) ? hottest.appHigh : hottest.avgHigh)) {
-      hottest = { date, point, avgHigh, avgLow, appHigh: avgAppHigh, appLow: avgAppLow, rhHigh: avgRhHigh, rhLow: avgRhLow };
+      hottest = { date, point, avgHigh, avgLow, appHigh: avgAppHigh, appLow: avgAppLow, rhHigh: avgRhHigh, rhLow: avgRhLow, ...percentilesAt(normals, idx) };
     }
 
     const coldVal = isFinite(avgAppLow) ? avgAppLow : avgLow;
     if (!coldest || coldVal < (isFinite(coldest.appLow) ? coldest.appLow : coldest.avgLow)) {
-      coldest = { date, point, avgHigh, avgLow, appHigh: avgAppHigh, appLow: avgAppLow, rhHigh: avgRhHigh, rhLow: avgRhLow };
+      coldest = { date, point, avgHigh, avgLow, appHigh: avgAppHigh, appLow: avgAppLow, rhHigh: avgRhHigh, rhLow: avgRhLow, ...percentilesAt(normals, idx) };
     }
   }
 
@@ -803,11 +833,12 @@ function computeExtremesFromHikePoints(hikePoints) {
 function renderDurExtremesBlocks(hottest, coldest, opts = {}) {
   renderDurExtremesBlocksShared(hottest, coldest, {
     formatLocation: (rec) => nttPointLabel(rec.point),
+    timeZoneOf:     () => "America/Chicago",
     ...opts
   });
 }
 
-function renderDurExtremesMap(hottest, coldest) {
+function renderDurExtremesMap(hottest, coldest, comparePlans = null) {
   const mapEl = el("durExtremesMap");
   if (!mapEl || typeof L === "undefined") return;
 
@@ -823,6 +854,14 @@ function renderDurExtremesMap(hottest, coldest) {
 
   durMapLayerGroup.clearLayers();
 
+  // Saved-plan comparison: every plan's pins, numbered
+  if (comparePlans) {
+    const latLngs = addPlanComparisonPins(durMapLayerGroup, comparePlans);
+    if (latLngs.length) durMap.fitBounds(L.latLngBounds(latLngs), { padding: [30, 30] });
+    try { durMap.invalidateSize(); } catch {}
+    return;
+  }
+
   if (!hottest?.point || !coldest?.point) {
     try { durMap.invalidateSize(); } catch {}
     return;
@@ -848,7 +887,7 @@ function renderDurExtremesMap(hottest, coldest) {
 }
 
 async function computeAndRenderDurationExtremes(params) {
-  const { startDateLabel } = params;
+  const { startDateLabel, plan } = params;
   setDisplayIfExists("durExtremesWrap", "none");
   setHtmlIfExists("durExtremesHot",  "");
   setHtmlIfExists("durExtremesCold", "");
@@ -868,10 +907,12 @@ async function computeAndRenderDurationExtremes(params) {
     setDurStatus("Could not compute hike path \u2014 check data loading.");
     return;
   }
+  if (!(await normalsReady(normalsSource.ensureAround(hikePoints)))) return;
 
   const { hottest, coldest } = computeExtremesFromHikePoints(hikePoints);
   const utciCounts = computeUtciCounts(hikePoints, getNearestNormals);
-  const { totalDays } = calcNttDuration(params.milesPerDay);
+  const itinerary  = buildItineraryRows(hikePoints, getNearestNormals);
+  const { totalDays } = calcNttDuration(plan, params.directionId);
   const endDate = addDays(params.startDate, totalDays - 1);
 
   setDisplayIfExists("durExtremesWrap", "block");
@@ -880,9 +921,34 @@ async function computeAndRenderDurationExtremes(params) {
     endDate,
     durationDays: totalDays,
     startDateLabel,
-    utciCounts
+    utciCounts,
+    itinerary,
+    ranking: params.ranking,
+    plan
   });
   renderDurExtremesMap(hottest, coldest);
+
+  if (plan.replayYear) {
+    runReplayYear({
+      year: plan.replayYear,
+      startDate: params.startDate,
+      getHikePoints: (startDate) => buildHikePoints({ ...params, startDate }),
+      fetchHistorical,
+      getNormals: getNearestNormals,
+      formatLocation: (rec) => nttPointLabel(rec.point),
+      normals: { hottest, coldest, utciCounts }
+    });
+  }
+
+  if (plan.risk) {
+    runRiskEstimate({
+      plan,
+      startDate: params.startDate,
+      getHikePoints: (startDate, plan) => buildHikePoints({ ...params, startDate, plan }),
+      fetchHistorical,
+      getNormals: getNearestNormals
+    });
+  }
 }
 
 function runDurationCalculator() {
@@ -898,21 +964,25 @@ function runDurationCalculator() {
   if (mpd == null || mpd <= 0) { setDurStatus("Please enter miles per day."); return; }
   if (mpd < 3) { setDurStatus("For this planner, hikes must average at least 3 miles per day."); return; }
 
-  const { hikingDays, travelDays, totalDays } = calcNttDuration(mpd);
+  const { plan, error } = readPlanOptions(getPlannerRoute(), mpd);
+  if (error) { setDurStatus(error); return; }
+  const { section } = plan;
+
+  const { hikingDays, travelDays, zeroDays, totalDays } = calcNttDuration(plan, directionId);
 
   if (totalDays > 365) {
     setDurStatus("Estimated duration exceeds one year. Please increase miles per day.");
     return;
   }
 
-  const startDate = resolveStartDate(monthDay);
+  const { startDate, startDateLabel } = resolvePlanStartDate(monthDay, { finish: scheduleFinishOffset(buildRouteLegs(directionId), plan) });
   const endDate   = addDays(startDate, totalDays - 1);
 
-  renderDurationResult({ directionId, startDate, endDate, hikingDays, travelDays, totalDays, milesPerDay: mpd });
+  renderDurationResult({ directionId, startDate, endDate, hikingDays, travelDays, zeroDays, totalDays, milesPerDay: mpd, section });
 
   if (normalsByPointId.size > 0 && allPoints.length > 0) {
     computeAndRenderDurationExtremes({
-      directionId, startDate, milesPerDay: mpd
+      directionId, startDate, plan, startDateLabel
     }).catch(err => {
       console.error("[NTT] extremes error:", err);
       setDurStatus(`Error computing extremes: ${err.message}`);
@@ -922,7 +992,32 @@ function runDurationCalculator() {
   }
 }
 
-function runBestStart() {
+/**
+ * BestStart! setup for one direction with the current Tool A inputs.
+ * Returns { search } — search is the runBestStartSearch() config — or { error }.
+ */
+function prepareBestStart(directionId, mpd) {
+  const route = getPlannerRoute(directionId);
+  const { plan, error } = readPlanOptions(route, mpd);
+  if (error) return { error };
+
+  const { totalDays } = calcNttDuration(plan, directionId);
+  if (totalDays > 365) return { error: "Estimated duration exceeds one year. Please increase miles per day." };
+
+  return {
+    search: {
+      route, milesPerDay: mpd, plan,
+      configFor: (plan) => ({
+        durationDays: calcNttDuration(plan, directionId).totalDays,
+        getHikePoints: (startDate) => buildHikePoints({ directionId, startDate, plan }),
+        getNormals: getNearestNormals,
+        constraints: plan.constraints
+      })
+    }
+  };
+}
+
+async function runBestStart({ compareDirections = false } = {}) {
   setDurStatus("");
   setHtmlIfExists("durResult", "");
   setHtmlIfExists("bestStartResult", "");
@@ -932,44 +1027,43 @@ function runBestStart() {
   if (mpd == null || mpd <= 0) { setDurStatus("Please enter miles per day."); return; }
   if (mpd < 3) { setDurStatus("For this planner, hikes must average at least 3 miles per day."); return; }
 
-  const { totalDays } = calcNttDuration(mpd);
+  const directionId = el("durDirectionSelect")?.value || "nobo";
 
-  if (totalDays > 365) {
-    setDurStatus("Estimated duration exceeds one year. Please increase miles per day.");
-    return;
-  }
+  const prep = prepareBestStart(directionId, mpd);
+  if (prep.error) { setDurStatus(prep.error); return; }
 
   if (!normalsByPointId.size || !allPoints.length) {
     setDurStatus("Historical data not yet loaded \u2014 please wait and try again.");
     return;
   }
 
-  const directionId = el("durDirectionSelect")?.value || "nobo";
+  if (compareDirections) {
+    if (!(await normalsReady(normalsSource.ensureAll()))) return;
+    await compareDirectionsShared((id) => prepareBestStart(id, mpd));
+    return;
+  }
 
-  setHtmlIfExists("bestStartResult", "<p style='color:#555;font-style:italic;'>Scanning all start dates\u2026</p>");
+  if (!(await normalsReady(ensureSearchNormals(normalsSource, prep.search)))) return;
 
-  setTimeout(() => {
-    const { bestStartDate, bestCounts } = runBestStartShared({
-      durationDays: totalDays,
-      getHikePoints: (startDate) => buildHikePoints({ directionId, startDate, milesPerDay: mpd }),
-      getNormals: getNearestNormals
-    });
+  const best = await runBestStartScan(prep.search);
+  if (!best) return;
+  const { bestStartDate, ranking, plan: bestPlan, durationDays: bestDays } = best;
 
-    if (!bestStartDate) {
-      setHtmlIfExists("bestStartResult", "<p style='color:#b00000;'>No suitable start date found.</p>");
-      return;
-    }
+  if (!bestStartDate) {
+    setHtmlIfExists("bestStartResult", constrainedBestStartFailureHtml(ranking) || "<p style='color:#b00000;'>No suitable start date found.</p>");
+    return;
+  }
 
-    computeAndRenderDurationExtremes({
-      directionId,
-      startDate: bestStartDate,
-      milesPerDay: mpd,
-      startDateLabel: "<em>BestStart!</em> Date"
-    }).catch(err => {
-      console.error("[NTT] BestStart extremes error:", err);
-      setDurStatus(`Error computing extremes: ${err.message}`);
-    });
-  }, 0);
+  computeAndRenderDurationExtremes({
+    directionId,
+    startDate: bestStartDate,
+    plan: bestPlan,
+    startDateLabel: "<em>BestStart!</em> Date",
+    ranking
+  }).catch(err => {
+    console.error("[NTT] BestStart extremes error:", err);
+    setDurStatus(`Error computing extremes: ${err.message}`);
+  });
 }
 
 /* ============================================================
@@ -980,8 +1074,20 @@ function initDurationUI() {
   initMonthDayPickerGeneric("durMonthSelect", "durDaySelect");
   el("durBtn")?.addEventListener("click", runDurationCalculator);
   el("bestStartBtn")?.addEventListener("click", runBestStart);
+  el("compareDirBtn")?.addEventListener("click", () => runBestStart({ compareDirections: true }));
   const mpdEl = el("durMilesPerDay");
   if (mpdEl && mpdEl.value === "") mpdEl.value = "10";
+  initPlanOptionsUI(getPlannerRoute, { minMilesPerDay: 3 });
+  initSavedPlansUI({
+    trail:     trailSlug,
+    renderMap: (plans) => renderDurExtremesMap(null, null, plans)
+  });
+  initPlanExports({
+    trail:        trailSlug,
+    name:         "Natchez Trace Trail",
+    getRoute:     getPlannerRoute,
+    fetchGeojson: fetchTrailGeojson
+  });
 }
 
 function initWeatherUI() {
@@ -1003,13 +1109,14 @@ async function main() {
   loadTrailOverlay();
 
   // Load ntt_meta.json (non-blocking — updates section info if loaded)
-  loadNttMeta()
+  const metaLoaded = loadNttMeta()
     .then(() => { updateSectionInfo(); })
     .catch(e => console.warn("[NTT] ntt_meta not loaded:", e));
 
   // Load points
   try {
     await loadPoints();
+    refreshPlanOptionsUI(getPlannerRoute());
 
     if (map) {
       const b = boundsFromPoints(allPoints);
@@ -1020,8 +1127,12 @@ async function main() {
   }
 
   // Load precomputed normals (non-blocking — extremes available once loaded)
-  loadPrecomputedNormals()
+  const normalsLoaded = loadPrecomputedNormals()
     .catch(e => console.warn("[NTT] normals not loaded:", e));
+
+  // Restore a shared plan / weather lookup once the section lists and normals are in
+  await Promise.all([metaLoaded, normalsLoaded]);
+  initPermalink({ weather: { section: "nttSectionSelect", mile: "nttMileInput" } });
 }
 
 document.addEventListener("DOMContentLoaded", main);
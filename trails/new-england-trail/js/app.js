@@ -14,7 +14,8 @@
            - Apparent temperature (Steadman: heat index + wind chill)
    Maps: Leaflet + OSM tiles + trail.geojson overlay
    Units: Fahrenheit, mph, %
-   Caching: localStorage (TTL-based)
+   Caching: IndexedDB store (normals, trail geojson, Open-Meteo) and
+            localStorage for the rest, both TTL-based
    ---------------------------------------------------------------*/
 
 /* ============================================================
@@ -37,6 +38,7 @@ function getTrailMeta() {
     pointsUrl:       new URL("points.json",            dataDir).href,
     trailGeojsonUrl: new URL("trail.geojson",          dataDir).href,
     normalsUrl:      new URL("historical_weather.json", dataDir).href,
+    packedNormalsUrl: new URL("normals/index.json",      dataDir).href,
     netMetaUrl:      new URL("net_meta.json",           dataDir).href,
     defaultMapCenter: [41.9, -72.5],
     defaultZoom:      8,
@@ -73,6 +75,7 @@ const HIST_DAILY_VARS = [
   "apparent_temperature_min",
   "relative_humidity_2m_max",
   "relative_humidity_2m_min",
+  "windspeed_10m_max",
 ].join(",");
 
 /* ============================================================
@@ -109,7 +112,8 @@ let spurPointsSorted   = [];        // [Point] sorted by spur_mile, spur
 let netMeta = null;
 
 // Precomputed normals
-let normalsByPointId   = new Map(); // point.id → { hi, lo, app_hi, app_lo, rh_hi, rh_lo, ws }
+let normalsSource      = null;  // openNormalsSource() — packed chunks or the full JSON
+let normalsByPointId   = new Map(); // point.id → { hi, lo, app_hi, app_lo, rh_hi, rh_lo, ws, pr, pr_prob }
 let normalsMainByMile  = [];        // [{ id, mile }] sorted — main spine nearest-neighbour fallback
 let normalsSpurByMile  = [];        // [{ id, mile }] sorted — spur nearest-neighbour fallback
 let normalsMeta        = null;
@@ -213,26 +217,20 @@ async function loadPoints() {
 }
 
 async function loadPrecomputedNormals() {
-  // historical_weather.json is too large for localStorage — rely on HTTP cache instead.
-  const r = await fetch(META.normalsUrl);
-  if (!r.ok) throw new Error(`historical_weather.json fetch failed (${r.status})`);
-  const payload = await r.json();
-
   normalsByPointId = new Map();
-  normalsMeta = payload.meta || null;
-
-  for (const p of (payload.points || [])) {
-    if (!p?.id) continue;
-    normalsByPointId.set(String(p.id), {
-      hi:     p.hi     || [],
-      lo:     p.lo     || [],
-      app_hi: p.hi_app || p.hi || [],
-      app_lo: p.lo_app || p.lo || [],
-      rh_hi:  p.rh_hi  || [],
-      rh_lo:  p.rh_lo  || [],
-      ws:     p.ws     || [],
-    });
-  }
+  normalsSource = await openNormalsSource({
+    packedUrl: META.packedNormalsUrl,
+    storeKey:  `normals_${trailSlug}`,
+    version:   NORMALS_CACHE_VERSION,
+    ttlMs:     NORMALS_TTL_MS,
+    loadJson: async () => {
+      const r = await fetch(META.normalsUrl);
+      if (!r.ok) throw new Error(`historical_weather.json fetch failed (${r.status})`);
+      return r.json();
+    },
+    onRecords: (records) => records.forEach(setNormalsRecord),
+  });
+  normalsMeta = normalsSource.meta;
 
   // Build nearest-neighbour mile indices for main spine and spur
   normalsMainByMile = mainPointsSorted
@@ -246,18 +244,35 @@ async function loadPrecomputedNormals() {
   console.log("[NET] normals loaded:", normalsByPointId.size, "points");
 }
 
+/** Adds one point's normals entry — an index stub first, then the full record once its chunk loads. */
+function setNormalsRecord(p) {
+  if (!p?.id) return;
+  normalsByPointId.set(String(p.id), {
+    hi:     p.hi     || [],
+    lo:     p.lo     || [],
+    app_hi: p.hi_app || p.hi || [],
+    app_lo: p.lo_app || p.lo || [],
+    rh_hi:  p.rh_hi  || [],
+    rh_lo:  p.rh_lo  || [],
+    ws:     p.ws     || [],
+    pr:     p.pr     || [],
+    pr_prob: p.pr_prob || [],
+    ...percentileNormals(p),
+  });
+}
+
 /* ============================================================
    12. TRAIL GEOJSON OVERLAY
    ============================================================ */
 
 async function fetchTrailGeojson() {
   const key = `trail_geojson_${trailSlug}_v2`;
-  const cached = cacheGet(key, TRAIL_TTL_MS);
+  const cached = await storeGet(key, TRAIL_TTL_MS);
   if (cached) return cached;
   const r = await fetch(META.trailGeojsonUrl, { cache: "no-store" });
   if (!r.ok) throw new Error(`trail.geojson fetch failed (${r.status})`);
   const gj = await r.json();
-  cacheSet(key, gj);
+  storeSet(key, gj);
   return gj;
 }
 
@@ -374,7 +389,7 @@ function getNearestSpurPoint(spurMile) {
 
 async function fetchForecast(point) {
   const key = `net_forecast:${point.id}`;
-  const cached = cacheGet(key, FORECAST_TTL_MS);
+  const cached = await storeGet(key, FORECAST_TTL_MS);
   if (cached) return cached;
 
   const url = new URL(FORECAST_BASE);
@@ -387,10 +402,12 @@ async function fetchForecast(point) {
   url.searchParams.set("timezone",         "auto");
   url.searchParams.set("forecast_days",    "5");
 
-  const r = await fetch(url.toString());
+  let r;
+  try { r = await fetch(url.toString()); }
+  catch (err) { return staleOrThrow(key, err); }
   if (!r.ok) throw new Error(`Forecast fetch failed (${r.status})`);
   const data = await r.json();
-  cacheSet(key, data);
+  storeSet(key, data);
   return data;
 }
 
@@ -403,7 +420,7 @@ function lastSevenYearsRange() {
 
 async function fetchHistorical(point, range) {
   const key = `net_hist:${point.id}:${range.start_date}:${range.end_date}`;
-  const cached = cacheGet(key, HIST_TTL_MS);
+  const cached = await storeGet(key, HIST_TTL_MS);
   if (cached) return cached;
 
   const url = new URL(HIST_BASE);
@@ -413,12 +430,15 @@ async function fetchHistorical(point, range) {
   url.searchParams.set("end_date",         range.end_date);
   url.searchParams.set("daily",            HIST_DAILY_VARS);
   url.searchParams.set("temperature_unit", "fahrenheit");
+  url.searchParams.set("windspeed_unit",   "mph");
   url.searchParams.set("timezone",         "auto");
 
-  const r = await fetch(url.toString());
+  let r;
+  try { r = await fetch(url.toString()); }
+  catch (err) { return staleOrThrow(key, err); }
   if (!r.ok) throw new Error(`Historical fetch failed (${r.status})`);
   const data = await r.json();
-  cacheSet(key, data);
+  storeSet(key, data);
   return data;
 }
 
@@ -486,6 +506,7 @@ function computePlanningAverages(histDaily, monthDay, windowDays) {
     avgAppLow:  avg(buckets["apparent_temperature_min"]),
     avgRhHigh:  avg(buckets["relative_humidity_2m_max"]),
     avgRhLow:   avg(buckets["relative_humidity_2m_min"]),
+    ...percentilesFromBuckets(buckets),
   };
 }
 
@@ -504,8 +525,10 @@ function renderPlanningSummary(point, monthDay, range, avgs) {
       <tr><th></th><th style="background:#f0f0f0;">Actual Temp</th><th style="background:#f0f0f0;">Apparent Temp</th><th style="background:#f0f0f0;">Relative Humidity</th></tr>
       <tr><th>Avg High</th><td>${fmtTemp(avgs.avgHigh)}</td><td>${fmtTemp(avgs.avgAppHigh)}</td><td>${fmtRh(avgs.avgRhHigh)}</td></tr>
       <tr><th>Avg Low</th><td>${fmtTemp(avgs.avgLow)}</td><td>${fmtTemp(avgs.avgAppLow)}</td><td>${fmtRh(avgs.avgRhLow)}</td></tr>
+      ${percentileRangeRows(avgs)}
       <tr><th>Historical Range</th><td colspan="3">${range.start_date} to ${range.end_date}</td></tr>
     </table>
+    ${percentileRangeNote(avgs)}
     <p class="note">
       Averages computed from daily highs/lows over a ${TYPICAL_WINDOW_DAYS*2+1}-day window
       centered on the planning date, across 7 years of data.
@@ -650,9 +673,16 @@ async function runWeather() {
   setHtmlIfExists("forecastBlock",        "");
 
   try {
-    const forecastData = await fetchForecast(point);
-    renderCurrent(forecastData, point);
-    renderForecastTable(forecastData);
+    const forecastData = await fetchForecast(point).catch(err => {
+      console.warn("[NET] forecast unavailable:", err);
+      setHtmlIfExists("currentBlock", forecastUnavailableHtml(err));
+      return null;
+    });
+    if (forecastData) {
+      renderCurrent(forecastData, point);
+      renderForecastTable(forecastData);
+      markStaleIfExists("currentBlock", forecastData);
+    }
 
     const range    = lastSevenYearsRange();
     const histData = await fetchHistorical(point, range);
@@ -661,8 +691,9 @@ async function runWeather() {
 
     const avgs = computePlanningAverages(daily, monthDay, TYPICAL_WINDOW_DAYS);
     renderPlanningSummary(point, monthDay, range, avgs);
+    markStaleIfExists("planningSummaryBlock", histData, "archive weather");
 
-    const forecastAppLows = forecastData.daily?.apparent_temperature_min || [];
+    const forecastAppLows = forecastData?.daily?.apparent_temperature_min || [];
     if (forecastAppLows.some(v => Number.isFinite(v) && v <= 20) ||
         (Number.isFinite(avgs.avgAppLow) && avgs.avgAppLow <= 20)) {
       const s = el("weatherStatus");
@@ -731,69 +762,63 @@ function getNearestNormals(point) {
 }
 
 /**
- * Build the ordered sequence of points for a hike, one per day.
+ * Route legs for the itinerary engine (shared-utils.js): one lookup leg
+ * (lookupLeg) that maps cumulative hike miles onto the trail.
  *
  * nobo_main: Guilford (mile 1) → Royalston Falls (mile 208)  [208.3 mi]
  * nobo_alt:  Middletown spur (spur_mile 0→28) → spine (mile 38→208)  [198.3 mi]
  * sobo_main: Royalston Falls (mile 208) → Guilford (mile 1)  [208.3 mi]
  * sobo_alt:  Royalston Falls (mile 208) → junction (mile 38) → spur (28→0)  [198.3 mi]
  */
-function buildHikePoints({ directionId, startDate, milesPerDay, totalMiles }) {
-  const durationDays = Math.ceil(totalMiles / milesPerDay);
-  const hikePoints   = [];
-
+function buildRouteLegs({ directionId, totalMiles }) {
   // Pre-compute split point for alt routes (miles on main spine before/after spur)
   const mainAltLen = NET_SPINE_FULL - NET_JUNCTION; // 208.3 - 38 = 170.3 mi on spine
 
-  for (let i = 0; i < durationDays; i++) {
-    const date    = addDays(startDate, i);
-    const cumMile = milesPerDay * i;
-    let point     = null;
-
-    switch (directionId) {
-      case "nobo_main": {
-        // Walk spine south→north: mile 1 to 208
-        const spineMile = Math.min(NET_SPINE_MIN + cumMile, NET_SPINE_MAX);
-        point = getNearestMainPoint(spineMile);
-        break;
-      }
-      case "sobo_main": {
-        // Walk spine north→south: mile 208 to 1
-        const spineMile = Math.max(NET_SPINE_MAX - cumMile, NET_SPINE_MIN);
-        point = getNearestMainPoint(spineMile);
-        break;
-      }
-      case "nobo_alt": {
-        // First 28 miles on spur (Middletown → junction), then spine mile 38 → 208
-        if (cumMile <= NET_SPUR_LEN) {
-          point = getNearestSpurPoint(cumMile);
-        } else {
-          const spineMile = Math.min(NET_JUNCTION + (cumMile - NET_SPUR_LEN), NET_SPINE_MAX);
-          point = getNearestMainPoint(spineMile);
-        }
-        break;
-      }
-      case "sobo_alt": {
-        // First 170.3 miles on spine (208 → 38), then 28 miles on spur (28 → 0)
-        if (cumMile <= mainAltLen) {
-          const spineMile = Math.max(NET_SPINE_FULL - cumMile, NET_JUNCTION);
-          point = getNearestMainPoint(Math.round(spineMile));
-        } else {
-          const spurMile = Math.max(NET_SPUR_LEN - (cumMile - mainAltLen), 0);
-          point = getNearestSpurPoint(spurMile);
-        }
-        break;
-      }
-      default: {
-        const spineMile = Math.min(NET_SPINE_MIN + cumMile, NET_SPINE_MAX);
-        point = getNearestMainPoint(spineMile);
-      }
-    }
-
-    if (point) hikePoints.push({ date, point });
+  const main = { points: mainPointsSorted, key: p => p.mile };
+  const spur = { points: spurPointsSorted, key: p => p.spur_mile };
+  const mainLen = NET_SPINE_MAX - NET_SPINE_MIN;
+
+  let lookup;
+  switch (directionId) {
+    case "sobo_main":
+      // Walk spine north→south: mile 208 to 1
+      lookup = [{ to: mainLen, list: main, key: NET_SPINE_MAX, slope: -1 }];
+      break;
+    case "nobo_alt":
+      // First 28 miles on spur (Middletown → junction), then spine mile 38 → 208
+      lookup = [
+        { to: NET_SPUR_LEN, list: spur, key: 0, slope: 1 },
+        { to: NET_SPUR_LEN + NET_SPINE_MAX - NET_JUNCTION, list: main, key: NET_JUNCTION, slope: 1 }
+      ];
+      break;
+    case "sobo_alt":
+      // First 170.3 miles on spine (208 → 38), then 28 miles on spur (28 → 0)
+      lookup = [
+        { to: mainAltLen, list: main, key: NET_SPINE_FULL, slope: -1 },
+        { to: mainAltLen + NET_SPUR_LEN, list: spur, key: NET_SPUR_LEN, slope: -1 }
+      ];
+      break;
+    default:
+      // nobo_main — walk spine south→north: mile 1 to 208
+      lookup = [{ to: mainLen, list: main, key: NET_SPINE_MIN, slope: 1 }];
   }
 
-  return hikePoints;
+  return [lookupLeg({ miles: totalMiles, lookup })];
+}
+
+/** Build the ordered sequence of points for a hike (or section), one per day. */
+function buildHikePoints({ startDate, plan, ...route }) {
+  return buildItinerary(buildRouteLegs(route), { startDate, ...plan });
+}
+
+/** Route for the Section Hike controls; trail miles are main-spine miles. */
+function getPlannerRoute(directionId = el("durDirectionSelect")?.value || "nobo_main") {
+  if (!allPoints.length) return null;
+  return {
+    legs: buildRouteLegs({ directionId, totalMiles: calcTotalMiles(directionId) }),
+    sectionOf: (p) => p.spur ? "Middletown Spur" : (p.state === "CT" ? "Connecticut" : "Massachusetts"),
+    trailMileOf: (p) => p.spur ? NaN : p.mile
+  };
 }
 
 function computeExtremesFromHikePoints(hikePoints) {
@@ -819,12 +844,12 @@ function computeExtremesFromHikePoints(hikePoints) {
 
     const heatVal = isFinite(avgAppHigh) ? avgAppHigh : avgHigh;
     if (!hottest || heatVal > (isFinite(hottest.appHigh) ? hottest.appHigh : hottest.avgHigh)) {
-      hottest = { date, point, avgHigh, avgLow, appHigh: avgAppHigh, appLow: avgAppLow, rhHigh: avgRhHigh, rhLow: avgRhLow };
+      hottest = { date, point, avgHigh, avgLow, appHigh: avgAppHigh, appLow: avgAppLow, rhHigh: avgRhHigh, rhLow: avgRhLow, ...percentilesAt(normals, idx) };
     }
 
     const coldVal = isFinite(avgAppLow) ? avgAppLow : avgLow;
     if (!coldest || coldVal < (isFinite(coldest.appLow) ? coldest.appLow : coldest.avgLow)) {
-      coldest = { date, point, avgHigh, avgLow, appHigh: avgAppHigh, appLow: avgAppLow, rhHigh: avgRhHigh, rhLow: avgRhLow };
+      coldest = { date, point, avgHigh, avgLow, appHigh: avgAppHigh, appLow: avgAppLow, rhHigh: avgRhHigh, rhLow: avgRhLow, ...percentilesAt(normals, idx) };
     }
   }
 
@@ -834,11 +859,12 @@ function computeExtremesFromHikePoints(hikePoints) {
 function renderDurExtremesBlocks(hottest, coldest, opts = {}) {
   renderDurExtremesBlocksShared(hottest, coldest, {
     formatLocation: (rec) => netPointLabel(rec.point),
+    timeZoneOf:     () => "America/New_York",
     ...opts
   });
 }
 
-function renderDurExtremesMap(hottest, coldest) {
+function renderDurExtremesMap(hottest, coldest, comparePlans = null) {
   const mapEl = el("durExtremesMap");
   if (!mapEl || typeof L === "undefined") return;
 
@@ -854,6 +880,14 @@ function renderDurExtremesMap(hottest, coldest) {
 
   durMapLayerGroup.clearLayers();
 
+  // Saved-plan comparison: every plan's pins, numbered
+  if (comparePlans) {
+    const latLngs = addPlanComparisonPins(durMapLayerGroup, comparePlans);
+    if (latLngs.length) durMap.fitBounds(L.latLngBounds(latLngs), { padding: [30, 30] });
+    try { durMap.invalidateSize(); } catch {}
+    return;
+  }
+
   if (!hottest?.point || !coldest?.point) {
     try { durMap.invalidateSize(); } catch {}
     return;
@@ -879,7 +913,8 @@ function renderDurExtremesMap(hottest, coldest) {
 }
 
 async function computeAndRenderDurationExtremes(params) {
-  const { startDateLabel } = params;
+  const { startDateLabel, plan } = params;
+  const { section } = plan;
   setDisplayIfExists("durExtremesWrap", "none");
   setHtmlIfExists("durExtremesHot",  "");
   setHtmlIfExists("durExtremesCold", "");
@@ -899,21 +934,48 @@ async function computeAndRenderDurationExtremes(params) {
     setDurStatus("Could not compute hike path \u2014 check data loading.");
     return;
   }
+  if (!(await normalsReady(normalsSource.ensureAround(hikePoints)))) return;
 
   const { hottest, coldest } = computeExtremesFromHikePoints(hikePoints);
   const utciCounts = computeUtciCounts(hikePoints, getNearestNormals);
+  const itinerary  = buildItineraryRows(hikePoints, getNearestNormals);
   const endDate = addDays(params.startDate, params.durationDays - 1);
 
   setDisplayIfExists("durExtremesWrap", "block");
   renderDurExtremesBlocks(hottest, coldest, {
     startDate: params.startDate,
     endDate,
-    distanceMiles: params.totalMiles,
+    distanceMiles: section ? section.miles : params.totalMiles,
     durationDays: params.durationDays,
     startDateLabel,
-    utciCounts
+    utciCounts,
+    itinerary,
+    ranking: params.ranking,
+    plan
   });
   renderDurExtremesMap(hottest, coldest);
+
+  if (plan.replayYear) {
+    runReplayYear({
+      year: plan.replayYear,
+      startDate: params.startDate,
+      getHikePoints: (startDate) => buildHikePoints({ ...params, startDate }),
+      fetchHistorical,
+      getNormals: getNearestNormals,
+      formatLocation: (rec) => netPointLabel(rec.point),
+      normals: { hottest, coldest, utciCounts }
+    });
+  }
+
+  if (plan.risk) {
+    runRiskEstimate({
+      plan,
+      startDate: params.startDate,
+      getHikePoints: (startDate, plan) => buildHikePoints({ ...params, startDate, plan }),
+      fetchHistorical,
+      getNormals: getNearestNormals
+    });
+  }
 }
 
 function runDurationCalculator() {
@@ -929,22 +991,27 @@ function runDurationCalculator() {
   if (mpd == null || mpd <= 0) { setDurStatus("Please enter miles per day."); return; }
   if (mpd < 5) { setDurStatus("For this planner, hikes must average at least 5 miles per day."); return; }
 
+  const { plan, error } = readPlanOptions(getPlannerRoute(), mpd);
+  if (error) { setDurStatus(error); return; }
+  const { section } = plan;
+
   const totalMiles  = calcTotalMiles(directionId);
-  const durationDays = Math.ceil(totalMiles / mpd);
+  const legs         = buildRouteLegs({ directionId, totalMiles });
+  const durationDays = planHikeSchedule(legs, plan).length;
 
   if (durationDays > 365) {
     setDurStatus("Estimated duration exceeds one year. Please increase miles per day.");
     return;
   }
 
-  const startDate = resolveStartDate(monthDay);
+  const { startDate, startDateLabel } = resolvePlanStartDate(monthDay, { finish: scheduleFinishOffset(legs, plan) });
   const endDate   = addDays(startDate, durationDays - 1);
 
-  renderDurationResult({ directionId, startDate, endDate, totalMiles, milesPerDay: mpd, durationDays });
+  renderDurationResult({ directionId, startDate, endDate, totalMiles: section ? section.miles : totalMiles, milesPerDay: mpd, durationDays });
 
   if (normalsByPointId.size > 0 && allPoints.length > 0) {
     computeAndRenderDurationExtremes({
-      directionId, startDate, milesPerDay: mpd, totalMiles, durationDays
+      directionId, startDate, totalMiles, durationDays, plan, startDateLabel
     }).catch(err => {
       console.error("[NET] extremes error:", err);
       setDurStatus(`Error computing extremes: ${err.message}`);
@@ -954,7 +1021,34 @@ function runDurationCalculator() {
   }
 }
 
-function runBestStart() {
+/**
+ * BestStart! setup for one direction with the current Tool A inputs.
+ * Returns { totalMiles, search } — search is the runBestStartSearch() config — or { error }.
+ */
+function prepareBestStart(directionId, mpd) {
+  const route = getPlannerRoute(directionId);
+  const { plan, error } = readPlanOptions(route, mpd);
+  if (error) return { error };
+
+  const totalMiles  = calcTotalMiles(directionId);
+  const durationDays = planHikeSchedule(buildRouteLegs({ directionId, totalMiles }), plan).length;
+  if (durationDays > 365) return { error: "Estimated duration exceeds one year. Please increase miles per day." };
+
+  return {
+    totalMiles,
+    search: {
+      route, milesPerDay: mpd, plan,
+      configFor: (plan) => ({
+        durationDays: planHikeSchedule(buildRouteLegs({ directionId, totalMiles }), plan).length,
+        getHikePoints: (startDate) => buildHikePoints({ directionId, startDate, totalMiles, plan }),
+        getNormals: getNearestNormals,
+        constraints: plan.constraints
+      })
+    }
+  };
+}
+
+async function runBestStart({ compareDirections = false } = {}) {
   setDurStatus("");
   setHtmlIfExists("durResult", "");
   setHtmlIfExists("bestStartResult", "");
@@ -965,45 +1059,44 @@ function runBestStart() {
   if (mpd < 5) { setDurStatus("For this planner, hikes must average at least 5 miles per day."); return; }
 
   const directionId = el("durDirectionSelect")?.value || "nobo_main";
-  const totalMiles  = calcTotalMiles(directionId);
-  const durationDays = Math.ceil(totalMiles / mpd);
+  const prep = prepareBestStart(directionId, mpd);
+  if (prep.error) { setDurStatus(prep.error); return; }
+  const { totalMiles } = prep;
 
-  if (durationDays > 365) {
-    setDurStatus("Estimated duration exceeds one year. Please increase miles per day.");
+  if (!normalsByPointId.size || !allPoints.length) {
+    setDurStatus("Historical data not yet loaded \u2014 please wait and try again.");
     return;
   }
 
-  if (!normalsByPointId.size || !allPoints.length) {
-    setDurStatus("Historical data not yet loaded \u2014 please wait and try again.");
+  if (compareDirections) {
+    if (!(await normalsReady(normalsSource.ensureAll()))) return;
+    await compareDirectionsShared((id) => prepareBestStart(id, mpd));
     return;
   }
 
-  setHtmlIfExists("bestStartResult", "<p style='color:#555;font-style:italic;'>Scanning all start dates\u2026</p>");
+  if (!(await normalsReady(ensureSearchNormals(normalsSource, prep.search)))) return;
 
-  setTimeout(() => {
-    const { bestStartDate, bestCounts } = runBestStartShared({
-      durationDays,
-      getHikePoints: (startDate) => buildHikePoints({ directionId, startDate, milesPerDay: mpd, totalMiles }),
-      getNormals: getNearestNormals
-    });
+  const best = await runBestStartScan(prep.search);
+  if (!best) return;
+  const { bestStartDate, ranking, plan: bestPlan, durationDays: bestDays } = best;
 
-    if (!bestStartDate) {
-      setHtmlIfExists("bestStartResult", "<p style='color:#b00000;'>No suitable start date found.</p>");
-      return;
-    }
+  if (!bestStartDate) {
+    setHtmlIfExists("bestStartResult", constrainedBestStartFailureHtml(ranking) || "<p style='color:#b00000;'>No suitable start date found.</p>");
+    return;
+  }
 
-    computeAndRenderDurationExtremes({
-      directionId,
-      startDate: bestStartDate,
-      milesPerDay: mpd,
-      totalMiles,
-      durationDays,
-      startDateLabel: "<em>BestStart!</em> Date"
-    }).catch(err => {
-      console.error("[NET] BestStart extremes error:", err);
-      setDurStatus(`Error computing extremes: ${err.message}`);
-    });
-  }, 0);
+  computeAndRenderDurationExtremes({
+    directionId,
+    startDate: bestStartDate,
+    totalMiles,
+    durationDays: bestDays,
+    plan: bestPlan,
+    startDateLabel: "<em>BestStart!</em> Date",
+    ranking
+  }).catch(err => {
+    console.error("[NET] BestStart extremes error:", err);
+    setDurStatus(`Error computing extremes: ${err.message}`);
+  });
 }
 
 /* ============================================================
@@ -1014,8 +1107,20 @@ function initDurationUI() {
   initMonthDayPickerGeneric("durMonthSelect", "durDaySelect");
   el("durBtn")?.addEventListener("click", runDurationCalculator);
   el("bestStartBtn")?.addEventListener("click", runBestStart);
+  el("compareDirBtn")?.addEventListener("click", () => runBestStart({ compareDirections: true }));
   const mpdEl = el("durMilesPerDay");
   if (mpdEl && mpdEl.value === "") mpdEl.value = "12";
+  initPlanOptionsUI(getPlannerRoute, { minMilesPerDay: 5 });
+  initSavedPlansUI({
+    trail:     trailSlug,
+    renderMap: (plans) => renderDurExtremesMap(null, null, plans)
+  });
+  initPlanExports({
+    trail:        trailSlug,
+    name:         "New England Trail",
+    getRoute:     getPlannerRoute,
+    fetchGeojson: fetchTrailGeojson
+  });
 }
 
 function initWeatherUI() {
@@ -1038,7 +1143,7 @@ async function main() {
   loadTrailOverlay();
 
   // Load net_meta.json (non-blocking — updates direction labels if loaded)
-  loadNetMeta()
+  const metaLoaded = loadNetMeta()
     .then(() => {
       // Refresh section info with canonical meta data
       updateSectionInfo();
@@ -1048,6 +1153,7 @@ async function main() {
   // Load points
   try {
     await loadPoints();
+    refreshPlanOptionsUI(getPlannerRoute());
 
     if (map) {
       const b = boundsFromPoints(allPoints);
@@ -1066,6 +1172,10 @@ async function main() {
     setDurStatus("Temperature extremes unavailable \u2014 historical_weather.json not found. Run the generation script to enable this feature.");
   }
 
+  // Restore a shared plan / weather lookup once the meta-driven lists are in
+  await metaLoaded;
+  initPermalink({ weather: { section: "sectionSelect", mile: "netMileInput" } });
+
   setTimeout(refreshMapSize, 250);
 }
 
@@ -15,8 +15,8 @@
    Maps: Leaflet + OSM tiles + trail.geojson overlay
          Roadwalk segments rendered as dashed lines (segment_type: "roadwalk")
    Units: Fahrenheit, mph, %
-   Caching: localStorage (TTL-based); historical_weather.json is ~55-60 MB
-            and relies on HTTP cache only (too large for localStorage)
+   Caching: IndexedDB store (normals, trail geojson, Open-Meteo) and
+            localStorage for the rest, both TTL-based
    ---------------------------------------------------------------*/
 
 /* ============================================================
@@ -39,6 +39,7 @@ function getTrailMeta() {
     pointsUrl:       new URL("points.json",            dataDir).href,
     trailGeojsonUrl: new URL("trail.geojson",          dataDir).href,
     normalsUrl:      new URL("historical_weather.json", dataDir).href,
+    packedNormalsUrl: new URL("normals/index.json",      dataDir).href,
     nctMetaUrl:      new URL("nct_meta.json",           dataDir).href,
     defaultMapCenter: [44.5, -85.0],
     defaultZoom:      5,
@@ -75,6 +76,7 @@ const HIST_DAILY_VARS = [
   "apparent_temperature_min",
   "relative_humidity_2m_max",
   "relative_humidity_2m_min",
+  "windspeed_10m_max",
 ].join(",");
 
 /* ============================================================
@@ -86,6 +88,7 @@ const TYPICAL_WINDOW_DAYS   = 3;
 const FORECAST_TTL_MS       = 30 * 60 * 1000;           // 30 min
 const HIST_TTL_MS           = 24 * 60 * 60 * 1000;      // 24 hr
 const TRAIL_TTL_MS          = 30 * 24 * 60 * 60 * 1000; // 30 days
+const NORMALS_TTL_MS        = 30 * 24 * 60 * 60 * 1000; // 30 days
 const NORMALS_CACHE_VERSION = "v1";
 
 /* ============================================================
@@ -99,7 +102,8 @@ let pointsSorted    = [];  // [Point] sorted by mile
 let nctMeta = null;
 
 // Precomputed normals
-let normalsByPointId = new Map(); // point.id → { hi, lo, app_hi, app_lo, rh_hi, rh_lo, ws }
+let normalsSource    = null;  // openNormalsSource() — packed chunks or the full JSON
+let normalsByPointId = new Map(); // point.id → { hi, lo, app_hi, app_lo, rh_hi, rh_lo, ws, pr, pr_prob }
 let normalsByMile    = [];        // [{ id, mile }] sorted — nearest-neighbour fallback
 
 // Leaflet — Weather map
@@ -183,25 +187,19 @@ async function loadPoints() {
 }
 
 async function loadPrecomputedNormals() {
-  // historical_weather.json is ~55-60 MB — too large for localStorage.
-  // We rely entirely on the browser's HTTP cache for repeat visits.
-  const r = await fetch(META.normalsUrl);
-  if (!r.ok) throw new Error(`historical_weather.json fetch failed (${r.status})`);
-  const payload = await r.json();
-
   normalsByPointId = new Map();
-  for (const p of (payload.points || [])) {
-    if (!p?.id) continue;
-    normalsByPointId.set(String(p.id), {
-      hi:     p.hi     || [],
-      lo:     p.lo     || [],
-      app_hi: p.hi_app || p.hi || [],
-      app_lo: p.lo_app || p.lo || [],
-      rh_hi:  p.rh_hi  || [],
-      rh_lo:  p.rh_lo  || [],
-      ws:     p.ws     || [],
-    });
-  }
+  normalsSource = await openNormalsSource({
+    packedUrl: META.packedNormalsUrl,
+    storeKey:  `normals_${trailSlug}`,
+    version:   NORMALS_CACHE_VERSION,
+    ttlMs:     NORMALS_TTL_MS,
+    loadJson: async () => {
+      const r = await fetch(META.normalsUrl);
+      if (!r.ok) throw new Error(`historical_weather.json fetch failed (${r.status})`);
+      return r.json();
+    },
+    onRecords: (records) => records.forEach(setNormalsRecord),
+  });
 
   // Build nearest-neighbour mile index for fallback lookups
   normalsByMile = pointsSorted
@@ -212,18 +210,35 @@ async function loadPrecomputedNormals() {
   setDurStatus("");
 }
 
+/** Adds one point's normals entry — an index stub first, then the full record once its chunk loads. */
+function setNormalsRecord(p) {
+  if (!p?.id) return;
+  normalsByPointId.set(String(p.id), {
+    hi:     p.hi     || [],
+    lo:     p.lo     || [],
+    app_hi: p.hi_app || p.hi || [],
+    app_lo: p.lo_app || p.lo || [],
+    rh_hi:  p.rh_hi  || [],
+    rh_lo:  p.rh_lo  || [],
+    ws:     p.ws     || [],
+    pr:     p.pr     || [],
+    pr_prob: p.pr_prob || [],
+    ...percentileNormals(p),
+  });
+}
+
 /* ============================================================
    9. TRAIL GEOJSON OVERLAY
    ============================================================ */
 
 async function fetchTrailGeojson() {
   const key    = `trail_geojson_${trailSlug}_v1`;
-  const cached = cacheGet(key, TRAIL_TTL_MS);
+  const cached = await storeGet(key, TRAIL_TTL_MS);
   if (cached) return cached;
   const r = await fetch(META.trailGeojsonUrl, { cache: "no-store" });
   if (!r.ok) throw new Error(`trail.geojson fetch failed (${r.status})`);
   const gj = await r.json();
-  cacheSet(key, gj);
+  storeSet(key, gj);
   return gj;
 }
 
@@ -338,7 +353,7 @@ function getNearestPoint(mile) {
 
 async function fetchForecast(point) {
   const key    = `nct_forecast:${point.id}`;
-  const cached = cacheGet(key, FORECAST_TTL_MS);
+  const cached = await storeGet(key, FORECAST_TTL_MS);
   if (cached) return cached;
 
   const url = new URL(FORECAST_BASE);
@@ -351,10 +366,12 @@ async function fetchForecast(point) {
   url.searchParams.set("timezone",         "auto");
   url.searchParams.set("forecast_days",    "5");
 
-  const r = await fetch(url.toString());
+  let r;
+  try { r = await fetch(url.toString()); }
+  catch (err) { return staleOrThrow(key, err); }
   if (!r.ok) throw new Error(`Forecast fetch failed (${r.status})`);
   const data = await r.json();
-  cacheSet(key, data);
+  storeSet(key, data);
   return data;
 }
 
@@ -367,7 +384,7 @@ function lastSevenYearsRange() {
 
 async function fetchHistorical(point, range) {
   const key    = `nct_hist:${point.id}:${range.start_date}:${range.end_date}`;
-  const cached = cacheGet(key, HIST_TTL_MS);
+  const cached = await storeGet(key, HIST_TTL_MS);
   if (cached) return cached;
 
   const url = new URL(HIST_BASE);
@@ -377,12 +394,15 @@ async function fetchHistorical(point, range) {
   url.searchParams.set("end_date",         range.end_date);
   url.searchParams.set("daily",            HIST_DAILY_VARS);
   url.searchParams.set("temperature_unit", "fahrenheit");
+  url.searchParams.set("windspeed_unit",   "mph");
   url.searchParams.set("timezone",         "auto");
 
-  const r = await fetch(url.toString());
+  let r;
+  try { r = await fetch(url.toString()); }
+  catch (err) { return staleOrThrow(key, err); }
   if (!r.ok) throw new Error(`Historical fetch failed (${r.status})`);
   const data = await r.json();
-  cacheSet(key, data);
+  storeSet(key, data);
   return data;
 }
 
@@ -450,6 +470,7 @@ function computePlanningAverages(histDaily, monthDay, windowDays) {
     avgAppLow:  avg(buckets["apparent_temperature_min"]),
     avgRhHigh:  avg(buckets["relative_humidity_2m_max"]),
     avgRhLow:   avg(buckets["relative_humidity_2m_min"]),
+    ...percentilesFromBuckets(buckets),
   };
 }
 
@@ -468,8 +489,10 @@ function renderPlanningSummary(point, monthDay, range, avgs) {
       <tr><th></th><th style="background:#f0f0f0;">Actual Temp</th><th style="background:#f0f0f0;">Apparent Temp</th><th style="background:#f0f0f0;">Relative Humidity</th></tr>
       <tr><th>Avg High</th><td>${fmtTemp(avgs.avgHigh)}</td><td>${fmtTemp(avgs.avgAppHigh)}</td><td>${fmtRh(avgs.avgRhHigh)}</td></tr>
       <tr><th>Avg Low</th><td>${fmtTemp(avgs.avgLow)}</td><td>${fmtTemp(avgs.avgAppLow)}</td><td>${fmtRh(avgs.avgRhLow)}</td></tr>
+      ${percentileRangeRows(avgs)}
       <tr><th>Historical Range</th><td colspan="3">${range.start_date} to ${range.end_date}</td></tr>
     </table>
+    ${percentileRangeNote(avgs)}
     <p class="note">
       Averages computed from daily highs/lows over a ${TYPICAL_WINDOW_DAYS*2+1}-day window
       centered on the planning date, across 7 years of data.
@@ -613,9 +636,16 @@ async function runWeather() {
   setHtmlIfExists("forecastBlock",        "");
 
   try {
-    const forecastData = await fetchForecast(point);
-    renderCurrent(forecastData, point);
-    renderForecastTable(forecastData);
+    const forecastData = await fetchForecast(point).catch(err => {
+      console.warn("[NCT] forecast unavailable:", err);
+      setHtmlIfExists("currentBlock", forecastUnavailableHtml(err));
+      return null;
+    });
+    if (forecastData) {
+      renderCurrent(forecastData, point);
+      renderForecastTable(forecastData);
+      markStaleIfExists("currentBlock", forecastData);
+    }
 
     const range    = lastSevenYearsRange();
     const histData = await fetchHistorical(point, range);
@@ -624,8 +654,9 @@ async function runWeather() {
 
     const avgs = computePlanningAverages(daily, monthDay, TYPICAL_WINDOW_DAYS);
     renderPlanningSummary(point, monthDay, range, avgs);
+    markStaleIfExists("planningSummaryBlock", histData, "archive weather");
 
-    const forecastAppLows = forecastData.daily?.apparent_temperature_min || [];
+    const forecastAppLows = forecastData?.daily?.apparent_temperature_min || [];
     if (forecastAppLows.some(v => Number.isFinite(v) && v <= 20) ||
         (Number.isFinite(avgs.avgAppLow) && avgs.avgAppLow <= 20)) {
       const s = el("weatherStatus");
@@ -658,41 +689,58 @@ function getNearestNormals(point) {
    ============================================================ */
 
 /**
- * Build the ordered sequence of {date, point} pairs for a hike.
+ * Route legs for the itinerary engine (shared-utils.js): one lookup leg
+ * (lookupLeg) that maps cumulative hike miles onto the trail.
  * WEBO: mile 0 (VT/NY eastern terminus) → last mile (ND), going west
  * EABO: last mile (ND) → mile 0 (VT/NY), going east
  */
-function buildHikePoints({ directionId, startDate, milesPerDay, totalMiles }) {
-  const durationDays = Math.ceil(totalMiles / milesPerDay);
-  const hikePoints   = [];
-  const isWebo       = directionId === "webo";
-
-  for (let i = 0; i < durationDays; i++) {
-    const date    = addDays(startDate, i);
-    const cumMile = milesPerDay * i;
-    const trailMile = isWebo
-      ? Math.min(cumMile, totalMiles)
-      : Math.max(totalMiles - cumMile, 0);
-
-    const point = getNearestPoint(trailMile);
-    if (point) hikePoints.push({ date, point });
-  }
+function buildRouteLegs({ directionId, totalMiles }) {
+  const isWebo = directionId === "webo";
+  return [lookupLeg({
+    miles: totalMiles,
+    lookup: [{
+      to:    totalMiles,
+      list:  { points: pointsSorted, key: p => p.mile },
+      key:   isWebo ? 0 : totalMiles,
+      slope: isWebo ? 1 : -1
+    }]
+  })];
+}
+
+/** Build the ordered sequence of {date, point} pairs for a hike (or section). */
+function buildHikePoints({ startDate, plan, ...route }) {
+  return buildItinerary(buildRouteLegs(route), { startDate, ...plan });
+}
 
-  return hikePoints;
+/** Route for the Section Hike controls; sections are states. */
+function getPlannerRoute(directionId = el("durDirectionSelect")?.value || "webo") {
+  if (!allPoints.length) return null;
+  const states      = nctMeta?.sections || window.NCT_STATES_BOOTSTRAP || [];
+  return {
+    legs: buildRouteLegs({ directionId, totalMiles: calcTotalMiles(directionId) }),
+    sectionOf: (p) => states.find(s => s.state === p.state)?.name || p.state || null,
+    trailMileOf: (p) => p.mile
+  };
 }
 
 /* ============================================================
    19. DURATION EXTREMES (Tool A+)
    ============================================================ */
 
+// Eastern through Michigan's Ontonagon County; Central from Gogebic County west.
+const nctTimeZone = (p) =>
+  ["WI", "MN", "ND"].includes(p?.state) || (p?.state === "MI" && Number(p.lon) < -89.36)
+    ? "America/Chicago" : "America/New_York";
+
 function renderDurExtremesBlocks(hottest, coldest, opts = {}) {
   renderDurExtremesBlocksShared(hottest, coldest, {
     formatLocation: (rec) => nctPointLabel(rec.point),
+    timeZoneOf:     nctTimeZone,
     ...opts
   });
 }
 
-function renderDurExtremesMap(hottest, coldest) {
+function renderDurExtremesMap(hottest, coldest, comparePlans = null) {
   const mapEl = el("durExtremesMap");
   if (!mapEl || typeof L === "undefined") return;
 
@@ -708,6 +756,14 @@ function renderDurExtremesMap(hottest, coldest) {
 
   durMapLayerGroup.clearLayers();
 
+  // Saved-plan comparison: every plan's pins, numbered
+  if (comparePlans) {
+    const latLngs = addPlanComparisonPins(durMapLayerGroup, comparePlans);
+    if (latLngs.length) durMap.fitBounds(L.latLngBounds(latLngs), { padding: [30, 30] });
+    try { durMap.invalidateSize(); } catch {}
+    return;
+  }
+
   if (!hottest?.point || !coldest?.point) {
     try { durMap.invalidateSize(); } catch {}
     return;
@@ -733,7 +789,8 @@ function renderDurExtremesMap(hottest, coldest) {
 }
 
 async function computeAndRenderDurationExtremes(params) {
-  const { startDateLabel, extraNote } = params;
+  const { startDateLabel, extraNote, plan } = params;
+  const { section } = plan;
   setDisplayIfExists("durExtremesWrap", "none");
   setHtmlIfExists("durExtremesHot",  "");
   setHtmlIfExists("durExtremesCold", "");
@@ -753,8 +810,11 @@ async function computeAndRenderDurationExtremes(params) {
     setDurStatus("Could not compute hike path \u2014 check data loading.");
     return;
   }
+  if (!(await normalsReady(normalsSource.ensureAround(hikePoints)))) return;
 
   const utciCounts = computeUtciCounts(hikePoints, getNearestNormals);
+
+  const itinerary  = buildItineraryRows(hikePoints, getNearestNormals);
   const endDate    = addDays(params.startDate, params.durationDays - 1);
 
   const warningHtml = extraNote || "";
@@ -763,11 +823,14 @@ async function computeAndRenderDurationExtremes(params) {
   renderDurExtremesBlocks(null, null, {
     startDate: params.startDate,
     endDate,
-    distanceMiles: params.totalMiles,
+    distanceMiles: section ? section.miles : params.totalMiles,
     durationDays: params.durationDays,
     startDateLabel,
     utciCounts,
+    itinerary,
+    ranking: params.ranking,
     warningHtml,
+    plan,
   });
 
   // Now compute actual hottest/coldest for the extremes tables
@@ -787,23 +850,48 @@ async function computeAndRenderDurationExtremes(params) {
     const heatVal = isFinite(avgAppHigh) ? avgAppHigh : avgHigh;
     const coldVal = isFinite(avgAppLow)  ? avgAppLow  : avgLow;
     if (!hottest || heatVal > (isFinite(hottest.appHigh) ? hottest.appHigh : hottest.avgHigh)) {
-      hottest = { date, point, avgHigh, avgLow, appHigh: avgAppHigh, appLow: avgAppLow, rhHigh: avgRhHigh, rhLow: avgRhLow };
+      hottest = { date, point, avgHigh, avgLow, appHigh: avgAppHigh, appLow: avgAppLow, rhHigh: avgRhHigh, rhLow: avgRhLow, ...percentilesAt(normals, idx) };
     }
     if (!coldest || coldVal < (isFinite(coldest.appLow) ? coldest.appLow : coldest.avgLow)) {
-      coldest = { date, point, avgHigh, avgLow, appHigh: avgAppHigh, appLow: avgAppLow, rhHigh: avgRhHigh, rhLow: avgRhLow };
+      coldest = { date, point, avgHigh, avgLow, appHigh: avgAppHigh, appLow: avgAppLow, rhHigh: avgRhHigh, rhLow: avgRhLow, ...percentilesAt(normals, idx) };
     }
   }
 
   renderDurExtremesBlocks(hottest, coldest, {
     startDate: params.startDate,
     endDate,
-    distanceMiles: params.totalMiles,
+    distanceMiles: section ? section.miles : params.totalMiles,
     durationDays: params.durationDays,
     startDateLabel,
     utciCounts,
+    itinerary,
+    ranking: params.ranking,
     warningHtml,
+    plan,
   });
   renderDurExtremesMap(hottest, coldest);
+
+  if (plan.replayYear) {
+    runReplayYear({
+      year: plan.replayYear,
+      startDate: params.startDate,
+      getHikePoints: (startDate) => buildHikePoints({ ...params, startDate }),
+      fetchHistorical,
+      getNormals: getNearestNormals,
+      formatLocation: (rec) => nctPointLabel(rec.point),
+      normals: { hottest, coldest, utciCounts }
+    });
+  }
+
+  if (plan.risk) {
+    runRiskEstimate({
+      plan,
+      startDate: params.startDate,
+      getHikePoints: (startDate, plan) => buildHikePoints({ ...params, startDate, plan }),
+      fetchHistorical,
+      getNormals: getNearestNormals
+    });
+  }
 }
 
 /* ============================================================
@@ -842,22 +930,27 @@ function runDurationCalculator() {
   if (mpd == null || mpd <= 0) { setDurStatus("Please enter miles per day."); return; }
   if (mpd < 5)                 { setDurStatus("For this planner, hikes must average at least 5 miles per day."); return; }
 
+  const { plan, error } = readPlanOptions(getPlannerRoute(), mpd);
+  if (error) { setDurStatus(error); return; }
+  const { section } = plan;
+
   const totalMiles   = calcTotalMiles(directionId);
-  const durationDays = Math.ceil(totalMiles / mpd);
+  const legs         = buildRouteLegs({ directionId, totalMiles });
+  const durationDays = planHikeSchedule(legs, plan).length;
 
   if (durationDays > 730) {
     setDurStatus("Estimated duration exceeds two years. Please increase miles per day.");
     return;
   }
 
-  const startDate = resolveStartDate(monthDay);
+  const { startDate, startDateLabel } = resolvePlanStartDate(monthDay, { finish: scheduleFinishOffset(legs, plan) });
   const endDate   = addDays(startDate, durationDays - 1);
 
-  renderDurationResult({ directionId, startDate, endDate, totalMiles, milesPerDay: mpd, durationDays });
+  renderDurationResult({ directionId, startDate, endDate, totalMiles: section ? section.miles : totalMiles, milesPerDay: mpd, durationDays });
 
   if (normalsByPointId.size > 0 && allPoints.length > 0) {
     computeAndRenderDurationExtremes({
-      directionId, startDate, milesPerDay: mpd, totalMiles, durationDays
+      directionId, startDate, totalMiles, durationDays, plan, startDateLabel
     }).catch(err => {
       console.error("[NCT] extremes error:", err);
       setDurStatus(`Error computing extremes: ${err.message}`);
@@ -871,7 +964,34 @@ function runDurationCalculator() {
    21. BEST START
    ============================================================ */
 
-function runBestStart() {
+/**
+ * BestStart! setup for one direction with the current Tool A inputs.
+ * Returns { totalMiles, search } — search is the runBestStartSearch() config — or { error }.
+ */
+function prepareBestStart(directionId, mpd) {
+  const route = getPlannerRoute(directionId);
+  const { plan, error } = readPlanOptions(route, mpd);
+  if (error) return { error };
+
+  const totalMiles   = calcTotalMiles(directionId);
+  const durationDays = planHikeSchedule(buildRouteLegs({ directionId, totalMiles }), plan).length;
+  if (durationDays > 730) return { error: "Estimated duration exceeds two years. Please increase miles per day." };
+
+  return {
+    totalMiles,
+    search: {
+      route, milesPerDay: mpd, plan, maxDays: 730,
+      configFor: (plan) => ({
+        durationDays: planHikeSchedule(buildRouteLegs({ directionId, totalMiles }), plan).length,
+        getHikePoints: (startDate) => buildHikePoints({ directionId, startDate, totalMiles, plan }),
+        getNormals: getNearestNormals,
+        constraints: plan.constraints
+      })
+    }
+  };
+}
+
+async function runBestStart({ compareDirections = false } = {}) {
   setDurStatus("");
   setHtmlIfExists("durResult", "");
   setHtmlIfExists("bestStartResult", "");
@@ -882,50 +1002,49 @@ function runBestStart() {
   if (mpd < 5) { setDurStatus("For this planner, hikes must average at least 5 miles per day."); return; }
 
   const directionId  = el("durDirectionSelect")?.value || "webo";
-  const totalMiles   = calcTotalMiles(directionId);
-  const durationDays = Math.ceil(totalMiles / mpd);
-
-  if (durationDays > 730) {
-    setDurStatus("Estimated duration exceeds two years. Please increase miles per day.");
-    return;
-  }
+  const prep = prepareBestStart(directionId, mpd);
+  if (prep.error) { setDurStatus(prep.error); return; }
+  const { totalMiles } = prep;
 
   if (!normalsByPointId.size || !allPoints.length) {
     setDurStatus("Historical data not yet loaded \u2014 please wait and try again.");
     return;
   }
 
-  setHtmlIfExists("bestStartResult", "<p style='color:#555;font-style:italic;'>Scanning all start dates\u2026</p>");
+  if (compareDirections) {
+    if (!(await normalsReady(normalsSource.ensureAll()))) return;
+    await compareDirectionsShared((id) => prepareBestStart(id, mpd));
+    return;
+  }
 
-  setTimeout(() => {
-    const { bestStartDate, bestCounts } = runBestStartShared({
-      durationDays,
-      getHikePoints: (startDate) => buildHikePoints({ directionId, startDate, milesPerDay: mpd, totalMiles }),
-      getNormals: getNearestNormals,
-    });
+  if (!(await normalsReady(ensureSearchNormals(normalsSource, prep.search)))) return;
 
-    if (!bestStartDate) {
-      setHtmlIfExists("bestStartResult", "<p style='color:#b00000;'>No suitable start date found.</p>");
-      return;
-    }
+  const best = await runBestStartScan(prep.search);
+  if (!best) return;
+  const { bestStartDate, ranking, plan: bestPlan, durationDays: bestDays } = best;
 
-    const bestStartNote = durationDays > 365
-      ? `<p class="note" style="color:#555;">Note: this hike spans more than one year, so the <em>BestStart!</em> date has less influence on overall temperature outcomes than on shorter trails. All start dates cover most seasonal conditions; the recommended date reflects the best available margin.</p>`
-      : "";
+  if (!bestStartDate) {
+    setHtmlIfExists("bestStartResult", constrainedBestStartFailureHtml(ranking) || "<p style='color:#b00000;'>No suitable start date found.</p>");
+    return;
+  }
 
-    computeAndRenderDurationExtremes({
-      directionId,
-      startDate: bestStartDate,
-      milesPerDay: mpd,
-      totalMiles,
-      durationDays,
-      startDateLabel: "<em>BestStart!</em> Date",
-      extraNote: bestStartNote,
-    }).catch(err => {
-      console.error("[NCT] BestStart extremes error:", err);
-      setDurStatus(`Error computing extremes: ${err.message}`);
-    });
-  }, 0);
+  const bestStartNote = bestDays > 365
+    ? `<p class="note" style="color:#555;">Note: this hike spans more than one year, so the <em>BestStart!</em> date has less influence on overall temperature outcomes than on shorter trails. All start dates cover most seasonal conditions; the recommended date reflects the best available margin.</p>`
+    : "";
+
+  computeAndRenderDurationExtremes({
+    directionId,
+    startDate: bestStartDate,
+    totalMiles,
+    durationDays: bestDays,
+    plan: bestPlan,
+    startDateLabel: "<em>BestStart!</em> Date",
+    ranking,
+    extraNote: bestStartNote,
+  }).catch(err => {
+    console.error("[NCT] BestStart extremes error:", err);
+    setDurStatus(`Error computing extremes: ${err.message}`);
+  });
 }
 
 /* ============================================================
@@ -936,8 +1055,20 @@ function initDurationUI() {
   initMonthDayPickerGeneric("durMonthSelect", "durDaySelect");
   el("durBtn")?.addEventListener("click", runDurationCalculator);
   el("bestStartBtn")?.addEventListener("click", runBestStart);
+  el("compareDirBtn")?.addEventListener("click", () => runBestStart({ compareDirections: true }));
   const mpdEl = el("durMilesPerDay");
   if (mpdEl && mpdEl.value === "") mpdEl.value = "15";
+  initPlanOptionsUI(getPlannerRoute, { minMilesPerDay: 5 });
+  initSavedPlansUI({
+    trail:     trailSlug,
+    renderMap: (plans) => renderDurExtremesMap(null, null, plans)
+  });
+  initPlanExports({
+    trail:        trailSlug,
+    name:         "North Country Trail",
+    getRoute:     getPlannerRoute,
+    fetchGeojson: fetchTrailGeojson
+  });
 }
 
 function initWeatherUI() {
@@ -959,13 +1090,14 @@ async function main() {
   loadTrailOverlay();
 
   // Load meta (non-blocking — updates state info when ready)
-  loadNctMeta()
+  const metaLoaded = loadNctMeta()
     .then(() => updateStateInfo())
     .catch(e => console.warn("[NCT] nct_meta not loaded:", e));
 
   // Load trail points
   try {
     await loadPoints();
+    refreshPlanOptionsUI(getPlannerRoute());
     if (map) {
       const b = boundsFromPoints(allPoints);
       if (b) map.fitBounds(b, { padding: [20, 20] });
@@ -974,7 +1106,7 @@ async function main() {
     console.error("[NCT] loadPoints failed:", err);
   }
 
-  // Load precomputed normals (large file — rely on HTTP cache)
+  // Load precomputed normals
   setDurStatus("Loading historical weather data (large file, may take a moment)\u2026");
   try {
     await loadPrecomputedNormals();
@@ -984,6 +1116,10 @@ async function main() {
     setDurStatus("Historical weather data not yet available \u2014 run generate-normals-nct.js to enable temperature extremes.");
   }
 
+  // Restore a shared plan / weather lookup once the meta-driven lists are in
+  await metaLoaded;
+  initPermalink({ weather: { state: "nctStateSelect", mile: "nctMileInput" } });
+
   setTimeout(refreshMapSize, 250);
 }
 
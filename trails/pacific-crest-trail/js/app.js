@@ -16,7 +16,8 @@
            - Elevation correction applied to apparent temperatures
    Maps: Leaflet + OSM tiles + trail.geojson overlay (5 section LineStrings)
    Units: Fahrenheit, mph, %
-   Caching: localStorage (TTL-based); HTTP cache for large files
+   Caching: IndexedDB store (normals, trail geojson, Open-Meteo) and
+            localStorage for the rest, both TTL-based
 
    Elevation correction logic (applied to apparent temperature):
    - Trail significantly ABOVE grid (trail_elev > grid_elev + 300 ft):
@@ -49,6 +50,7 @@ function getTrailMeta() {
     pointsUrl:        new URL("points.json",             dataDir).href,
     trailGeojsonUrl:  new URL("trail.geojson",           dataDir).href,
     normalsUrl:       new URL("historical_weather.json", dataDir).href,
+    packedNormalsUrl: new URL("normals/index.json",      dataDir).href,
     pctMetaUrl:       new URL("pct_meta.json",           dataDir).href,
     defaultMapCenter: [40.5, -120.0],
     defaultZoom:      5,
@@ -85,6 +87,7 @@ const HIST_DAILY_VARS = [
   "apparent_temperature_min",
   "relative_humidity_2m_max",
   "relative_humidity_2m_min",
+  "windspeed_10m_max",
 ].join(",");
 
 /* ============================================================
@@ -96,6 +99,7 @@ const TYPICAL_WINDOW_DAYS   = 3;
 const FORECAST_TTL_MS       = 30 * 60 * 1000;           // 30 min
 const HIST_TTL_MS           = 24 * 60 * 60 * 1000;      // 24 hr
 const TRAIL_TTL_MS          = 30 * 24 * 60 * 60 * 1000; // 30 days
+const NORMALS_TTL_MS        = 30 * 24 * 60 * 60 * 1000; // 30 days
 const NORMALS_CACHE_VERSION = "v1";
 
 const PCT_TRAIL_MILES = 2653.0;
@@ -114,6 +118,7 @@ let pointsSorted = [];  // sorted by mile
 
 let pctMeta = null;
 
+let normalsSource    = null;  // openNormalsSource() — packed chunks or the full JSON
 let normalsByPointId = new Map(); // point.id → normals arrays
 let normalsByMile    = [];        // [{ id, mile }] sorted — nearest-neighbour fallback
 
@@ -189,10 +194,14 @@ function elevCorrectionNote(direction, elevDiffFt) {
    7. POINT LABEL HELPER
    ============================================================ */
 
-function pctPointLabel(point) {
+function pctSectionName(point) {
   const sections = pctMeta?.sections || window.PCT_SECTIONS_BOOTSTRAP || [];
   const sec = sections.find(s => point.mile >= s.mile_start && point.mile <= s.mile_end);
-  const secName = sec ? sec.name : "Mile " + fmtMile(point.mile);
+  return sec ? sec.name : null;
+}
+
+function pctPointLabel(point) {
+  const secName = pctSectionName(point) || "Mile " + fmtMile(point.mile);
   return `${secName} \u2014 ${point.state} \u2014 Mile ${fmtMile(point.mile)}`;
 }
 
@@ -245,28 +254,25 @@ async function loadPoints() {
 }
 
 async function loadPrecomputedNormals() {
-  // historical_weather.json can be large — rely on HTTP cache, skip localStorage
-  const r = await fetch(META.normalsUrl);
-  if (!r.ok) throw new Error(`historical_weather.json fetch failed (${r.status})`);
-  const payload = await r.json();
-
   normalsByPointId = new Map();
+  normalsSource = await openNormalsSource({
+    packedUrl: META.packedNormalsUrl,
+    storeKey:  `normals_${trailSlug}`,
+    version:   NORMALS_CACHE_VERSION,
+    ttlMs:     NORMALS_TTL_MS,
+    loadJson: async () => {
+      const r = await fetch(META.normalsUrl);
+      if (!r.ok) throw new Error(`historical_weather.json fetch failed (${r.status})`);
+      return r.json();
+    },
+    onRecords: (records) => records.forEach(setNormalsRecord),
+  });
 
   // Build grid_elev lookup and enrich allPoints so elevation correction works
   const gridElevById = new Map();
-  for (const p of (payload.points || [])) {
+  for (const p of normalsSource.points) {
     if (!p?.id) continue;
     if (p.grid_elev != null) gridElevById.set(String(p.id), p.grid_elev);
-
-    normalsByPointId.set(String(p.id), {
-      hi:     p.hi     || [],
-      lo:     p.lo     || [],
-      app_hi: p.hi_app || p.hi || [],
-      app_lo: p.lo_app || p.lo || [],
-      rh_hi:  p.rh_hi  || [],
-      rh_lo:  p.rh_lo  || [],
-      ws:     p.ws     || [],
-    });
   }
 
   // Enrich allPoints with grid_elev for applyElevationCorrection
@@ -284,19 +290,38 @@ async function loadPrecomputedNormals() {
   setTimeout(() => setDurStatus(""), 4000);
 }
 
+/** Adds one point's normals entry — an index stub first, then the full record once its chunk loads. */
+function setNormalsRecord(p) {
+  if (!p?.id) return;
+  normalsByPointId.set(String(p.id), {
+    hi:     p.hi     || [],
+    lo:     p.lo     || [],
+    app_hi: p.hi_app || p.hi || [],
+    app_lo: p.lo_app || p.lo || [],
+    rh_hi:  p.rh_hi  || [],
+    rh_lo:  p.rh_lo  || [],
+    ws:     p.ws     || [],
+    pr:     p.pr     || [],
+    pr_prob: p.pr_prob || [],
+    snow:    p.snow || [],
+    snow_cover: p.snow_cover || [],
+    ...percentileNormals(p),
+  });
+}
+
 /* ============================================================
    10. TRAIL GEOJSON OVERLAY
    ============================================================ */
 
 async function fetchTrailGeojson() {
   const key    = `trail_geojson_${trailSlug}_v1`;
-  const cached = cacheGet(key, TRAIL_TTL_MS);
+  const cached = await storeGet(key, TRAIL_TTL_MS);
   if (cached) return cached;
-  // ~9 MB file — rely on browser HTTP cache; localStorage will overflow gracefully
+  // ~9 MB file — too big for localStorage, fine for the IndexedDB store
   const r = await fetch(META.trailGeojsonUrl);
   if (!r.ok) throw new Error(`trail.geojson fetch failed (${r.status})`);
   const gj = await r.json();
-  cacheSet(key, gj);
+  storeSet(key, gj);
   return gj;
 }
 
@@ -404,7 +429,7 @@ function getNearestPoint(mile) {
 
 async function fetchForecast(point) {
   const key    = `pct_forecast:${point.id}`;
-  const cached = cacheGet(key, FORECAST_TTL_MS);
+  const cached = await storeGet(key, FORECAST_TTL_MS);
   if (cached) return cached;
 
   const url = new URL(FORECAST_BASE);
@@ -417,10 +442,12 @@ async function fetchForecast(point) {
   url.searchParams.set("timezone",         "auto");
   url.searchParams.set("forecast_days",    "5");
 
-  const r = await fetch(url.toString());
+  let r;
+  try { r = await fetch(url.toString()); }
+  catch (err) { return staleOrThrow(key, err); }
   if (!r.ok) throw new Error(`Forecast fetch failed (${r.status})`);
   const data = await r.json();
-  cacheSet(key, data);
+  storeSet(key, data);
   return data;
 }
 
@@ -433,7 +460,7 @@ function lastSevenYearsRange() {
 
 async function fetchHistorical(point, range) {
   const key    = `pct_hist:${point.id}:${range.start_date}:${range.end_date}`;
-  const cached = cacheGet(key, HIST_TTL_MS);
+  const cached = await storeGet(key, HIST_TTL_MS);
   if (cached) return cached;
 
   const url = new URL(HIST_BASE);
@@ -443,12 +470,15 @@ async function fetchHistorical(point, range) {
   url.searchParams.set("end_date",         range.end_date);
   url.searchParams.set("daily",            HIST_DAILY_VARS);
   url.searchParams.set("temperature_unit", "fahrenheit");
+  url.searchParams.set("windspeed_unit",   "mph");
   url.searchParams.set("timezone",         "auto");
 
-  const r = await fetch(url.toString());
+  let r;
+  try { r = await fetch(url.toString()); }
+  catch (err) { return staleOrThrow(key, err); }
   if (!r.ok) throw new Error(`Historical fetch failed (${r.status})`);
   const data = await r.json();
-  cacheSet(key, data);
+  storeSet(key, data);
   return data;
 }
 
@@ -516,6 +546,7 @@ function computePlanningAverages(histDaily, monthDay, windowDays) {
     avgAppLow:  avg(buckets["apparent_temperature_min"]),
     avgRhHigh:  avg(buckets["relative_humidity_2m_max"]),
     avgRhLow:   avg(buckets["relative_humidity_2m_min"]),
+    ...percentilesFromBuckets(buckets),
   };
 }
 
@@ -529,6 +560,7 @@ function renderPlanningSummary(point, monthDay, range, avgs) {
   const { corrAppHigh, corrAppLow, elevDiffFt, direction } =
     applyElevationCorrection(avgs.avgAppHigh, avgs.avgAppLow, point);
   const elevNote = elevCorrectionNote(direction, elevDiffFt);
+  const appShift = { high: corrAppHigh - avgs.avgAppHigh, low: corrAppLow - avgs.avgAppLow };
 
   el("planningSummaryBlock").innerHTML = `
     <h2>Planning: 7-year Average</h2>
@@ -537,8 +569,10 @@ function renderPlanningSummary(point, monthDay, range, avgs) {
       <tr><th></th><th style="background:#f0f0f0;">Actual Temp</th><th style="background:#f0f0f0;">Apparent Temp</th><th style="background:#f0f0f0;">Relative Humidity</th></tr>
       <tr><th>Avg High</th><td>${fmtTemp(avgs.avgHigh)}</td><td>${fmtTemp(corrAppHigh)}${elevNote}</td><td>${fmtRh(avgs.avgRhHigh)}</td></tr>
       <tr><th>Avg Low</th><td>${fmtTemp(avgs.avgLow)}</td><td>${fmtTemp(corrAppLow)}${elevNote}</td><td>${fmtRh(avgs.avgRhLow)}</td></tr>
+      ${percentileRangeRows(avgs, appShift)}
       <tr><th>Historical Range</th><td colspan="3">${range.start_date} to ${range.end_date}</td></tr>
     </table>
+    ${percentileRangeNote(avgs, appShift)}
     <p class="note">
       Averages computed from daily highs/lows over a ${TYPICAL_WINDOW_DAYS*2+1}-day window
       centered on the planning date, across 7 years of data.
@@ -679,9 +713,16 @@ async function runWeather() {
   setHtmlIfExists("forecastBlock",        "");
 
   try {
-    const forecastData = await fetchForecast(point);
-    renderCurrent(forecastData, point);
-    renderForecastTable(forecastData, point);
+    const forecastData = await fetchForecast(point).catch(err => {
+      console.warn("[PCT] forecast unavailable:", err);
+      setHtmlIfExists("currentBlock", forecastUnavailableHtml(err));
+      return null;
+    });
+    if (forecastData) {
+      renderCurrent(forecastData, point);
+      renderForecastTable(forecastData, point);
+      markStaleIfExists("currentBlock", forecastData);
+    }
 
     const range    = lastSevenYearsRange();
     const histData = await fetchHistorical(point, range);
@@ -690,8 +731,9 @@ async function runWeather() {
 
     const avgs = computePlanningAverages(daily, monthDay, TYPICAL_WINDOW_DAYS);
     renderPlanningSummary(point, monthDay, range, avgs);
+    markStaleIfExists("planningSummaryBlock", histData, "archive weather");
 
-    const forecastAppLows = forecastData.daily?.apparent_temperature_min || [];
+    const forecastAppLows = forecastData?.daily?.apparent_temperature_min || [];
     if (forecastAppLows.some(v => Number.isFinite(v) && v <= 20) ||
         (Number.isFinite(avgs.avgAppLow) && avgs.avgAppLow <= 20)) {
       const s = el("weatherStatus");
@@ -752,27 +794,37 @@ function getNearestNormals(point) {
 }
 
 /**
- * Build ordered sequence of trail points for a hike, one per day.
+ * Route legs for the itinerary engine (shared-utils.js): one lookup leg
+ * (lookupLeg) that maps cumulative hike miles onto the trail.
  * NOBO: Campo (mile 0) → Manning Park (mile 2653)
  * SOBO: Manning Park (mile 2653) → Campo (mile 0)
  */
-function buildHikePoints({ directionId, startDate, milesPerDay, totalMiles }) {
-  const durationDays = Math.ceil(totalMiles / milesPerDay);
-  const hikePoints   = [];
-  const isNobo       = directionId === "nobo";
-
-  for (let i = 0; i < durationDays; i++) {
-    const date      = addDays(startDate, i);
-    const cumMile   = milesPerDay * i;
-    const trailMile = isNobo
-      ? Math.min(cumMile, totalMiles)
-      : Math.max(totalMiles - cumMile, 0);
-
-    const point = getNearestPoint(trailMile);
-    if (point) hikePoints.push({ date, point });
-  }
+function buildRouteLegs({ directionId, totalMiles }) {
+  const isNobo = directionId === "nobo";
+  return [lookupLeg({
+    miles: totalMiles,
+    lookup: [{
+      to:    totalMiles,
+      list:  { points: pointsSorted, key: p => p.mile },
+      key:   isNobo ? 0 : totalMiles,
+      slope: isNobo ? 1 : -1
+    }]
+  })];
+}
+
+/** Build ordered sequence of trail points for a hike (or section), one per day. */
+function buildHikePoints({ startDate, plan, ...route }) {
+  return buildItinerary(buildRouteLegs(route), { startDate, ...plan });
+}
 
-  return hikePoints;
+/** Route for the Section Hike controls; sections come from pct_meta.json. */
+function getPlannerRoute(directionId = el("durDirectionSelect")?.value || "nobo") {
+  if (!allPoints.length) return null;
+  return {
+    legs: buildRouteLegs({ directionId, totalMiles: calcTotalMiles(directionId) }),
+    sectionOf: pctSectionName,
+    trailMileOf: (p) => p.mile
+  };
 }
 
 function computeExtremesFromHikePoints(hikePoints) {
@@ -798,17 +850,18 @@ function computeExtremesFromHikePoints(hikePoints) {
     const { corrAppHigh: avgAppHigh, corrAppLow: avgAppLow } =
       applyElevationCorrection(rawAppHigh, rawAppLow, point);
 
+    const appShift  = { high: avgAppHigh - rawAppHigh, low: avgAppLow - rawAppLow };
     const avgRhHigh = normals.rh_hi?.[idx];
     const avgRhLow  = normals.rh_lo?.[idx];
 
     const heatVal = isFinite(avgAppHigh) ? avgAppHigh : avgHigh;
     if (!hottest || heatVal > (isFinite(hottest.appHigh) ? hottest.appHigh : hottest.avgHigh)) {
-      hottest = { date, point, avgHigh, avgLow, appHigh: avgAppHigh, appLow: avgAppLow, rhHigh: avgRhHigh, rhLow: avgRhLow };
+      hottest = { date, point, avgHigh, avgLow, appHigh: avgAppHigh, appLow: avgAppLow, rhHigh: avgRhHigh, rhLow: avgRhLow, ...percentilesAt(normals, idx, appShift) };
     }
 
     const coldVal = isFinite(avgAppLow) ? avgAppLow : avgLow;
     if (!coldest || coldVal < (isFinite(coldest.appLow) ? coldest.appLow : coldest.avgLow)) {
-      coldest = { date, point, avgHigh, avgLow, appHigh: avgAppHigh, appLow: avgAppLow, rhHigh: avgRhHigh, rhLow: avgRhLow };
+      coldest = { date, point, avgHigh, avgLow, appHigh: avgAppHigh, appLow: avgAppLow, rhHigh: avgRhHigh, rhLow: avgRhLow, ...percentilesAt(normals, idx, appShift) };
     }
   }
 
@@ -818,11 +871,12 @@ function computeExtremesFromHikePoints(hikePoints) {
 function renderDurExtremesBlocks(hottest, coldest, opts = {}) {
   renderDurExtremesBlocksShared(hottest, coldest, {
     formatLocation: (rec) => pctPointLabel(rec.point),
+    timeZoneOf:     () => "America/Los_Angeles",
     ...opts
   });
 }
 
-function renderDurExtremesMap(hottest, coldest) {
+function renderDurExtremesMap(hottest, coldest, comparePlans = null) {
   const mapEl = el("durExtremesMap");
   if (!mapEl || typeof L === "undefined") return;
 
@@ -838,6 +892,14 @@ function renderDurExtremesMap(hottest, coldest) {
 
   durMapLayerGroup.clearLayers();
 
+  // Saved-plan comparison: every plan's pins, numbered
+  if (comparePlans) {
+    const latLngs = addPlanComparisonPins(durMapLayerGroup, comparePlans);
+    if (latLngs.length) durMap.fitBounds(L.latLngBounds(latLngs), { padding: [30, 30] });
+    try { durMap.invalidateSize(); } catch {}
+    return;
+  }
+
   if (!hottest?.point || !coldest?.point) {
     try { durMap.invalidateSize(); } catch {}
     return;
@@ -863,7 +925,8 @@ function renderDurExtremesMap(hottest, coldest) {
 }
 
 async function computeAndRenderDurationExtremes(params) {
-  const { startDateLabel } = params;
+  const { startDateLabel, plan } = params;
+  const { section } = plan;
   setDisplayIfExists("durExtremesWrap", "none");
   setHtmlIfExists("durExtremesHot",  "");
   setHtmlIfExists("durExtremesCold", "");
@@ -883,9 +946,11 @@ async function computeAndRenderDurationExtremes(params) {
     setDurStatus("Could not compute hike path \u2014 check data loading.");
     return;
   }
+  if (!(await normalsReady(normalsSource.ensureAround(hikePoints)))) return;
 
   const { hottest, coldest } = computeExtremesFromHikePoints(hikePoints);
   const utciCounts = computeUtciCounts(hikePoints, getNearestNormals);
+  const itinerary  = buildItineraryRows(hikePoints, getNearestNormals);
   const endDate = addDays(params.startDate, params.durationDays - 1);
 
   const warningHtml = "";
@@ -894,13 +959,38 @@ async function computeAndRenderDurationExtremes(params) {
   renderDurExtremesBlocks(hottest, coldest, {
     startDate: params.startDate,
     endDate,
-    distanceMiles: params.totalMiles,
+    distanceMiles: section ? section.miles : params.totalMiles,
     durationDays: params.durationDays,
     startDateLabel,
     utciCounts,
-    warningHtml
+    itinerary,
+    ranking: params.ranking,
+    warningHtml,
+    plan
   });
   renderDurExtremesMap(hottest, coldest);
+
+  if (plan.replayYear) {
+    runReplayYear({
+      year: plan.replayYear,
+      startDate: params.startDate,
+      getHikePoints: (startDate) => buildHikePoints({ ...params, startDate }),
+      fetchHistorical,
+      getNormals: getNearestNormals,
+      formatLocation: (rec) => pctPointLabel(rec.point),
+      normals: { hottest, coldest, utciCounts }
+    });
+  }
+
+  if (plan.risk) {
+    runRiskEstimate({
+      plan,
+      startDate: params.startDate,
+      getHikePoints: (startDate, plan) => buildHikePoints({ ...params, startDate, plan }),
+      fetchHistorical,
+      getNormals: getNearestNormals
+    });
+  }
 }
 
 function runDurationCalculator() {
@@ -916,22 +1006,27 @@ function runDurationCalculator() {
   if (mpd == null || mpd <= 0) { setDurStatus("Please enter miles per day."); return; }
   if (mpd < 5)                 { setDurStatus("For this planner, hikes must average at least 5 miles per day."); return; }
 
+  const { plan, error } = readPlanOptions(getPlannerRoute(), mpd);
+  if (error) { setDurStatus(error); return; }
+  const { section } = plan;
+
   const totalMiles   = calcTotalMiles(directionId);
-  const durationDays = Math.ceil(totalMiles / mpd);
+  const legs         = buildRouteLegs({ directionId, totalMiles });
+  const durationDays = planHikeSchedule(legs, plan).length;
 
   if (durationDays > 365) {
     setDurStatus("Estimated duration exceeds one year. Please increase miles per day.");
     return;
   }
 
-  const startDate = resolveStartDate(monthDay);
+  const { startDate, startDateLabel } = resolvePlanStartDate(monthDay, { finish: scheduleFinishOffset(legs, plan) });
   const endDate   = addDays(startDate, durationDays - 1);
 
-  renderDurationResult({ directionId, startDate, endDate, totalMiles, milesPerDay: mpd, durationDays });
+  renderDurationResult({ directionId, startDate, endDate, totalMiles: section ? section.miles : totalMiles, milesPerDay: mpd, durationDays });
 
   if (normalsByPointId.size > 0 && allPoints.length > 0) {
     computeAndRenderDurationExtremes({
-      directionId, startDate, milesPerDay: mpd, totalMiles, durationDays
+      directionId, startDate, totalMiles, durationDays, plan, startDateLabel
     }).catch(err => {
       console.error("[PCT] extremes error:", err);
       setDurStatus(`Error computing extremes: ${err.message}`);
@@ -941,7 +1036,34 @@ function runDurationCalculator() {
   }
 }
 
-function runBestStart() {
+/**
+ * BestStart! setup for one direction with the current Tool A inputs.
+ * Returns { totalMiles, search } — search is the runBestStartSearch() config — or { error }.
+ */
+function prepareBestStart(directionId, mpd) {
+  const route = getPlannerRoute(directionId);
+  const { plan, error } = readPlanOptions(route, mpd);
+  if (error) return { error };
+
+  const totalMiles   = calcTotalMiles(directionId);
+  const durationDays = planHikeSchedule(buildRouteLegs({ directionId, totalMiles }), plan).length;
+  if (durationDays > 365) return { error: "Estimated duration exceeds one year. Please increase miles per day." };
+
+  return {
+    totalMiles,
+    search: {
+      route, milesPerDay: mpd, plan,
+      configFor: (plan) => ({
+        durationDays: planHikeSchedule(buildRouteLegs({ directionId, totalMiles }), plan).length,
+        getHikePoints: (startDate) => buildHikePoints({ directionId, startDate, totalMiles, plan }),
+        getNormals: getNearestNormals,
+        constraints: plan.constraints
+      })
+    }
+  };
+}
+
+async function runBestStart({ compareDirections = false } = {}) {
   setDurStatus("");
   setHtmlIfExists("durResult", "");
   setHtmlIfExists("bestStartResult", "");
@@ -952,45 +1074,44 @@ function runBestStart() {
   if (mpd < 5) { setDurStatus("For this planner, hikes must average at least 5 miles per day."); return; }
 
   const directionId  = el("durDirectionSelect")?.value || "nobo";
-  const totalMiles   = calcTotalMiles(directionId);
-  const durationDays = Math.ceil(totalMiles / mpd);
+  const prep = prepareBestStart(directionId, mpd);
+  if (prep.error) { setDurStatus(prep.error); return; }
+  const { totalMiles } = prep;
 
-  if (durationDays > 365) {
-    setDurStatus("Estimated duration exceeds one year. Please increase miles per day.");
+  if (!normalsByPointId.size || !allPoints.length) {
+    setDurStatus("Historical data not yet loaded \u2014 please wait and try again.");
     return;
   }
 
-  if (!normalsByPointId.size || !allPoints.length) {
-    setDurStatus("Historical data not yet loaded \u2014 please wait and try again.");
+  if (compareDirections) {
+    if (!(await normalsReady(normalsSource.ensureAll()))) return;
+    await compareDirectionsShared((id) => prepareBestStart(id, mpd));
     return;
   }
 
-  setHtmlIfExists("bestStartResult", "<p style='color:#555;font-style:italic;'>Scanning all start dates\u2026</p>");
+  if (!(await normalsReady(ensureSearchNormals(normalsSource, prep.search)))) return;
 
-  setTimeout(() => {
-    const { bestStartDate } = runBestStartShared({
-      durationDays,
-      getHikePoints: (startDate) => buildHikePoints({ directionId, startDate, milesPerDay: mpd, totalMiles }),
-      getNormals: getNearestNormals
-    });
+  const best = await runBestStartScan(prep.search);
+  if (!best) return;
+  const { bestStartDate, ranking, plan: bestPlan, durationDays: bestDays } = best;
 
-    if (!bestStartDate) {
-      setHtmlIfExists("bestStartResult", "<p style='color:#b00000; font-weight:600; margin-top:0.75rem;'>No valid start date found \u2014 every possible start date includes at least one day of extreme heat or cold stress. Try adjusting miles per day.</p>");
-      return;
-    }
+  if (!bestStartDate) {
+    setHtmlIfExists("bestStartResult", constrainedBestStartFailureHtml(ranking) || "<p style='color:#b00000; font-weight:600; margin-top:0.75rem;'>No valid start date found \u2014 every possible start date includes at least one day of extreme heat or cold stress. Try adjusting miles per day or your comfort profile.</p>");
+    return;
+  }
 
-    computeAndRenderDurationExtremes({
-      directionId,
-      startDate: bestStartDate,
-      milesPerDay: mpd,
-      totalMiles,
-      durationDays,
-      startDateLabel: "<em>BestStart!</em> Date"
-    }).catch(err => {
-      console.error("[PCT] BestStart extremes error:", err);
-      setDurStatus(`Error computing extremes: ${err.message}`);
-    });
-  }, 0);
+  computeAndRenderDurationExtremes({
+    directionId,
+    startDate: bestStartDate,
+    totalMiles,
+    durationDays: bestDays,
+    plan: bestPlan,
+    startDateLabel: "<em>BestStart!</em> Date",
+    ranking
+  }).catch(err => {
+    console.error("[PCT] BestStart extremes error:", err);
+    setDurStatus(`Error computing extremes: ${err.message}`);
+  });
 }
 
 /* ============================================================
@@ -1001,8 +1122,20 @@ function initDurationUI() {
   initMonthDayPickerGeneric("durMonthSelect", "durDaySelect");
   el("durBtn")?.addEventListener("click", runDurationCalculator);
   el("bestStartBtn")?.addEventListener("click", runBestStart);
+  el("compareDirBtn")?.addEventListener("click", () => runBestStart({ compareDirections: true }));
   const mpdEl = el("durMilesPerDay");
   if (mpdEl && mpdEl.value === "") mpdEl.value = "20";
+  initPlanOptionsUI(getPlannerRoute, { minMilesPerDay: 5 });
+  initSavedPlansUI({
+    trail:     trailSlug,
+    renderMap: (plans) => renderDurExtremesMap(null, null, plans)
+  });
+  initPlanExports({
+    trail:        trailSlug,
+    name:         "Pacific Crest Trail",
+    getRoute:     getPlannerRoute,
+    fetchGeojson: fetchTrailGeojson
+  });
 }
 
 function initWeatherUI() {
@@ -1025,13 +1158,14 @@ async function main() {
   loadTrailOverlay();
 
   // Load pct_meta.json (non-blocking)
-  loadPctMeta()
+  const metaLoaded = loadPctMeta()
     .then(() => { updateSectionInfo(); })
     .catch(e => console.warn("[PCT] pct_meta not loaded:", e));
 
   // Load points
   try {
     await loadPoints();
+    refreshPlanOptionsUI(getPlannerRoute());
 
     if (map) {
       const b = boundsFromPoints(allPoints);
@@ -1049,6 +1183,10 @@ async function main() {
     setDurStatus("Temperature extremes unavailable \u2014 historical_weather.json not found. Run the generation script to enable this feature.");
   }
 
+  // Restore a shared plan / weather lookup once the meta-driven lists are in
+  await metaLoaded;
+  initPermalink({ weather: { section: "sectionSelect", mile: "pctMileInput" } });
+
   setTimeout(refreshMapSize, 250);
 }
 
@@ -15,7 +15,8 @@
    Maps: Leaflet + OSM tiles + trail.geojson overlay
          Ferry segment rendered as dashed line (segment_type: "ferry")
    Units: Fahrenheit, mph, %
-   Caching: localStorage (TTL-based)
+   Caching: IndexedDB store (normals, trail geojson, Open-Meteo) and
+            localStorage for the rest, both TTL-based
    ---------------------------------------------------------------*/
 
 /* ============================================================
@@ -38,6 +39,7 @@ function getTrailMeta() {
     pointsUrl:       new URL("points.json",            dataDir).href,
     trailGeojsonUrl: new URL("trail.geojson",          dataDir).href,
     normalsUrl:      new URL("historical_weather.json", dataDir).href,
+    packedNormalsUrl: new URL("normals/index.json",      dataDir).href,
     pntMetaUrl:      new URL("pnt_meta.json",           dataDir).href,
     defaultMapCenter: [48.2, -119.5],
     defaultZoom:      6,
@@ -74,6 +76,7 @@ const HIST_DAILY_VARS = [
   "apparent_temperature_min",
   "relative_humidity_2m_max",
   "relative_humidity_2m_min",
+  "windspeed_10m_max",
 ].join(",");
 
 /* ============================================================
@@ -85,6 +88,7 @@ const TYPICAL_WINDOW_DAYS   = 3;
 const FORECAST_TTL_MS       = 30 * 60 * 1000;           // 30 min
 const HIST_TTL_MS           = 24 * 60 * 60 * 1000;      // 24 hr
 const TRAIL_TTL_MS          = 30 * 24 * 60 * 60 * 1000; // 30 days
+const NORMALS_TTL_MS        = 30 * 24 * 60 * 60 * 1000; // 30 days
 const NORMALS_CACHE_VERSION = "v1";
 
 const PNT_TRAIL_MILES = 1217.77; // total hiking miles (ferry not counted)
@@ -101,7 +105,8 @@ let pointsSorted     = [];        // [Point] sorted by mile
 let pntMeta = null;
 
 // Precomputed normals
-let normalsByPointId  = new Map(); // point.id → { hi, lo, app_hi, app_lo, rh_hi, rh_lo, ws }
+let normalsSource     = null;  // openNormalsSource() — packed chunks or the full JSON
+let normalsByPointId  = new Map(); // point.id → { hi, lo, app_hi, app_lo, rh_hi, rh_lo, ws, pr, pr_prob, snow, snow_cover }
 let normalsByMile     = [];        // [{ id, mile }] sorted — nearest-neighbour fallback
 
 // Leaflet — Weather map
@@ -134,8 +139,12 @@ const SECTION_NAMES = {
   "olympic-peninsula":  "Olympic Peninsula",
 };
 
+function pntSectionName(point) {
+  return SECTION_NAMES[point.section] || point.section;
+}
+
 function pntPointLabel(point) {
-  const secName = SECTION_NAMES[point.section] || point.section;
+  const secName = pntSectionName(point);
   return `${secName} \u2014 ${point.state} \u2014 Mile ${point.mile}`;
 }
 
@@ -196,25 +205,19 @@ async function loadPoints() {
 }
 
 async function loadPrecomputedNormals() {
-  // historical_weather.json — rely on HTTP cache for large files
-  const r = await fetch(META.normalsUrl);
-  if (!r.ok) throw new Error(`historical_weather.json fetch failed (${r.status})`);
-  const payload = await r.json();
-
   normalsByPointId = new Map();
-
-  for (const p of (payload.points || [])) {
-    if (!p?.id) continue;
-    normalsByPointId.set(String(p.id), {
-      hi:     p.hi     || [],
-      lo:     p.lo     || [],
-      app_hi: p.hi_app || p.hi || [],
-      app_lo: p.lo_app || p.lo || [],
-      rh_hi:  p.rh_hi  || [],
-      rh_lo:  p.rh_lo  || [],
-      ws:     p.ws     || [],
-    });
-  }
+  normalsSource = await openNormalsSource({
+    packedUrl: META.packedNormalsUrl,
+    storeKey:  `normals_${trailSlug}`,
+    version:   NORMALS_CACHE_VERSION,
+    ttlMs:     NORMALS_TTL_MS,
+    loadJson: async () => {
+      const r = await fetch(META.normalsUrl);
+      if (!r.ok) throw new Error(`historical_weather.json fetch failed (${r.status})`);
+      return r.json();
+    },
+    onRecords: (records) => records.forEach(setNormalsRecord),
+  });
 
   // Build nearest-neighbour mile index
   normalsByMile = pointsSorted
@@ -224,18 +227,37 @@ async function loadPrecomputedNormals() {
   console.log("[PNT] normals loaded:", normalsByPointId.size, "points");
 }
 
+/** Adds one point's normals entry — an index stub first, then the full record once its chunk loads. */
+function setNormalsRecord(p) {
+  if (!p?.id) return;
+  normalsByPointId.set(String(p.id), {
+    hi:     p.hi     || [],
+    lo:     p.lo     || [],
+    app_hi: p.hi_app || p.hi || [],
+    app_lo: p.lo_app || p.lo || [],
+    rh_hi:  p.rh_hi  || [],
+    rh_lo:  p.rh_lo  || [],
+    ws:     p.ws     || [],
+    pr:     p.pr     || [],
+    pr_prob: p.pr_prob || [],
+    snow:    p.snow || [],
+    snow_cover: p.snow_cover || [],
+    ...percentileNormals(p),
+  });
+}
+
 /* ============================================================
    12. TRAIL GEOJSON OVERLAY
    ============================================================ */
 
 async function fetchTrailGeojson() {
   const key    = `trail_geojson_${trailSlug}_v1`;
-  const cached = cacheGet(key, TRAIL_TTL_MS);
+  const cached = await storeGet(key, TRAIL_TTL_MS);
   if (cached) return cached;
   const r = await fetch(META.trailGeojsonUrl, { cache: "no-store" });
   if (!r.ok) throw new Error(`trail.geojson fetch failed (${r.status})`);
   const gj = await r.json();
-  cacheSet(key, gj);
+  storeSet(key, gj);
   return gj;
 }
 
@@ -350,7 +372,7 @@ function getNearestPoint(mile) {
 
 async function fetchForecast(point) {
   const key    = `pnt_forecast:${point.id}`;
-  const cached = cacheGet(key, FORECAST_TTL_MS);
+  const cached = await storeGet(key, FORECAST_TTL_MS);
   if (cached) return cached;
 
   const url = new URL(FORECAST_BASE);
@@ -363,10 +385,12 @@ async function fetchForecast(point) {
   url.searchParams.set("timezone",         "auto");
   url.searchParams.set("forecast_days",    "5");
 
-  const r = await fetch(url.toString());
+  let r;
+  try { r = await fetch(url.toString()); }
+  catch (err) { return staleOrThrow(key, err); }
   if (!r.ok) throw new Error(`Forecast fetch failed (${r.status})`);
   const data = await r.json();
-  cacheSet(key, data);
+  storeSet(key, data);
   return data;
 }
 
@@ -379,7 +403,7 @@ function lastSevenYearsRange() {
 
 async function fetchHistorical(point, range) {
   const key    = `pnt_hist:${point.id}:${range.start_date}:${range.end_date}`;
-  const cached = cacheGet(key, HIST_TTL_MS);
+  const cached = await storeGet(key, HIST_TTL_MS);
   if (cached) return cached;
 
   const url = new URL(HIST_BASE);
@@ -389,12 +413,15 @@ async function fetchHistorical(point, range) {
   url.searchParams.set("end_date",         range.end_date);
   url.searchParams.set("daily",            HIST_DAILY_VARS);
   url.searchParams.set("temperature_unit", "fahrenheit");
+  url.searchParams.set("windspeed_unit",   "mph");
   url.searchParams.set("timezone",         "auto");
 
-  const r = await fetch(url.toString());
+  let r;
+  try { r = await fetch(url.toString()); }
+  catch (err) { return staleOrThrow(key, err); }
   if (!r.ok) throw new Error(`Historical fetch failed (${r.status})`);
   const data = await r.json();
-  cacheSet(key, data);
+  storeSet(key, data);
   return data;
 }
 
@@ -462,6 +489,7 @@ function computePlanningAverages(histDaily, monthDay, windowDays) {
     avgAppLow:  avg(buckets["apparent_temperature_min"]),
     avgRhHigh:  avg(buckets["relative_humidity_2m_max"]),
     avgRhLow:   avg(buckets["relative_humidity_2m_min"]),
+    ...percentilesFromBuckets(buckets),
   };
 }
 
@@ -480,8 +508,10 @@ function renderPlanningSummary(point, monthDay, range, avgs) {
       <tr><th></th><th style="background:#f0f0f0;">Actual Temp</th><th style="background:#f0f0f0;">Apparent Temp</th><th style="background:#f0f0f0;">Relative Humidity</th></tr>
       <tr><th>Avg High</th><td>${fmtTemp(avgs.avgHigh)}</td><td>${fmtTemp(avgs.avgAppHigh)}</td><td>${fmtRh(avgs.avgRhHigh)}</td></tr>
       <tr><th>Avg Low</th><td>${fmtTemp(avgs.avgLow)}</td><td>${fmtTemp(avgs.avgAppLow)}</td><td>${fmtRh(avgs.avgRhLow)}</td></tr>
+      ${percentileRangeRows(avgs)}
       <tr><th>Historical Range</th><td colspan="3">${range.start_date} to ${range.end_date}</td></tr>
     </table>
+    ${percentileRangeNote(avgs)}
     <p class="note">
       Averages computed from daily highs/lows over a ${TYPICAL_WINDOW_DAYS*2+1}-day window
       centered on the planning date, across 7 years of data.
@@ -617,9 +647,16 @@ async function runWeather() {
   setHtmlIfExists("forecastBlock",        "");
 
   try {
-    const forecastData = await fetchForecast(point);
-    renderCurrent(forecastData, point);
-    renderForecastTable(forecastData);
+    const forecastData = await fetchForecast(point).catch(err => {
+      console.warn("[PNT] forecast unavailable:", err);
+      setHtmlIfExists("currentBlock", forecastUnavailableHtml(err));
+      return null;
+    });
+    if (forecastData) {
+      renderCurrent(forecastData, point);
+      renderForecastTable(forecastData);
+      markStaleIfExists("currentBlock", forecastData);
+    }
 
     const range    = lastSevenYearsRange();
     const histData = await fetchHistorical(point, range);
@@ -628,8 +665,9 @@ async function runWeather() {
 
     const avgs = computePlanningAverages(daily, monthDay, TYPICAL_WINDOW_DAYS);
     renderPlanningSummary(point, monthDay, range, avgs);
+    markStaleIfExists("planningSummaryBlock", histData, "archive weather");
 
-    const forecastAppLows = forecastData.daily?.apparent_temperature_min || [];
+    const forecastAppLows = forecastData?.daily?.apparent_temperature_min || [];
     if (forecastAppLows.some(v => Number.isFinite(v) && v <= 20) ||
         (Number.isFinite(avgs.avgAppLow) && avgs.avgAppLow <= 20)) {
       const s = el("weatherStatus");
@@ -695,31 +733,37 @@ function getNearestNormals(point) {
 }
 
 /**
- * Build the ordered sequence of points for a hike, one per day.
+ * Route legs for the itinerary engine (shared-utils.js): one lookup leg
+ * (lookupLeg) that maps cumulative hike miles onto the trail.
  * WEBO: Chief Mountain (mile 0) → Cape Alava (mile ~1218), west
  * EABO: Cape Alava (mile ~1218) → Chief Mountain (mile 0), east
  */
-function buildHikePoints({ directionId, startDate, milesPerDay, totalMiles }) {
-  const durationDays = Math.ceil(totalMiles / milesPerDay);
-  const hikePoints   = [];
-  const isWebo       = directionId === "webo";
-
-  for (let i = 0; i < durationDays; i++) {
-    const date    = addDays(startDate, i);
-    const cumMile = milesPerDay * i;
-    let   trailMile;
-
-    if (isWebo) {
-      trailMile = Math.min(cumMile, totalMiles);
-    } else {
-      trailMile = Math.max(totalMiles - cumMile, 0);
-    }
+function buildRouteLegs({ directionId, totalMiles }) {
+  const isWebo = directionId === "webo";
+  return [lookupLeg({
+    miles: totalMiles,
+    lookup: [{
+      to:    totalMiles,
+      list:  { points: pointsSorted, key: p => p.mile },
+      key:   isWebo ? 0 : totalMiles,
+      slope: isWebo ? 1 : -1
+    }]
+  })];
+}
 
-    const point = getNearestPoint(trailMile);
-    if (point) hikePoints.push({ date, point });
-  }
+/** Build the ordered sequence of points for a hike (or section), one per day. */
+function buildHikePoints({ startDate, plan, ...route }) {
+  return buildItinerary(buildRouteLegs(route), { startDate, ...plan });
+}
 
-  return hikePoints;
+/** Route for the Section Hike controls; sections are the PNT regions. */
+function getPlannerRoute(directionId = el("durDirectionSelect")?.value || "webo") {
+  if (!allPoints.length) return null;
+  return {
+    legs: buildRouteLegs({ directionId, totalMiles: calcTotalMiles(directionId) }),
+    sectionOf: (p) => p.section ? pntSectionName(p) : null,
+    trailMileOf: (p) => p.mile
+  };
 }
 
 function computeExtremesFromHikePoints(hikePoints) {
@@ -744,26 +788,30 @@ function computeExtremesFromHikePoints(hikePoints) {
 
     const heatVal = isFinite(avgAppHigh) ? avgAppHigh : avgHigh;
     if (!hottest || heatVal > (isFinite(hottest.appHigh) ? hottest.appHigh : hottest.avgHigh)) {
-      hottest = { date, point, avgHigh, avgLow, appHigh: avgAppHigh, appLow: avgAppLow, rhHigh: avgRhHigh, rhLow: avgRhLow };
+      hottest = { date, point, avgHigh, avgLow, appHigh: avgAppHigh, appLow: avgAppLow, rhHigh: avgRhHigh, rhLow: avgRhLow, ...percentilesAt(normals, idx) };
     }
 
     const coldVal = isFinite(avgAppLow) ? avgAppLow : avgLow;
     if (!coldest || coldVal < (isFinite(coldest.appLow) ? coldest.appLow : coldest.avgLow)) {
-      coldest = { date, point, avgHigh, avgLow, appHigh: avgAppHigh, appLow: avgAppLow, rhHigh: avgRhHigh, rhLow: avgRhLow };
+      coldest = { date, point, avgHigh, avgLow, appHigh: avgAppHigh, appLow: avgAppLow, rhHigh: avgRhHigh, rhLow: avgRhLow, ...percentilesAt(normals, idx) };
     }
   }
 
   return { hottest, coldest };
 }
 
+// Montana keeps Mountain time; the Idaho panhandle and Washington are Pacific.
+const pntTimeZone = (p) => (p?.state === "MT" ? "America/Denver" : "America/Los_Angeles");
+
 function renderDurExtremesBlocks(hottest, coldest, opts = {}) {
   renderDurExtremesBlocksShared(hottest, coldest, {
     formatLocation: (rec) => pntPointLabel(rec.point),
+    timeZoneOf:     pntTimeZone,
     ...opts
   });
 }
 
-function renderDurExtremesMap(hottest, coldest) {
+function renderDurExtremesMap(hottest, coldest, comparePlans = null) {
   const mapEl = el("durExtremesMap");
   if (!mapEl || typeof L === "undefined") return;
 
@@ -779,6 +827,14 @@ function renderDurExtremesMap(hottest, coldest) {
 
   durMapLayerGroup.clearLayers();
 
+  // Saved-plan comparison: every plan's pins, numbered
+  if (comparePlans) {
+    const latLngs = addPlanComparisonPins(durMapLayerGroup, comparePlans);
+    if (latLngs.length) durMap.fitBounds(L.latLngBounds(latLngs), { padding: [30, 30] });
+    try { durMap.invalidateSize(); } catch {}
+    return;
+  }
+
   if (!hottest?.point || !coldest?.point) {
     try { durMap.invalidateSize(); } catch {}
     return;
@@ -804,7 +860,8 @@ function renderDurExtremesMap(hottest, coldest) {
 }
 
 async function computeAndRenderDurationExtremes(params) {
-  const { startDateLabel } = params;
+  const { startDateLabel, plan } = params;
+  const { section } = plan;
   setDisplayIfExists("durExtremesWrap", "none");
   setHtmlIfExists("durExtremesHot",  "");
   setHtmlIfExists("durExtremesCold", "");
@@ -824,21 +881,48 @@ async function computeAndRenderDurationExtremes(params) {
     setDurStatus("Could not compute hike path \u2014 check data loading.");
     return;
   }
+  if (!(await normalsReady(normalsSource.ensureAround(hikePoints)))) return;
 
   const { hottest, coldest } = computeExtremesFromHikePoints(hikePoints);
   const utciCounts = computeUtciCounts(hikePoints, getNearestNormals);
+  const itinerary  = buildItineraryRows(hikePoints, getNearestNormals);
   const endDate = addDays(params.startDate, params.durationDays - 1);
 
   setDisplayIfExists("durExtremesWrap", "block");
   renderDurExtremesBlocks(hottest, coldest, {
     startDate: params.startDate,
     endDate,
-    distanceMiles: params.totalMiles,
+    distanceMiles: section ? section.miles : params.totalMiles,
     durationDays: params.durationDays,
     startDateLabel,
-    utciCounts
+    utciCounts,
+    itinerary,
+    ranking: params.ranking,
+    plan
   });
   renderDurExtremesMap(hottest, coldest);
+
+  if (plan.replayYear) {
+    runReplayYear({
+      year: plan.replayYear,
+      startDate: params.startDate,
+      getHikePoints: (startDate) => buildHikePoints({ ...params, startDate }),
+      fetchHistorical,
+      getNormals: getNearestNormals,
+      formatLocation: (rec) => pntPointLabel(rec.point),
+      normals: { hottest, coldest, utciCounts }
+    });
+  }
+
+  if (plan.risk) {
+    runRiskEstimate({
+      plan,
+      startDate: params.startDate,
+      getHikePoints: (startDate, plan) => buildHikePoints({ ...params, startDate, plan }),
+      fetchHistorical,
+      getNormals: getNearestNormals
+    });
+  }
 }
 
 function runDurationCalculator() {
@@ -854,22 +938,27 @@ function runDurationCalculator() {
   if (mpd == null || mpd <= 0) { setDurStatus("Please enter miles per day."); return; }
   if (mpd < 5)                { setDurStatus("For this planner, hikes must average at least 5 miles per day."); return; }
 
+  const { plan, error } = readPlanOptions(getPlannerRoute(), mpd);
+  if (error) { setDurStatus(error); return; }
+  const { section } = plan;
+
   const totalMiles   = calcTotalMiles(directionId);
-  const durationDays = Math.ceil(totalMiles / mpd);
+  const legs         = buildRouteLegs({ directionId, totalMiles });
+  const durationDays = planHikeSchedule(legs, plan).length;
 
   if (durationDays > 365) {
     setDurStatus("Estimated duration exceeds one year. Please increase miles per day.");
     return;
   }
 
-  const startDate = resolveStartDate(monthDay);
+  const { startDate, startDateLabel } = resolvePlanStartDate(monthDay, { finish: scheduleFinishOffset(legs, plan) });
   const endDate   = addDays(startDate, durationDays - 1);
 
-  renderDurationResult({ directionId, startDate, endDate, totalMiles, milesPerDay: mpd, durationDays });
+  renderDurationResult({ directionId, startDate, endDate, totalMiles: section ? section.miles : totalMiles, milesPerDay: mpd, durationDays });
 
   if (normalsByPointId.size > 0 && allPoints.length > 0) {
     computeAndRenderDurationExtremes({
-      directionId, startDate, milesPerDay: mpd, totalMiles, durationDays
+      directionId, startDate, totalMiles, durationDays, plan, startDateLabel
     }).catch(err => {
       console.error("[PNT] extremes error:", err);
       setDurStatus(`Error computing extremes: ${err.message}`);
@@ -879,7 +968,34 @@ function runDurationCalculator() {
   }
 }
 
-function runBestStart() {
+/**
+ * BestStart! setup for one direction with the current Tool A inputs.
+ * Returns { totalMiles, search } — search is the runBestStartSearch() config — or { error }.
+ */
+function prepareBestStart(directionId, mpd) {
+  const route = getPlannerRoute(directionId);
+  const { plan, error } = readPlanOptions(route, mpd);
+  if (error) return { error };
+
+  const totalMiles   = calcTotalMiles(directionId);
+  const durationDays = planHikeSchedule(buildRouteLegs({ directionId, totalMiles }), plan).length;
+  if (durationDays > 365) return { error: "Estimated duration exceeds one year. Please increase miles per day." };
+
+  return {
+    totalMiles,
+    search: {
+      route, milesPerDay: mpd, plan,
+      configFor: (plan) => ({
+        durationDays: planHikeSchedule(buildRouteLegs({ directionId, totalMiles }), plan).length,
+        getHikePoints: (startDate) => buildHikePoints({ directionId, startDate, totalMiles, plan }),
+        getNormals: getNearestNormals,
+        constraints: plan.constraints
+      })
+    }
+  };
+}
+
+async function runBestStart({ compareDirections = false } = {}) {
   setDurStatus("");
   setHtmlIfExists("durResult", "");
   setHtmlIfExists("bestStartResult", "");
@@ -890,45 +1006,44 @@ function runBestStart() {
   if (mpd < 5) { setDurStatus("For this planner, hikes must average at least 5 miles per day."); return; }
 
   const directionId  = el("durDirectionSelect")?.value || "webo";
-  const totalMiles   = calcTotalMiles(directionId);
-  const durationDays = Math.ceil(totalMiles / mpd);
+  const prep = prepareBestStart(directionId, mpd);
+  if (prep.error) { setDurStatus(prep.error); return; }
+  const { totalMiles } = prep;
 
-  if (durationDays > 365) {
-    setDurStatus("Estimated duration exceeds one year. Please increase miles per day.");
+  if (!normalsByPointId.size || !allPoints.length) {
+    setDurStatus("Historical data not yet loaded \u2014 please wait and try again.");
     return;
   }
 
-  if (!normalsByPointId.size || !allPoints.length) {
-    setDurStatus("Historical data not yet loaded \u2014 please wait and try again.");
+  if (compareDirections) {
+    if (!(await normalsReady(normalsSource.ensureAll()))) return;
+    await compareDirectionsShared((id) => prepareBestStart(id, mpd));
     return;
   }
 
-  setHtmlIfExists("bestStartResult", "<p style='color:#555;font-style:italic;'>Scanning all start dates\u2026</p>");
+  if (!(await normalsReady(ensureSearchNormals(normalsSource, prep.search)))) return;
 
-  setTimeout(() => {
-    const { bestStartDate, bestCounts } = runBestStartShared({
-      durationDays,
-      getHikePoints: (startDate) => buildHikePoints({ directionId, startDate, milesPerDay: mpd, totalMiles }),
-      getNormals: getNearestNormals
-    });
+  const best = await runBestStartScan(prep.search);
+  if (!best) return;
+  const { bestStartDate, ranking, plan: bestPlan, durationDays: bestDays } = best;
 
-    if (!bestStartDate) {
-      setHtmlIfExists("bestStartResult", "<p style='color:#b00000;'>No suitable start date found.</p>");
-      return;
-    }
+  if (!bestStartDate) {
+    setHtmlIfExists("bestStartResult", constrainedBestStartFailureHtml(ranking) || "<p style='color:#b00000;'>No suitable start date found.</p>");
+    return;
+  }
 
-    computeAndRenderDurationExtremes({
-      directionId,
-      startDate: bestStartDate,
-      milesPerDay: mpd,
-      totalMiles,
-      durationDays,
-      startDateLabel: "<em>BestStart!</em> Date"
-    }).catch(err => {
-      console.error("[PNT] BestStart extremes error:", err);
-      setDurStatus(`Error computing extremes: ${err.message}`);
-    });
-  }, 0);
+  computeAndRenderDurationExtremes({
+    directionId,
+    startDate: bestStartDate,
+    totalMiles,
+    durationDays: bestDays,
+    plan: bestPlan,
+    startDateLabel: "<em>BestStart!</em> Date",
+    ranking
+  }).catch(err => {
+    console.error("[PNT] BestStart extremes error:", err);
+    setDurStatus(`Error computing extremes: ${err.message}`);
+  });
 }
 
 /* ============================================================
@@ -939,8 +1054,20 @@ function initDurationUI() {
   initMonthDayPickerGeneric("durMonthSelect", "durDaySelect");
   el("durBtn")?.addEventListener("click", runDurationCalculator);
   el("bestStartBtn")?.addEventListener("click", runBestStart);
+  el("compareDirBtn")?.addEventListener("click", () => runBestStart({ compareDirections: true }));
   const mpdEl = el("durMilesPerDay");
   if (mpdEl && mpdEl.value === "") mpdEl.value = "15";
+  initPlanOptionsUI(getPlannerRoute, { minMilesPerDay: 5 });
+  initSavedPlansUI({
+    trail:     trailSlug,
+    renderMap: (plans) => renderDurExtremesMap(null, null, plans)
+  });
+  initPlanExports({
+    trail:        trailSlug,
+    name:         "Pacific Northwest Trail",
+    getRoute:     getPlannerRoute,
+    fetchGeojson: fetchTrailGeojson
+  });
 }
 
 function initWeatherUI() {
@@ -963,7 +1090,7 @@ async function main() {
   loadTrailOverlay();
 
   // Load pnt_meta.json (non-blocking — updates section info if loaded)
-  loadPntMeta()
+  const metaLoaded = loadPntMeta()
     .then(() => {
       updateSectionInfo();
     })
@@ -972,6 +1099,7 @@ async function main() {
   // Load points
   try {
     await loadPoints();
+    refreshPlanOptionsUI(getPlannerRoute());
 
     if (map) {
       const b = boundsFromPoints(allPoints);
@@ -990,6 +1118,10 @@ async function main() {
     setDurStatus("Temperature extremes unavailable \u2014 historical_weather.json not found. Run the generation script to enable this feature.");
   }
 
+  // Restore a shared plan / weather lookup once the meta-driven lists are in
+  await metaLoaded;
+  initPermalink({ weather: { section: "sectionSelect", mile: "pntMileInput" } });
+
   setTimeout(refreshMapSize, 250);
 }
 
@@ -18,7 +18,8 @@
          - Spine features: full opacity
          - WP-only features (VA, ECD): reduced opacity
    Units: Fahrenheit, mph, %
-   Caching: localStorage (TTL-based); HTTP cache for large files
+   Caching: IndexedDB store (normals, trail geojson, Open-Meteo) and
+            localStorage for the rest, both TTL-based
    ---------------------------------------------------------------*/
 
 /* ============================================================
@@ -41,6 +42,7 @@ function getTrailMeta() {
     pointsUrl:        new URL("points.json",             dataDir).href,
     trailGeojsonUrl:  new URL("trail.geojson",           dataDir).href,
     normalsUrl:       new URL("historical_weather.json", dataDir).href,
+    packedNormalsUrl: new URL("normals/index.json",      dataDir).href,
     phtMetaUrl:       new URL("pht_meta.json",           dataDir).href,
     defaultMapCenter: [39.22, -77.91],
     defaultZoom:      7,
@@ -77,6 +79,7 @@ const HIST_DAILY_VARS = [
   "apparent_temperature_min",
   "relative_humidity_2m_max",
   "relative_humidity_2m_min",
+  "windspeed_10m_max",
 ].join(",");
 
 /* ============================================================
@@ -88,6 +91,7 @@ const TYPICAL_WINDOW_DAYS   = 3;
 const FORECAST_TTL_MS       = 30 * 60 * 1000;           // 30 min
 const HIST_TTL_MS           = 24 * 60 * 60 * 1000;      // 24 hr
 const TRAIL_TTL_MS          = 30 * 24 * 60 * 60 * 1000; // 30 days
+const NORMALS_TTL_MS        = 30 * 24 * 60 * 60 * 1000; // 30 days
 const NORMALS_CACHE_VERSION = "v1";
 
 // Spine geometry constants (match pht_meta.json exactly)
@@ -108,6 +112,7 @@ let pointsBySection = new Map(); // section_id → points sorted by section_mile
 
 let phtMeta = null;
 
+let normalsSource           = null;  // openNormalsSource() — packed chunks or the full JSON
 let normalsByPointId        = new Map(); // point.id → normals
 let normalsBySectionMile    = new Map(); // section_id → [{id, section_mile}] sorted
 
@@ -133,10 +138,14 @@ function refreshMapSize() {
    6. POINT LABEL HELPER
    ============================================================ */
 
-function phtPointLabel(point) {
+function phtSectionName(point) {
   const sections = phtMeta?.sections || window.PHT_SECTIONS_BOOTSTRAP || [];
   const sec = sections.find(s => s.id === point.section_id);
-  const secName = sec ? sec.name : (point.section_id || "Unknown");
+  return sec ? sec.name : (point.section_id || "Unknown");
+}
+
+function phtPointLabel(point) {
+  const secName = phtSectionName(point);
   return `${secName} \u2014 Mile ${fmtMile(point.section_mile ?? 0)}`;
 }
 
@@ -211,26 +220,23 @@ async function loadPoints() {
 }
 
 async function loadPrecomputedNormals() {
-  // historical_weather.json — rely on HTTP cache (may be large)
-  const r = await fetch(META.normalsUrl);
-  if (!r.ok) throw new Error(`historical_weather.json fetch failed (${r.status})`);
-  const payload = await r.json();
-
   normalsByPointId     = new Map();
   normalsBySectionMile = new Map();
+  normalsSource = await openNormalsSource({
+    packedUrl: META.packedNormalsUrl,
+    storeKey:  `normals_${trailSlug}`,
+    version:   NORMALS_CACHE_VERSION,
+    ttlMs:     NORMALS_TTL_MS,
+    loadJson: async () => {
+      const r = await fetch(META.normalsUrl);
+      if (!r.ok) throw new Error(`historical_weather.json fetch failed (${r.status})`);
+      return r.json();
+    },
+    onRecords: (records) => records.forEach(setNormalsRecord),
+  });
 
-  for (const p of (payload.points || [])) {
+  for (const p of normalsSource.points) {
     if (!p?.id) continue;
-    normalsByPointId.set(String(p.id), {
-      hi:     p.hi     || [],
-      lo:     p.lo     || [],
-      app_hi: p.hi_app || p.hi || [],
-      app_lo: p.lo_app || p.lo || [],
-      rh_hi:  p.rh_hi  || [],
-      rh_lo:  p.rh_lo  || [],
-      ws:     p.ws     || [],
-    });
-
     const sid = p.section_id;
     if (sid) {
       if (!normalsBySectionMile.has(sid)) normalsBySectionMile.set(sid, []);
@@ -248,18 +254,35 @@ async function loadPrecomputedNormals() {
   setTimeout(() => setDurStatus(""), 4000);
 }
 
+/** Adds one point's normals entry — an index stub first, then the full record once its chunk loads. */
+function setNormalsRecord(p) {
+  if (!p?.id) return;
+  normalsByPointId.set(String(p.id), {
+    hi:     p.hi     || [],
+    lo:     p.lo     || [],
+    app_hi: p.hi_app || p.hi || [],
+    app_lo: p.lo_app || p.lo || [],
+    rh_hi:  p.rh_hi  || [],
+    rh_lo:  p.rh_lo  || [],
+    ws:     p.ws     || [],
+    pr:     p.pr     || [],
+    pr_prob: p.pr_prob || [],
+    ...percentileNormals(p),
+  });
+}
+
 /* ============================================================
    9. TRAIL GEOJSON OVERLAY
    ============================================================ */
 
 async function fetchTrailGeojson() {
   const key    = `trail_geojson_${trailSlug}_v1`;
-  const cached = cacheGet(key, TRAIL_TTL_MS);
+  const cached = await storeGet(key, TRAIL_TTL_MS);
   if (cached) return cached;
   const r = await fetch(META.trailGeojsonUrl);
   if (!r.ok) throw new Error(`trail.geojson fetch failed (${r.status})`);
   const gj = await r.json();
-  cacheSet(key, gj);
+  storeSet(key, gj);
   return gj;
 }
 
@@ -363,11 +386,6 @@ function binaryNearest(sortedArr, target, keyFn) {
   );
 }
 
-/** Look up the nearest spine point (southern-maryland, co-canal, gap, lhht) by spine mile */
-function getNearestSpinePoint(spineMile) {
-  return binaryNearest(spinePoints, spineMile, p => p.mile);
-}
-
 /** Look up the nearest point within a specific section by section_mile */
 function getNearestSectionPoint(sectionId, secMile) {
   const pts = pointsBySection.get(sectionId) || [];
@@ -398,7 +416,7 @@ function getNearestNormals(point) {
 
 async function fetchForecast(point) {
   const key    = `pht_forecast:${point.id}`;
-  const cached = cacheGet(key, FORECAST_TTL_MS);
+  const cached = await storeGet(key, FORECAST_TTL_MS);
   if (cached) return cached;
 
   const url = new URL(FORECAST_BASE);
@@ -411,10 +429,12 @@ async function fetchForecast(point) {
   url.searchParams.set("timezone",         "auto");
   url.searchParams.set("forecast_days",    "5");
 
-  const r = await fetch(url.toString());
+  let r;
+  try { r = await fetch(url.toString()); }
+  catch (err) { return staleOrThrow(key, err); }
   if (!r.ok) throw new Error(`Forecast fetch failed (${r.status})`);
   const data = await r.json();
-  cacheSet(key, data);
+  storeSet(key, data);
   return data;
 }
 
@@ -427,7 +447,7 @@ function lastSevenYearsRange() {
 
 async function fetchHistorical(point, range) {
   const key    = `pht_hist:${point.id}:${range.start_date}:${range.end_date}`;
-  const cached = cacheGet(key, HIST_TTL_MS);
+  const cached = await storeGet(key, HIST_TTL_MS);
   if (cached) return cached;
 
   const url = new URL(HIST_BASE);
@@ -437,12 +457,15 @@ async function fetchHistorical(point, range) {
   url.searchParams.set("end_date",         range.end_date);
   url.searchParams.set("daily",            HIST_DAILY_VARS);
   url.searchParams.set("temperature_unit", "fahrenheit");
+  url.searchParams.set("windspeed_unit",   "mph");
   url.searchParams.set("timezone",         "auto");
 
-  const r = await fetch(url.toString());
+  let r;
+  try { r = await fetch(url.toString()); }
+  catch (err) { return staleOrThrow(key, err); }
   if (!r.ok) throw new Error(`Historical fetch failed (${r.status})`);
   const data = await r.json();
-  cacheSet(key, data);
+  storeSet(key, data);
   return data;
 }
 
@@ -510,6 +533,7 @@ function computePlanningAverages(histDaily, monthDay, windowDays) {
     avgAppLow:  avg(buckets["apparent_temperature_min"]),
     avgRhHigh:  avg(buckets["relative_humidity_2m_max"]),
     avgRhLow:   avg(buckets["relative_humidity_2m_min"]),
+    ...percentilesFromBuckets(buckets),
   };
 }
 
@@ -528,8 +552,10 @@ function renderPlanningSummary(point, monthDay, range, avgs) {
       <tr><th></th><th style="background:#f0f0f0;">Actual Temp</th><th style="background:#f0f0f0;">Apparent Temp</th><th style="background:#f0f0f0;">Relative Humidity</th></tr>
       <tr><th>Avg High</th><td>${fmtTemp(avgs.avgHigh)}</td><td>${fmtTemp(avgs.avgAppHigh)}</td><td>${fmtRh(avgs.avgRhHigh)}</td></tr>
       <tr><th>Avg Low</th><td>${fmtTemp(avgs.avgLow)}</td><td>${fmtTemp(avgs.avgAppLow)}</td><td>${fmtRh(avgs.avgRhLow)}</td></tr>
+      ${percentileRangeRows(avgs)}
       <tr><th>Historical Range</th><td colspan="3">${range.start_date} to ${range.end_date}</td></tr>
     </table>
+    ${percentileRangeNote(avgs)}
     <p class="note">
       Averages computed from daily highs/lows over a ${TYPICAL_WINDOW_DAYS*2+1}-day window
       centered on the planning date, across 7 years of data.
@@ -715,9 +741,16 @@ async function runWeather() {
   setHtmlIfExists("forecastBlock",        "");
 
   try {
-    const forecastData = await fetchForecast(point);
-    renderCurrent(forecastData, point);
-    renderForecastTable(forecastData, point);
+    const forecastData = await fetchForecast(point).catch(err => {
+      console.warn("[PHT] forecast unavailable:", err);
+      setHtmlIfExists("currentBlock", forecastUnavailableHtml(err));
+      return null;
+    });
+    if (forecastData) {
+      renderCurrent(forecastData, point);
+      renderForecastTable(forecastData, point);
+      markStaleIfExists("currentBlock", forecastData);
+    }
 
     const range    = lastSevenYearsRange();
     const histData = await fetchHistorical(point, range);
@@ -726,8 +759,9 @@ async function runWeather() {
 
     const avgs = computePlanningAverages(daily, monthDay, TYPICAL_WINDOW_DAYS);
     renderPlanningSummary(point, monthDay, range, avgs);
+    markStaleIfExists("planningSummaryBlock", histData, "archive weather");
 
-    const forecastAppLows = forecastData.daily?.apparent_temperature_min || [];
+    const forecastAppLows = forecastData?.daily?.apparent_temperature_min || [];
     if (forecastAppLows.some(v => Number.isFinite(v) && v <= 20) ||
         (Number.isFinite(avgs.avgAppLow) && avgs.avgAppLow <= 20)) {
       const s = el("weatherStatus");
@@ -776,7 +810,8 @@ function renderDurationResult({ directionId, startDate, endDate, totalMiles, mil
    ============================================================ */
 
 /**
- * Build ordered sequence of trail points for a hike, one per day.
+ * Route legs for the itinerary engine (shared-utils.js): one lookup leg
+ * (lookupLeg) that maps cumulative hike miles onto the trail.
  * Handles the DC alternate routing zone.
  *
  * Westbound (Point Lookout → Laurel Ridge):
@@ -789,8 +824,7 @@ function renderDurationResult({ directionId, startDate, endDate, totalMiles, mil
  *   DC zone:                           section_mile = dcLen - (cumMile - dcEnter)
  *   beyond DC zone:                    Southern Maryland (spine mile = totalMiles - cumMile)
  */
-function buildHikePoints({ directionId, startDate, milesPerDay, totalMiles, selectedAlts }) {
-  const durationDays = Math.ceil(totalMiles / milesPerDay);
+function buildRouteLegs({ directionId, totalMiles, selectedAlts }) {
   const isWestbound  = directionId === "westbound";
   const dcChoice     = selectedAlts?.["dc-route"] || "river-trail";
   const dcAltLen     = (dcChoice === "city-park-trail") ? DC_CITY_PARK_LEN   : DC_RIVER_LEN;
@@ -803,43 +837,37 @@ function buildHikePoints({ directionId, startDate, milesPerDay, totalMiles, sele
     : (PHT_BASE_SPINE_MILES - DC_REJOIN_MILE);   // eastbound: reach rejoin ~mile 324.046
   const dcExit = dcEnter + dcAltLen;
 
-  const hikePoints = [];
-
-  for (let i = 0; i < durationDays; i++) {
-    const date = addDays(startDate, i);
-    const h    = Math.min(milesPerDay * i, totalMiles);
-
-    let point = null;
-
-    if (h >= dcEnter && h <= dcExit) {
-      // Within DC alternate zone
-      const secMile = isWestbound
-        ? h - DC_BRANCH_MILE                    // 0 at branch, dcAltLen at rejoin
-        : dcAltLen - (h - dcEnter);             // dcAltLen at rejoin end, 0 at branch end
-      point = getNearestSectionPoint(dcSectionId, Math.max(0, Math.min(dcAltLen, secMile)));
-    } else if (isWestbound) {
-      if (h < DC_BRANCH_MILE) {
-        // Southern Maryland (pre-DC, westbound)
-        point = getNearestSpinePoint(h);
-      } else {
-        // C&O Canal, GAP, LHHT (post-DC, westbound)
-        point = getNearestSpinePoint(h - altDelta);
-      }
-    } else {
-      // Eastbound
-      if (h < dcEnter) {
-        // LHHT, GAP, C&O (pre-DC, eastbound) — spine mile counts DOWN from western end
-        point = getNearestSpinePoint(PHT_BASE_SPINE_MILES - h);
-      } else {
-        // Southern Maryland (post-DC, eastbound)
-        point = getNearestSpinePoint(totalMiles - h);
-      }
-    }
+  const spine   = { points: spinePoints, key: p => p.mile };
+  const dcAlt   = { points: pointsBySection.get(dcSectionId) || [], key: p => p.section_mile };
+  const lookup  = isWestbound
+    ? [
+        { to: dcEnter,    list: spine, key: 0,                  slope: 1 },   // Southern Maryland
+        { to: dcExit,     list: dcAlt, key: 0,                  slope: 1 },   // DC alt zone
+        { to: totalMiles, list: spine, key: dcExit - altDelta,  slope: 1 }    // C&O Canal, GAP, LHHT
+      ]
+    : [
+        { to: dcEnter,    list: spine, key: PHT_BASE_SPINE_MILES, slope: -1 }, // LHHT, GAP, C&O
+        { to: dcExit,     list: dcAlt, key: dcAltLen,             slope: -1 }, // DC alt zone
+        { to: totalMiles, list: spine, key: totalMiles - dcExit,  slope: -1 }  // Southern Maryland
+      ];
+
+  return [lookupLeg({ miles: totalMiles, lookup })];
+}
 
-    if (point) hikePoints.push({ date, point });
-  }
+/** Build ordered sequence of trail points for a hike (or section), one per day. */
+function buildHikePoints({ startDate, plan, ...route }) {
+  return buildItinerary(buildRouteLegs(route), { startDate, ...plan });
+}
 
-  return hikePoints;
+/** Route for the Section Hike controls; trail miles are spine miles. */
+function getPlannerRoute(directionId = el("durDirectionSelect")?.value || "westbound") {
+  if (!allPoints.length) return null;
+  const selectedAlts = getSelectedAlts();
+  return {
+    legs: buildRouteLegs({ directionId, totalMiles: calcTotalMiles(directionId, selectedAlts), selectedAlts }),
+    sectionOf: phtSectionName,
+    trailMileOf: (p) => (p.mile != null && !p.alt_id) ? p.mile : NaN
+  };
 }
 
 /* ============================================================
@@ -869,12 +897,12 @@ function computeExtremesFromHikePoints(hikePoints) {
 
     const heatVal = isFinite(avgAppHigh) ? avgAppHigh : avgHigh;
     if (!hottest || heatVal > (isFinite(hottest.appHigh) ? hottest.appHigh : hottest.avgHigh)) {
-      hottest = { date, point, avgHigh, avgLow, appHigh: avgAppHigh, appLow: avgAppLow, rhHigh: avgRhHigh, rhLow: avgRhLow };
+      hottest = { date, point, avgHigh, avgLow, appHigh: avgAppHigh, appLow: avgAppLow, rhHigh: avgRhHigh, rhLow: avgRhLow, ...percentilesAt(normals, idx) };
     }
 
     const coldVal = isFinite(avgAppLow) ? avgAppLow : avgLow;
     if (!coldest || coldVal < (isFinite(coldest.appLow) ? coldest.appLow : coldest.avgLow)) {
-      coldest = { date, point, avgHigh, avgLow, appHigh: avgAppHigh, appLow: avgAppLow, rhHigh: avgRhHigh, rhLow: avgRhLow };
+      coldest = { date, point, avgHigh, avgLow, appHigh: avgAppHigh, appLow: avgAppLow, rhHigh: avgRhHigh, rhLow: avgRhLow, ...percentilesAt(normals, idx) };
     }
   }
 
@@ -884,11 +912,12 @@ function computeExtremesFromHikePoints(hikePoints) {
 function renderDurExtremesBlocks(hottest, coldest, opts = {}) {
   renderDurExtremesBlocksShared(hottest, coldest, {
     formatLocation: (rec) => phtPointLabel(rec.point),
+    timeZoneOf:     () => "America/New_York",
     ...opts
   });
 }
 
-function renderDurExtremesMap(hottest, coldest) {
+function renderDurExtremesMap(hottest, coldest, comparePlans = null) {
   const mapEl = el("durExtremesMap");
   if (!mapEl || typeof L === "undefined") return;
 
@@ -904,6 +933,14 @@ function renderDurExtremesMap(hottest, coldest) {
 
   durMapLayerGroup.clearLayers();
 
+  // Saved-plan comparison: every plan's pins, numbered
+  if (comparePlans) {
+    const latLngs = addPlanComparisonPins(durMapLayerGroup, comparePlans);
+    if (latLngs.length) durMap.fitBounds(L.latLngBounds(latLngs), { padding: [30, 30] });
+    try { durMap.invalidateSize(); } catch {}
+    return;
+  }
+
   if (!hottest?.point || !coldest?.point) {
     try { durMap.invalidateSize(); } catch {}
     return;
@@ -929,7 +966,8 @@ function renderDurExtremesMap(hottest, coldest) {
 }
 
 async function computeAndRenderDurationExtremes(params) {
-  const { startDateLabel } = params;
+  const { startDateLabel, plan } = params;
+  const { section } = plan;
   setDisplayIfExists("durExtremesWrap", "none");
   setHtmlIfExists("durExtremesHot",  "");
   setHtmlIfExists("durExtremesCold", "");
@@ -949,9 +987,11 @@ async function computeAndRenderDurationExtremes(params) {
     setDurStatus("Could not compute hike path \u2014 check data loading.");
     return;
   }
+  if (!(await normalsReady(normalsSource.ensureAround(hikePoints)))) return;
 
   const { hottest, coldest } = computeExtremesFromHikePoints(hikePoints);
   const utciCounts = computeUtciCounts(hikePoints, getNearestNormals);
+  const itinerary  = buildItineraryRows(hikePoints, getNearestNormals);
   const endDate    = addDays(params.startDate, params.durationDays - 1);
 
   const warningHtml = "";
@@ -960,13 +1000,38 @@ async function computeAndRenderDurationExtremes(params) {
   renderDurExtremesBlocks(hottest, coldest, {
     startDate: params.startDate,
     endDate,
-    distanceMiles: params.totalMiles,
+    distanceMiles: section ? section.miles : params.totalMiles,
     durationDays: params.durationDays,
     startDateLabel,
     utciCounts,
-    warningHtml
+    itinerary,
+    ranking: params.ranking,
+    warningHtml,
+    plan
   });
   renderDurExtremesMap(hottest, coldest);
+
+  if (plan.replayYear) {
+    runReplayYear({
+      year: plan.replayYear,
+      startDate: params.startDate,
+      getHikePoints: (startDate) => buildHikePoints({ ...params, startDate }),
+      fetchHistorical,
+      getNormals: getNearestNormals,
+      formatLocation: (rec) => phtPointLabel(rec.point),
+      normals: { hottest, coldest, utciCounts }
+    });
+  }
+
+  if (plan.risk) {
+    runRiskEstimate({
+      plan,
+      startDate: params.startDate,
+      getHikePoints: (startDate, plan) => buildHikePoints({ ...params, startDate, plan }),
+      fetchHistorical,
+      getNormals: getNearestNormals
+    });
+  }
 }
 
 /* ============================================================
@@ -987,22 +1052,27 @@ function runDurationCalculator() {
   if (mpd == null || mpd <= 0) { setDurStatus("Please enter miles per day."); return; }
   if (mpd < 5)                 { setDurStatus("For this planner, hikes must average at least 5 miles per day."); return; }
 
+  const { plan, error } = readPlanOptions(getPlannerRoute(), mpd);
+  if (error) { setDurStatus(error); return; }
+  const { section } = plan;
+
   const totalMiles   = calcTotalMiles(directionId, selectedAlts);
-  const durationDays = Math.ceil(totalMiles / mpd);
+  const legs         = buildRouteLegs({ directionId, totalMiles, selectedAlts });
+  const durationDays = planHikeSchedule(legs, plan).length;
 
   if (durationDays > 365) {
     setDurStatus("Estimated duration exceeds one year. Please increase miles per day.");
     return;
   }
 
-  const startDate = resolveStartDate(monthDay);
+  const { startDate, startDateLabel } = resolvePlanStartDate(monthDay, { finish: scheduleFinishOffset(legs, plan) });
   const endDate   = addDays(startDate, durationDays - 1);
 
-  renderDurationResult({ directionId, startDate, endDate, totalMiles, milesPerDay: mpd, durationDays, selectedAlts });
+  renderDurationResult({ directionId, startDate, endDate, totalMiles: section ? section.miles : totalMiles, milesPerDay: mpd, durationDays, selectedAlts });
 
   if (normalsByPointId.size > 0 && allPoints.length > 0) {
     computeAndRenderDurationExtremes({
-      directionId, startDate, milesPerDay: mpd, totalMiles, durationDays, selectedAlts
+      directionId, startDate, totalMiles, durationDays, selectedAlts, plan, startDateLabel
     }).catch(err => {
       console.error("[PHT] extremes error:", err);
       setDurStatus(`Error computing extremes: ${err.message}`);
@@ -1016,7 +1086,35 @@ function runDurationCalculator() {
    21. BEST START
    ============================================================ */
 
-function runBestStart() {
+/**
+ * BestStart! setup for one direction with the current Tool A inputs.
+ * Returns { totalMiles, search } — search is the runBestStartSearch() config — or { error }.
+ */
+function prepareBestStart(directionId, mpd) {
+  const selectedAlts = getSelectedAlts();
+  const route = getPlannerRoute(directionId);
+  const { plan, error } = readPlanOptions(route, mpd);
+  if (error) return { error };
+
+  const totalMiles   = calcTotalMiles(directionId, selectedAlts);
+  const durationDays = planHikeSchedule(buildRouteLegs({ directionId, totalMiles, selectedAlts }), plan).length;
+  if (durationDays > 365) return { error: "Estimated duration exceeds one year. Please increase miles per day." };
+
+  return {
+    totalMiles,
+    search: {
+      route, milesPerDay: mpd, plan,
+      configFor: (plan) => ({
+        durationDays: planHikeSchedule(buildRouteLegs({ directionId, totalMiles, selectedAlts }), plan).length,
+        getHikePoints: (startDate) => buildHikePoints({ directionId, startDate, totalMiles, selectedAlts, plan }),
+        getNormals: getNearestNormals,
+        constraints: plan.constraints
+      })
+    }
+  };
+}
+
+async function runBestStart({ compareDirections = false } = {}) {
   setDurStatus("");
   setHtmlIfExists("durResult", "");
   setHtmlIfExists("bestStartResult", "");
@@ -1028,46 +1126,45 @@ function runBestStart() {
 
   const directionId  = el("durDirectionSelect")?.value || "westbound";
   const selectedAlts = getSelectedAlts();
-  const totalMiles   = calcTotalMiles(directionId, selectedAlts);
-  const durationDays = Math.ceil(totalMiles / mpd);
+  const prep = prepareBestStart(directionId, mpd);
+  if (prep.error) { setDurStatus(prep.error); return; }
+  const { totalMiles } = prep;
 
-  if (durationDays > 365) {
-    setDurStatus("Estimated duration exceeds one year. Please increase miles per day.");
+  if (!normalsByPointId.size || !allPoints.length) {
+    setDurStatus("Historical data not yet loaded \u2014 please wait and try again.");
     return;
   }
 
-  if (!normalsByPointId.size || !allPoints.length) {
-    setDurStatus("Historical data not yet loaded \u2014 please wait and try again.");
+  if (compareDirections) {
+    if (!(await normalsReady(normalsSource.ensureAll()))) return;
+    await compareDirectionsShared((id) => prepareBestStart(id, mpd));
     return;
   }
 
-  setHtmlIfExists("bestStartResult", "<p style='color:#555;font-style:italic;'>Scanning all start dates\u2026</p>");
+  if (!(await normalsReady(ensureSearchNormals(normalsSource, prep.search)))) return;
 
-  setTimeout(() => {
-    const { bestStartDate } = runBestStartShared({
-      durationDays,
-      getHikePoints: (startDate) => buildHikePoints({ directionId, startDate, milesPerDay: mpd, totalMiles, selectedAlts }),
-      getNormals: getNearestNormals
-    });
+  const best = await runBestStartScan(prep.search);
+  if (!best) return;
+  const { bestStartDate, ranking, plan: bestPlan, durationDays: bestDays } = best;
 
-    if (!bestStartDate) {
-      setHtmlIfExists("bestStartResult", "<p style='color:#b00000; font-weight:600; margin-top:0.75rem;'>No valid start date found \u2014 every possible start date includes at least one day of extreme heat or cold stress. Try adjusting miles per day.</p>");
-      return;
-    }
+  if (!bestStartDate) {
+    setHtmlIfExists("bestStartResult", constrainedBestStartFailureHtml(ranking) || "<p style='color:#b00000; font-weight:600; margin-top:0.75rem;'>No valid start date found \u2014 every possible start date includes at least one day of extreme heat or cold stress. Try adjusting miles per day or your comfort profile.</p>");
+    return;
+  }
 
-    computeAndRenderDurationExtremes({
-      directionId,
-      startDate: bestStartDate,
-      milesPerDay: mpd,
-      totalMiles,
-      durationDays,
-      selectedAlts,
-      startDateLabel: "<em>BestStart!</em> Date"
-    }).catch(err => {
-      console.error("[PHT] BestStart extremes error:", err);
-      setDurStatus(`Error computing extremes: ${err.message}`);
-    });
-  }, 0);
+  computeAndRenderDurationExtremes({
+    directionId,
+    startDate: bestStartDate,
+    totalMiles,
+    durationDays: bestDays,
+    selectedAlts,
+    plan: bestPlan,
+    startDateLabel: "<em>BestStart!</em> Date",
+    ranking
+  }).catch(err => {
+    console.error("[PHT] BestStart extremes error:", err);
+    setDurStatus(`Error computing extremes: ${err.message}`);
+  });
 }
 
 /* ============================================================
@@ -1078,8 +1175,21 @@ function initDurationUI() {
   initMonthDayPickerGeneric("durMonthSelect", "durDaySelect");
   el("durBtn")?.addEventListener("click", runDurationCalculator);
   el("bestStartBtn")?.addEventListener("click", runBestStart);
+  el("compareDirBtn")?.addEventListener("click", () => runBestStart({ compareDirections: true }));
   const mpdEl = el("durMilesPerDay");
   if (mpdEl && mpdEl.value === "") mpdEl.value = "20";
+  initPlanOptionsUI(getPlannerRoute, { minMilesPerDay: 5 });
+  initSavedPlansUI({
+    trail:     trailSlug,
+    alts:      ["dcRoute"],
+    renderMap: (plans) => renderDurExtremesMap(null, null, plans)
+  });
+  initPlanExports({
+    trail:        trailSlug,
+    name:         "Potomac Heritage Trail",
+    getRoute:     getPlannerRoute,
+    fetchGeojson: fetchTrailGeojson
+  });
 }
 
 function initWeatherUI() {
@@ -1115,7 +1225,7 @@ async function main() {
   loadTrailOverlay();
 
   // Load pht_meta.json (non-blocking — bootstrap handles immediate UI)
-  loadPhtMeta()
+  const metaLoaded = loadPhtMeta()
     .then(() => {
       const regionSel = el("phtRegionSelect");
       if (regionSel) populateSectionSelect(regionSel.value);
@@ -1125,6 +1235,7 @@ async function main() {
   // Load points
   try {
     await loadPoints();
+    refreshPlanOptionsUI(getPlannerRoute());
 
     if (map) {
       const b = boundsFromPoints(allPoints);
@@ -1142,6 +1253,13 @@ async function main() {
     setDurStatus("Temperature extremes unavailable \u2014 historical_weather.json not found. Run the generation script to enable this feature.");
   }
 
+  // Restore a shared plan / weather lookup once the meta-driven lists are in
+  await metaLoaded;
+  initPermalink({
+    weather: { region: "phtRegionSelect", section: "phtSectionSelect", mile: "phtMileInput" },
+    alts:    ["dcRoute"]
+  });
+
   setTimeout(refreshMapSize, 250);
 }
 